@@ -0,0 +1,57 @@
+// File: api/gas/proxy.js
+// Vercel Serverless Function - forwards { action, data } as a POST body to the GAS Web App.
+// Avoids the URL length limit of JSONP and allows file content (base64) in uploads.
+// IMPORTANT: set GAS_API_URL in Vercel Project → Settings → Environment Variables
+// (Vercel limits request bodies to about 4.5 MB.)
+
+export default async function handler(req, res) {
+  // Basic CORS (allow same-origin + localhost dev)
+  const origin = req.headers.origin || "";
+  const allowList = [
+    "http://localhost:5173",
+    "http://localhost:5174",
+    "https://senteng-design-system.vercel.app",
+  ];
+  if (allowList.includes(origin)) {
+    res.setHeader("Access-Control-Allow-Origin", origin);
+    res.setHeader("Vary", "Origin");
+  }
+  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  if (req.method === "OPTIONS") return res.status(204).end();
+  if (req.method !== "POST") return res.status(405).json({ error: "method_not_allowed" });
+
+  try {
+    const { action, data } = req.body || {};
+    if (!action) return res.status(400).json({ error: "invalid_request", error_description: "missing action" });
+
+    const gasUrl = process.env.GAS_API_URL || process.env.VITE_GAS_API_URL;
+    if (!gasUrl) {
+      return res.status(500).json({ error: "server_misconfig", error_description: "missing GAS_API_URL on server" });
+    }
+
+    // GAS answers POST with a 302 to script.googleusercontent.com; fetch follows it
+    const r = await fetch(gasUrl, {
+      method: "POST",
+      headers: { "Content-Type": "text/plain;charset=utf-8" },
+      body: JSON.stringify({ action, data: data || {} }),
+      redirect: "follow",
+    });
+
+    const text = await r.text();
+    let payload;
+    try {
+      payload = JSON.parse(text);
+    } catch {
+      return res.status(502).json({ error: "upstream_error", error_description: `GAS returned non-JSON response (HTTP ${r.status})` });
+    }
+
+    if (!r.ok) return res.status(502).json({ error: "upstream_error", error_description: payload?.error || `HTTP ${r.status}` });
+
+    // Pass-through (same shape as the JSONP response: { success, data, error } or { status: 'success', ... })
+    return res.status(200).json(payload);
+  } catch (e) {
+    return res.status(502).json({ error: "upstream_error", error_description: String(e?.message || e) });
+  }
+}
@@ -0,0 +1,35 @@
+// 本機執行 GAS action（使用記憶體替身，每次執行都是全新的 Drive / Sheets）
+// 用法：npm run gas:run -- <action> '<json>' [<action> '<json>' ...]
+// 例如：npm run gas:run -- export_finance_report '{"transactions":[...]}' search_finance_records '{"query":"水電"}'
+import { createGasRuntime } from './loadProject.js';
+
+const args = process.argv.slice(2);
+
+if (args.length === 0) {
+    console.log('用法：npm run gas:run -- <action> \'<json>\' [<action> \'<json>\' ...]');
+    console.log(JSON.stringify(createGasRuntime().call('get_backend_info'), null, 2));
+    process.exit(0);
+}
+
+const runtime = createGasRuntime({
+    scriptProperties: process.env.GAS_SPREADSHEET_ID ? { SPREADSHEET_ID: process.env.GAS_SPREADSHEET_ID } : {},
+});
+
+let failed = false;
+for (let i = 0; i < args.length; i += 2) {
+    const action = args[i];
+    let data = {};
+    try {
+        data = args[i + 1] ? JSON.parse(args[i + 1]) : {};
+    } catch (error) {
+        console.error(`❌ ${action}: 參數不是有效的 JSON`);
+        process.exit(1);
+    }
+
+    const result = runtime.call(action, data);
+    failed = failed || !result.success;
+    console.log(`▶ ${action}`);
+    console.log(JSON.stringify(result, null, 2));
+}
+
+process.exit(failed ? 1 : 0);
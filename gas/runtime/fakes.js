@@ -0,0 +1,507 @@
+// Apps Script 服務的記憶體替身（SpreadsheetApp、DriveApp、CalendarApp 等）
+// 只實作 gas/src 用到的方法；行為盡量與 Apps Script 相同（1-based 列欄、迭代器、根目錄檔案）
+// 內容可匯出成 JSON（snapshot）再載入，供本機模擬伺服器（server/gas-emulator）保存到檔案。
+
+const SHEETS_MIME_TYPE = 'application/vnd.google-apps.spreadsheet';
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+
+const iterator = (items) => {
+    let index = 0;
+    return {
+        hasNext: () => index < items.length,
+        next: () => {
+            if (index >= items.length) throw new Error('No more items');
+            return items[index++];
+        },
+    };
+};
+
+// 格式設定在本機沒有意義，回傳自身以支援鏈式呼叫
+const chainable = (target, methods) => {
+    methods.forEach((method) => {
+        target[method] = () => target;
+    });
+    return target;
+};
+
+const isEmptyRow = row => row.every(cell => cell === '' || cell === null || cell === undefined);
+
+const GOOGLE_URLS = {
+    folder: id => `https://drive.google.com/drive/folders/${id}`,
+    file: id => `https://drive.google.com/file/d/${id}/view`,
+    spreadsheet: id => `https://docs.google.com/spreadsheets/d/${id}/edit`,
+};
+
+// 連結指向本機模擬伺服器的檢視路徑（見 server/gas-emulator/server.js）
+const localUrls = baseUrl => ({
+    folder: id => `${baseUrl}/drive/folders/${id}`,
+    file: id => `${baseUrl}/drive/files/${id}`,
+    spreadsheet: id => `${baseUrl}/spreadsheets/${id}`,
+});
+
+/**
+ * Create a set of fake Apps Script services
+ * @param {Object} [options]
+ * @param {Object} [options.scriptProperties] - Initial script properties
+ * @param {Object} [options.snapshot] - Content from a previous snapshot() to start from
+ * @param {string} [options.baseUrl] - Link folders, files and spreadsheets to this server instead of Google
+ * @param {boolean} [options.createMissingFolders] - getFolderById creates unknown ids under the root
+ *   (folder ids hard-coded in the frontend)
+ * @returns {Object} Globals to expose to the gas/src code, `state` for inspection,
+ *   snapshot() and describeSpreadsheet(id)
+ */
+export const createFakeServices = ({ scriptProperties = {}, snapshot = null, baseUrl = null, createMissingFolders = false } = {}) => {
+    let nextId = snapshot?.nextId || 1;
+    const newId = prefix => `${prefix}-${String(nextId++).padStart(6, '0')}`;
+    const urls = baseUrl ? localUrls(baseUrl) : GOOGLE_URLS;
+
+    const state = {
+        folders: new Map(),
+        files: new Map(),
+        spreadsheets: new Map(),
+        events: new Map(),
+        properties: { ...snapshot?.properties, ...scriptProperties },
+        logs: [],
+    };
+
+    // ---------- SpreadsheetApp ----------
+
+    const createSheet = (spreadsheet, name, values = []) => {
+        let data = values.map(row => [...row]);
+
+        const ensureSize = (rows, cols) => {
+            while (data.length < rows) data.push([]);
+            data.forEach((row) => {
+                while (row.length < cols) row.push('');
+            });
+        };
+
+        const lastRow = () => {
+            for (let i = data.length - 1; i >= 0; i--) {
+                if (!isEmptyRow(data[i])) return i + 1;
+            }
+            return 0;
+        };
+
+        const lastColumn = () => data.reduce((max, row) => {
+            for (let i = row.length - 1; i >= 0; i--) {
+                if (row[i] !== '' && row[i] !== null && row[i] !== undefined) return Math.max(max, i + 1);
+            }
+            return max;
+        }, 0);
+
+        const sheet = {
+            getName: () => name,
+            setName: (newName) => {
+                name = newName;
+                return sheet;
+            },
+            getParent: () => spreadsheet,
+            getLastRow: lastRow,
+            getLastColumn: lastColumn,
+            getRange: (row, column, numRows = 1, numColumns = 1) => {
+                if (row < 1 || column < 1) throw new Error(`Invalid range (${row}, ${column})`);
+                const range = {
+                    getRow: () => row,
+                    getColumn: () => column,
+                    getNumRows: () => numRows,
+                    getNumColumns: () => numColumns,
+                    getValues: () => {
+                        ensureSize(row + numRows - 1, column + numColumns - 1);
+                        return data.slice(row - 1, row - 1 + numRows)
+                            .map(r => r.slice(column - 1, column - 1 + numColumns));
+                    },
+                    getValue: () => range.getValues()[0][0],
+                    setValues: (values) => {
+                        if (values.length !== numRows || values.some(v => v.length !== numColumns)) {
+                            throw new Error(`The number of rows or columns in the data does not match the range (${numRows}x${numColumns})`);
+                        }
+                        ensureSize(row + numRows - 1, column + numColumns - 1);
+                        values.forEach((values_, r) => values_.forEach((value, c) => {
+                            data[row - 1 + r][column - 1 + c] = value ?? '';
+                        }));
+                        return range;
+                    },
+                    setValue: value => range.setValues([[value]]),
+                    clearContent: () => range.setValues(Array.from({ length: numRows }, () => Array(numColumns).fill(''))),
+                };
+                return chainable(range, [
+                    'setBackground', 'setFontColor', 'setFontWeight', 'setHorizontalAlignment',
+                    'setNumberFormat', 'setNumberFormats', 'setWrap', 'setBorder',
+                ]);
+            },
+            getDataRange: () => sheet.getRange(1, 1, Math.max(lastRow(), 1), Math.max(lastColumn(), 1)),
+            appendRow: (values) => {
+                const row = lastRow() + 1;
+                sheet.getRange(row, 1, 1, values.length).setValues([values]);
+                return sheet;
+            },
+            deleteRow: (position) => {
+                data.splice(position - 1, 1);
+                return sheet;
+            },
+            clear: () => {
+                data = [];
+                return sheet;
+            },
+            clearContents: () => sheet.clear(),
+            // 供檢查用：目前所有儲存格（已去除尾端空白列）
+            toArray: () => data.slice(0, lastRow()).map(r => r.slice(0, lastColumn())),
+        };
+        return chainable(sheet, ['setFrozenRows', 'setColumnWidth', 'autoResizeColumns', 'setTabColor']);
+    };
+
+    const createSpreadsheet = (name, id = newId('sheet'), sheetValues = [{ name: '工作表1', values: [] }]) => {
+        const sheets = [];
+        const spreadsheet = {
+            getId: () => id,
+            getName: () => name,
+            rename: (newName) => {
+                name = newName;
+                const file = state.files.get(id);
+                if (file) file.name = newName;
+            },
+            getUrl: () => urls.spreadsheet(id),
+            getSheets: () => [...sheets],
+            getSheetByName: sheetName => sheets.find(s => s.getName() === sheetName) || null,
+            getActiveSheet: () => sheets[0],
+            insertSheet: (sheetName = `工作表${sheets.length + 1}`) => {
+                if (spreadsheet.getSheetByName(sheetName)) {
+                    throw new Error(`A sheet with the name "${sheetName}" already exists.`);
+                }
+                const sheet = createSheet(spreadsheet, sheetName);
+                sheets.push(sheet);
+                return sheet;
+            },
+            deleteSheet: (sheet) => {
+                const index = sheets.indexOf(sheet);
+                if (index >= 0) sheets.splice(index, 1);
+            },
+        };
+        sheetValues.forEach(sheet => sheets.push(createSheet(spreadsheet, sheet.name, sheet.values)));
+        state.spreadsheets.set(id, spreadsheet);
+        return spreadsheet;
+    };
+
+    // ---------- DriveApp ----------
+
+    const rootId = 'root-folder';
+
+    const fileApi = (record) => ({
+        getId: () => record.id,
+        getName: () => record.name,
+        setName: (name) => {
+            record.name = name;
+        },
+        getMimeType: () => record.mimeType,
+        getSize: () => record.bytes.length,
+        getUrl: () => (record.mimeType === SHEETS_MIME_TYPE ? urls.spreadsheet(record.id) : urls.file(record.id)),
+        getBlob: () => newBlob(record.bytes, record.mimeType, record.name),
+        getParents: () => iterator([...record.parents].map(id => folderApi(state.folders.get(id)))),
+        moveTo: (folder) => {
+            record.parents = new Set([folder.getId()]);
+        },
+        setTrashed: (trashed) => {
+            record.trashed = trashed;
+        },
+    });
+
+    const visibleFiles = () => [...state.files.values()].filter(f => !f.trashed);
+
+    const createFileRecord = ({ name, mimeType, bytes = [], parentId = rootId, id = newId('file') }) => {
+        const record = { id, name, mimeType, bytes, parents: new Set([parentId]), trashed: false };
+        state.files.set(id, record);
+        return record;
+    };
+
+    const folderApi = (record) => {
+        const childFolders = () => [...state.folders.values()].filter(f => f.parentId === record.id);
+        const childFiles = () => visibleFiles().filter(f => f.parents.has(record.id));
+
+        const folder = {
+            getId: () => record.id,
+            getName: () => record.name,
+            setName: (name) => {
+                record.name = name;
+            },
+            getUrl: () => urls.folder(record.id),
+            getParents: () => iterator(record.parentId ? [folderApi(state.folders.get(record.parentId))] : []),
+            createFolder: name => folderApi(createFolderRecord(name, record.id)),
+            getFolders: () => iterator(childFolders().map(folderApi)),
+            getFoldersByName: name => iterator(childFolders().filter(f => f.name === name).map(folderApi)),
+            getFiles: () => iterator(childFiles().map(fileApi)),
+            getFilesByName: name => iterator(childFiles().filter(f => f.name === name).map(fileApi)),
+            getFilesByType: mimeType => iterator(childFiles().filter(f => f.mimeType === mimeType).map(fileApi)),
+            addFile: (file) => {
+                state.files.get(file.getId()).parents.add(record.id);
+                return folder;
+            },
+            removeFile: (file) => {
+                state.files.get(file.getId()).parents.delete(record.id);
+                return folder;
+            },
+            // createFile(blob) 或 createFile(name, content, mimeType)
+            createFile: (blobOrName, content = '', mimeType = 'text/plain') => {
+                const fields = typeof blobOrName === 'string'
+                    ? { name: blobOrName, mimeType, bytes: [...Buffer.from(String(content), 'utf8')] }
+                    : { name: blobOrName.getName(), mimeType: blobOrName.getContentType(), bytes: blobOrName.getBytes() };
+                return fileApi(createFileRecord({ ...fields, parentId: record.id }));
+            },
+        };
+        return chainable(folder, ['setSharing', 'setDescription']);
+    };
+
+    const createFolderRecord = (name, parentId, id = newId('folder')) => {
+        const record = { id, name, parentId };
+        state.folders.set(record.id, record);
+        return record;
+    };
+
+    state.folders.set(rootId, { id: rootId, name: '我的雲端硬碟', parentId: null });
+
+    const getFolderRecord = (id) => {
+        const record = state.folders.get(id);
+        if (record) return record;
+        if (createMissingFolders && id) return createFolderRecord(id, rootId, id);
+        throw new Error(`找不到資料夾 ID: ${id}（Access denied: DriveApp）`);
+    };
+
+    const DriveApp = {
+        getRootFolder: () => folderApi(state.folders.get(rootId)),
+        getFolderById: id => folderApi(getFolderRecord(id)),
+        getFileById: (id) => {
+            const record = state.files.get(id);
+            if (!record) throw new Error(`找不到檔案 ID: ${id}（Access denied: DriveApp）`);
+            return fileApi(record);
+        },
+        getFoldersByName: name => iterator([...state.folders.values()].filter(f => f.name === name && f.id !== rootId).map(folderApi)),
+        getFilesByName: name => iterator(visibleFiles().filter(f => f.name === name).map(fileApi)),
+        createFolder: name => folderApi(createFolderRecord(name, rootId)),
+        createFile: (...args) => DriveApp.getRootFolder().createFile(...args),
+    };
+
+    // ---------- SpreadsheetApp（建立的試算表同時出現在 Drive 根目錄） ----------
+
+    let activeSpreadsheet = null;
+
+    const SpreadsheetApp = {
+        create: (name) => {
+            const spreadsheet = createSpreadsheet(name);
+            createFileRecord({ id: spreadsheet.getId(), name, mimeType: SHEETS_MIME_TYPE });
+            return spreadsheet;
+        },
+        openById: (id) => {
+            const spreadsheet = state.spreadsheets.get(id);
+            if (!spreadsheet) throw new Error(`找不到試算表 ID: ${id}`);
+            return spreadsheet;
+        },
+        // 綁定的試算表（Web App 未設定 SPREADSHEET_ID 時使用）
+        getActiveSpreadsheet: () => {
+            if (!activeSpreadsheet) activeSpreadsheet = SpreadsheetApp.create('森騰資料庫');
+            return activeSpreadsheet;
+        },
+        flush: () => { },
+    };
+
+    // ---------- 其他服務 ----------
+
+    const newBlob = (data, contentType = 'application/octet-stream', name = 'blob') => {
+        let bytes = typeof data === 'string' ? [...Buffer.from(data, 'utf8')] : [...data];
+        const blob = {
+            getBytes: () => [...bytes],
+            setBytes: (value) => {
+                bytes = [...value];
+                return blob;
+            },
+            getDataAsString: () => Buffer.from(bytes).toString('utf8'),
+            getContentType: () => contentType,
+            setContentType: (value) => {
+                contentType = value;
+                return blob;
+            },
+            getName: () => name,
+            setName: (value) => {
+                name = value;
+                return blob;
+            },
+        };
+        return blob;
+    };
+
+    const Utilities = {
+        newBlob,
+        base64Decode: value => [...Buffer.from(value, 'base64')],
+        base64Encode: bytes => Buffer.from(typeof bytes === 'string' ? bytes : bytes).toString('base64'),
+        getUuid: () => crypto.randomUUID(),
+        sleep: () => { },
+        formatDate: (date, timeZone, format) => {
+            const parts = new Intl.DateTimeFormat('en-CA', {
+                timeZone, year: 'numeric', month: '2-digit', day: '2-digit',
+                hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23',
+            }).formatToParts(date).reduce((acc, p) => ({ ...acc, [p.type]: p.value }), {});
+            return format
+                .replace('yyyy', parts.year).replace('MM', parts.month).replace('dd', parts.day)
+                .replace('HH', parts.hour).replace('mm', parts.minute).replace('ss', parts.second);
+        },
+    };
+
+    const MimeType = {
+        GOOGLE_SHEETS: SHEETS_MIME_TYPE,
+        FOLDER: FOLDER_MIME_TYPE,
+        PLAIN_TEXT: 'text/plain',
+        JSON: 'application/json',
+        PDF: 'application/pdf',
+        JPEG: 'image/jpeg',
+        PNG: 'image/png',
+    };
+
+    const ContentService = {
+        MimeType: { JSON: 'application/json', JAVASCRIPT: 'application/javascript', TEXT: 'text/plain' },
+        createTextOutput: (content = '') => {
+            let mimeType = 'text/plain';
+            const output = {
+                getContent: () => content,
+                setContent: (value) => {
+                    content = value;
+                    return output;
+                },
+                getMimeType: () => mimeType,
+                setMimeType: (value) => {
+                    mimeType = value;
+                    return output;
+                },
+            };
+            return output;
+        },
+    };
+
+    const LockService = {
+        getScriptLock: () => ({
+            waitLock: () => { },
+            tryLock: () => true,
+            releaseLock: () => { },
+            hasLock: () => true,
+        }),
+    };
+
+    const properties = {
+        getProperty: key => state.properties[key] ?? null,
+        setProperty: (key, value) => {
+            state.properties[key] = String(value);
+            return properties;
+        },
+        getProperties: () => ({ ...state.properties }),
+        deleteProperty: (key) => {
+            delete state.properties[key];
+            return properties;
+        },
+    };
+    const PropertiesService = { getScriptProperties: () => properties };
+
+    const eventApi = (record) => ({
+        getId: () => record.id,
+        getTitle: () => record.title,
+        setTitle: (title) => {
+            record.title = title;
+        },
+        getStartTime: () => new Date(record.start),
+        getEndTime: () => new Date(record.end),
+        setTime: (start, end) => {
+            record.start = start.toISOString();
+            record.end = end.toISOString();
+        },
+        getDescription: () => record.description,
+        setDescription: (description) => {
+            record.description = description;
+        },
+        getLocation: () => record.location,
+        setLocation: (location) => {
+            record.location = location;
+        },
+        getTag: key => record.tags?.[key] ?? null,
+        setTag: (key, value) => {
+            record.tags = { ...record.tags, [key]: String(value) };
+        },
+        deleteEvent: () => {
+            state.events.delete(record.id);
+        },
+    });
+
+    const calendar = {
+        getId: () => 'primary',
+        createEvent: (title, start, end, options = {}) => {
+            const record = {
+                id: `${newId('event')}@google.com`,
+                title,
+                start: start.toISOString(),
+                end: end.toISOString(),
+                description: options.description || '',
+                location: options.location || '',
+            };
+            state.events.set(record.id, record);
+            return eventApi(record);
+        },
+        getEventById: id => (state.events.has(id) ? eventApi(state.events.get(id)) : null),
+        // 與 [start, end) 重疊的事件
+        getEvents: (start, end) => [...state.events.values()]
+            .filter(record => new Date(record.start) < end && new Date(record.end) > start)
+            .map(eventApi),
+    };
+    const CalendarApp = { getDefaultCalendar: () => calendar };
+
+    const Session = {
+        getScriptTimeZone: () => 'Asia/Taipei',
+        getActiveUser: () => ({ getEmail: () => 'local@example.com' }),
+    };
+
+    const Logger = {
+        log: (...args) => {
+            state.logs.push(args.join(' '));
+        },
+    };
+
+    // ---------- 匯出與載入 ----------
+
+    const describeSpreadsheet = (id) => {
+        const spreadsheet = state.spreadsheets.get(id);
+        if (!spreadsheet) return null;
+        return {
+            id,
+            name: spreadsheet.getName(),
+            sheets: spreadsheet.getSheets().map(sheet => ({ name: sheet.getName(), values: sheet.toArray() })),
+        };
+    };
+
+    // 檔案內容以 base64 保存
+    const takeSnapshot = () => ({
+        nextId,
+        properties: { ...state.properties },
+        activeSpreadsheetId: activeSpreadsheet?.getId() || null,
+        folders: [...state.folders.values()].filter(folder => folder.id !== rootId),
+        files: [...state.files.values()].map(file => ({
+            ...file, parents: [...file.parents], bytes: Buffer.from(file.bytes).toString('base64'),
+        })),
+        spreadsheets: [...state.spreadsheets.keys()].map(describeSpreadsheet),
+        events: [...state.events.values()],
+    });
+
+    if (snapshot) {
+        (snapshot.folders || []).forEach(folder => state.folders.set(folder.id, { ...folder }));
+        (snapshot.files || []).forEach(file => state.files.set(file.id, {
+            ...file, parents: new Set(file.parents), bytes: [...Buffer.from(file.bytes || '', 'base64')],
+        }));
+        (snapshot.spreadsheets || []).forEach(({ id, name, sheets }) => createSpreadsheet(name, id, sheets));
+        (snapshot.events || []).forEach(event => state.events.set(event.id, { ...event }));
+        if (snapshot.activeSpreadsheetId) activeSpreadsheet = state.spreadsheets.get(snapshot.activeSpreadsheetId) || null;
+    }
+
+    return {
+        state,
+        snapshot: takeSnapshot,
+        describeSpreadsheet,
+        globals: {
+            SpreadsheetApp, DriveApp, CalendarApp, ContentService, LockService, PropertiesService,
+            Utilities, MimeType, Session, Logger,
+        },
+    };
+};
@@ -0,0 +1,46 @@
+// 在 Node 的 vm context 中載入 gas/src，模擬 Apps Script 的共用全域範圍
+import fs from 'node:fs';
+import path from 'node:path';
+import vm from 'node:vm';
+import { fileURLToPath } from 'node:url';
+import { createFakeServices } from './fakes.js';
+
+export const GAS_SOURCE_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../src');
+
+/**
+ * Load every gas/src/*.js file into one context backed by the fakes
+ * @param {Object} [options]
+ * @param {Object} [options.scriptProperties] - Initial script properties (e.g. SPREADSHEET_ID)
+ * @param {string} [options.sourceDir] - Override the Apps Script source directory
+ * @param {Object} [options.snapshot] - See createFakeServices
+ * @param {string} [options.baseUrl] - See createFakeServices
+ * @param {boolean} [options.createMissingFolders] - See createFakeServices
+ * @returns {{ context: Object, services: Object, call: Function, get: Function }}
+ */
+export const createGasRuntime = ({ scriptProperties, sourceDir = GAS_SOURCE_DIR, ...fakeOptions } = {}) => {
+    const services = createFakeServices({ scriptProperties, ...fakeOptions });
+    const context = vm.createContext({ ...services.globals, console });
+
+    // Apps Script 依檔名順序載入；頂層宣告延後到呼叫時才解析，所以順序不影響結果
+    fs.readdirSync(sourceDir)
+        .filter(name => name.endsWith('.js'))
+        .sort()
+        .forEach((name) => {
+            const filename = path.join(sourceDir, name);
+            vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+        });
+
+    // 與 api/gas/proxy.js 相同的路徑：POST { action, data } → doPost → JSON 文字
+    const call = (action, data = {}) => {
+        const output = context.doPost({ postData: { contents: JSON.stringify({ action, data }) } });
+        return JSON.parse(output.getContent());
+    };
+
+    // 與 Web App 的 GET 相同：?action=&data=&callback= → doGet，回傳 JSON 或 JSONP 文字
+    const get = (parameter = {}) => {
+        const output = context.doGet({ parameter });
+        return { content: output.getContent(), mimeType: output.getMimeType() };
+    };
+
+    return { context, services, call, get };
+};
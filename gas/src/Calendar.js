@@ -0,0 +1,77 @@
+// ========================================
+// Google 日曆
+// ========================================
+
+const DEFAULT_EVENT_DURATION_MS = 60 * 60 * 1000;
+// 事件上記錄前端 id 的 tag，用來辨識重送的新增請求
+const CLIENT_ID_TAG = 'clientId';
+
+function parseEventTime(value, field) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new ValidationError(field + ' 不是有效的時間');
+    }
+    return date;
+}
+
+// 結束時間未提供或與開始時間相同時，預設為一小時
+function resolveEventEnd(start, endTime) {
+    if (!endTime) return new Date(start.getTime() + DEFAULT_EVENT_DURATION_MS);
+    const end = parseEventTime(endTime, 'endTime');
+    return end.getTime() > start.getTime() ? end : new Date(start.getTime() + DEFAULT_EVENT_DURATION_MS);
+}
+
+function getCalendarEvent(eventId) {
+    const event = CalendarApp.getDefaultCalendar().getEventById(eventId);
+    if (!event) {
+        throw new Error('找不到行程：' + eventId);
+    }
+    return event;
+}
+
+// 以前端的 clientId 找出已建立的行程（重送的請求不重複建立）
+function findEventByClientId(calendar, clientId, start, end) {
+    const events = calendar.getEvents(start, end);
+    for (let i = 0; i < events.length; i++) {
+        if (events[i].getTag(CLIENT_ID_TAG) === clientId) return events[i];
+    }
+    return null;
+}
+
+function handleAddCalendarEvent(data) {
+    const calendar = CalendarApp.getDefaultCalendar();
+    const start = parseEventTime(data.startTime, 'startTime');
+    const end = resolveEventEnd(start, data.endTime);
+
+    const existing = data.clientId && findEventByClientId(calendar, data.clientId, start, end);
+    if (existing) return { eventId: existing.getId() };
+
+    const event = calendar.createEvent(
+        data.title,
+        start,
+        end,
+        { description: data.description, location: data.location }
+    );
+    if (data.clientId) event.setTag(CLIENT_ID_TAG, data.clientId);
+
+    return { eventId: event.getId() };
+}
+
+function handleUpdateCalendarEvent(data) {
+    const event = getCalendarEvent(data.eventId);
+
+    if (data.title !== undefined) event.setTitle(data.title);
+    if (data.description !== undefined) event.setDescription(data.description);
+    if (data.location !== undefined) event.setLocation(data.location);
+    if (data.startTime) {
+        const start = parseEventTime(data.startTime, 'startTime');
+        event.setTime(start, resolveEventEnd(start, data.endTime));
+    }
+
+    return { eventId: data.eventId };
+}
+
+function handleDeleteCalendarEvent(data) {
+    getCalendarEvent(data.eventId).deleteEvent();
+    return { eventId: data.eventId };
+}
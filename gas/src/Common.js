@@ -0,0 +1,143 @@
+// ========================================
+// 共用輔助函數：資料夾、試算表、儲存格轉換
+// ========================================
+
+const PROJECT_ROOT_FOLDER_NAME = '專案管理';
+
+// 「專案管理」根資料夾（專案、財務報表、估算等資料夾都建立在其下）
+function getOrCreateProjectRoot() {
+    return getOrCreateRootFolder(PROJECT_ROOT_FOLDER_NAME);
+}
+
+function getOrCreateRootFolder(folderName) {
+    const folders = DriveApp.getFoldersByName(folderName);
+    if (folders.hasNext()) {
+        return folders.next();
+    }
+    return DriveApp.createFolder(folderName);
+}
+
+function getOrCreateSubfolder(parent, folderName) {
+    const folders = parent.getFoldersByName(folderName);
+    if (folders.hasNext()) {
+        return folders.next();
+    }
+    return parent.createFolder(folderName);
+}
+
+// 依 ID 取得資料夾；未提供 ID 時使用「專案管理」根資料夾
+function getFolderOrProjectRoot(folderId) {
+    return folderId ? DriveApp.getFolderById(folderId) : getOrCreateProjectRoot();
+}
+
+function folderInfo(folder) {
+    return {
+        folderId: folder.getId(),
+        folderUrl: folder.getUrl(),
+        folderName: folder.getName()
+    };
+}
+
+function sheetInfo(spreadsheet) {
+    return {
+        sheetId: spreadsheet.getId(),
+        sheetUrl: spreadsheet.getUrl()
+    };
+}
+
+// 在資料夾內建立試算表（SpreadsheetApp.create 會建在根目錄，需移動過去）
+function createSpreadsheetInFolder(folder, name) {
+    const spreadsheet = SpreadsheetApp.create(name);
+    const file = DriveApp.getFileById(spreadsheet.getId());
+    folder.addFile(file);
+    DriveApp.getRootFolder().removeFile(file);
+    return spreadsheet;
+}
+
+function getOrCreateSpreadsheetInFolder(folder, name) {
+    const files = folder.getFilesByName(name);
+    if (files.hasNext()) {
+        return { spreadsheet: SpreadsheetApp.openById(files.next().getId()), isNew: false };
+    }
+    return { spreadsheet: createSpreadsheetInFolder(folder, name), isNew: true };
+}
+
+// 設定標題列樣式並凍結
+function writeHeaderRow(sheet, headers) {
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+    sheet.getRange(1, 1, 1, headers.length)
+        .setBackground('#4285F4')
+        .setFontColor('#FFFFFF')
+        .setFontWeight('bold')
+        .setHorizontalAlignment('center');
+    sheet.setFrozenRows(1);
+}
+
+// 清空工作表後寫入標題與資料列
+function replaceSheetRows(sheet, headers, rows) {
+    sheet.clear();
+    writeHeaderRow(sheet, headers);
+    if (rows.length > 0) {
+        sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+    }
+}
+
+// ========================================
+// 儲存格與物件轉換（物件與陣列欄位以 JSON 字串儲存）
+// ========================================
+
+function toCellValue(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return value;
+}
+
+function fromCellValue(value) {
+    if (typeof value === 'string' && (value.charAt(0) === '{' || value.charAt(0) === '[')) {
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            return value;
+        }
+    }
+    return value;
+}
+
+function rowToRecord(headers, values) {
+    const record = {};
+    headers.forEach(function (h, i) {
+        if (values[i] !== '') record[h] = fromCellValue(values[i]);
+    });
+    return record;
+}
+
+// 讀出整個工作表為物件陣列（第一列為欄位名稱）
+function readSheetRecords(sheet) {
+    const lastRow = sheet.getLastRow();
+    const lastColumn = sheet.getLastColumn();
+    if (lastRow < 2 || lastColumn === 0) return [];
+
+    const values = sheet.getRange(1, 1, lastRow, lastColumn).getValues();
+    const headers = values[0].map(String);
+    return values.slice(1).map(function (row) { return rowToRecord(headers, row); });
+}
+
+// 以物件陣列覆寫整個工作表，欄位為所有物件鍵的聯集
+function writeSheetRecords(sheet, records, leadingHeaders) {
+    const headers = (leadingHeaders || ['id']).slice();
+    records.forEach(function (record) {
+        Object.keys(record).forEach(function (key) {
+            if (headers.indexOf(key) === -1) headers.push(key);
+        });
+    });
+
+    sheet.clear();
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+    sheet.setFrozenRows(1);
+    if (records.length > 0) {
+        const rows = records.map(function (record) {
+            return headers.map(function (h) { return toCellValue(record[h]); });
+        });
+        sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+    }
+}
@@ -0,0 +1,82 @@
+// ========================================
+// 成本估算：物料價格與估算清單
+// ========================================
+
+const COST_ESTIMATOR_FOLDER_NAME = '營建物料成本快速估算指標與公式';
+const MATERIAL_PRICE_SHEET_NAME = '物料價格';
+const ESTIMATE_FOLDER_NAME = '估算清單';
+const ESTIMATE_HEADERS = ['分類', '品名', '規格', '單位', '單價', '數量', '小計', '備註'];
+
+function getCostEstimatorFolder() {
+    return getOrCreateSubfolder(getOrCreateProjectRoot(), COST_ESTIMATOR_FOLDER_NAME);
+}
+
+// 物料價格試算表：每個分類一個工作表
+function getMaterialPriceSpreadsheet() {
+    return getOrCreateSpreadsheetInFolder(getCostEstimatorFolder(), MATERIAL_PRICE_SHEET_NAME).spreadsheet;
+}
+
+function handleCreateCostEstimatorFolder(data) {
+    const folder = getOrCreateSubfolder(getOrCreateProjectRoot(), data.folderName);
+    const spreadsheet = getOrCreateSpreadsheetInFolder(folder, MATERIAL_PRICE_SHEET_NAME).spreadsheet;
+    return Object.assign(folderInfo(folder), sheetInfo(spreadsheet));
+}
+
+function handleGetMaterialPrices() {
+    const files = getCostEstimatorFolder().getFilesByName(MATERIAL_PRICE_SHEET_NAME);
+    if (!files.hasNext()) {
+        return { materials: null };
+    }
+
+    const spreadsheet = SpreadsheetApp.openById(files.next().getId());
+    const materials = {};
+    spreadsheet.getSheets().forEach(function (sheet) {
+        const records = readSheetRecords(sheet);
+        if (records.length > 0) materials[sheet.getName()] = records;
+    });
+
+    return Object.assign(
+        { materials: Object.keys(materials).length > 0 ? materials : null },
+        sheetInfo(spreadsheet)
+    );
+}
+
+function handleUpdateMaterialPrice(data) {
+    if (!data.material.id) {
+        throw new ValidationError('material 缺少 id');
+    }
+
+    const spreadsheet = getMaterialPriceSpreadsheet();
+    const sheet = spreadsheet.getSheetByName(data.category) || spreadsheet.insertSheet(data.category);
+    const records = readSheetRecords(sheet);
+    const index = records.findIndex(function (m) { return String(m.id) === String(data.material.id); });
+
+    if (index >= 0) {
+        records[index] = Object.assign({}, records[index], data.material);
+    } else {
+        records.push(data.material);
+    }
+    writeSheetRecords(sheet, records);
+
+    return { updatedAt: new Date().toISOString() };
+}
+
+function handleExportEstimateToSheet(data) {
+    const folder = getOrCreateSubfolder(getCostEstimatorFolder(), ESTIMATE_FOLDER_NAME);
+    const spreadsheet = createSpreadsheetInFolder(folder, data.estimateName);
+    const sheet = spreadsheet.getActiveSheet();
+
+    const rows = data.items.map(function (item) {
+        return [
+            item.category || '未分類', item.name || '', item.spec || '', item.unit || '',
+            Number(item.price) || 0, Number(item.quantity) || 0, Number(item.subtotal) || 0, item.note || ''
+        ];
+    });
+    rows.push(['', '總計', '', '', '', '', data.totalCost, data.createdAt]);
+
+    replaceSheetRows(sheet, ESTIMATE_HEADERS, rows);
+    sheet.getRange(2, 5, rows.length, 1).setNumberFormat('#,##0');
+    sheet.getRange(2, 7, rows.length, 1).setNumberFormat('#,##0');
+
+    return Object.assign(sheetInfo(spreadsheet), { folderUrl: folder.getUrl() });
+}
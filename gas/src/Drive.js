@@ -0,0 +1,41 @@
+// ========================================
+// 雲端硬碟資料夾與檔案
+// ========================================
+
+function handleGetOrCreateProjectRoot(data) {
+    return folderInfo(getOrCreateRootFolder(data.folderName));
+}
+
+// 同名資料夾已存在時直接回傳，重送請求不會建立重複的資料夾
+function handleCreateDriveFolder(data) {
+    const parent = getFolderOrProjectRoot(data.parentId);
+    return folderInfo(getOrCreateSubfolder(parent, data.folderName));
+}
+
+function handleListDriveFolders(data) {
+    const parent = getFolderOrProjectRoot(data.parentFolderId);
+    const folders = [];
+    const iterator = parent.getFolders();
+
+    while (iterator.hasNext()) {
+        const folder = iterator.next();
+        folders.push({ id: folder.getId(), name: folder.getName(), url: folder.getUrl() });
+    }
+
+    return { folders: folders };
+}
+
+// content 為 base64（經由 POST 代理上傳）；JSONP 呼叫沒有檔案內容，只建立佔位檔
+function handleUploadToDrive(data) {
+    const folder = getFolderOrProjectRoot(data.folderId);
+
+    const file = data.content
+        ? folder.createFile(Utilities.newBlob(Utilities.base64Decode(data.content), data.mimeType, data.fileName))
+        : folder.createFile(data.fileName, '', MimeType.PLAIN_TEXT);
+
+    return {
+        fileId: file.getId(),
+        fileUrl: file.getUrl(),
+        placeholder: !data.content
+    };
+}
@@ -0,0 +1,140 @@
+// ========================================
+// 財務報表（按月份建立收支明細 Sheet）
+// ========================================
+
+const FINANCE_FOLDER_NAME = '財務報表';
+const FINANCE_HEADERS = ['日期', '類型', '帳戶', '分類', '說明', '金額', '關聯專案', '建立時間'];
+const FINANCE_COLUMN_WIDTHS = [100, 60, 120, 100, 250, 100, 150, 150];
+
+function getOrCreateFinanceFolder() {
+    return getOrCreateSubfolder(getOrCreateProjectRoot(), FINANCE_FOLDER_NAME);
+}
+
+function handleInitFinanceFolder() {
+    return folderInfo(getOrCreateFinanceFolder());
+}
+
+// ========================================
+// 月度報表 Sheet 管理
+// ========================================
+
+function getOrCreateMonthlySheet(folderId, yearMonth) {
+    const folder = DriveApp.getFolderById(folderId);
+    const sheetName = yearMonth + '-收支明細';
+
+    // 查找現有的 Sheet
+    const files = folder.getFilesByName(sheetName);
+    if (files.hasNext()) {
+        const file = files.next();
+        return {
+            spreadsheet: SpreadsheetApp.openById(file.getId()),
+            isNew: false,
+            sheetUrl: file.getUrl()
+        };
+    }
+
+    // 建立新的 Sheet 並移動到財務報表資料夾
+    const ss = createSpreadsheetInFolder(folder, sheetName);
+    const sheet = ss.getActiveSheet();
+
+    writeHeaderRow(sheet, FINANCE_HEADERS);
+    for (let i = 0; i < FINANCE_COLUMN_WIDTHS.length; i++) {
+        sheet.setColumnWidth(i + 1, FINANCE_COLUMN_WIDTHS[i]);
+    }
+
+    return {
+        spreadsheet: ss,
+        isNew: true,
+        sheetUrl: ss.getUrl()
+    };
+}
+
+// ========================================
+// 匯出財務報表
+// ========================================
+
+function handleExportFinanceReport(data) {
+    const transactions = data.transactions;
+    const folderId = data.folderId || getOrCreateFinanceFolder().getId();
+
+    // 根據第一筆交易的日期確定月份
+    const firstDate = transactions[0].date || new Date().toISOString().slice(0, 10);
+    const yearMonth = firstDate.slice(0, 7); // e.g., "2025-12"
+
+    const monthly = getOrCreateMonthlySheet(folderId, yearMonth);
+    const sheet = monthly.spreadsheet.getActiveSheet();
+
+    const rows = transactions.map(function (tx) {
+        return [
+            tx.date || '',
+            tx.type || '',
+            tx.accountName || '',
+            tx.category || '',
+            tx.desc || '',
+            tx.type === '收入' ? tx.amount : -tx.amount,
+            tx.projectName || '',
+            new Date().toISOString()
+        ];
+    });
+
+    const lastRow = sheet.getLastRow();
+    sheet.getRange(lastRow + 1, 1, rows.length, rows[0].length).setValues(rows);
+    sheet.getRange(lastRow + 1, 6, rows.length, 1).setNumberFormat('#,##0');
+
+    return {
+        sheetUrl: monthly.sheetUrl,
+        rowsAdded: rows.length,
+        yearMonth: yearMonth,
+        isNewSheet: monthly.isNew
+    };
+}
+
+// ========================================
+// 跨 Sheet 搜尋財務記錄
+// ========================================
+
+function handleSearchFinanceRecords(data) {
+    const query = data.query.trim().toLowerCase();
+    if (query === '') {
+        throw new ValidationError('請輸入搜尋關鍵字');
+    }
+
+    const folder = data.folderId ? DriveApp.getFolderById(data.folderId) : getOrCreateFinanceFolder();
+    const files = folder.getFilesByType(MimeType.GOOGLE_SHEETS);
+    const results = [];
+
+    while (files.hasNext()) {
+        const file = files.next();
+        const values = SpreadsheetApp.openById(file.getId()).getActiveSheet().getDataRange().getValues();
+
+        // 跳過標題列
+        for (let i = 1; i < values.length; i++) {
+            const row = values[i];
+            const rowDate = row[0] instanceof Date ? row[0].toISOString().slice(0, 10) : String(row[0]);
+
+            // 日期範圍篩選
+            if (data.startDate && rowDate < data.startDate) continue;
+            if (data.endDate && rowDate > data.endDate) continue;
+
+            // 關鍵字搜尋（搜尋說明、分類、專案欄位）
+            const searchText = (row[3] + ' ' + row[4] + ' ' + row[6]).toLowerCase();
+            if (searchText.indexOf(query) !== -1) {
+                results.push({
+                    date: rowDate,
+                    type: row[1],
+                    account: row[2],
+                    category: row[3],
+                    desc: row[4],
+                    amount: row[5],
+                    project: row[6],
+                    sourceSheet: file.getName()
+                });
+            }
+        }
+    }
+
+    return {
+        results: results,
+        count: results.length
+    };
+}
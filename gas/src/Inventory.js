@@ -0,0 +1,41 @@
+// ========================================
+// 庫存清單
+// ========================================
+
+const INVENTORY_FOLDER_NAME = '庫存管理';
+const INVENTORY_SHEET_NAME = '庫存清單';
+const INVENTORY_HEADERS = ['主分類', '分類', '品名', '規格', '數量', '單位', '安全庫存', '位置', '狀態'];
+
+function getOrCreateInventorySpreadsheet() {
+    const folder = getOrCreateSubfolder(getOrCreateProjectRoot(), INVENTORY_FOLDER_NAME);
+    const result = getOrCreateSpreadsheetInFolder(folder, INVENTORY_SHEET_NAME);
+    if (result.isNew) {
+        writeHeaderRow(result.spreadsheet.getActiveSheet(), INVENTORY_HEADERS);
+    }
+    return { folder: folder, spreadsheet: result.spreadsheet };
+}
+
+function handleInitInventorySheet() {
+    const target = getOrCreateInventorySpreadsheet();
+    return Object.assign(folderInfo(target.folder), sheetInfo(target.spreadsheet));
+}
+
+function handleSyncInventoryToSheet(data) {
+    const spreadsheet = data.sheetId
+        ? SpreadsheetApp.openById(data.sheetId)
+        : getOrCreateInventorySpreadsheet().spreadsheet;
+
+    const rows = data.items.map(function (item) {
+        return [
+            item.mainCategory || '', item.category || '其他', item.name || '', item.spec || '',
+            Number(item.quantity) || 0, item.unit || '', Number(item.safeStock) || 0,
+            item.location || '', item.status || ''
+        ];
+    });
+    replaceSheetRows(spreadsheet.getActiveSheet(), INVENTORY_HEADERS, rows);
+
+    return Object.assign(sheetInfo(spreadsheet), {
+        itemCount: rows.length,
+        updatedAt: new Date().toISOString()
+    });
+}
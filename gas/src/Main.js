@@ -0,0 +1,84 @@
+// ========================================
+// 森騰 GAS Web App 入口
+// ========================================
+// gas/src 是完整的 Apps Script 專案原始碼（所有檔案共用同一個全域範圍），
+// 以 clasp push（rootDir 指向 gas/src）部署後，需重新發布 Web App 新版本。
+//
+// 新增 action：在 Registry.js 的 getActionRegistry() 宣告參數與處理函數，
+// 不需要再修改 doGet / doPost。
+//
+// 本機執行：npm run gas:run -- <action> '<json>'
+// （使用 gas/runtime 的 SpreadsheetApp / DriveApp 等替身）
+
+const BACKEND_VERSION = '2.0.0';
+
+// JSONP（前端 script 標籤）：?action=...&data=<json>&callback=...
+function doGet(e) {
+    const params = (e && e.parameter) || {};
+
+    let data;
+    try {
+        data = JSON.parse(params.data || '{}');
+    } catch (error) {
+        return respond({ success: false, error: 'data 不是有效的 JSON', version: BACKEND_VERSION }, params.callback);
+    }
+
+    return respond(dispatchAction(params.action, data), params.callback);
+}
+
+// POST（api/gas/proxy.js 轉送）：body 為 { action, data }
+function doPost(e) {
+    let payload;
+    try {
+        payload = JSON.parse((e && e.postData && e.postData.contents) || '{}');
+    } catch (error) {
+        return respond({ success: false, error: 'POST body 不是有效的 JSON', version: BACKEND_VERSION });
+    }
+
+    return respond(dispatchAction(payload.action, payload.data || {}));
+}
+
+/**
+ * Validate the input and run the registered handler
+ * @param {string} action - Action name
+ * @param {Object} data - Raw input
+ * @returns {{ success: boolean, data?: Object, error?: string, version: string }}
+ */
+function dispatchAction(action, data) {
+    const definition = getActionRegistry()[action];
+    if (!definition) {
+        return { success: false, error: 'Unknown action: ' + action, version: BACKEND_VERSION };
+    }
+
+    try {
+        const input = validateParams(definition.params || {}, data || {});
+        const result = definition.lock
+            ? withScriptLock(function () { return definition.handler(input); })
+            : definition.handler(input);
+
+        return { success: true, data: result === undefined ? {} : result, version: BACKEND_VERSION };
+    } catch (error) {
+        if (!(error instanceof ValidationError)) {
+            console.error(action + ' failed: ' + (error.stack || error.message));
+        }
+        return { success: false, error: error.message, version: BACKEND_VERSION };
+    }
+}
+
+// 同一時間只允許一個寫入（避免兩個請求同時改同一個分頁）
+function withScriptLock(fn) {
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    try {
+        return fn();
+    } finally {
+        lock.releaseLock();
+    }
+}
+
+function handleGetBackendInfo() {
+    return {
+        version: BACKEND_VERSION,
+        actions: Object.keys(getActionRegistry()).sort()
+    };
+}
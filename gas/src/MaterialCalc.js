@@ -0,0 +1,21 @@
+// ========================================
+// 物料算量匯出
+// ========================================
+
+const MATERIAL_CALC_HEADERS = ['#', '類別', '子類型', '項目', '數量', '單位', '含損耗數量', '建立時間', '建立者'];
+
+function handleExportMaterialCalculation(data) {
+    const folder = getOrCreateSubfolder(getOrCreateProjectRoot(), data.folderName);
+    const spreadsheet = createSpreadsheetInFolder(folder, data.sheetName);
+
+    const rows = data.records.map(function (r, i) {
+        return [
+            r.index || i + 1, r.category || '未分類', r.subType || '', r.label || '',
+            Number(r.value) || 0, r.unit || '', Number(r.wastageValue) || 0, r.createdAt || data.createdAt,
+            r.createdBy || ''
+        ];
+    });
+    replaceSheetRows(spreadsheet.getActiveSheet(), MATERIAL_CALC_HEADERS, rows);
+
+    return Object.assign(sheetInfo(spreadsheet), { folderUrl: folder.getUrl() });
+}
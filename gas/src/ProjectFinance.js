@@ -0,0 +1,39 @@
+// ========================================
+// 專案收支明細（存放在各專案的 Drive 資料夾）
+// ========================================
+
+const PROJECT_TRANSACTION_HEADERS = ['日期', '類型', '分類', '說明', '金額', '帳戶', '建立時間'];
+
+function getProjectTransactionSheet(folderId, projectName) {
+    const folder = getFolderOrProjectRoot(folderId);
+    const result = getOrCreateSpreadsheetInFolder(folder, projectName + '-收支明細');
+    const sheet = result.spreadsheet.getActiveSheet();
+    if (result.isNew) {
+        writeHeaderRow(sheet, PROJECT_TRANSACTION_HEADERS);
+    }
+    return { spreadsheet: result.spreadsheet, sheet: sheet };
+}
+
+function toProjectTransactionRow(tx) {
+    return [
+        tx.date || '',
+        tx.type || '',
+        tx.category || '',
+        tx.desc || '',
+        tx.type === '收入' ? tx.amount : -tx.amount,
+        tx.accountName || tx.accountId || '',
+        new Date().toISOString()
+    ];
+}
+
+function handleSyncProjectTransaction(data) {
+    const target = getProjectTransactionSheet(data.folderId, data.projectName);
+    target.sheet.appendRow(toProjectTransactionRow(data.transaction));
+    return sheetInfo(target.spreadsheet);
+}
+
+function handleSyncAllProjectTransactions(data) {
+    const target = getProjectTransactionSheet(data.folderId, data.projectName);
+    replaceSheetRows(target.sheet, PROJECT_TRANSACTION_HEADERS, data.transactions.map(toProjectTransactionRow));
+    return Object.assign(sheetInfo(target.spreadsheet), { count: data.transactions.length });
+}
@@ -0,0 +1,195 @@
+// ========================================
+// Action 註冊表
+// ========================================
+// 每個 action 宣告：
+//   params   輸入規則（見 Validation.js），驗證後的結果傳給 handler
+//   handler  回傳資料物件；丟出錯誤即回傳 { success: false, error }
+//   lock     是否在 Script Lock 內執行（寫入共用分頁時使用）
+// 回應統一為 { success: true, data: <handler 回傳值>, version }
+
+function getActionRegistry() {
+    return {
+        // 系統
+        get_backend_info: {
+            handler: handleGetBackendInfo
+        },
+
+        // 主資料庫（Sync.js）
+        load_from_sheet: {
+            params: { sheetType: { type: 'string', required: true } },
+            handler: handleLoadFromSheet
+        },
+        sync_to_sheet: {
+            params: {
+                sheetName: { type: 'string', required: true },
+                records: { type: 'array', default: [] }
+            },
+            handler: handleSyncToSheet,
+            lock: true
+        },
+        upsert_rows: {
+            params: {
+                sheetName: { type: 'string', required: true },
+                rows: { type: 'array', default: [] }
+            },
+            handler: handleUpsertRows,
+            lock: true
+        },
+        delete_rows: {
+            params: {
+                sheetName: { type: 'string', required: true },
+                ids: { type: 'array', default: [] }
+            },
+            handler: handleDeleteRows,
+            lock: true
+        },
+
+        // 日曆（Calendar.js）
+        add_calendar_event: {
+            params: {
+                clientId: { type: 'string', default: '' },
+                title: { type: 'string', required: true },
+                startTime: { type: 'string', required: true },
+                endTime: { type: 'string' },
+                description: { type: 'string', default: '' },
+                location: { type: 'string', default: '' }
+            },
+            handler: handleAddCalendarEvent
+        },
+        update_calendar_event: {
+            params: {
+                eventId: { type: 'string', required: true },
+                title: { type: 'string' },
+                startTime: { type: 'string' },
+                endTime: { type: 'string' },
+                description: { type: 'string' },
+                location: { type: 'string' }
+            },
+            handler: handleUpdateCalendarEvent
+        },
+        delete_calendar_event: {
+            params: { eventId: { type: 'string', required: true } },
+            handler: handleDeleteCalendarEvent
+        },
+
+        // 雲端硬碟（Drive.js）
+        get_or_create_project_root: {
+            params: { folderName: { type: 'string', default: PROJECT_ROOT_FOLDER_NAME } },
+            handler: handleGetOrCreateProjectRoot
+        },
+        create_drive_folder: {
+            params: {
+                folderName: { type: 'string', required: true },
+                parentId: { type: 'string' }
+            },
+            handler: handleCreateDriveFolder
+        },
+        list_drive_folders: {
+            params: { parentFolderId: { type: 'string' } },
+            handler: handleListDriveFolders
+        },
+        upload_to_drive: {
+            params: {
+                fileName: { type: 'string', required: true },
+                mimeType: { type: 'string', default: 'application/octet-stream' },
+                fileSize: { type: 'number', default: 0 },
+                folderId: { type: 'string' },
+                content: { type: 'string' }
+            },
+            handler: handleUploadToDrive
+        },
+
+        // 成本估算（CostEstimator.js）
+        create_cost_estimator_folder: {
+            params: { folderName: { type: 'string', default: COST_ESTIMATOR_FOLDER_NAME } },
+            handler: handleCreateCostEstimatorFolder
+        },
+        get_material_prices: {
+            handler: handleGetMaterialPrices
+        },
+        update_material_price: {
+            params: {
+                category: { type: 'string', required: true },
+                material: { type: 'object', required: true }
+            },
+            handler: handleUpdateMaterialPrice,
+            lock: true
+        },
+        export_estimate_to_sheet: {
+            params: {
+                estimateName: { type: 'string', required: true },
+                items: { type: 'array', default: [] },
+                totalCost: { type: 'number', default: 0 },
+                createdAt: { type: 'string', default: '' }
+            },
+            handler: handleExportEstimateToSheet
+        },
+
+        // 庫存（Inventory.js）
+        init_inventory_sheet: {
+            handler: handleInitInventorySheet
+        },
+        sync_inventory_to_sheet: {
+            params: {
+                sheetId: { type: 'string' },
+                items: { type: 'array', default: [] }
+            },
+            handler: handleSyncInventoryToSheet,
+            lock: true
+        },
+
+        // 專案收支（ProjectFinance.js）
+        sync_project_transaction: {
+            params: {
+                folderId: { type: 'string' },
+                projectName: { type: 'string', default: '專案' },
+                transaction: { type: 'object', required: true }
+            },
+            handler: handleSyncProjectTransaction,
+            lock: true
+        },
+        sync_all_project_transactions: {
+            params: {
+                folderId: { type: 'string' },
+                projectName: { type: 'string', default: '專案' },
+                transactions: { type: 'array', default: [] }
+            },
+            handler: handleSyncAllProjectTransactions,
+            lock: true
+        },
+
+        // 物料算量（MaterialCalc.js）
+        export_material_calculation_to_folder: {
+            params: {
+                sheetName: { type: 'string', required: true },
+                folderName: { type: 'string', default: '物料算量' },
+                records: { type: 'array', default: [] },
+                createdAt: { type: 'string', default: '' }
+            },
+            handler: handleExportMaterialCalculation
+        },
+
+        // 財務報表（Finance.js）
+        init_finance_folder: {
+            handler: handleInitFinanceFolder
+        },
+        export_finance_report: {
+            params: {
+                transactions: { type: 'array', required: true, minItems: 1, message: '無交易資料可匯出' },
+                dateRange: { type: 'any' },
+                folderId: { type: 'string' }
+            },
+            handler: handleExportFinanceReport,
+            lock: true
+        },
+        search_finance_records: {
+            params: {
+                query: { type: 'string', required: true, message: '請輸入搜尋關鍵字' },
+                folderId: { type: 'string' },
+                startDate: { type: 'string' },
+                endDate: { type: 'string' }
+            },
+            handler: handleSearchFinanceRecords
+        }
+    };
+}
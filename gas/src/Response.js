@@ -0,0 +1,20 @@
+// ========================================
+// 回應輸出
+// ========================================
+
+const CALLBACK_PATTERN = /^[\w$.]+$/;
+
+// 有 callback 時輸出 JSONP，否則輸出 JSON
+function respond(payload, callback) {
+    const json = JSON.stringify(payload);
+
+    if (callback && CALLBACK_PATTERN.test(callback)) {
+        return ContentService
+            .createTextOutput(callback + '(' + json + ');')
+            .setMimeType(ContentService.MimeType.JAVASCRIPT);
+    }
+
+    return ContentService
+        .createTextOutput(json)
+        .setMimeType(ContentService.MimeType.JSON);
+}
@@ -0,0 +1,149 @@
+// ========================================
+// 主資料庫：整表同步與列層級同步
+// ========================================
+// 每個實體一個分頁（clients、vendors、inventory...），第一列為欄位名稱，必須包含 id 欄。
+// 列若帶有 baseRevision，只有與目前 revision 相同時才會寫入，否則回傳 conflict 與目前的資料。
+
+// 指定 SPREADSHEET_ID 指令碼屬性時使用該試算表，否則使用綁定的試算表
+function getDataSpreadsheet() {
+    const spreadsheetId = PropertiesService.getScriptProperties().getProperty('SPREADSHEET_ID');
+    return spreadsheetId ? SpreadsheetApp.openById(spreadsheetId) : SpreadsheetApp.getActiveSpreadsheet();
+}
+
+function getRowSyncSheet(sheetName) {
+    const ss = getDataSpreadsheet();
+
+    let sheet = ss.getSheetByName(sheetName);
+    if (!sheet) {
+        sheet = ss.insertSheet(sheetName);
+        sheet.getRange(1, 1).setValue('id');
+        sheet.setFrozenRows(1);
+    }
+    return sheet;
+}
+
+function getRowSyncHeaders(sheet) {
+    const lastColumn = sheet.getLastColumn();
+    if (lastColumn === 0) {
+        sheet.getRange(1, 1).setValue('id');
+        return ['id'];
+    }
+    return sheet.getRange(1, 1, 1, lastColumn).getValues()[0].map(String);
+}
+
+// ========================================
+// 載入與整表覆寫
+// ========================================
+
+function handleLoadFromSheet(data) {
+    const sheet = getDataSpreadsheet().getSheetByName(data.sheetType);
+    if (!sheet) {
+        return { status: 'empty', items: [] };
+    }
+
+    const items = readSheetRecords(sheet);
+    return items.length > 0 ? { items: items } : { status: 'empty', items: [] };
+}
+
+function handleSyncToSheet(data) {
+    const sheet = getRowSyncSheet(data.sheetName);
+    writeSheetRecords(sheet, data.records);
+    return { recordCount: data.records.length };
+}
+
+// ========================================
+// 新增或更新列（以 id 對應）
+// ========================================
+
+function handleUpsertRows(data) {
+    const rows = data.rows;
+    if (rows.length === 0) {
+        return { results: [] };
+    }
+
+    const sheet = getRowSyncSheet(data.sheetName);
+    const headers = getRowSyncHeaders(sheet);
+
+    // 新欄位附加到標題列最後
+    rows.forEach(function (row) {
+        Object.keys(row || {}).forEach(function (key) {
+            if (key !== 'baseRevision' && headers.indexOf(key) === -1) {
+                headers.push(key);
+                sheet.getRange(1, headers.length).setValue(key);
+            }
+        });
+    });
+
+    const idColumn = headers.indexOf('id');
+    const lastRow = sheet.getLastRow();
+    const existingValues = lastRow > 1
+        ? sheet.getRange(2, 1, lastRow - 1, headers.length).getValues()
+        : [];
+    const ids = existingValues.map(function (r) { return String(r[idColumn]); });
+
+    const results = rows.map(function (row) {
+        if (!row || row.id === undefined || row.id === null || row.id === '') {
+            return { id: null, ok: false, error: 'missing id' };
+        }
+
+        try {
+            const values = [headers.map(function (h) { return toCellValue(row[h]); })];
+            const index = ids.indexOf(String(row.id));
+
+            if (index >= 0) {
+                // 樂觀鎖：編輯期間已被他人更新則不覆寫
+                const current = rowToRecord(headers, existingValues[index]);
+                const currentRevision = Number(current.revision) || 0;
+                if (row.baseRevision !== undefined && Number(row.baseRevision) !== currentRevision) {
+                    return { id: row.id, ok: false, conflict: true, error: 'revision conflict', current: current };
+                }
+
+                sheet.getRange(index + 2, 1, 1, headers.length).setValues(values);
+                existingValues[index] = values[0];
+                return { id: row.id, ok: true, action: 'updated' };
+            }
+
+            sheet.getRange(sheet.getLastRow() + 1, 1, 1, headers.length).setValues(values);
+            ids.push(String(row.id));
+            existingValues.push(values[0]);
+            return { id: row.id, ok: true, action: 'inserted' };
+        } catch (rowError) {
+            return { id: row.id, ok: false, error: rowError.message };
+        }
+    });
+
+    return { results: results };
+}
+
+// ========================================
+// 刪除列（以 id 對應）
+// ========================================
+
+function handleDeleteRows(data) {
+    const ids = data.ids.map(String);
+    if (ids.length === 0) {
+        return { results: [] };
+    }
+
+    const sheet = getRowSyncSheet(data.sheetName);
+    const headers = getRowSyncHeaders(sheet);
+    const idColumn = headers.indexOf('id');
+    const lastRow = sheet.getLastRow();
+    const existing = lastRow > 1
+        ? sheet.getRange(2, idColumn + 1, lastRow - 1, 1).getValues().map(function (r) { return String(r[0]); })
+        : [];
+
+    // 刪除不存在的列視為成功，離線佇列重送時才不會卡住
+    const results = data.ids.map(function (id) {
+        return { id: id, ok: true, action: existing.indexOf(String(id)) >= 0 ? 'deleted' : 'not_found' };
+    });
+
+    // 由下往上刪除，避免列號位移
+    existing
+        .map(function (value, i) { return ids.indexOf(value) >= 0 ? i + 2 : -1; })
+        .filter(function (n) { return n > 0; })
+        .sort(function (a, b) { return b - a; })
+        .forEach(function (n) { sheet.deleteRow(n); });
+
+    return { results: results };
+}
@@ -0,0 +1,108 @@
+// ========================================
+// 輸入驗證
+// ========================================
+// 參數規則（Registry.js 的 params）：
+//   type      'string' | 'number' | 'boolean' | 'array' | 'object' | 'any'
+//   required  缺少時回傳錯誤
+//   default   缺少時使用的預設值
+//   minItems  陣列最少筆數
+//   oneOf     允許的值
+//   message   自訂錯誤訊息
+// 未宣告的欄位原樣保留（例如 update_calendar_event 的更新欄位）。
+
+class ValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ValidationError';
+    }
+}
+
+function isMissing(value) {
+    return value === undefined || value === null || value === '';
+}
+
+// 前端部分欄位以 JSON 字串傳送（items / transaction / transactions）
+function parseJsonValue(value) {
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+function coerceValue(field, rule, value) {
+    const type = rule.type || 'any';
+    const fail = function () {
+        throw new ValidationError(rule.message || ('參數 ' + field + ' 必須是 ' + type));
+    };
+
+    switch (type) {
+        case 'string':
+            if (typeof value === 'number') return String(value);
+            if (typeof value !== 'string') fail();
+            return value;
+        case 'number': {
+            const number = typeof value === 'string' ? Number(value) : value;
+            if (typeof number !== 'number' || isNaN(number)) fail();
+            return number;
+        }
+        case 'boolean':
+            if (value === 'true') return true;
+            if (value === 'false') return false;
+            if (typeof value !== 'boolean') fail();
+            return value;
+        case 'array': {
+            const array = parseJsonValue(value);
+            if (!Array.isArray(array)) fail();
+            if (rule.minItems && array.length < rule.minItems) {
+                throw new ValidationError(rule.message || ('參數 ' + field + ' 至少需要 ' + rule.minItems + ' 筆'));
+            }
+            return array;
+        }
+        case 'object': {
+            const object = parseJsonValue(value);
+            if (!object || typeof object !== 'object' || Array.isArray(object)) fail();
+            return object;
+        }
+        default:
+            return value;
+    }
+}
+
+/**
+ * Validate and coerce input against an action's parameter rules
+ * @param {Object} schema - { [field]: rule }
+ * @param {Object} data - Raw input
+ * @returns {Object} Input with coerced values and defaults applied
+ */
+function validateParams(schema, data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new ValidationError('data 必須是物件');
+    }
+
+    const input = Object.assign({}, data);
+
+    Object.keys(schema).forEach(function (field) {
+        const rule = schema[field];
+        const value = input[field];
+
+        if (isMissing(value)) {
+            if (rule.required) {
+                throw new ValidationError(rule.message || ('缺少 ' + field));
+            }
+            if (rule.default !== undefined) {
+                input[field] = typeof rule.default === 'object' ? JSON.parse(JSON.stringify(rule.default)) : rule.default;
+            }
+            return;
+        }
+
+        const coerced = coerceValue(field, rule, value);
+        if (rule.oneOf && rule.oneOf.indexOf(coerced) === -1) {
+            throw new ValidationError(rule.message || ('參數 ' + field + ' 必須是 ' + rule.oneOf.join(' / ') + ' 之一'));
+        }
+        input[field] = coerced;
+    });
+
+    return input;
+}
@@ -0,0 +1,141 @@
+// 本機 GAS Web App 模擬伺服器（不需 Google 帳號即可開發與測試）
+// 執行的是 gas/src 的實際程式碼（gas/runtime 載入），Drive / Sheets / 日曆替身的內容保存在資料目錄的 state.json。
+//
+// 啟動：npm run gas:emulator
+// 前端：在 .env.local 設定
+//   VITE_GAS_API_URL=http://localhost:8787/exec      （JSONP）
+//   VITE_GAS_PROXY_URL=http://localhost:8787/exec    （POST，與 api/gas/proxy.js 相同格式）
+//
+// 環境變數：
+//   GAS_EMULATOR_PORT      預設 8787
+//   GAS_EMULATOR_DATA_DIR  預設 ./.gas-emulator
+import fs from 'node:fs';
+import http from 'node:http';
+import path from 'node:path';
+import { createGasRuntime } from '../../gas/runtime/loadProject.js';
+
+const PORT = Number(process.env.GAS_EMULATOR_PORT) || 8787;
+const DATA_DIR = path.resolve(process.env.GAS_EMULATOR_DATA_DIR || '.gas-emulator');
+const BASE_URL = process.env.GAS_EMULATOR_PUBLIC_URL || `http://localhost:${PORT}`;
+const STATE_FILE = path.join(DATA_DIR, 'state.json');
+
+const SPREADSHEET_MIME_TYPE = 'application/vnd.google-apps.spreadsheet';
+
+const readSnapshot = () => {
+    try {
+        return JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+    } catch {
+        return null;
+    }
+};
+
+// 先寫暫存檔再改名，避免中斷時留下半個 JSON
+const writeSnapshot = (snapshot) => {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const tmp = `${STATE_FILE}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(snapshot));
+    fs.renameSync(tmp, STATE_FILE);
+};
+
+// 前端寫死的上層資料夾 ID（例如廠商、客戶資料夾）在本機不存在時自動建立
+const runtime = createGasRuntime({ snapshot: readSnapshot(), baseUrl: BASE_URL, createMissingFolders: true });
+const { services } = runtime;
+
+// 每個請求執行完都保存（請求依序處理，不會同時寫入）
+const persist = () => writeSnapshot(services.snapshot());
+
+const send = (res, status, body, contentType = 'application/json; charset=utf-8') => {
+    res.writeHead(status, {
+        'Content-Type': contentType,
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type',
+    });
+    res.end(typeof body === 'string' || Buffer.isBuffer(body) ? body : JSON.stringify(body, null, 2));
+};
+
+const readBody = req => new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+});
+
+const parseJson = (text, fallback) => {
+    try {
+        return JSON.parse(text);
+    } catch {
+        return fallback;
+    }
+};
+
+// 檢視本機 Drive / Sheets 內容（前端「開啟 Drive 資料夾」連結會指到這裡）
+const handleBrowse = (res, segments) => {
+    const [kind, sub, id] = segments;
+    const { folders, files } = services.state;
+
+    if (kind === 'drive' && sub === 'folders') {
+        const folder = folders.get(id);
+        if (!folder) return send(res, 404, { error: 'not_found' });
+        return send(res, 200, {
+            ...folder,
+            folders: [...folders.values()].filter(f => f.parentId === id).map(f => ({ ...f, url: `${BASE_URL}/drive/folders/${f.id}` })),
+            files: [...files.values()]
+                .filter(f => !f.trashed && f.parents.has(id))
+                .map(f => ({ id: f.id, name: f.name, mimeType: f.mimeType, size: f.bytes.length, url: `${BASE_URL}/drive/files/${f.id}` })),
+        });
+    }
+
+    if (kind === 'drive' && sub === 'files') {
+        const file = files.get(id);
+        if (!file) return send(res, 404, { error: 'not_found' });
+        if (file.mimeType === SPREADSHEET_MIME_TYPE) return send(res, 200, services.describeSpreadsheet(file.id));
+        return send(res, 200, Buffer.from(file.bytes), file.mimeType);
+    }
+
+    if (kind === 'spreadsheets') {
+        const spreadsheet = services.describeSpreadsheet(sub);
+        return spreadsheet ? send(res, 200, spreadsheet) : send(res, 404, { error: 'not_found' });
+    }
+
+    return send(res, 404, { error: 'not_found' });
+};
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, BASE_URL);
+    const segments = url.pathname.split('/').filter(Boolean);
+
+    if (req.method === 'OPTIONS') return send(res, 204, '');
+
+    try {
+        // 與 Web App 相同：POST { action, data } → doPost
+        if (req.method === 'POST') {
+            const { action, data } = parseJson(await readBody(req), {});
+            console.log(`📨 POST ${action}`);
+            const result = runtime.call(action, data || {});
+            persist();
+            return send(res, 200, result);
+        }
+
+        // JSONP：?action=...&data=<json>&callback=... → doGet
+        if (req.method === 'GET' && (segments.length === 0 || segments[0] === 'exec')) {
+            console.log(`📨 GET ${url.searchParams.get('action')}`);
+            const { content, mimeType } = runtime.get(Object.fromEntries(url.searchParams));
+            persist();
+            return send(res, 200, content, `${mimeType}; charset=utf-8`);
+        }
+
+        if (req.method === 'GET') return handleBrowse(res, segments);
+
+        return send(res, 405, { error: 'method_not_allowed' });
+    } catch (error) {
+        console.error('❌ Emulator error:', error);
+        return send(res, 500, { success: false, error: error.message });
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`🧪 GAS emulator listening on ${BASE_URL}/exec`);
+    console.log(`📁 Data file: ${STATE_FILE}`);
+    console.log(`🔧 Actions: ${runtime.call('get_backend_info').data.actions.join(', ')}`);
+});
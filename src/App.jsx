@@ -1,10 +1,14 @@
 
 import React, { useState, useEffect } from 'react';
 import { MainLayout } from './layout/MainLayout';
-import { MOCK_DB } from './services/MockData';
-import { GoogleService } from './services/GoogleService';
+import { initSyncQueue } from './services/syncQueue';
 import { ToastContainer } from './components/common/Toast';
+import { BackupRestoreModal } from './components/common/BackupRestoreModal';
 import { AuthProvider, useAuth } from './context/AuthContext';
+import { ConflictProvider } from './context/ConflictContext';
+import { DataStoreProvider, useDataActions } from './context/DataStoreContext';
+import { SYNCED_ENTITIES } from './services/dataStore';
+import { RouterProvider, useRouter } from './context/RouterContext';
 import LoginPage from './pages/LoginPage';
 import UserManagement from './pages/UserManagement';
 
@@ -36,16 +40,22 @@ const LoadingScreen = () => (
   </div>
 );
 
+const ENTITY_LABELS = {
+  clients: '客戶', projects: '專案', vendors: '廠商', inventory: '庫存',
+  accounts: '帳戶', loans: '貸款', transactions: '交易', stockMovements: '出入庫紀錄'
+};
+
 // Main App Content (wrapped by AuthProvider)
 const AppContent = () => {
-  const { isAuthenticated, loading: authLoading, canAccessPage, role } = useAuth();
-  const [activeTab, setActiveTab] = useState('dashboard');
-  const [loading, setLoading] = useState(true);
-  const [data, setData] = useState(MOCK_DB);
+  const { isAuthenticated, loading: authLoading, canAccessPage } = useAuth();
+  const { loadEntities, subscribeEntities } = useDataActions();
+  // 目前頁面與詳細檢視（專案、客戶、廠商、帳戶、物料換算分頁）都由網址決定
+  const { page: activeTab, params, state: routeState, navigate, clearState } = useRouter();
   const [toasts, setToasts] = useState([]);
 
-  // Specific Page State used across components (lifted up for persistence)
-  const [activeProject, setActiveProject] = useState(null);
+  // 備份與還原
+  const [isBackupOpen, setIsBackupOpen] = useState(false);
+  const [menuOrderRevision, setMenuOrderRevision] = useState(0);
 
   const addToast = (message, type = 'info', options = {}) => {
     const id = Date.now();
@@ -56,79 +66,53 @@ const AppContent = () => {
 
 
   useEffect(() => {
-    // Load data from Google Sheets
+    // 載入離線佇列，恢復連線時自動重送未同步的變更
+    initSyncQueue();
+  }, []);
+
+  useEffect(() => {
+    // 元件卸載時取消尚未完成的載入
+    const controller = new AbortController();
+
+    // 每個資料表各自先顯示本機快取，再於背景從儲存後端更新；各頁面顯示自己的載入狀態
     const loadData = async () => {
-      setLoading(true);
-      console.log('📥 Loading data from Google Sheets...');
-
-      try {
-        // Load all data types in parallel
-        const [clientsResult, vendorsResult, inventoryResult, accountsResult, loansResult, transactionsResult] = await Promise.all([
-          GoogleService.loadFromSheet('clients'),
-          GoogleService.loadFromSheet('vendors'),
-          GoogleService.loadFromSheet('inventory'),
-          GoogleService.loadFromSheet('accounts'),
-          GoogleService.loadFromSheet('loans'),
-          GoogleService.loadFromSheet('transactions')
-        ]);
-
-        setData(prev => ({
-          ...prev,
-          clients: clientsResult.success && clientsResult.data.length > 0 ? clientsResult.data : prev.clients,
-          vendors: vendorsResult.success && vendorsResult.data.length > 0 ? vendorsResult.data : prev.vendors,
-          inventory: inventoryResult.success && inventoryResult.data.length > 0 ? inventoryResult.data : prev.inventory,
-          finance: {
-            ...prev.finance,
-            accounts: accountsResult.success && accountsResult.data.length > 0 ? accountsResult.data : prev.finance.accounts,
-            loans: loansResult.success && loansResult.data.length > 0 ? loansResult.data : prev.finance.loans,
-            transactions: transactionsResult.success && transactionsResult.data.length > 0 ? transactionsResult.data : prev.finance.transactions
-          }
-        }));
-
-        console.log('✅ Data loaded from Sheets');
-      } catch (error) {
-        console.error('❌ Failed to load data:', error);
-        addToast('從雲端載入資料失敗，使用本地資料', 'warning');
+      const results = await loadEntities(SYNCED_ENTITIES, { signal: controller.signal });
+      if (controller.signal.aborted) return;
+
+      const labeled = SYNCED_ENTITIES.map(entity => [ENTITY_LABELS[entity], results[entity]]);
+      const failed = labeled.filter(([, result]) => !result.success && !result.aborted).map(([label]) => label);
+      if (failed.length > 0) {
+        addToast(`部分資料載入失敗（${failed.join('、')}），顯示上次同步的資料`, 'warning');
       }
 
-      setLoading(false);
+      // 格式錯誤的列不會顯示，詳細內容見 console
+      const rejected = labeled
+        .filter(([, result]) => result.rejected?.length > 0)
+        .map(([label, result]) => `${label} ${result.rejected.length} 筆`);
+      if (rejected.length > 0) {
+        addToast(`有資料列格式錯誤無法讀取（${rejected.join('、')}），請檢查 Google Sheets`, 'warning');
+      }
     };
 
     loadData();
-  }, []);
-
-  const handleUpdate = (key, newData) => {
-    setData(prev => ({ ...prev, [key]: newData }));
-  };
+    // 儲存後端支援即時更新時（firestore），其他人新增的交易、庫存與專案紀錄會直接出現
+    const unsubscribe = subscribeEntities(SYNCED_ENTITIES);
+    return () => {
+      controller.abort();
+      unsubscribe?.();
+    };
+  }, [loadEntities, subscribeEntities]);
 
-  const handleAddGlobalTx = async (newTx) => {
-    const tx = { ...newTx, id: `t-${Date.now()}` };
-    const updatedTx = [tx, ...data.finance.transactions];
-    setData(prev => ({
-      ...prev,
-      finance: { ...prev.finance, transactions: updatedTx }
-    }));
-
-    // 同步交易記錄到 Google Sheets
-    const syncResult = await GoogleService.syncToSheet('transactions', updatedTx);
-    if (!syncResult.success) {
-      console.error('交易同步失敗:', syncResult.error);
+  const handleRestored = (report) => {
+    if (report.some(r => r.key === 'menuOrder' && r.success)) {
+      setMenuOrderRevision(n => n + 1);
     }
-
-    addToast("記帳成功！(已同步至財務中心)", 'success');
   };
 
   // Handle tab change with permission check
   const handleTabChange = (tab) => {
-    if (tab === 'user-management' && role === 'super_admin') {
-      setActiveTab(tab);
-      setActiveProject(null);
-      return;
-    }
-
     if (canAccessPage(tab)) {
-      setActiveTab(tab);
-      setActiveProject(null);
+      navigate(tab);
     } else {
       addToast('您沒有權限訪問此頁面', 'warning');
     }
@@ -136,12 +120,12 @@ const AppContent = () => {
 
   const renderContent = () => {
     // Check permission before rendering
-    if (activeTab !== 'user-management' && !canAccessPage(activeTab)) {
+    if (!canAccessPage(activeTab)) {
       return (
         <div className="flex flex-col items-center justify-center h-64 text-gray-500">
           <p className="text-lg font-medium">您沒有權限訪問此頁面</p>
           <button
-            onClick={() => setActiveTab('dashboard')}
+            onClick={() => navigate('dashboard')}
             className="mt-4 px-4 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-700 transition-colors"
           >
             返回儀表板
@@ -151,56 +135,47 @@ const AppContent = () => {
     }
 
     switch (activeTab) {
-      case 'dashboard': return <Dashboard events={data.calendar} finance={data.finance} projects={data.projects} clients={data.clients} />;
-      case 'schedule': return <Schedule data={data.calendar} loans={data.finance.loans || []} addToast={addToast} onUpdateCalendar={(d) => handleUpdate('calendar', d)} />;
+      case 'dashboard': return <Dashboard />;
+      case 'schedule': return <Schedule addToast={addToast} routeState={routeState} onRouteStateHandled={clearState} />;
       case 'projects':
         return <Projects
-          data={data.projects}
-          loading={loading}
           addToast={addToast}
-          activeProject={activeProject}
-          setActiveProject={setActiveProject}
-          onSelectProject={setActiveProject}
-          onUpdateProject={(p) => {
-            const exists = data.projects.find(proj => proj.id === p.id);
-            if (exists) {
-              // Update existing project
-              handleUpdate('projects', data.projects.map(proj => proj.id === p.id ? p : proj));
-            } else {
-              // Add new project
-              handleUpdate('projects', [...data.projects, p]);
-            }
-          }}
-          onDeleteProject={(projectId) => {
-            // Remove project from data array
-            handleUpdate('projects', data.projects.filter(proj => proj.id !== projectId));
-          }}
-          allTransactions={data.finance.transactions}
-          onAddGlobalTx={handleAddGlobalTx}
-          accounts={data.finance.accounts}
+          activeProjectId={params.projectId}
+          onSelectProject={id => navigate('projects', { projectId: id })}
         />;
-      case 'finance': return <Finance
-        data={data.finance}
-        loading={loading}
-        addToast={addToast}
-        onAddTx={handleAddGlobalTx}
-        onUpdateAccounts={(accs) => handleUpdate('finance', { ...data.finance, accounts: accs })}
-        onUpdateLoans={(loans) => handleUpdate('finance', { ...data.finance, loans: loans })}
-        allProjects={data.projects}
-      />;
-      case 'clients': return <Clients data={data.clients} loading={loading} addToast={addToast} onUpdateClients={(d) => handleUpdate('clients', d)} allProjects={data.projects} />;
-      case 'vendors': return <Vendors data={data.vendors} loading={loading} addToast={addToast} onUpdateVendors={(d) => handleUpdate('vendors', d)} allProjects={data.projects} />;
-      case 'inventory': return <Inventory data={data.inventory} loading={loading} addToast={addToast} onUpdateInventory={(d) => handleUpdate('inventory', d)} />;
+      case 'finance':
+        return <Finance
+          addToast={addToast}
+          activeAccountId={params.accountId}
+          onSelectAccount={id => navigate('finance', { accountId: id })}
+          routeState={routeState}
+          onRouteStateHandled={clearState}
+        />;
+      case 'clients':
+        return <Clients
+          addToast={addToast}
+          activeClientId={params.clientId}
+          onSelectClient={id => navigate('clients', { clientId: id })}
+        />;
+      case 'vendors':
+        return <Vendors
+          addToast={addToast}
+          activeVendorId={params.vendorId}
+          onSelectVendor={id => navigate('vendors', { vendorId: id })}
+        />;
+      case 'inventory': return <Inventory addToast={addToast} routeState={routeState} onRouteStateHandled={clearState} />;
       case 'materials': return <MaterialGallery addToast={addToast} />;
       case 'invoice': return <InvoiceHelper addToast={addToast} />;
-      case 'unit': return <MaterialCalculator addToast={addToast} vendors={data.vendors} />;
+      case 'unit': return <MaterialCalculator addToast={addToast} />;
       case 'cost': return <CostEstimator addToast={addToast} />;
-      case 'calc': return <MaterialCalculator addToast={addToast} vendors={data.vendors} />;
-      case 'user-management':
-        return role === 'super_admin'
-          ? <UserManagement addToast={addToast} />
-          : <Dashboard events={data.calendar} />;
-      default: return <Dashboard events={data.calendar} />;
+      case 'calc':
+        return <MaterialCalculator
+          addToast={addToast}
+          activeTab={params.calcTab}
+          onTabChange={tab => navigate('calc', { calcTab: tab })}
+        />;
+      case 'user-management': return <UserManagement addToast={addToast} />;
+      default: return <Dashboard />;
     }
   };
 
@@ -215,8 +190,20 @@ const AppContent = () => {
   }
 
   return (
-    <MainLayout activeTab={activeTab} setActiveTab={handleTabChange} addToast={addToast}>
+    <MainLayout
+      activeTab={activeTab}
+      setActiveTab={handleTabChange}
+      addToast={addToast}
+      onOpenBackup={() => setIsBackupOpen(true)}
+      menuOrderRevision={menuOrderRevision}
+    >
       {renderContent()}
+      <BackupRestoreModal
+        isOpen={isBackupOpen}
+        onClose={() => setIsBackupOpen(false)}
+        onRestored={handleRestored}
+        addToast={addToast}
+      />
       <ToastContainer toasts={toasts} removeToast={removeToast} />
     </MainLayout>
   );
@@ -226,7 +213,13 @@ const AppContent = () => {
 const App = () => {
   return (
     <AuthProvider>
-      <AppContent />
+      <ConflictProvider>
+        <DataStoreProvider>
+          <RouterProvider>
+            <AppContent />
+          </RouterProvider>
+        </DataStoreProvider>
+      </ConflictProvider>
     </AuthProvider>
   );
 };
@@ -0,0 +1,123 @@
+import React, { useState, useEffect } from 'react';
+import { History, RefreshCw, ChevronDown, ChevronUp } from 'lucide-react';
+import { Card } from './Card';
+import { useAuth } from '../../context/AuthContext';
+import { AUDIT_ACTIONS, auditEntityLabel, getEntityHistory } from '../../services/auditLog';
+
+// 收合時每筆紀錄顯示的欄位數
+const COLLAPSED_CHANGES = 3;
+
+const formatEventTime = (event) => {
+    const date = event.timestamp?.toDate?.() || new Date(event.clientTime);
+    return date.toLocaleString('zh-TW', { year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' });
+};
+
+const formatChangeValue = value => (value === null || value === undefined ? '（空白）' : value);
+
+/**
+ * 單筆操作紀錄：操作者、動作、時間與修改前後的欄位
+ * @param {Object} props
+ * @param {Object} props.event - From services/auditLog.js
+ * @param {boolean} [props.showEntity] - Also show the entity type and record title (for the cross-entity list)
+ */
+export const AuditEventItem = ({ event, showEntity = false }) => {
+    const { hiddenFields } = useAuth();
+    const [expanded, setExpanded] = useState(false);
+    const action = AUDIT_ACTIONS[event.action] || AUDIT_ACTIONS.update;
+    // 角色看不到的欄位也不顯示修改前後的值
+    const hidden = hiddenFields[event.entity] || [];
+    const changes = (event.changes || []).filter(change => !hidden.includes(change.field));
+    const visibleChanges = expanded ? changes : changes.slice(0, COLLAPSED_CHANGES);
+
+    return (
+        <div className="p-3 bg-gray-50 rounded-lg text-sm">
+            <div className="flex items-center gap-2 flex-wrap">
+                <div className="w-6 h-6 rounded-full bg-gray-200 flex items-center justify-center text-xs font-medium text-gray-600 flex-shrink-0">
+                    {event.userName?.[0] || '?'}
+                </div>
+                <span className="font-medium text-gray-800">{event.userName || '未知使用者'}</span>
+                <span className={`text-xs px-1.5 py-0.5 rounded ${action.color}`}>{action.label}</span>
+                {event.pending && (
+                    <span className="text-xs px-1.5 py-0.5 rounded text-amber-600 bg-amber-50" title="離線時儲存，送出後才會寫入後端">待同步</span>
+                )}
+                {showEntity && (
+                    <span className="text-gray-600 truncate">
+                        {auditEntityLabel(event.entity)}{event.title ? `「${event.title}」` : ''}
+                    </span>
+                )}
+                <span className="text-xs text-gray-400 ml-auto">{formatEventTime(event)}</span>
+            </div>
+
+            {event.action === 'update' && changes.length > 0 && (
+                <div className="mt-2 space-y-1 pl-8">
+                    {visibleChanges.map(change => (
+                        <div key={change.field} className="text-xs text-gray-600 break-all">
+                            <span className="text-gray-400">{change.field}：</span>
+                            <span className="line-through text-gray-400">{formatChangeValue(change.before)}</span>
+                            <span className="mx-1">→</span>
+                            <span className="text-gray-800">{formatChangeValue(change.after)}</span>
+                        </div>
+                    ))}
+                    {changes.length > COLLAPSED_CHANGES && (
+                        <button onClick={() => setExpanded(v => !v)} className="text-xs text-blue-600 hover:text-blue-800 flex items-center gap-0.5">
+                            {expanded ? <><ChevronUp size={12} /> 收合</> : <><ChevronDown size={12} /> 另有 {changes.length - COLLAPSED_CHANGES} 個欄位</>}
+                        </button>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+/**
+ * 資料詳情頁的修改紀錄
+ * @param {Object} props
+ * @param {string} props.entity - Entity / sheet name
+ * @param {string} props.entityId
+ * @param {number} [props.revision] - Record revision; history reloads when it changes
+ * @param {string} [props.className]
+ */
+export const AuditHistoryPanel = ({ entity, entityId, revision, className = '' }) => {
+    const [events, setEvents] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [reloadKey, setReloadKey] = useState(0);
+
+    useEffect(() => {
+        let cancelled = false;
+        setLoading(true);
+        setError(null);
+        getEntityHistory(entity, entityId)
+            .then(result => !cancelled && setEvents(result))
+            .catch((err) => {
+                console.error('Failed to load history:', err);
+                if (!cancelled) setError('無法載入修改紀錄');
+            })
+            .finally(() => !cancelled && setLoading(false));
+        return () => { cancelled = true; };
+    }, [entity, entityId, revision, reloadKey]);
+
+    return (
+        <Card className={className}>
+            <div className="flex justify-between items-center mb-4">
+                <h3 className="font-bold text-gray-800 flex items-center gap-2">
+                    <History size={18} /> 修改紀錄
+                </h3>
+                <button onClick={() => setReloadKey(k => k + 1)} className="p-1 text-gray-400 hover:text-gray-600 rounded" title="重新整理">
+                    <RefreshCw size={14} className={loading ? 'animate-spin' : ''} />
+                </button>
+            </div>
+            <div className="space-y-2 max-h-80 overflow-y-auto">
+                {error ? (
+                    <div className="text-sm text-red-500 text-center py-8">{error}</div>
+                ) : events.length > 0 ? (
+                    events.map(event => <AuditEventItem key={event.id} event={event} />)
+                ) : (
+                    <div className="text-sm text-gray-400 text-center py-8">
+                        {loading ? '載入中...' : '尚無修改紀錄'}
+                    </div>
+                )}
+            </div>
+        </Card>
+    );
+};
@@ -0,0 +1,313 @@
+import React, { useState, useEffect } from 'react';
+import { Download, Upload, AlertTriangle, ChevronDown, ChevronRight, FileJson } from 'lucide-react';
+import { Modal } from './Modal';
+import { useAuth } from '../../context/AuthContext';
+import { useConflictResolver } from '../../context/ConflictContext';
+import { useDataStore } from '../../context/DataStoreContext';
+import { hasHiddenFields } from '../../services/fieldMasking';
+import {
+    BACKUP_ENTITIES, BACKUP_SETTINGS, collectSettings, createBackup, downloadBackup,
+    readBackupFile, diffEntity, diffSettings, restoreBackup, recordLabel, canRestoreEntity
+} from '../../services/backup';
+
+const PREVIEW_LIMIT = 20;
+
+const TabButton = ({ active, onClick, icon: Icon, label }) => (
+    <button
+        type="button"
+        onClick={onClick}
+        className={`flex-1 flex items-center justify-center gap-2 px-3 py-2 rounded-lg text-sm font-medium transition-all ${active ? 'bg-white text-gray-800 shadow-sm' : 'text-gray-500 hover:text-gray-700'}`}
+    >
+        <Icon size={16} />
+        {label}
+    </button>
+);
+
+const RecordList = ({ title, records, className }) => records.length > 0 && (
+    <div>
+        <div className={`text-[11px] font-medium mb-1 ${className}`}>{title}</div>
+        <ul className="text-xs text-gray-600 space-y-0.5">
+            {records.slice(0, PREVIEW_LIMIT).map(({ record, fields }) => (
+                <li key={record.id} className="truncate">
+                    {recordLabel(record)}
+                    {fields && <span className="text-gray-400">（{fields.join('、')}）</span>}
+                </li>
+            ))}
+            {records.length > PREVIEW_LIMIT && <li className="text-gray-400">…另 {records.length - PREVIEW_LIMIT} 筆</li>}
+        </ul>
+    </div>
+);
+
+// 單一資料表的差異列：勾選框 + 新增 / 修改 / 刪除筆數，可展開明細
+const EntityDiffRow = ({ label, diff, checked, onToggle }) => {
+    const [expanded, setExpanded] = useState(false);
+    const hasChanges = diff.added.length + diff.changed.length + diff.removed.length > 0;
+
+    return (
+        <div className="border border-gray-100 rounded-xl">
+            <div className="flex items-center gap-3 px-3 py-2.5">
+                <input type="checkbox" checked={checked} onChange={onToggle} disabled={!hasChanges} className="rounded" />
+                <button
+                    type="button"
+                    onClick={() => setExpanded(!expanded)}
+                    disabled={!hasChanges}
+                    className="flex-1 flex items-center gap-2 text-left text-sm disabled:cursor-default"
+                >
+                    {hasChanges
+                        ? (expanded ? <ChevronDown size={14} className="text-gray-400" /> : <ChevronRight size={14} className="text-gray-400" />)
+                        : <span className="w-[14px]" />}
+                    <span className="font-medium text-gray-800">{label}</span>
+                </button>
+                {hasChanges ? (
+                    <div className="flex gap-2 text-xs font-mono">
+                        <span className="text-green-600">+{diff.added.length}</span>
+                        <span className="text-blue-600">~{diff.changed.length}</span>
+                        <span className="text-red-600">-{diff.removed.length}</span>
+                    </div>
+                ) : (
+                    <span className="text-xs text-gray-400">與目前相同</span>
+                )}
+            </div>
+            {expanded && (
+                <div className="px-10 pb-3 space-y-2">
+                    <RecordList title="新增" records={diff.added.map(record => ({ record }))} className="text-green-600" />
+                    <RecordList title="修改" records={diff.changed} className="text-blue-600" />
+                    <RecordList title="刪除（備份中沒有）" records={diff.removed.map(record => ({ record }))} className="text-red-600" />
+                </div>
+            )}
+        </div>
+    );
+};
+
+/**
+ * 工作區備份與還原視窗
+ * 備份與還原以完整資料為準：角色有隱藏欄位或只能查看參與的專案時，頁面讀到的資料不完整，因此不提供備份與還原。
+ * @param {Object} props
+ * @param {boolean} props.isOpen
+ * @param {Function} props.onClose
+ * @param {Function} props.onRestored - Receives the restore report
+ * @param {Function} props.addToast
+ */
+export const BackupRestoreModal = ({ isOpen, onClose, onRestored, addToast }) => {
+    const { user, role, hiddenFields, canViewAllProjects, can } = useAuth();
+    const { saveRows } = useConflictResolver();
+    const { state: data, actions } = useDataStore();
+    const [tab, setTab] = useState('backup');
+    const [isWorking, setIsWorking] = useState(false);
+    const [loaded, setLoaded] = useState(null); // { fileName, archive, rejected, settingsDiff }
+    const [selection, setSelection] = useState({ entities: [], settings: [] });
+    const [loadError, setLoadError] = useState('');
+
+    useEffect(() => {
+        if (!isOpen) {
+            setLoaded(null);
+            setLoadError('');
+            setSelection({ entities: [], settings: [] });
+        }
+    }, [isOpen]);
+
+    const unavailable = hasHiddenFields(hiddenFields) ? '您的角色有隱藏的欄位，無法建立或還原完整的備份。'
+        : !canViewAllProjects ? '您的角色只能查看參與的專案，無法建立或還原完整的備份。'
+            : null;
+
+    // 沒有新增、修改與刪除權限的資料表不列入還原
+    const restorableEntities = BACKUP_ENTITIES.filter(e => canRestoreEntity(e.key, can));
+
+    const entityDiffs = loaded
+        ? Object.fromEntries(BACKUP_ENTITIES.map(e => [e.key, diffEntity(e.get(data) || [], loaded.archive.entities[e.key])]))
+        : {};
+
+    const canRestoreSetting = setting => !setting.requiresRole || setting.requiresRole === role;
+
+    const handleBackup = async () => {
+        setIsWorking(true);
+        try {
+            const settings = await collectSettings(user);
+            downloadBackup(createBackup(data, settings, user));
+            const missing = BACKUP_SETTINGS.filter(s => settings[s.key] === null).map(s => s.label);
+            addToast(
+                missing.length > 0 ? `已下載備份檔（無法讀取：${missing.join('、')}）` : '已下載備份檔',
+                missing.length > 0 ? 'warning' : 'success'
+            );
+        } catch (error) {
+            addToast(`備份失敗：${error.message}`, 'error');
+        } finally {
+            setIsWorking(false);
+        }
+    };
+
+    const handleFile = async (event) => {
+        const file = event.target.files?.[0];
+        event.target.value = '';
+        if (!file) return;
+
+        setIsWorking(true);
+        setLoadError('');
+        try {
+            const [{ archive, rejected }, currentSettings] = await Promise.all([readBackupFile(file), collectSettings(user)]);
+            const settingsDiff = diffSettings(currentSettings, archive.settings);
+            setLoaded({ fileName: file.name, archive, rejected, settingsDiff });
+
+            // 預設勾選有差異的項目
+            setSelection({
+                entities: restorableEntities
+                    .filter(e => {
+                        const diff = diffEntity(e.get(data) || [], archive.entities[e.key]);
+                        return diff.added.length + diff.changed.length + diff.removed.length > 0;
+                    })
+                    .map(e => e.key),
+                settings: BACKUP_SETTINGS.filter(s => settingsDiff[s.key].changed && canRestoreSetting(s)).map(s => s.key),
+            });
+        } catch (error) {
+            setLoaded(null);
+            setLoadError(error.message);
+        } finally {
+            setIsWorking(false);
+        }
+    };
+
+    const toggle = (group, key) => setSelection(prev => ({
+        ...prev,
+        [group]: prev[group].includes(key) ? prev[group].filter(k => k !== key) : [...prev[group], key],
+    }));
+
+    const handleRestore = async () => {
+        setIsWorking(true);
+        try {
+            const result = await restoreBackup(loaded.archive, selection, { data, saveRows, user, can });
+            if (Object.keys(result.entities).length > 0) actions.hydrate(result.entities);
+            onRestored(result.report);
+
+            const failed = result.report.filter(r => !r.success);
+            if (failed.length > 0) {
+                addToast(`部分項目還原失敗：${failed.map(r => `${r.label}（${r.error}）`).join('、')}`, 'error');
+            } else {
+                addToast(`已還原 ${result.report.map(r => r.label).join('、')}`, 'success');
+                onClose();
+            }
+        } catch (error) {
+            addToast(`還原失敗：${error.message}`, 'error');
+        } finally {
+            setIsWorking(false);
+        }
+    };
+
+    const selectedCount = selection.entities.length + selection.settings.length;
+    const removedCount = selection.entities.reduce((sum, key) => sum + (entityDiffs[key]?.removed.length || 0), 0);
+    const rejectedCount = loaded ? Object.values(loaded.rejected).reduce((sum, rows) => sum + rows.length, 0) : 0;
+
+    return (
+        <Modal
+            isOpen={isOpen}
+            onClose={onClose}
+            title="備份與還原"
+            size="wide"
+            onConfirm={tab === 'backup' ? handleBackup : handleRestore}
+            confirmText={isWorking ? '處理中...' : tab === 'backup' ? '下載備份檔' : `還原選取項目（${selectedCount}）`}
+            confirmDisabled={!!unavailable || isWorking || (tab === 'restore' && (!loaded || selectedCount === 0))}
+        >
+            {unavailable ? (
+                <div className="flex items-start gap-2 text-sm text-orange-700 bg-orange-50 rounded-xl px-3 py-3">
+                    <AlertTriangle size={16} className="mt-0.5 shrink-0" />
+                    {unavailable}
+                </div>
+            ) : (
+                <>
+                <div className="flex gap-1 p-1 bg-gray-100 rounded-xl mb-5">
+                    <TabButton active={tab === 'backup'} onClick={() => setTab('backup')} icon={Download} label="建立備份" />
+                    <TabButton active={tab === 'restore'} onClick={() => setTab('restore')} icon={Upload} label="還原備份" />
+                </div>
+
+                {tab === 'backup' ? (
+                    <div className="space-y-4">
+                        <p className="text-sm text-gray-600">
+                            將所有資料與設定匯出成一個 JSON 備份檔，建議在大量修改或年度結帳前先備份。
+                        </p>
+                        <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+                            {BACKUP_ENTITIES.map(e => (
+                                <div key={e.key} className="bg-gray-50 rounded-xl px-3 py-2">
+                                    <div className="text-xs text-gray-500">{e.label}</div>
+                                    <div className="text-lg font-bold text-gray-800">{(e.get(data) || []).length}</div>
+                                </div>
+                            ))}
+                        </div>
+                        <p className="text-xs text-gray-400">
+                            另含設定：{BACKUP_SETTINGS.map(s => s.label).join('、')}
+                        </p>
+                    </div>
+                ) : (
+                    <div className="space-y-4">
+                        <label className="flex items-center justify-center gap-2 border-2 border-dashed border-gray-200 rounded-xl px-4 py-5 text-sm text-gray-500 hover:border-gray-400 cursor-pointer transition-colors">
+                            <FileJson size={18} />
+                            {loaded ? `${loaded.fileName}（點擊更換）` : '選擇備份檔（.json）'}
+                            <input type="file" accept="application/json,.json" onChange={handleFile} className="hidden" />
+                        </label>
+
+                        {loadError && <p className="text-sm text-red-600">{loadError}</p>}
+
+                        {loaded && (
+                            <>
+                                <p className="text-xs text-gray-500">
+                                    備份時間：{new Date(loaded.archive.createdAt).toLocaleString('zh-TW')}
+                                    {loaded.archive.createdBy && `，建立者：${loaded.archive.createdBy}`}
+                                </p>
+
+                                {rejectedCount > 0 && (
+                                    <div className="flex items-start gap-2 text-xs text-orange-700 bg-orange-50 rounded-xl px-3 py-2">
+                                        <AlertTriangle size={14} className="mt-0.5 shrink-0" />
+                                        備份中有 {rejectedCount} 筆資料格式錯誤，不會被還原（詳見 console）
+                                    </div>
+                                )}
+
+                                <div className="space-y-2">
+                                    <div className="text-xs font-medium text-gray-500">資料</div>
+                                    {restorableEntities.map(e => (
+                                        <EntityDiffRow
+                                            key={e.key}
+                                            label={e.sheet ? e.label : `${e.label}（僅還原畫面資料，不會建立日曆事件）`}
+                                            diff={entityDiffs[e.key]}
+                                            checked={selection.entities.includes(e.key)}
+                                            onToggle={() => toggle('entities', e.key)}
+                                        />
+                                    ))}
+                                </div>
+
+                                <div className="space-y-2">
+                                    <div className="text-xs font-medium text-gray-500">設定</div>
+                                    {BACKUP_SETTINGS.map(s => {
+                                        const diff = loaded.settingsDiff[s.key];
+                                        const allowed = canRestoreSetting(s);
+                                        return (
+                                            <label key={s.key} className="flex items-center gap-3 border border-gray-100 rounded-xl px-3 py-2.5 text-sm">
+                                                <input
+                                                    type="checkbox"
+                                                    checked={selection.settings.includes(s.key)}
+                                                    onChange={() => toggle('settings', s.key)}
+                                                    disabled={!diff.available || !allowed}
+                                                    className="rounded"
+                                                />
+                                                <span className="font-medium text-gray-800">{s.label}</span>
+                                                <span className="flex-1 text-xs text-gray-400 truncate">{diff.summary}</span>
+                                                <span className="text-xs text-gray-400">
+                                                    {!allowed ? '需要最高管理員' : diff.changed ? '有差異' : diff.available ? '與目前相同' : ''}
+                                                </span>
+                                            </label>
+                                        );
+                                    })}
+                                </div>
+
+                                {removedCount > 0 && (
+                                    <div className="flex items-start gap-2 text-xs text-red-700 bg-red-50 rounded-xl px-3 py-2">
+                                        <AlertTriangle size={14} className="mt-0.5 shrink-0" />
+                                        還原會刪除 {removedCount} 筆備份中沒有的資料，建議先建立一份目前的備份。
+                                    </div>
+                                )}
+                            </>
+                        )}
+                    </div>
+                )}
+                </>
+            )}
+        </Modal>
+    );
+};
@@ -0,0 +1,176 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import {
+    Search, Briefcase, Users, HardHat, Package, Wallet, Receipt, Landmark,
+    Calendar as CalendarIcon, ArrowRight, CornerDownRight
+} from 'lucide-react';
+import { useAuth } from '../../context/AuthContext';
+import { useRouter } from '../../context/RouterContext';
+import { useStoreSelector } from '../../context/DataStoreContext';
+import { SEARCH_TYPES, selectSearchEntries, searchEntries } from '../../services/search';
+
+const TYPE_ICONS = {
+    projects: Briefcase,
+    clients: Users,
+    vendors: HardHat,
+    inventory: Package,
+    accounts: Wallet,
+    transactions: Receipt,
+    loans: Landmark,
+    calendar: CalendarIcon,
+};
+
+// 展開目前選取項目的快速操作，其餘項目只顯示本身
+const flattenResults = (results, expandedKey) => results.flatMap(entry => [
+    { key: entry.key, entry, route: entry.route },
+    ...(entry.key === expandedKey
+        ? entry.actions.map((action, i) => ({ key: `${entry.key}#${i}`, entry, action, route: action.route }))
+        : []),
+]);
+
+// 全域搜尋（Ctrl/Cmd + K）：搜尋頁面、專案、客戶、廠商、庫存、帳戶、交易、貸款與行程，並提供快速操作
+export const CommandPalette = ({ isOpen, onClose, pages = [] }) => {
+    const { canAccessPage } = useAuth();
+    const { navigate } = useRouter();
+    const entries = useStoreSelector(selectSearchEntries);
+    const [query, setQuery] = useState('');
+    const [selection, setSelection] = useState({ entryKey: null, itemKey: null });
+    const inputRef = useRef(null);
+    const listRef = useRef(null);
+
+    const canOpen = canAccessPage;
+
+    const pageEntries = useMemo(() => pages.map(page => ({
+        key: `page:${page.id}`, type: 'page', id: page.id,
+        title: page.label, subtitle: '前往頁面', keywords: [page.id], icon: page.icon,
+        route: { page: page.id, params: {} }, actions: [],
+    })), [pages]);
+
+    const results = useMemo(() => {
+        const visible = [...pageEntries, ...entries]
+            .filter(entry => canOpen(entry.route.page))
+            .map(entry => ({ ...entry, actions: entry.actions.filter(a => canOpen(a.route.page)) }));
+        return query.trim() ? searchEntries(visible, query) : pageEntries.filter(entry => canOpen(entry.route.page));
+    }, [pageEntries, entries, query, canOpen]);
+
+    const expandedKey = selection.entryKey && results.some(r => r.key === selection.entryKey)
+        ? selection.entryKey
+        : results[0]?.key;
+    const items = flattenResults(results, expandedKey);
+    const selectedIndex = Math.max(0, items.findIndex(item => item.key === selection.itemKey));
+
+    useEffect(() => {
+        if (!isOpen) return;
+        setQuery('');
+        setSelection({ entryKey: null, itemKey: null });
+        setTimeout(() => inputRef.current?.focus(), 0);
+    }, [isOpen]);
+
+    // 鍵盤移動時讓選取項目保持在可視範圍
+    useEffect(() => {
+        listRef.current?.querySelector('[data-selected="true"]')?.scrollIntoView({ block: 'nearest' });
+    }, [selectedIndex, isOpen]);
+
+    if (!isOpen) return null;
+
+    // 鍵盤選取會展開該項目的快速操作；滑鼠移過只改變反白，避免列表跳動
+    const select = (item) => item && setSelection({ entryKey: item.entry.key, itemKey: item.key });
+    const hover = (item) => setSelection(prev => ({ entryKey: prev.entryKey || expandedKey, itemKey: item.key }));
+
+    const open = (item) => {
+        if (!item) return;
+        navigate(item.route.page, item.route.params, { state: item.route.state || null });
+        onClose();
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            select(items[Math.min(items.length - 1, selectedIndex + 1)]);
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            select(items[Math.max(0, selectedIndex - 1)]);
+        } else if (e.key === 'Enter' && !e.nativeEvent.isComposing) {
+            // 注音 / 拼音選字時的 Enter 不觸發
+            e.preventDefault();
+            open(items[selectedIndex]);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            onClose();
+        }
+    };
+
+    return (
+        <div
+            className="fixed inset-0 bg-black/40 backdrop-blur-sm z-[60] flex items-start justify-center p-3 sm:p-4 pt-[10vh] animate-fade-in"
+            onClick={(e) => e.target === e.currentTarget && onClose()}
+        >
+            <div className="bg-white rounded-2xl shadow-2xl w-full max-w-xl overflow-hidden border border-gray-100 animate-slide-up flex flex-col max-h-[70vh]">
+                <div className="flex items-center gap-3 px-4 py-3 border-b border-gray-100">
+                    <Search size={18} className="text-gray-400 flex-shrink-0" />
+                    <input
+                        ref={inputRef}
+                        value={query}
+                        onChange={e => { setQuery(e.target.value); setSelection({ entryKey: null, itemKey: null }); }}
+                        onKeyDown={handleKeyDown}
+                        placeholder="搜尋專案、客戶、廠商、庫存、交易、行程…"
+                        className="flex-1 bg-transparent outline-none text-sm text-gray-800 placeholder-gray-400"
+                    />
+                    <kbd className="hidden sm:inline text-[10px] text-gray-400 border border-gray-200 rounded px-1.5 py-0.5">ESC</kbd>
+                </div>
+
+                <div ref={listRef} className="overflow-y-auto custom-scrollbar py-2">
+                    {items.length === 0 ? (
+                        <div className="px-4 py-8 text-center text-sm text-gray-400">找不到符合「{query}」的資料</div>
+                    ) : items.map((item, index) => {
+                        const isSelected = index === selectedIndex;
+                        const rowClass = `w-full flex items-center gap-3 px-4 py-2 text-left transition-colors ${isSelected ? 'bg-gray-100' : 'hover:bg-gray-50'}`;
+
+                        if (item.action) {
+                            return (
+                                <button
+                                    key={item.key}
+                                    data-selected={isSelected}
+                                    onMouseEnter={() => hover(item)}
+                                    onClick={() => open(item)}
+                                    className={`${rowClass} pl-11 text-sm text-blue-600`}
+                                >
+                                    <CornerDownRight size={14} className="flex-shrink-0" />
+                                    <span>{item.action.label}</span>
+                                </button>
+                            );
+                        }
+
+                        const { entry } = item;
+                        const Icon = entry.icon || TYPE_ICONS[entry.type] || ArrowRight;
+                        return (
+                            <button
+                                key={item.key}
+                                data-selected={isSelected}
+                                onMouseEnter={() => hover(item)}
+                                onClick={() => open(item)}
+                                className={rowClass}
+                            >
+                                <div className="w-8 h-8 rounded-lg bg-gray-100 flex items-center justify-center text-gray-500 flex-shrink-0">
+                                    <Icon size={16} />
+                                </div>
+                                <div className="flex-1 min-w-0">
+                                    <div className="text-sm font-medium text-gray-800 truncate">{entry.title}</div>
+                                    {entry.subtitle && <div className="text-xs text-gray-400 truncate">{entry.subtitle}</div>}
+                                </div>
+                                <span className="text-[10px] text-gray-400 bg-gray-50 border border-gray-100 rounded px-1.5 py-0.5 flex-shrink-0">
+                                    {SEARCH_TYPES[entry.type].label}
+                                </span>
+                            </button>
+                        );
+                    })}
+                </div>
+
+                <div className="px-4 py-2 border-t border-gray-100 text-[11px] text-gray-400 flex gap-4">
+                    <span>↑↓ 選擇</span>
+                    <span>Enter 開啟</span>
+                    <span>Ctrl / ⌘ + K 開關</span>
+                </div>
+            </div>
+        </div>
+    );
+};
@@ -0,0 +1,51 @@
+import React from 'react';
+import { RefreshCw, AlertTriangle, Loader2, CheckCircle2 } from 'lucide-react';
+import { useSyncStatus } from '../../context/DataStoreContext';
+
+const formatSyncTime = (iso) => {
+    const date = new Date(iso);
+    const isToday = date.toDateString() === new Date().toDateString();
+    return date.toLocaleString('zh-TW', isToday
+        ? { hour: '2-digit', minute: '2-digit' }
+        : { month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+};
+
+// 頁面資料的載入狀態與上次同步時間（錯誤時可重試）
+export const EntitySyncStatus = ({ entities }) => {
+    const { loading, refreshing, error, lastSyncedAt, retry } = useSyncStatus(entities);
+    const syncedLabel = lastSyncedAt ? `上次同步 ${formatSyncTime(lastSyncedAt)}` : '尚未同步';
+
+    if (loading) {
+        return (
+            <span className="flex items-center gap-1.5 text-xs text-gray-400">
+                <Loader2 size={12} className="animate-spin" /> 載入中...
+            </span>
+        );
+    }
+
+    if (error) {
+        return (
+            <span className="flex items-center gap-1.5 text-xs text-red-600" title={error}>
+                <AlertTriangle size={12} />
+                <span>同步失敗{lastSyncedAt ? `，顯示${syncedLabel}的資料` : ''}</span>
+                <button onClick={retry} className="flex items-center gap-1 px-2 py-0.5 rounded-md bg-red-50 hover:bg-red-100 font-medium">
+                    <RefreshCw size={11} /> 重試
+                </button>
+            </span>
+        );
+    }
+
+    return (
+        <span className="flex items-center gap-1.5 text-xs text-gray-400">
+            {refreshing
+                ? <RefreshCw size={12} className="animate-spin" />
+                : <CheckCircle2 size={12} className="text-green-500" />}
+            <span>{refreshing ? `同步中…（${syncedLabel}）` : syncedLabel}</span>
+            {!refreshing && (
+                <button onClick={retry} className="p-0.5 rounded hover:bg-gray-100 hover:text-gray-600" title="重新整理">
+                    <RefreshCw size={11} />
+                </button>
+            )}
+        </span>
+    );
+};
@@ -0,0 +1,274 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { FileSpreadsheet, AlertTriangle, Copy, CheckCircle2, ArrowLeft } from 'lucide-react';
+import { Modal } from './Modal';
+import { useStoreSelector, useDataActions } from '../../context/DataStoreContext';
+import { useAuth } from '../../context/AuthContext';
+import { PERMISSION_ACTION_LABELS } from '../../services/firebase';
+import { selectEntity } from '../../services/dataStore';
+import { getEntitySchema } from '../../services/schema';
+import { readSpreadsheetFile } from '../../services/spreadsheet';
+import { IMPORT_TARGETS, guessColumnMapping, prepareImportRows, createImportRecords } from '../../services/importer';
+
+const PREVIEW_LIMIT = 200;
+
+const STEPS = [
+    { id: 'file', label: '選擇檔案' },
+    { id: 'mapping', label: '對應欄位' },
+    { id: 'preview', label: '檢查資料' },
+];
+
+const StepIndicator = ({ current }) => (
+    <div className="flex items-center gap-2 mb-5 text-xs">
+        {STEPS.map((step, i) => {
+            const index = STEPS.findIndex(s => s.id === current);
+            const state = i < index ? 'done' : i === index ? 'active' : 'todo';
+            return (
+                <React.Fragment key={step.id}>
+                    {i > 0 && <div className="flex-1 h-px bg-gray-200" />}
+                    <div className={`flex items-center gap-1.5 ${state === 'todo' ? 'text-gray-400' : 'text-gray-800 font-medium'}`}>
+                        <span className={`w-5 h-5 rounded-full flex items-center justify-center text-[10px] ${state === 'active' ? 'bg-gray-800 text-white' : state === 'done' ? 'bg-green-100 text-green-700' : 'bg-gray-100'}`}>
+                            {state === 'done' ? '✓' : i + 1}
+                        </span>
+                        {step.label}
+                    </div>
+                </React.Fragment>
+            );
+        })}
+    </div>
+);
+
+/**
+ * 匯入精靈：讀取 CSV / XLSX → 對應欄位 → 檢查驗證錯誤與重複資料 → 批次建立（客戶、廠商會一併建立 Drive 資料夾）
+ * @param {Object} props
+ * @param {boolean} props.isOpen
+ * @param {Function} props.onClose
+ * @param {'clients'|'vendors'|'inventory'} props.entity
+ * @param {Function} props.addToast
+ * @param {Object} [props.undoAction] - Toast action from useUndo, offered after the import
+ */
+export const ImportWizardModal = ({ isOpen, onClose, entity, addToast, undoAction }) => {
+    const actions = useDataActions();
+    const { can } = useAuth();
+    const existing = useStoreSelector(selectEntity(entity));
+    const target = IMPORT_TARGETS[entity];
+    const entityLabel = getEntitySchema(entity)?.label || entity;
+
+    const [step, setStep] = useState('file');
+    const [sheet, setSheet] = useState(null); // { fileName, headers, rows }
+    const [mapping, setMapping] = useState({});
+    const [selected, setSelected] = useState(new Set());
+    const [loadError, setLoadError] = useState('');
+    const [progress, setProgress] = useState(null); // { done, total }
+
+    useEffect(() => {
+        if (!isOpen) {
+            setStep('file');
+            setSheet(null);
+            setMapping({});
+            setSelected(new Set());
+            setLoadError('');
+            setProgress(null);
+        }
+    }, [isOpen]);
+
+    const prepared = useMemo(
+        () => (sheet && step === 'preview' ? prepareImportRows({ entity, rows: sheet.rows, mapping, existing }) : []),
+        [sheet, step, mapping, existing, entity]
+    );
+
+    const handleFile = async (event) => {
+        const file = event.target.files?.[0];
+        event.target.value = '';
+        if (!file) return;
+
+        setLoadError('');
+        try {
+            const { headers, rows } = await readSpreadsheetFile(file);
+            setSheet({ fileName: file.name, headers, rows });
+            setMapping(guessColumnMapping(headers, entity));
+            setStep('mapping');
+        } catch (error) {
+            setLoadError(error.message);
+        }
+    };
+
+    const goToPreview = () => {
+        const rows = prepareImportRows({ entity, rows: sheet.rows, mapping, existing });
+        // 預設只勾選沒有錯誤、也沒有重複的列
+        setSelected(new Set(rows.filter(r => r.errors.length === 0 && !r.duplicate).map(r => r.rowNumber)));
+        setStep('preview');
+    };
+
+    const toggleRow = rowNumber => setSelected((prev) => {
+        const next = new Set(prev);
+        if (next.has(rowNumber)) next.delete(rowNumber);
+        else next.add(rowNumber);
+        return next;
+    });
+
+    const handleImport = async () => {
+        // 先確認權限再建立 Drive 資料夾，避免沒有權限儲存時留下資料夾
+        if (!can('create', entity)) {
+            addToast(`沒有${entityLabel}的${PERMISSION_ACTION_LABELS.create}權限`, 'error');
+            return;
+        }
+        const rows = prepared.filter(r => r.errors.length === 0 && selected.has(r.rowNumber));
+        setProgress({ done: 0, total: rows.length });
+
+        const { records, failed } = await createImportRecords(entity, rows, (done, total) => setProgress({ done, total }));
+        const result = records.length > 0
+            ? await actions.saveRecords(entity, records, { undoLabel: `匯入${entityLabel} ${records.length} 筆` })
+            : { success: true };
+        setProgress(null);
+
+        if (!result.success) {
+            // 沒有儲存的資料列已建立的 Drive 資料夾無法自動刪除，列出來讓使用者手動處理
+            const savedIds = new Set((result.rows || []).map(row => row.id));
+            const orphaned = records.filter(record => record.driveFolder && !savedIds.has(record.id));
+            if (orphaned.length > 0) {
+                console.error('Import folders without saved records:', orphaned.map(r => ({ name: r.name, url: r.driveFolder })));
+                addToast(`Sheets 同步失敗: ${result.error}；已建立的 ${orphaned.length} 個 Drive 資料夾（${orphaned.slice(0, 3).map(r => r.name).join('、')}${orphaned.length > 3 ? '…' : ''}）需要手動刪除`, 'error');
+            } else {
+                addToast(`Sheets 同步失敗: ${result.error}`, 'error');
+            }
+            return;
+        }
+        if (failed.length > 0) {
+            console.error('Import folder failures:', failed);
+            addToast(`已匯入 ${records.length} 筆${entityLabel}；${failed.length} 筆因 Drive 資料夾建立失敗未匯入（${failed.slice(0, 3).map(f => f.name).join('、')}${failed.length > 3 ? '…' : ''}）`, 'warning');
+        } else {
+            addToast(`已匯入 ${records.length} 筆${entityLabel}`, 'success', records.length > 0 ? { action: undoAction } : {});
+        }
+        onClose();
+    };
+
+    const mappedName = mapping.name !== null && mapping.name !== undefined;
+    const invalidCount = prepared.filter(r => r.errors.length > 0).length;
+    const duplicateCount = prepared.filter(r => r.errors.length === 0 && r.duplicate).length;
+    const importCount = prepared.filter(r => r.errors.length === 0 && selected.has(r.rowNumber)).length;
+
+    const confirm = {
+        file: { text: '下一步', disabled: true, onConfirm: () => { } },
+        mapping: { text: '下一步：檢查資料', disabled: !mappedName, onConfirm: goToPreview },
+        preview: {
+            text: progress ? `匯入中 ${progress.done}/${progress.total}` : `匯入 ${importCount} 筆`,
+            disabled: !!progress || importCount === 0,
+            onConfirm: handleImport,
+        },
+    }[step];
+
+    return (
+        <Modal
+            isOpen={isOpen}
+            onClose={() => !progress && onClose()}
+            title={`匯入${entityLabel}`}
+            size="wide"
+            onConfirm={confirm.onConfirm}
+            confirmText={confirm.text}
+            confirmDisabled={confirm.disabled}
+        >
+            <StepIndicator current={step} />
+
+            {step === 'file' && (
+                <div className="space-y-3">
+                    <label className="flex flex-col items-center justify-center gap-2 border-2 border-dashed border-gray-200 rounded-xl px-4 py-10 text-sm text-gray-500 hover:border-gray-400 cursor-pointer transition-colors">
+                        <FileSpreadsheet size={28} />
+                        選擇 CSV 或 Excel（.xlsx）檔案
+                        <span className="text-xs text-gray-400">第一列為欄位名稱；檔案只在瀏覽器中讀取，不會上傳</span>
+                        <input type="file" accept=".csv,.tsv,.txt,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" onChange={handleFile} className="hidden" />
+                    </label>
+                    {loadError && <p className="text-sm text-red-600">{loadError}</p>}
+                </div>
+            )}
+
+            {step === 'mapping' && sheet && (
+                <div className="space-y-4">
+                    <div className="flex items-center justify-between text-xs text-gray-500">
+                        <span>{sheet.fileName}：{sheet.rows.length} 列資料</span>
+                        <button onClick={() => setStep('file')} className="flex items-center gap-1 hover:text-gray-800">
+                            <ArrowLeft size={12} /> 更換檔案
+                        </button>
+                    </div>
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                        {target.fields.map(field => (
+                            <label key={field.key} className="flex items-center gap-3 text-sm">
+                                <span className="w-28 text-gray-600 flex-shrink-0">
+                                    {field.label}{field.key === 'name' && <span className="text-red-500"> *</span>}
+                                </span>
+                                <select
+                                    value={mapping[field.key] ?? ''}
+                                    onChange={e => setMapping({ ...mapping, [field.key]: e.target.value === '' ? null : Number(e.target.value) })}
+                                    className="flex-1 min-w-0 border rounded-lg px-3 py-2 bg-white"
+                                >
+                                    <option value="">（不匯入）</option>
+                                    {sheet.headers.map((header, i) => (
+                                        <option key={i} value={i}>{header}{sheet.rows[0]?.[i] ? `（例：${sheet.rows[0][i].slice(0, 12)}）` : ''}</option>
+                                    ))}
+                                </select>
+                            </label>
+                        ))}
+                    </div>
+                    {!mappedName && <p className="text-xs text-red-600">請指定名稱欄位</p>}
+                </div>
+            )}
+
+            {step === 'preview' && (
+                <div className="space-y-3">
+                    <div className="flex flex-wrap items-center gap-2 text-xs">
+                        <button onClick={() => setStep('mapping')} className="flex items-center gap-1 text-gray-500 hover:text-gray-800 mr-auto">
+                            <ArrowLeft size={12} /> 修改欄位對應
+                        </button>
+                        <span className="px-2 py-1 rounded-lg bg-green-50 text-green-700">可匯入 {prepared.length - invalidCount - duplicateCount}</span>
+                        <span className="px-2 py-1 rounded-lg bg-amber-50 text-amber-700">疑似重複 {duplicateCount}</span>
+                        <span className="px-2 py-1 rounded-lg bg-red-50 text-red-700">格式錯誤 {invalidCount}</span>
+                    </div>
+                    {target.createFolder && (
+                        <p className="text-xs text-gray-500">每筆{entityLabel}會建立各自的 Drive 資料夾；資料夾建立失敗的列不會匯入。</p>
+                    )}
+
+                    <div className="border border-gray-100 rounded-xl divide-y divide-gray-100 max-h-[45vh] overflow-y-auto custom-scrollbar">
+                        {prepared.slice(0, PREVIEW_LIMIT).map((row) => {
+                            const invalid = row.errors.length > 0;
+                            return (
+                                <label key={row.rowNumber} className={`flex items-start gap-3 px-3 py-2 text-sm ${invalid ? 'bg-red-50/40' : 'cursor-pointer hover:bg-gray-50'}`}>
+                                    <input
+                                        type="checkbox"
+                                        checked={!invalid && selected.has(row.rowNumber)}
+                                        disabled={invalid}
+                                        onChange={() => toggleRow(row.rowNumber)}
+                                        className="rounded mt-0.5"
+                                    />
+                                    <span className="text-xs text-gray-400 w-10 flex-shrink-0 pt-0.5">第 {row.rowNumber} 列</span>
+                                    <div className="flex-1 min-w-0">
+                                        <div className="text-gray-800 truncate">
+                                            {row.record?.name || <span className="text-gray-400">（無名稱）</span>}
+                                            {row.record && (
+                                                <span className="text-xs text-gray-400 ml-2">
+                                                    {[row.record.phone, row.record.taxId, row.record.spec, row.record.quantity !== undefined && entity === 'inventory' ? `${row.record.quantity} ${row.record.unit}` : null].filter(Boolean).join(' · ')}
+                                                </span>
+                                            )}
+                                        </div>
+                                        {invalid && (
+                                            <div className="text-xs text-red-600 flex items-center gap-1"><AlertTriangle size={12} /> {row.errors.join('；')}</div>
+                                        )}
+                                        {!invalid && row.duplicate && (
+                                            <div className="text-xs text-amber-700 flex items-center gap-1">
+                                                <Copy size={12} />
+                                                {row.duplicate.label}與{row.duplicate.source === 'existing' ? `現有${entityLabel}` : '檔案中前面的列'}「{row.duplicate.name}」相同
+                                            </div>
+                                        )}
+                                    </div>
+                                    {!invalid && !row.duplicate && <CheckCircle2 size={14} className="text-green-500 flex-shrink-0 mt-0.5" />}
+                                </label>
+                            );
+                        })}
+                        {prepared.length > PREVIEW_LIMIT && (
+                            <div className="px-3 py-2 text-xs text-gray-400">…另 {prepared.length - PREVIEW_LIMIT} 列（依上方統計一併處理）</div>
+                        )}
+                        {prepared.length === 0 && <div className="px-3 py-8 text-center text-sm text-gray-400">檔案中沒有資料列</div>}
+                    </div>
+                </div>
+            )}
+        </Modal>
+    );
+};
@@ -0,0 +1,117 @@
+import React, { useState, useEffect } from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { Modal } from './Modal';
+import { diffFields, mergeRecords } from '../../services/versioning';
+
+const SHEET_LABELS = {
+    clients: '客戶',
+    vendors: '廠商',
+    projects: '專案',
+    inventory: '庫存',
+    accounts: '帳戶',
+    loans: '貸款',
+    transactions: '交易',
+};
+
+const formatValue = (value) => {
+    if (value === undefined || value === null || value === '') return '（空白）';
+    if (Array.isArray(value)) return `${value.length} 筆資料`;
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+};
+
+const formatTime = (iso) => (iso ? new Date(iso).toLocaleString('zh-TW') : '未知時間');
+
+// 欄位選項按鈕
+const ChoiceButton = ({ selected, onClick, label, value }) => (
+    <button
+        type="button"
+        onClick={onClick}
+        className={`flex-1 text-left px-3 py-2 rounded-xl border text-sm transition-all break-all ${selected
+            ? 'border-gray-800 bg-gray-800 text-white'
+            : 'border-gray-200 bg-white text-gray-700 hover:border-gray-400'
+            }`}
+    >
+        <div className={`text-[10px] mb-0.5 ${selected ? 'text-gray-300' : 'text-gray-400'}`}>{label}</div>
+        {formatValue(value)}
+    </button>
+);
+
+/**
+ * 資料衝突合併視窗：逐欄比較本機與後端目前的版本，由使用者決定保留哪一邊
+ * @param {Object} props
+ * @param {Object|null} props.conflict - { sheetName, mine, theirs }
+ * @param {Function} props.onResolve - Receives the merged record
+ * @param {Function} props.onCancel - Discard local changes and keep the stored version
+ */
+export const MergeConflictModal = ({ conflict, onResolve, onCancel }) => {
+    const [choices, setChoices] = useState({});
+    const diffs = conflict ? diffFields(conflict.mine, conflict.theirs) : [];
+
+    useEffect(() => {
+        setChoices({});
+    }, [conflict]);
+
+    if (!conflict) return null;
+
+    const { sheetName, mine, theirs } = conflict;
+    const chooseAll = (side) => setChoices(Object.fromEntries(diffs.map(d => [d.field, side])));
+
+    return (
+        <Modal
+            isOpen
+            onClose={onCancel}
+            title={`${SHEET_LABELS[sheetName] || sheetName}資料已被他人修改`}
+            onConfirm={() => onResolve(mergeRecords(mine, theirs, choices))}
+            confirmText="儲存合併結果"
+            size="wide"
+        >
+            <div className="space-y-4">
+                <div className="flex gap-3 p-3 rounded-xl bg-amber-50 border border-amber-100 text-sm text-amber-800">
+                    <AlertTriangle size={18} className="flex-shrink-0 mt-0.5" />
+                    <div>
+                        「{theirs.name || theirs.title || theirs.id}」在您編輯期間已由
+                        <span className="font-bold"> {theirs.updatedBy || '其他使用者'} </span>
+                        於 {formatTime(theirs.updatedAt)} 更新（版本 {theirs.revision || 0}）。
+                        請逐欄選擇要保留的內容；取消則放棄您的修改並使用對方版本。
+                    </div>
+                </div>
+
+                <div className="flex justify-end gap-2">
+                    <button onClick={() => chooseAll('mine')} className="text-xs px-3 py-1.5 rounded-lg bg-gray-100 hover:bg-gray-200 text-gray-600">
+                        全部使用我的版本
+                    </button>
+                    <button onClick={() => chooseAll('theirs')} className="text-xs px-3 py-1.5 rounded-lg bg-gray-100 hover:bg-gray-200 text-gray-600">
+                        全部使用對方版本
+                    </button>
+                </div>
+
+                {diffs.length === 0 ? (
+                    <p className="text-sm text-gray-500 text-center py-4">兩個版本內容相同，可直接儲存。</p>
+                ) : (
+                    <div className="space-y-3">
+                        {diffs.map(({ field, mine: mineValue, theirs: theirsValue }) => (
+                            <div key={field}>
+                                <div className="text-xs font-bold text-gray-500 mb-1">{field}</div>
+                                <div className="flex gap-2">
+                                    <ChoiceButton
+                                        label="我的版本"
+                                        value={mineValue}
+                                        selected={choices[field] !== 'theirs'}
+                                        onClick={() => setChoices(prev => ({ ...prev, [field]: 'mine' }))}
+                                    />
+                                    <ChoiceButton
+                                        label={`對方版本（${theirs.updatedBy || '其他使用者'}）`}
+                                        value={theirsValue}
+                                        selected={choices[field] === 'theirs'}
+                                        onClick={() => setChoices(prev => ({ ...prev, [field]: 'theirs' }))}
+                                    />
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+        </Modal>
+    );
+};
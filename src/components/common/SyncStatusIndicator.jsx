@@ -0,0 +1,104 @@
+import React, { useState, useEffect } from 'react';
+import { CloudOff, UploadCloud, AlertTriangle, RefreshCw, Trash2, Loader2 } from 'lucide-react';
+import { subscribeToQueue, replay, retryFailed, discardFailed } from '../../services/syncQueue';
+
+// 佇列項目的顯示名稱
+const OPERATION_LABELS = {
+    syncToSheet: (args) => `同步 ${args[0]}（${args[1]?.length ?? 0} 筆）`,
+    upsertRows: (args) => `更新 ${args[0]}（${args[1]?.length ?? 0} 筆）`,
+    deleteRows: (args) => `刪除 ${args[0]}（${args[1]?.length ?? 0} 筆）`,
+    addToCalendar: (args) => `新增行程「${args[0]?.title || ''}」`,
+    uploadToDrive: (args) => `上傳檔案「${args[0]?.name || ''}」`,
+};
+
+const describeOperation = (op) => (OPERATION_LABELS[op.type] || (() => op.type))(op.args || []);
+
+// 離線佇列狀態指示（顯示待同步 / 失敗數量）
+export const SyncStatusIndicator = () => {
+    const [queue, setQueue] = useState({ pending: 0, failed: 0, isReplaying: false, operations: [] });
+    const [isOpen, setIsOpen] = useState(false);
+    const [isOnline, setIsOnline] = useState(typeof navigator === 'undefined' ? true : navigator.onLine);
+
+    useEffect(() => subscribeToQueue(setQueue), []);
+
+    useEffect(() => {
+        const handleOnline = () => setIsOnline(true);
+        const handleOffline = () => setIsOnline(false);
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+        };
+    }, []);
+
+    // 全部同步完成且在線時不顯示
+    if (isOnline && queue.pending === 0 && queue.failed === 0) return null;
+
+    const Icon = queue.failed > 0 ? AlertTriangle : isOnline ? UploadCloud : CloudOff;
+    const tone = queue.failed > 0
+        ? 'text-red-600 bg-red-50 hover:bg-red-100'
+        : 'text-amber-600 bg-amber-50 hover:bg-amber-100';
+
+    return (
+        <div className="relative">
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                className={`flex items-center gap-1.5 px-3 py-2 rounded-xl text-xs font-medium shadow-soft transition-all ${tone}`}
+                title="離線佇列"
+            >
+                {queue.isReplaying ? <Loader2 size={14} className="animate-spin" /> : <Icon size={14} />}
+                {!isOnline && <span>離線</span>}
+                {queue.pending > 0 && <span>{queue.pending} 筆待同步</span>}
+                {queue.failed > 0 && <span>{queue.failed} 筆失敗</span>}
+            </button>
+
+            {isOpen && (
+                <>
+                    <div className="fixed inset-0 z-40" onClick={() => setIsOpen(false)} />
+                    <div className="absolute right-0 top-full mt-2 w-80 bg-white rounded-xl shadow-lg border border-gray-100 z-50">
+                        <div className="px-4 py-3 border-b border-gray-100">
+                            <p className="text-sm font-medium text-gray-800">離線佇列</p>
+                            <p className="text-xs text-gray-500">
+                                {isOnline ? '恢復連線後會依序自動重送' : '目前離線，變更已保存在此裝置'}
+                            </p>
+                        </div>
+                        <div className="max-h-64 overflow-y-auto custom-scrollbar py-1">
+                            {queue.operations.length > 0 ? queue.operations.map(op => (
+                                <div key={op.id} className="px-4 py-2 text-xs flex items-start gap-2">
+                                    <span className={`mt-1 w-1.5 h-1.5 rounded-full shrink-0 ${op.status === 'failed' ? 'bg-red-500' : 'bg-amber-400'}`} />
+                                    <div className="min-w-0">
+                                        <div className="text-gray-700 truncate">{describeOperation(op)}</div>
+                                        <div className="text-gray-400">
+                                            {new Date(op.createdAt).toLocaleString('zh-TW')}
+                                            {op.lastError && <span className="text-red-400"> · {op.lastError}</span>}
+                                        </div>
+                                    </div>
+                                </div>
+                            )) : (
+                                <div className="px-4 py-6 text-center text-xs text-gray-400">沒有待同步的變更</div>
+                            )}
+                        </div>
+                        <div className="px-4 py-3 border-t border-gray-100 flex gap-2">
+                            <button
+                                onClick={() => (queue.failed > 0 ? retryFailed() : replay())}
+                                disabled={!isOnline || queue.isReplaying}
+                                className="flex-1 flex items-center justify-center gap-1.5 px-3 py-2 text-xs bg-gray-800 text-white rounded-lg hover:bg-gray-700 disabled:opacity-50 transition-colors"
+                            >
+                                <RefreshCw size={12} /> 立即重送
+                            </button>
+                            {queue.failed > 0 && (
+                                <button
+                                    onClick={discardFailed}
+                                    className="flex items-center justify-center gap-1.5 px-3 py-2 text-xs text-red-600 bg-red-50 rounded-lg hover:bg-red-100 transition-colors"
+                                >
+                                    <Trash2 size={12} /> 捨棄失敗項目
+                                </button>
+                            )}
+                        </div>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
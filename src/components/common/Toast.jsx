@@ -34,6 +34,7 @@ export const ToastContainer = ({ toasts, removeToast }) => (
         {toasts.map(toast => {
             const style = toastStyles[toast.type] || toastStyles.info;
             const IconComponent = style.icon;
+            const ActionIcon = toast.action?.icon || ExternalLink;
 
             return (
                 <div
@@ -62,7 +63,7 @@ export const ToastContainer = ({ toasts, removeToast }) => (
                                 className="text-xs text-blue-600 hover:text-blue-700 font-medium mt-2 flex items-center gap-1 hover:underline transition-colors"
                             >
                                 {toast.action.label}
-                                <ExternalLink size={11} />
+                                <ActionIcon size={11} />
                             </button>
                         )}
                     </div>
@@ -0,0 +1,34 @@
+import React from 'react';
+
+const SIZES = {
+    xs: 'w-4 h-4 text-[8px]',
+    sm: 'w-5 h-5 text-[10px]',
+    md: 'w-6 h-6 text-xs',
+};
+
+/**
+ * 建立者的頭像與名稱（資料上的 createdBy，見 services/actor.js）
+ * @param {Object} props
+ * @param {Object} [props.actor] - { uid, name, photoURL }
+ * @param {string} [props.name] - Name for records saved before createdBy existed (e.g. operator)
+ * @param {'xs'|'sm'|'md'} [props.size]
+ * @param {boolean} [props.showName]
+ * @param {string} [props.className]
+ */
+export const UserAvatar = ({ actor, name, size = 'sm', showName = true, className = '' }) => {
+    const displayName = actor?.name || name;
+    if (!displayName) return null;
+
+    return (
+        <span className={`inline-flex items-center gap-1 min-w-0 ${className}`} title={displayName}>
+            {actor?.photoURL ? (
+                <img src={actor.photoURL} alt={displayName} className={`${SIZES[size]} rounded-full object-cover flex-shrink-0`} />
+            ) : (
+                <span className={`${SIZES[size]} rounded-full bg-gray-200 text-gray-600 font-medium flex items-center justify-center flex-shrink-0`}>
+                    {displayName[0]}
+                </span>
+            )}
+            {showName && <span className="truncate">{displayName}</span>}
+        </span>
+    );
+};
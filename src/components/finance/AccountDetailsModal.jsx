@@ -1,5 +1,8 @@
 import React, { useState, useMemo } from 'react';
 import { X, TrendingUp, TrendingDown, Calendar, Filter, Download } from 'lucide-react';
+import { AuditHistoryPanel } from '../common/AuditHistoryPanel';
+import { UserAvatar } from '../common/UserAvatar';
+import { anyMasked, isMasked, maskedText, MASK_TEXT } from '../../services/fieldMasking';
 
 export const AccountDetailsModal = ({ isOpen, onClose, account, allTransactions = [] }) => {
     const [filterType, setFilterType] = useState('all');
@@ -49,6 +52,8 @@ export const AccountDetailsModal = ({ isOpen, onClose, account, allTransactions
 
         return { income, expense, net, count: accountTransactions.length };
     }, [accountTransactions]);
+    const amountsHidden = anyMasked(accountTransactions, 'amount');
+    const money = value => (amountsHidden ? MASK_TEXT : `$${value.toLocaleString()}`);
 
     // Get unique months from transactions
     const availableMonths = useMemo(() => {
@@ -75,7 +80,7 @@ export const AccountDetailsModal = ({ isOpen, onClose, account, allTransactions
                         <div className="flex items-center gap-2 sm:gap-4 mt-2 text-xs sm:text-sm text-gray-500 flex-wrap">
                             <span>{accountBank}</span>
                             <span className="hidden sm:inline">•</span>
-                            <span className="font-mono text-xs">{accountNumber}</span>
+                            <span className="font-mono text-xs">{maskedText(account, 'number', () => accountNumber)}</span>
                         </div>
                     </div>
                     <button onClick={onClose} className="p-2 hover:bg-gray-100 rounded-lg transition-colors flex-shrink-0">
@@ -87,26 +92,26 @@ export const AccountDetailsModal = ({ isOpen, onClose, account, allTransactions
                 <div className="grid grid-cols-2 lg:grid-cols-4 gap-2 sm:gap-4 p-4 sm:p-6 bg-gray-50 flex-shrink-0">
                     <div className="bg-white rounded-xl p-3 sm:p-4 shadow-sm">
                         <div className="text-xs text-gray-500 mb-1">當前餘額</div>
-                        <div className="text-lg sm:text-2xl font-bold text-gray-800">${accountBalance.toLocaleString()}</div>
+                        <div className="text-lg sm:text-2xl font-bold text-gray-800">{maskedText(account, 'balance', () => `$${accountBalance.toLocaleString()}`)}</div>
                     </div>
                     <div className="bg-white rounded-xl p-3 sm:p-4 shadow-sm">
                         <div className="text-xs text-gray-500 mb-1 flex items-center gap-1">
                             <TrendingUp size={12} className="text-green-500" />
                             總收入
                         </div>
-                        <div className="text-lg sm:text-2xl font-bold text-green-600">${stats.income.toLocaleString()}</div>
+                        <div className="text-lg sm:text-2xl font-bold text-green-600">{money(stats.income)}</div>
                     </div>
                     <div className="bg-white rounded-xl p-3 sm:p-4 shadow-sm">
                         <div className="text-xs text-gray-500 mb-1 flex items-center gap-1">
                             <TrendingDown size={12} className="text-red-500" />
                             總支出
                         </div>
-                        <div className="text-lg sm:text-2xl font-bold text-red-600">${stats.expense.toLocaleString()}</div>
+                        <div className="text-lg sm:text-2xl font-bold text-red-600">{money(stats.expense)}</div>
                     </div>
                     <div className="bg-white rounded-xl p-3 sm:p-4 shadow-sm">
                         <div className="text-xs text-gray-500 mb-1">淨額</div>
                         <div className={`text-lg sm:text-2xl font-bold ${stats.net >= 0 ? 'text-green-600' : 'text-red-600'}`}>
-                            ${Math.abs(stats.net).toLocaleString()}
+                            {money(Math.abs(stats.net))}
                         </div>
                     </div>
                 </div>
@@ -201,17 +206,25 @@ export const AccountDetailsModal = ({ isOpen, onClose, account, allTransactions
                                                         <span className="px-2 py-0.5 bg-gray-100 rounded">{tx.category}</span>
                                                     </>
                                                 )}
+                                                {tx.createdBy && (
+                                                    <>
+                                                        <span>•</span>
+                                                        <UserAvatar actor={tx.createdBy} size="xs" />
+                                                    </>
+                                                )}
                                             </div>
                                         </div>
                                     </div>
                                     <div className={`text-lg font-bold font-mono ${tx.type === '收入' ? 'text-green-600' : 'text-red-600'
                                         }`}>
-                                        {tx.type === '收入' ? '+' : '-'} ${tx.amount.toLocaleString()}
+                                        {isMasked(tx, 'amount') ? MASK_TEXT : `${tx.type === '收入' ? '+' : '-'} $${tx.amount.toLocaleString()}`}
                                     </div>
                                 </div>
                             ))}
                         </div>
                     )}
+
+                    <AuditHistoryPanel entity="accounts" entityId={accountId} revision={account?.revision} className="mt-4" />
                 </div>
 
                 {/* Footer */}
@@ -2,6 +2,7 @@
 import React, { useState, useMemo } from 'react';
 import { Modal } from '../common/Modal';
 import { Calendar, FileSpreadsheet, Search, Download, Filter, X } from 'lucide-react';
+import { anyMasked, MASK_TEXT } from '../../services/fieldMasking';
 
 // 日期區間選項
 const DATE_RANGE_OPTIONS = [
@@ -92,6 +93,9 @@ export const FinanceExportModal = ({
         });
         return { income, expense, net: income - expense, count: filteredTransactions.length };
     }, [filteredTransactions]);
+    // 角色看不到金額時，交易資料本身就沒有金額欄位，匯出的報表也不會有
+    const amountsHidden = anyMasked(filteredTransactions, 'amount');
+    const money = value => (amountsHidden ? MASK_TEXT : `$${value.toLocaleString()}`);
 
     // 處理匯出
     const handleExport = async () => {
@@ -176,19 +180,19 @@ export const FinanceExportModal = ({
                         </div>
                         <div>
                             <div className="text-xl font-bold text-green-600">
-                                ${stats.income.toLocaleString()}
+                                {money(stats.income)}
                             </div>
                             <div className="text-xs text-gray-500">總收入</div>
                         </div>
                         <div>
                             <div className="text-xl font-bold text-red-500">
-                                ${stats.expense.toLocaleString()}
+                                {money(stats.expense)}
                             </div>
                             <div className="text-xs text-gray-500">總支出</div>
                         </div>
                         <div>
                             <div className={`text-xl font-bold ${stats.net >= 0 ? 'text-blue-600' : 'text-orange-500'}`}>
-                                ${stats.net.toLocaleString()}
+                                {money(stats.net)}
                             </div>
                             <div className="text-xs text-gray-500">淨額</div>
                         </div>
@@ -200,6 +204,11 @@ export const FinanceExportModal = ({
                     <FileSpreadsheet size={14} className="text-yellow-600" />
                     報表將匯出到 Google Drive「財務報表」資料夾，並按月份自動分類
                 </div>
+                {amountsHidden && (
+                    <div className="text-xs text-gray-500 p-3 bg-gray-50 rounded-lg border border-gray-100">
+                        依您的角色權限，報表不含金額欄位
+                    </div>
+                )}
             </div>
         </Modal>
     );
@@ -1,6 +1,7 @@
 
 import React, { useState } from 'react';
 import { Building2, Percent, Calendar, TrendingDown, ChevronDown, ChevronUp, AlertCircle } from 'lucide-react';
+import { isMasked, maskedText, MASK_TEXT } from '../../services/fieldMasking';
 
 /**
  * 貸款帳戶卡片元件
@@ -59,7 +60,9 @@ export const LoanAccountCard = ({ loan, onEdit, onViewDetails, onRecordPayment }
 
                 <div className="text-right">
                     <div className="font-bold text-gray-800 font-mono">
-                        ${loan.remainingPrincipal?.toLocaleString() || loan.principalAmount?.toLocaleString()}
+                        {isMasked(loan, 'remainingPrincipal') || isMasked(loan, 'principalAmount')
+                            ? MASK_TEXT
+                            : `$${loan.remainingPrincipal?.toLocaleString() || loan.principalAmount?.toLocaleString()}`}
                     </div>
                     <div className="text-xs text-gray-500">剩餘本金</div>
                     <div className="flex justify-end mt-1 text-gray-400">
@@ -88,7 +91,7 @@ export const LoanAccountCard = ({ loan, onEdit, onViewDetails, onRecordPayment }
                         <AlertCircle size={14} />
                         <span>
                             下次還款：{nextPaymentDate.toLocaleDateString('zh-TW')}（{daysUntilPayment} 天後）
-                            <span className="font-bold ml-2">${loan.monthlyPayment?.toLocaleString()}</span>
+                            <span className="font-bold ml-2">{maskedText(loan, 'monthlyPayment', v => `$${v?.toLocaleString()}`)}</span>
                         </span>
                     </div>
                 )}
@@ -100,7 +103,7 @@ export const LoanAccountCard = ({ loan, onEdit, onViewDetails, onRecordPayment }
                     <div className="grid grid-cols-2 sm:grid-cols-4 gap-4 text-sm py-3">
                         <div>
                             <span className="block text-xs text-gray-500 mb-1">貸款金額</span>
-                            <div className="font-bold font-mono">${loan.principalAmount?.toLocaleString()}</div>
+                            <div className="font-bold font-mono">{maskedText(loan, 'principalAmount', v => `$${v?.toLocaleString()}`)}</div>
                         </div>
                         <div>
                             <span className="block text-xs text-gray-500 mb-1">年利率</span>
@@ -111,7 +114,7 @@ export const LoanAccountCard = ({ loan, onEdit, onViewDetails, onRecordPayment }
                         </div>
                         <div>
                             <span className="block text-xs text-gray-500 mb-1">每月還款</span>
-                            <div className="font-bold font-mono text-green-600">${loan.monthlyPayment?.toLocaleString()}</div>
+                            <div className="font-bold font-mono text-green-600">{maskedText(loan, 'monthlyPayment', v => `$${v?.toLocaleString()}`)}</div>
                         </div>
                         <div>
                             <span className="block text-xs text-gray-500 mb-1">還款日</span>
@@ -144,12 +147,14 @@ export const LoanAccountCard = ({ loan, onEdit, onViewDetails, onRecordPayment }
                                 記錄還款
                             </button>
                         )}
-                        <button
-                            onClick={(e) => { e.stopPropagation(); onEdit(loan); }}
-                            className="px-3 py-1.5 text-xs bg-white border border-gray-200 rounded-lg hover:border-blue-300 text-gray-600 transition-colors"
-                        >
-                            編輯
-                        </button>
+                        {onEdit && (
+                            <button
+                                onClick={(e) => { e.stopPropagation(); onEdit(loan); }}
+                                className="px-3 py-1.5 text-xs bg-white border border-gray-200 rounded-lg hover:border-blue-300 text-gray-600 transition-colors"
+                            >
+                                編輯
+                            </button>
+                        )}
                         {onViewDetails && (
                             <button
                                 onClick={(e) => { e.stopPropagation(); onViewDetails(loan); }}
@@ -31,7 +31,6 @@ export const AddInventoryModal = ({ isOpen, onClose, onConfirm, allInventory = [
                 type: type,
                 quantity: parseInt(quantity),
                 date: new Date().toISOString().split('T')[0],
-                operator: 'Alex', // TODO: Get from user session
                 note: note
             };
             onConfirm(inventoryData);
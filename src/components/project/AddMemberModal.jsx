@@ -0,0 +1,89 @@
+import React, { useState, useEffect } from 'react';
+import { Modal } from '../common/Modal';
+import { getAllUsers, USER_STATUS } from '../../services/firebase';
+import { PROJECT_MEMBER_ROLES, buildProjectMember } from '../../services/projectScope';
+
+export const AddMemberModal = ({ isOpen, onClose, onConfirm, members = [] }) => {
+    const [users, setUsers] = useState([]);
+    const [loadError, setLoadError] = useState('');
+    const [selectedUid, setSelectedUid] = useState('');
+    const [role, setRole] = useState(PROJECT_MEMBER_ROLES[1]);
+
+    // 每次開啟時重新讀取使用者名單
+    useEffect(() => {
+        if (!isOpen) return;
+        let cancelled = false;
+        setLoadError('');
+        getAllUsers()
+            .then(result => !cancelled && setUsers(result.filter(u => (u.status || USER_STATUS.active) === USER_STATUS.active)))
+            .catch((error) => {
+                console.error('Failed to load users:', error);
+                if (!cancelled) setLoadError('無法載入使用者名單');
+            });
+        return () => { cancelled = true; };
+    }, [isOpen]);
+
+    const candidates = users.filter(u => !members.some(m => m.uid === u.uid));
+
+    const reset = () => {
+        setSelectedUid('');
+        setRole(PROJECT_MEMBER_ROLES[1]);
+    };
+
+    const handleConfirm = () => {
+        const user = candidates.find(u => u.uid === selectedUid);
+        if (!user) {
+            alert('請選擇成員');
+            return;
+        }
+        onConfirm(buildProjectMember(user, role));
+        reset();
+    };
+
+    return (
+        <Modal
+            isOpen={isOpen}
+            onClose={() => {
+                reset();
+                onClose();
+            }}
+            title="新增專案成員"
+            onConfirm={handleConfirm}
+            confirmText="新增"
+        >
+            <div className="space-y-4">
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">選擇使用者</label>
+                    <select
+                        value={selectedUid}
+                        onChange={e => setSelectedUid(e.target.value)}
+                        className="w-full border border-gray-200 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    >
+                        <option value="">請選擇使用者...</option>
+                        {candidates.map(user => (
+                            <option key={user.uid} value={user.uid}>
+                                {user.displayName || user.email} - {user.email}
+                            </option>
+                        ))}
+                    </select>
+                    {loadError && <p className="text-xs text-red-600 mt-1">{loadError}</p>}
+                </div>
+
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">專案角色</label>
+                    <select
+                        value={role}
+                        onChange={e => setRole(e.target.value)}
+                        className="w-full border border-gray-200 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    >
+                        {PROJECT_MEMBER_ROLES.map(r => <option key={r} value={r}>{r}</option>)}
+                    </select>
+                </div>
+
+                <div className="bg-blue-50 p-3 rounded-lg text-sm text-blue-700">
+                    💡 提示：角色設定為只看參與專案的使用者，加入後才看得到此專案的資料、收支與行程
+                </div>
+            </div>
+        </Modal>
+    );
+};
@@ -2,6 +2,7 @@
 import React, { useState } from 'react';
 import { Calendar as CalendarIcon, Wallet, StickyNote, Plus, Trash2, ArrowUpRight, ArrowDownRight, Briefcase, Users, Activity } from 'lucide-react';
 import { Badge } from '../common/Badge';
+import { anyMasked, MASK_TEXT } from '../../services/fieldMasking';
 
 export const WidgetDailySchedule = ({ events, size }) => {
     const today = new Date().toISOString().split('T')[0];
@@ -77,6 +78,9 @@ export const WidgetOverviewStats = ({ finance, projects, clients, size }) => {
     // Finance Calculation
     const totalBalance = finance?.accounts?.reduce((acc, c) => acc + c.balance, 0) || 0;
     const monthlyIncome = finance?.transactions?.filter(t => t.type === '收入').reduce((acc, c) => acc + c.amount, 0) || 0;
+    // 角色看不到餘額 / 金額時，不顯示彙總數字
+    const balanceHidden = anyMasked(finance?.accounts, 'balance');
+    const incomeHidden = anyMasked(finance?.transactions, 'amount');
 
     // Projects Calculation
     const activeProjects = projects?.filter(p => p.status === '施工中' || p.status === '進行中').length || 0;
@@ -91,8 +95,8 @@ export const WidgetOverviewStats = ({ finance, projects, clients, size }) => {
                 <span className="font-bold text-sm">本月營收</span>
             </div>
             <div>
-                <div className="text-2xl font-bold text-gray-800">${(monthlyIncome / 10000).toFixed(1)}萬</div>
-                <div className="text-xs text-green-600 flex items-center gap-1"><ArrowUpRight size={10} /> 較上月 +5%</div>
+                <div className="text-2xl font-bold text-gray-800">{incomeHidden ? MASK_TEXT : `$${(monthlyIncome / 10000).toFixed(1)}萬`}</div>
+                {!incomeHidden && <div className="text-xs text-green-600 flex items-center gap-1"><ArrowUpRight size={10} /> 較上月 +5%</div>}
             </div>
         </div>
     );
@@ -112,7 +116,7 @@ export const WidgetOverviewStats = ({ finance, projects, clients, size }) => {
                     <div className="p-2 bg-green-100 text-green-600 rounded-lg"><Wallet size={18} /></div>
                     <div>
                         <div className="text-xs text-gray-500">總資產結餘</div>
-                        <div className="text-lg font-bold text-gray-800">${(totalBalance / 10000).toFixed(1)}萬</div>
+                        <div className="text-lg font-bold text-gray-800">{balanceHidden ? MASK_TEXT : `$${(totalBalance / 10000).toFixed(1)}萬`}</div>
                     </div>
                 </div>
             </div>
@@ -2,6 +2,8 @@
 import React, { useState } from 'react';
 import { Wallet, ChevronDown, ChevronUp, Plus, GripVertical } from 'lucide-react';
 import { TrendChart } from './TrendChart'; // Helper needed
+import { anyMasked, isMasked, maskedText, MASK_TEXT } from '../../services/fieldMasking';
+import { UserAvatar } from '../common/UserAvatar';
 
 const AccountCard = ({ account, onEdit, onViewDetails, onDragStart, onDragOver, onDragEnd }) => {
     const [expanded, setExpanded] = useState(false);
@@ -30,7 +32,7 @@ const AccountCard = ({ account, onEdit, onViewDetails, onDragStart, onDragOver,
                 </div>
                 <div className="text-right">
                     <div className={`font-bold font-mono text-sm sm:text-base ${account.balance < 0 ? 'text-red-500' : 'text-gray-800'}`}>
-                        ${account.balance.toLocaleString()}
+                        {maskedText(account, 'balance', v => `$${v.toLocaleString()}`)}
                     </div>
                     <div className="flex justify-end mt-1 text-gray-400">
                         {expanded ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
@@ -48,13 +50,15 @@ const AccountCard = ({ account, onEdit, onViewDetails, onDragStart, onDragOver,
                         </div>
                         <div>
                             <span className="block text-xs text-gray-500 mb-1">帳號</span>
-                            <div className="font-mono text-xs sm:text-sm text-gray-600 tracking-wide">{account.number}</div>
+                            <div className="font-mono text-xs sm:text-sm text-gray-600 tracking-wide">{maskedText(account, 'number', v => v || '-')}</div>
                         </div>
                     </div>
                     <div className="flex justify-end gap-2">
-                        <button onClick={(e) => { e.stopPropagation(); onEdit(account); }} className="px-2 sm:px-3 py-1.5 text-xs bg-white border border-gray-200 rounded-lg hover:border-morandi-blue-300 text-gray-600 transition-colors">
-                            編輯帳戶
-                        </button>
+                        {onEdit && (
+                            <button onClick={(e) => { e.stopPropagation(); onEdit(account); }} className="px-2 sm:px-3 py-1.5 text-xs bg-white border border-gray-200 rounded-lg hover:border-morandi-blue-300 text-gray-600 transition-colors">
+                                編輯帳戶
+                            </button>
+                        )}
                         <button onClick={(e) => { e.stopPropagation(); onViewDetails(account); }} className="px-2 sm:px-3 py-1.5 text-xs bg-morandi-text-accent text-white rounded-lg hover:bg-gray-800 transition-colors">
                             查看明細
                         </button>
@@ -73,7 +77,7 @@ export const WidgetFinanceAccounts = ({ data, size, onEdit, onViewDetails, ...dr
         <div className="h-full flex flex-col justify-between p-2">
             <Wallet size={24} className="text-morandi-blue-500" />
             <div>
-                <div className="text-2xl font-bold text-gray-800">${total.toLocaleString()}</div>
+                <div className="text-2xl font-bold text-gray-800">{anyMasked(accounts, 'balance') ? MASK_TEXT : `$${total.toLocaleString()}`}</div>
                 <div className="text-xs text-gray-500">總資產</div>
             </div>
         </div>
@@ -124,17 +128,20 @@ export const WidgetFinanceTransactions = ({ data, size, onAddTx }) => {
         <div className="h-full flex flex-col">
             <div className="flex justify-between items-center mb-3">
                 <h4 className="font-bold text-gray-700 text-xs">近期紀錄</h4>
-                <button onClick={onAddTx} className="p-1 hover:bg-gray-100 rounded text-morandi-blue-600"><Plus size={16} /></button>
+                {onAddTx && <button onClick={onAddTx} className="p-1 hover:bg-gray-100 rounded text-morandi-blue-600"><Plus size={16} /></button>}
             </div>
             <div className="flex-1 overflow-y-auto space-y-2">
                 {data.map(t => (
                     <div key={t.id} className="flex justify-between items-center text-sm p-2 hover:bg-gray-50 rounded-lg transition-colors">
                         <div>
                             <div className="font-medium text-gray-800">{t.desc}</div>
-                            <div className="text-[10px] text-gray-400">{t.date}</div>
+                            <div className="text-[10px] text-gray-400 flex items-center gap-1">
+                                {t.date}
+                                <UserAvatar actor={t.createdBy} size="xs" />
+                            </div>
                         </div>
                         <div className={`font-mono font-bold ${t.type === '收入' ? 'text-morandi-green-600' : 'text-red-500'}`}>
-                            {t.type === '收入' ? '+' : '-'} {t.amount}
+                            {isMasked(t, 'amount') ? MASK_TEXT : `${t.type === '收入' ? '+' : '-'} ${t.amount}`}
                         </div>
                     </div>
                 ))}
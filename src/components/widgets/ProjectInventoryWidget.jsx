@@ -1,5 +1,6 @@
 import React from 'react';
 import { Plus, Package, TrendingDown, TrendingUp, Clock } from 'lucide-react';
+import { UserAvatar } from '../common/UserAvatar';
 
 export const WidgetProjectInventory = ({ inventory = [], size, onAddRecord }) => {
     const getTypeIcon = (type) => {
@@ -78,8 +79,8 @@ export const WidgetProjectInventory = ({ inventory = [], size, onAddRecord }) =>
                                                 <div className="text-xs text-gray-500 mt-1">{item.note}</div>
                                             )}
 
-                                            <div className="text-xs text-gray-400 mt-1">
-                                                操作人：{item.operator}
+                                            <div className="text-xs text-gray-400 mt-1 flex items-center gap-1">
+                                                操作人：<UserAvatar actor={item.createdBy} name={item.operator} size="xs" />
                                             </div>
                                         </div>
                                     ))}
@@ -0,0 +1,78 @@
+import React from 'react';
+import { Plus, X, UserCircle } from 'lucide-react';
+import { PROJECT_MEMBER_ROLES } from '../../services/projectScope';
+
+/**
+ * 專案成員：成員只看得到自己參與的專案（見 services/projectScope.js）
+ * @param {Object} props
+ * @param {Array} props.members - projects.members
+ * @param {Function} [props.onAddMember] - Omitted when the user cannot manage members
+ * @param {Function} [props.onRemoveMember] - (uid)
+ * @param {Function} [props.onChangeRole] - (uid, role)
+ */
+export const WidgetProjectMembers = ({ members = [], onAddMember, onRemoveMember, onChangeRole }) => (
+    <div className="flex flex-col h-full">
+        <div className="flex justify-between items-center mb-3">
+            <div className="flex items-center gap-2">
+                <UserCircle size={16} className="text-gray-600" />
+                <h4 className="text-xs font-bold text-gray-600">專案成員</h4>
+            </div>
+            {onAddMember && (
+                <button
+                    onClick={onAddMember}
+                    className="text-morandi-blue-600 hover:bg-morandi-blue-50 p-1.5 rounded-lg transition-colors"
+                    title="新增成員"
+                >
+                    <Plus size={14} />
+                </button>
+            )}
+        </div>
+
+        <div className="flex-1 overflow-y-auto space-y-2 pr-1 custom-scrollbar">
+            {members.length === 0 ? (
+                <div className="text-center py-8 text-gray-400 text-xs">
+                    <UserCircle size={32} className="mx-auto mb-2 opacity-30" />
+                    <p>尚未指派成員</p>
+                </div>
+            ) : (
+                members.map(member => (
+                    <div
+                        key={member.uid}
+                        className="bg-gray-50 p-3 rounded-xl border border-gray-100 hover:border-morandi-blue-200 transition-all group flex items-center gap-3"
+                    >
+                        {member.photoURL ? (
+                            <img src={member.photoURL} alt={member.name} className="w-8 h-8 rounded-full object-cover flex-shrink-0" />
+                        ) : (
+                            <div className="w-8 h-8 rounded-full bg-gray-200 flex items-center justify-center text-xs font-medium text-gray-600 flex-shrink-0">
+                                {member.name?.[0] || '?'}
+                            </div>
+                        )}
+                        <div className="flex-1 min-w-0">
+                            <div className="font-bold text-sm text-gray-800 truncate">{member.name}</div>
+                            {onChangeRole ? (
+                                <select
+                                    value={member.role}
+                                    onChange={e => onChangeRole(member.uid, e.target.value)}
+                                    className="text-xs text-gray-500 bg-transparent border-0 p-0 focus:ring-0 cursor-pointer"
+                                >
+                                    {PROJECT_MEMBER_ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                                </select>
+                            ) : (
+                                <div className="text-xs text-gray-500">{member.role}</div>
+                            )}
+                        </div>
+                        {onRemoveMember && (
+                            <button
+                                onClick={() => onRemoveMember(member.uid)}
+                                className="opacity-0 group-hover:opacity-100 p-1 hover:bg-red-50 rounded transition-all"
+                                title="移除成員"
+                            >
+                                <X size={12} className="text-red-500" />
+                            </button>
+                        )}
+                    </div>
+                ))
+            )}
+        </div>
+    </div>
+);
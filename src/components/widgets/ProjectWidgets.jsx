@@ -2,6 +2,7 @@
 import React from 'react';
 import { Briefcase, Plus, FileText, Image as ImageIcon, Upload, Edit2, ChevronLeft } from 'lucide-react';
 import { ProgressBar } from '../common/Indicators';
+import { isMasked, maskedText } from '../../services/fieldMasking';
 
 // --- MAIN PROJECT LIST WIDGETS ---
 export const WidgetProjectStats = ({ data, size }) => {
@@ -33,13 +34,13 @@ export const WidgetProjectStats = ({ data, size }) => {
 
 export const WidgetProjectList = ({ data, size, onSelectProject, onAdd }) => {
     if (!Array.isArray(data)) return null;
-    if (size === 'S') return <div className="h-full flex flex-col justify-center items-center gap-2"><div className="w-12 h-12 rounded-full bg-gray-100 text-gray-600 flex items-center justify-center cursor-pointer hover:bg-gray-200 transition-colors" onClick={onAdd}><Plus size={24} /></div><button className="text-xs font-bold text-gray-600 hover:text-morandi-blue-600" onClick={onAdd}>新增專案</button></div>;
+    if (size === 'S' && onAdd) return <div className="h-full flex flex-col justify-center items-center gap-2"><div className="w-12 h-12 rounded-full bg-gray-100 text-gray-600 flex items-center justify-center cursor-pointer hover:bg-gray-200 transition-colors" onClick={onAdd}><Plus size={24} /></div><button className="text-xs font-bold text-gray-600 hover:text-morandi-blue-600" onClick={onAdd}>新增專案</button></div>;
 
     return (
         <div className="flex flex-col h-full">
             <div className="flex justify-between mb-4 gap-2">
                 <span className="font-bold text-gray-500 text-xs">最近更新 ({data.length})</span>
-                {size === 'L' && <button onClick={onAdd} className="bg-morandi-text-accent text-white px-2 py-1 text-xs rounded-lg flex items-center gap-1 hover:bg-gray-700 transition-colors"><Plus size={12} /> 新增</button>}
+                {size === 'L' && onAdd && <button onClick={onAdd} className="bg-morandi-text-accent text-white px-2 py-1 text-xs rounded-lg flex items-center gap-1 hover:bg-gray-700 transition-colors"><Plus size={12} /> 新增</button>}
             </div>
             <div className={`overflow-y-auto pr-1 pb-2 custom-scrollbar ${size === 'L' ? 'grid grid-cols-2 gap-3' : 'space-y-3'}`}>
                 {data.map(p => (
@@ -64,6 +65,9 @@ export const WidgetProjectInfo = ({ project, size }) => (
         <div className="grid grid-cols-2 gap-4">
             <div className="bg-gray-50 p-3 rounded-xl"><span className="text-xs text-gray-500 block mb-1">業主</span><span className="font-bold text-gray-800">{project.clientName}</span></div>
             <div className="bg-gray-50 p-3 rounded-xl"><span className="text-xs text-gray-500 block mb-1">類型</span><span className="font-bold text-gray-800">{project.type}</span></div>
+            {(project.budget || isMasked(project, 'budget')) && (
+                <div className="bg-gray-50 p-3 rounded-xl col-span-2"><span className="text-xs text-gray-500 block mb-1">預算</span><span className="font-bold text-gray-800 font-mono">{maskedText(project, 'budget', v => `$${Number(v).toLocaleString()}`)}</span></div>
+            )}
         </div>
         <div>
             <div className="flex justify-between text-xs text-gray-500 mb-1"><span>專案進度</span><span>{project.progress}%</span></div>
@@ -5,11 +5,18 @@ import {
     signInWithGoogle,
     signOut,
     initializeDefaultRoles,
+    getUserWithRole,
+    auth,
+    USER_STATUS,
 } from '../services/firebase';
+import { clearEntityCache } from '../services/entityCache';
+import { publishToTabs, subscribeToTabs } from '../services/tabSync';
 
 // Create Auth Context
 const AuthContext = createContext(null);
 
+const NO_HIDDEN_FIELDS = {};
+
 // Auth Provider Component
 export const AuthProvider = ({ children }) => {
     const [user, setUser] = useState(null);
@@ -29,6 +36,17 @@ export const AuthProvider = ({ children }) => {
         return () => unsubscribe();
     }, []);
 
+    // 其他分頁登入 / 登出時同步狀態（重新讀取角色與可用頁面）
+    useEffect(() => subscribeToTabs('auth', async ({ type }) => {
+        if (type === 'signed-out') {
+            setUser(null);
+            return;
+        }
+        if (type === 'signed-in' && auth.currentUser) {
+            setUser(await getUserWithRole(auth.currentUser.uid));
+        }
+    }), []);
+
     // Handle Google sign in
     const handleSignInWithGoogle = async () => {
         try {
@@ -36,6 +54,7 @@ export const AuthProvider = ({ children }) => {
             setLoading(true);
             const userData = await signInWithGoogle();
             setUser(userData);
+            publishToTabs('auth', { type: 'signed-in' });
         } catch (err) {
             console.error('Sign in error:', err);
             setError(err.message || '登入失敗，請稍後再試');
@@ -49,7 +68,10 @@ export const AuthProvider = ({ children }) => {
         try {
             setLoading(true);
             await signOut();
+            // 本機快取的業務資料不留給下一位使用者
+            await clearEntityCache();
             setUser(null);
+            publishToTabs('auth', { type: 'signed-out' });
         } catch (err) {
             console.error('Sign out error:', err);
             setError(err.message || '登出失敗');
@@ -61,21 +83,37 @@ export const AuthProvider = ({ children }) => {
     // Check if user can access a page
     const canAccessPage = (pageId) => {
         if (!user) return false;
+        // 最高管理員一律可以管理使用者；其他角色需在角色設定中開放使用者管理頁
+        if (pageId === 'user-management' && user.role === 'super_admin') return true;
         return user.allowedPages?.includes(pageId) || false;
     };
 
+    // Check if user can perform an action ('read' | 'create' | 'update' | 'delete' | 'export') on a resource (e.g. 'accounts')
+    const can = (action, resource) => {
+        if (!user) return false;
+        if (user.role === 'super_admin') return true;
+        return user.permissions?.[resource]?.includes(action) || false;
+    };
+
     // Context value
     const value = {
         user,
         loading,
         error,
-        isAuthenticated: !!user,
+        // 待審核或未通過的帳號已登入 Google，但還不能使用系統
+        isAuthenticated: user?.status === USER_STATUS.active,
+        isPending: user?.status === USER_STATUS.pending,
         role: user?.role || null,
         allowedPages: user?.allowedPages || [],
         roleLevel: user?.roleLevel || 0,
+        // Fields the role may not see ({ [resource]: field[] }), masked by the data store
+        hiddenFields: user?.hiddenFields || NO_HIDDEN_FIELDS,
+        // false: only projects the user is a member of are shown (services/projectScope.js)
+        canViewAllProjects: user?.role === 'super_admin' || !!user?.allProjects,
         signInWithGoogle: handleSignInWithGoogle,
         signOut: handleSignOut,
         canAccessPage,
+        can,
         clearError: () => setError(null),
     };
 
@@ -0,0 +1,117 @@
+// Conflict Resolution Context Provider
+// 所有共用資料的寫入都經由 saveRows：加上版本戳記，遇到版本衝突時開啟合併視窗
+import React, { createContext, useContext, useState, useRef } from 'react';
+import { useAuth } from './AuthContext';
+import { MergeConflictModal } from '../components/common/MergeConflictModal';
+import { GoogleService } from '../services/GoogleService';
+import { stampRecord, unstampRecord } from '../services/versioning';
+import { normalizeRecord } from '../services/schema';
+
+const ConflictContext = createContext(null);
+
+export const ConflictProvider = ({ children }) => {
+    const { user } = useAuth();
+    const [conflict, setConflict] = useState(null);
+    const resolverRef = useRef(null);
+    // 同時只顯示一個合併視窗，其餘依序等待
+    const queueRef = useRef(Promise.resolve());
+
+    // 開啟合併視窗，resolve 合併後的資料；取消時 resolve null
+    const requestMerge = (sheetName, mine, theirs) => {
+        const next = queueRef.current.then(() => new Promise((resolve) => {
+            resolverRef.current = resolve;
+            setConflict({ sheetName, mine, theirs });
+        }));
+        queueRef.current = next.catch(() => { });
+        return next;
+    };
+
+    const closeWith = (value) => {
+        const resolve = resolverRef.current;
+        resolverRef.current = null;
+        setConflict(null);
+        resolve?.(value);
+    };
+
+    /**
+     * Resolve one conflicting row through the merge dialog
+     * @param {string} sheetName
+     * @param {Object} row - Stamped row that was rejected
+     * @param {Object} rowResult - Backend result of the row ({ conflict, current })
+     * @returns {Promise<{ retry?: Object, current?: Object }>} retry: merged row stamped for writing;
+     *          current: the stored version, kept when the local change is discarded
+     */
+    const resolveConflict = async (sheetName, row, rowResult) => {
+        // 後端回傳的是原始列，先升級到目前的 schema 再比對
+        const current = normalizeRecord(sheetName, rowResult.current);
+        const merged = await requestMerge(sheetName, unstampRecord(row), current);
+        return merged ? { retry: stampRecord(merged, user) } : { current };
+    };
+
+    /**
+     * Write rows with version stamps, resolving conflicts through the merge dialog
+     * @param {string} sheetName - Sheet name
+     * @param {Array} rows - Rows as edited locally
+     * @returns {Promise<{ success: boolean, rows: Array, queued?: boolean, error?: string }>}
+     *          rows are the versions now stored; put them back into page state
+     */
+    const saveRows = async (sheetName, rows) => {
+        let pending = rows.map(row => stampRecord(row, user));
+        const saved = [];
+        const errors = [];
+
+        while (pending.length > 0) {
+            const result = await GoogleService.upsertRows(sheetName, pending);
+
+            if (result.queued) {
+                return { success: true, queued: true, rows: [...saved, ...pending.map(unstampRecord)] };
+            }
+
+            const resultsById = new Map((result.results || []).map(r => [r.id, r]));
+            const retry = [];
+
+            for (const row of pending) {
+                const rowResult = resultsById.get(row.id);
+
+                if (rowResult?.conflict) {
+                    const resolved = await resolveConflict(sheetName, row, rowResult);
+                    // 放棄本機修改時改用後端目前的版本
+                    if (resolved.retry) retry.push(resolved.retry);
+                    else saved.push(resolved.current);
+                } else if (rowResult?.ok || (result.success && !rowResult)) {
+                    saved.push(unstampRecord(row));
+                } else {
+                    errors.push(rowResult?.error || result.error);
+                }
+            }
+
+            pending = retry;
+        }
+
+        return errors.length > 0
+            ? { success: false, rows: saved, error: errors.join('; ') }
+            : { success: true, rows: saved };
+    };
+
+    return (
+        <ConflictContext.Provider value={{ saveRows, resolveConflict }}>
+            {children}
+            <MergeConflictModal
+                conflict={conflict}
+                onResolve={(merged) => closeWith(merged)}
+                onCancel={() => closeWith(null)}
+            />
+        </ConflictContext.Provider>
+    );
+};
+
+// Custom hook to use Conflict Context
+export const useConflictResolver = () => {
+    const context = useContext(ConflictContext);
+    if (!context) {
+        throw new Error('useConflictResolver must be used within a ConflictProvider');
+    }
+    return context;
+};
+
+export default ConflictContext;
@@ -0,0 +1,533 @@
+// Data Store Context Provider
+// 所有頁面共用同一份資料：頁面以 selector 讀取，透過 actions 寫入；
+// actions 負責樂觀更新、同步到儲存後端（saveRows / deleteRows）以及跨資料表的連動。
+import React, { createContext, useContext, useReducer, useRef, useMemo, useEffect, useState, useCallback } from 'react';
+import { Undo2 } from 'lucide-react';
+import { useAuth } from './AuthContext';
+import { useConflictResolver } from './ConflictContext';
+import { GoogleService } from '../services/GoogleService';
+import { readCachedEntity, writeCachedEntity } from '../services/entityCache';
+import { publishToTabs, subscribeToTabs } from '../services/tabSync';
+import { subscribeToQueue, setConflictHandler } from '../services/syncQueue';
+import { unstampRecord } from '../services/versioning';
+import { buildAuditEvent, recordAuditEvents, auditEntityLabel } from '../services/auditLog';
+import { PERMISSION_RESOURCES, PERMISSION_ACTION_LABELS } from '../services/firebase';
+import { maskState, unmaskRecord } from '../services/fieldMasking';
+import { scopeState } from '../services/projectScope';
+import { toActor } from '../services/actor';
+import {
+    dataReducer, initialDataState, calculateStockStatus, transactionBalanceDelta, mergePendingRows, SYNCED_ENTITIES,
+    selectAccounts, selectInventory, selectProjects, selectEntity, selectSyncStatus
+} from '../services/dataStore';
+
+const DataStoreContext = createContext(null);
+
+// 可復原的時間範圍與堆疊上限
+const UNDO_WINDOW = 10 * 60 * 1000;
+const MAX_UNDO_ENTRIES = 20;
+
+export const DataStoreProvider = ({ children }) => {
+    const { user, can, hiddenFields, canViewAllProjects } = useAuth();
+    const { saveRows, resolveConflict } = useConflictResolver();
+    const [state, dispatch] = useReducer(dataReducer, initialDataState);
+
+    // actions 在非同步流程中需要讀到最新的 state 與 saveRows
+    const stateRef = useRef(state);
+    stateRef.current = state;
+    const saveRowsRef = useRef(saveRows);
+    saveRowsRef.current = saveRows;
+    const resolveConflictRef = useRef(resolveConflict);
+    resolveConflictRef.current = resolveConflict;
+    const userRef = useRef(user);
+    userRef.current = user;
+    const canRef = useRef(can);
+    canRef.current = can;
+
+    // 復原 / 重做堆疊（只存在本分頁）：{ id, label, entity, changes: [[before, after]], createdAt }
+    const [history, setHistory] = useState({ undo: [], redo: [] });
+    const historyRef = useRef(history);
+    historyRef.current = history;
+
+    // 已從後端同步過的資料表有任何變更（載入、儲存、還原）都寫回快取
+    const cachedRowsRef = useRef({});
+    useEffect(() => {
+        SYNCED_ENTITIES.forEach((entity) => {
+            const { lastSyncedAt } = selectSyncStatus(entity)(state);
+            const rows = selectEntity(entity)(state);
+            if (!lastSyncedAt || cachedRowsRef.current[entity] === rows) return;
+            cachedRowsRef.current[entity] = rows;
+            writeCachedEntity(entity, rows, lastSyncedAt);
+        });
+    }, [state]);
+
+    // 其他分頁的資料變更直接套用（不再轉送）
+    useEffect(() => subscribeToTabs('store', action => dispatch(action)), []);
+
+    // 尚未送到後端的寫入：本分頁正在儲存 / 刪除的列（entity → Map(id → 進行中的次數)）與離線佇列中的操作
+    const inflightRef = useRef({});
+    const outboxRef = useRef([]);
+    useEffect(() => subscribeToQueue((status) => {
+        outboxRef.current = status.operations;
+    }), []);
+
+    // 離線佇列重送時的版本衝突（只有 upsertRows 會回傳）：與直接儲存相同，逐筆開啟合併視窗，
+    // 畫面改為合併後或後端目前的版本；回傳仍要寫入的列
+    useEffect(() => setConflictHandler(async (op, result) => {
+        const [sheetName, rows] = op.args;
+        const resultsById = new Map(result.results.map(r => [r.id, r]));
+        const retry = [];
+        const resolvedRows = [];
+        for (const row of rows) {
+            const rowResult = resultsById.get(row.id);
+            if (rowResult?.conflict) {
+                const resolved = await resolveConflictRef.current(sheetName, row, rowResult);
+                if (resolved.retry) retry.push(resolved.retry);
+                resolvedRows.push(resolved.retry ? unstampRecord(resolved.retry) : resolved.current);
+            } else if (!rowResult?.ok) {
+                retry.push(row);
+            }
+        }
+        if (resolvedRows.length > 0) {
+            const action = { type: 'upsert', entity: sheetName, rows: resolvedRows };
+            dispatch(action);
+            publishToTabs('store', action);
+        }
+        return retry.length > 0 ? [sheetName, retry] : null;
+    }), []);
+
+    const actions = useMemo(() => {
+        // 使用者造成的變更（儲存、刪除、還原）透過 BroadcastChannel 同時通知其他分頁（載入與載入狀態各分頁自行處理）
+        const dispatchShared = (action) => {
+            dispatch(action);
+            publishToTabs('store', action);
+        };
+
+        const rowsById = entity => new Map(selectEntity(entity)(stateRef.current).map(row => [row.id, row]));
+
+        const trackInflight = (entity, ids, delta) => {
+            const counts = inflightRef.current[entity] || (inflightRef.current[entity] = new Map());
+            ids.forEach((id) => {
+                const count = (counts.get(id) || 0) + delta;
+                if (count > 0) counts.set(id, count);
+                else counts.delete(id);
+            });
+        };
+
+        const pendingIds = (entity) => {
+            const ids = new Set(inflightRef.current[entity]?.keys());
+            outboxRef.current
+                .filter(op => op.args?.[0] === entity)
+                .forEach((op) => {
+                    if (op.type === 'upsertRows') op.args[1].forEach(row => ids.add(row.id));
+                    if (op.type === 'deleteRows') op.args[1].forEach(id => ids.add(id));
+                });
+            return ids;
+        };
+
+        // 後端資料取代本機資料時保留尚未送出的變更，避免樂觀更新與離線修改被蓋掉
+        const hydrateFromServer = (entity, rows) => {
+            const merged = mergePendingRows(rows, selectEntity(entity)(stateRef.current), pendingIds(entity));
+            dispatch({ type: 'hydrate', entities: { [entity]: merged } });
+        };
+
+        // 記錄操作紀錄：changes 為 [before, after]，新增時 before 為 null、刪除時 after 為 null
+        // 放入離線佇列的變更標記為待同步，後端尚未收到
+        const audit = (entity, changes, pending = false) => {
+            const events = changes
+                .map(([before, after]) => buildAuditEvent({ entity, before, after, actor: userRef.current, pending }))
+                .filter(Boolean);
+            if (events.length > 0) recordAuditEvents(events);
+        };
+
+        /**
+         * Save records optimistically, then write back the stored versions (new revisions)
+         * Records come from the masked state: hidden fields keep their stored values (fieldMasking.unmaskRecord).
+         * Stored rows are recorded in the audit log (services/auditLog.js); queued rows are marked pending.
+         * Rows the backend rejected (not queued) go back to their previous version.
+         * @param {string} entity - Entity / sheet name
+         * @param {Array} maskedRecords
+         * @param {{ prepend?: boolean }} [options] - Put new records first (e.g. transactions)
+         * @returns {Promise<{ success: boolean, rows: Array, changes: Array, queued?: boolean, error?: string }>}
+         *   changes: [before, after] of every stored row (for the undo stack)
+         */
+        const writeRecords = async (entity, maskedRecords, { prepend = false } = {}) => {
+            const before = rowsById(entity);
+            const records = maskedRecords.map(record => unmaskRecord(record, before.get(record.id)));
+            const ids = records.map(record => record.id);
+            dispatchShared({ type: 'upsert', entity, rows: records, prepend });
+            trackInflight(entity, ids, 1);
+            const result = await saveRowsRef.current(entity, records).finally(() => trackInflight(entity, ids, -1));
+            if (result.rows?.length > 0) {
+                dispatchShared({ type: 'upsert', entity, rows: result.rows });
+                audit(entity, result.rows.map(row => [before.get(row.id) || null, row]), result.queued);
+            }
+            if (!result.success && !result.queued) {
+                const savedIds = new Set((result.rows || []).map(row => row.id));
+                const rejected = records.filter(record => !savedIds.has(record.id));
+                const restored = rejected.map(record => before.get(record.id)).filter(Boolean);
+                const added = rejected.filter(record => !before.has(record.id)).map(record => record.id);
+                if (restored.length > 0) dispatchShared({ type: 'upsert', entity, rows: restored });
+                if (added.length > 0) dispatchShared({ type: 'remove', entity, ids: added });
+            }
+            return { ...result, changes: (result.rows || []).map(row => [before.get(row.id) || null, row]) };
+        };
+
+        // 刪除失敗（未放入離線佇列）時放回沒有刪除成功的列
+        const deleteRecords = async (entity, ids) => {
+            const before = rowsById(entity);
+            dispatchShared({ type: 'remove', entity, ids });
+            trackInflight(entity, ids, 1);
+            const result = await GoogleService.deleteRows(entity, ids).finally(() => trackInflight(entity, ids, -1));
+            const deletedIds = result.success || result.queued
+                ? new Set(ids)
+                : new Set((result.results || []).filter(r => r.ok).map(r => r.id));
+            const restored = ids.filter(id => before.has(id) && !deletedIds.has(id)).map(id => before.get(id));
+            if (restored.length > 0) dispatchShared({ type: 'upsert', entity, rows: restored });
+
+            const changes = ids.filter(id => before.has(id) && deletedIds.has(id)).map(id => [before.get(id), null]);
+            audit(entity, changes, result.queued);
+            return { ...result, changes };
+        };
+
+        // 權限檢查（AuthContext 的 can）：只限制角色權限中列出的資料表（其餘如庫存異動紀錄隨主要操作一起寫入）
+        // 沒有權限時不寫入，回傳與 saveRows 相同形狀的錯誤
+        const denied = (entity, action) => {
+            if (!PERMISSION_RESOURCES[entity] || canRef.current(action, entity)) return null;
+            return { success: false, rows: [], error: `沒有${auditEntityLabel(entity)}的${PERMISSION_ACTION_LABELS[action]}權限` };
+        };
+
+        const deniedSave = (entity, records) => {
+            const existing = rowsById(entity);
+            const creates = records.some(record => !existing.has(record.id));
+            const updates = records.some(record => existing.has(record.id));
+            return (creates && denied(entity, 'create')) || (updates && denied(entity, 'update')) || null;
+        };
+
+        // 刪除與批次儲存放入復原堆疊：復原 / 重做時把資料寫回當時的版本，並同步到儲存後端
+        const pushUndo = (label, entity, changes) => {
+            if (changes.length === 0) return;
+            const entry = { id: `${Date.now()}-${Math.random().toString(36).slice(2, 6)}`, label, entity, changes, createdAt: Date.now() };
+            setHistory(prev => ({ undo: [...prev.undo, entry].slice(-MAX_UNDO_ENTRIES), redo: [] }));
+        };
+
+        /**
+         * Save records (optimistic, then stored versions are written back)
+         * @param {string} entity - Entity / sheet name
+         * @param {Array} records
+         * @param {{ prepend?: boolean, undoLabel?: string }} [options] - prepend: put new records first (e.g. transactions);
+         *   undoLabel: add the save to the undo stack (bulk edits)
+         * @returns {Promise<{ success: boolean, rows: Array, queued?: boolean, error?: string }>}
+         */
+        const saveRecords = async (entity, records, options = {}) => {
+            const rejected = deniedSave(entity, records);
+            if (rejected) return rejected;
+            const { changes, ...result } = await writeRecords(entity, records, options);
+            if (options.undoLabel && result.success) pushUndo(options.undoLabel, entity, changes);
+            return result;
+        };
+
+        // 刪除一律可復原（undoLabel 為顯示在復原提示的說明）
+        const removeRecords = async (entity, ids, { undoLabel = '刪除資料' } = {}) => {
+            const rejected = denied(entity, 'delete');
+            if (rejected) return rejected;
+            const { changes, ...result } = await deleteRecords(entity, ids);
+            if (result.success) pushUndo(undoLabel, entity, changes);
+            return result;
+        };
+
+        // 把資料寫回某一邊的版本：target 為 0 時回到變更前（復原），1 時回到變更後（重做）
+        // 以另一邊（本分頁上次寫入）的 revision 為基準：期間有其他人修改時照常進入合併視窗
+        // 與 saveRecords / removeRecords 相同的權限檢查；回傳的 changes 帶有寫入後的版本，供下一次重做 / 復原使用
+        const applyChanges = async (entity, changes, target) => {
+            const current = rowsById(entity);
+            const upserts = changes
+                .filter(pair => pair[target])
+                .map(pair => ({ ...pair[target], revision: pair[1 - target]?.revision ?? pair[target].revision }));
+            const deletes = changes
+                .filter(pair => !pair[target])
+                .map(pair => pair[1 - target].id)
+                .filter(id => current.has(id));
+
+            const rejected = (upserts.length > 0 && deniedSave(entity, upserts)) ||
+                (deletes.length > 0 && denied(entity, 'delete'));
+            if (rejected) return rejected;
+
+            const [saved, removed] = await Promise.all([
+                upserts.length > 0 && writeRecords(entity, upserts),
+                deletes.length > 0 && deleteRecords(entity, deletes),
+            ]);
+            const failed = [saved, removed].filter(r => r && !r.success);
+            if (failed.length > 0) return { success: false, error: failed.map(r => r.error).join('; ') };
+
+            const stored = new Map((saved?.changes || []).map(([, row]) => [row.id, row]));
+            const nextChanges = changes.map((pair) => {
+                if (!pair[target] || !stored.has(pair[target].id)) return pair;
+                const next = [...pair];
+                next[target] = stored.get(pair[target].id);
+                return next;
+            });
+            return { success: true, changes: nextChanges };
+        };
+
+        /**
+         * Undo the most recent operation still inside the undo window
+         * @returns {Promise<{ success: boolean, label: string, error?: string }|null>} null when there is nothing to undo
+         */
+        const undo = async () => {
+            const entry = historyRef.current.undo.filter(e => Date.now() - e.createdAt <= UNDO_WINDOW).pop();
+            if (!entry) return null;
+
+            setHistory(prev => ({ undo: prev.undo.filter(e => e.id !== entry.id), redo: prev.redo }));
+            const { changes, ...result } = await applyChanges(entry.entity, entry.changes, 0);
+            if (result.success) {
+                setHistory(prev => ({ undo: prev.undo, redo: [...prev.redo, { ...entry, changes }] }));
+            }
+            return { ...result, label: entry.label };
+        };
+
+        /**
+         * Redo the most recently undone operation
+         * @returns {Promise<{ success: boolean, label: string, error?: string }|null>}
+         */
+        const redo = async () => {
+            const entry = historyRef.current.redo[historyRef.current.redo.length - 1];
+            if (!entry) return null;
+
+            setHistory(prev => ({ undo: prev.undo, redo: prev.redo.filter(e => e.id !== entry.id) }));
+            const { changes, ...result } = await applyChanges(entry.entity, entry.changes, 1);
+            if (result.success) {
+                // 重做後可再次復原，時間範圍重新計算
+                setHistory(prev => ({ undo: [...prev.undo, { ...entry, changes, createdAt: Date.now() }], redo: prev.redo }));
+            }
+            return { ...result, label: entry.label };
+        };
+
+        /**
+         * Load an entity: show the cached rows first (if nothing is loaded yet), then refresh from the backend
+         * @param {string} entity
+         * @param {{ signal?: AbortSignal }} [options]
+         * @returns {Promise<Object>} Result of GoogleService.loadFromSheet
+         */
+        const loadEntity = async (entity, { signal } = {}) => {
+            const setStatus = status => dispatch({ type: 'syncStatus', entity, ...status });
+
+            if (selectSyncStatus(entity)(stateRef.current).lastSyncedAt) {
+                setStatus({ status: 'refreshing' });
+            } else {
+                setStatus({ status: 'loading' });
+                const cached = await readCachedEntity(entity);
+                if (signal?.aborted) return { success: false, aborted: true, data: [], rejected: [] };
+                if (cached) {
+                    dispatch({ type: 'hydrate', entities: { [entity]: cached.rows } });
+                    setStatus({ status: 'refreshing', lastSyncedAt: cached.syncedAt, fromCache: true });
+                }
+            }
+
+            const result = await GoogleService.loadFromSheet(entity, { signal });
+            if (result.aborted) return result;
+
+            if (result.success) {
+                hydrateFromServer(entity, result.data);
+                setStatus({ status: 'ready', lastSyncedAt: new Date().toISOString(), fromCache: false });
+            } else {
+                setStatus({ status: 'error', error: result.error || '載入失敗' });
+            }
+            return result;
+        };
+
+        /**
+         * Apply live changes from the storage backend (only adapters that support subscriptions, e.g. firestore),
+         * so changes by other users show up without a reload.
+         * Rows with writes not yet sent keep their local version (hydrateFromServer).
+         * @param {string[]} [entities]
+         * @returns {Function|null} Unsubscribe, or null when the backend has no live updates
+         */
+        const subscribeEntities = (entities = SYNCED_ENTITIES) => {
+            const unsubscribes = entities
+                .map(entity => GoogleService.subscribeToSheet(entity, (result) => {
+                    if (result.success) {
+                        hydrateFromServer(entity, result.data);
+                        dispatch({ type: 'syncStatus', entity, status: 'ready', lastSyncedAt: new Date().toISOString(), fromCache: false });
+                    } else {
+                        dispatch({ type: 'syncStatus', entity, status: 'error', error: result.error || '即時同步中斷' });
+                    }
+                }))
+                .filter(Boolean);
+            if (unsubscribes.length === 0) return null;
+            return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+        };
+
+        return {
+            // 載入 / 還原
+            hydrate: entities => dispatchShared({ type: 'hydrate', entities }),
+            loadEntity,
+            subscribeEntities,
+            // 各資料表獨立載入，先完成的先顯示；回傳 { [entity]: result }
+            loadEntities: async (entities = SYNCED_ENTITIES, options) => {
+                const results = await Promise.all(entities.map(entity => loadEntity(entity, options)));
+                return Object.fromEntries(entities.map((entity, i) => [entity, results[i]]));
+            },
+
+            // 只更新畫面資料，不寫入後端（行程、帳戶排序）
+            replaceEntity: (entity, rows) => dispatchShared({ type: 'replace', entity, rows }),
+            // 依 id 排序完整的資料列：頁面讀到的列可能已遮蔽欄位或只是部分資料，不能直接取代
+            reorderEntity: (entity, ids) => dispatchShared({ type: 'reorder', entity, ids }),
+            upsertLocal: (entity, rows) => dispatchShared({ type: 'upsert', entity, rows }),
+
+            saveRecords,
+            saveRecord: (entity, record, options) => saveRecords(entity, [record], options),
+            removeRecords,
+            removeRecord: (entity, id, options) => removeRecords(entity, [id], options),
+            undo,
+            redo,
+
+            /**
+             * Add a transaction and apply it to the balance of its account
+             * The balance is only changed once the transaction is saved.
+             * @param {Object} tx - Transaction (amount as a number); createdBy is the signed-in user
+             * @returns {Promise<Object>} saveRows result of the transaction
+             */
+            addTransaction: async (tx) => {
+                const rejected = denied('transactions', 'create');
+                if (rejected) return rejected;
+                const record = { ...tx, id: tx.id || `t-${Date.now()}`, createdBy: tx.createdBy || toActor(userRef.current) };
+
+                const txResult = await saveRecords('transactions', [record], { prepend: true });
+                if (!txResult.success) return txResult;
+
+                // 帳戶餘額隨收支一起更新，不另外要求帳戶的修改權限；以儲存後的最新餘額計算
+                const account = selectAccounts(stateRef.current).find(a => a.id === record.accountId);
+                if (account) {
+                    await writeRecords('accounts', [{
+                        ...account,
+                        balance: (Number(account.balance) || 0) + transactionBalanceDelta(record)
+                    }]);
+                }
+                return txResult;
+            },
+
+            /**
+             * Record a stock movement: update the item quantity and status, save the movement (stockMovements sheet),
+             * and log it on the project when projectId is set
+             * The movement is only kept (and logged on the project) once the item is saved.
+             * The signed-in user is stamped as operator (name) and createdBy.
+             * @param {Object} movement - { itemId, itemName, type: '入' | '出', quantity, date, note, projectId? }
+             * @returns {Promise<Object>} saveRows result of the inventory item
+             */
+            recordStockMovement: async (movement) => {
+                const actor = movement.createdBy || toActor(userRef.current);
+                const record = { ...movement, id: movement.id || `sm-${Date.now()}`, operator: actor.name, createdBy: actor };
+                const item = selectInventory(stateRef.current).find(i => i.id === record.itemId);
+                if (!item) return { success: false, rows: [], error: '找不到庫存品項' };
+                const rejected = denied('inventory', 'update') || (record.projectId && denied('projects', 'update'));
+                if (rejected) return rejected;
+
+                const delta = record.type === '入' ? record.quantity : -record.quantity;
+                const quantity = Math.max(0, (Number(item.quantity) || 0) + delta);
+                const itemResult = await saveRecords('inventory', [{ ...item, quantity, status: calculateStockStatus(quantity, item.safeStock) }]);
+                if (!itemResult.success) return itemResult;
+
+                await writeRecords('stockMovements', [record]);
+                const project = record.projectId && selectProjects(stateRef.current).find(p => p.id === record.projectId);
+                if (project) {
+                    await writeRecords('projects', [{ ...project, inventory: [...(project.inventory || []), record] }]);
+                }
+                return itemResult;
+            },
+        };
+    }, []);
+
+    // 頁面讀取的 state（actions 仍使用完整的 state）：
+    // 角色不能查看所有專案時只留下參與的專案與其收支、行程（services/projectScope.js），
+    // 再遮蔽角色隱藏的欄位（services/fieldMasking.js）
+    const scopeUid = canViewAllProjects ? null : user?.uid;
+    const visibleState = useMemo(
+        () => maskState(scopeState(state, scopeUid), hiddenFields),
+        [state, scopeUid, hiddenFields]
+    );
+
+    const value = useMemo(() => ({ state: visibleState, actions, history }), [visibleState, actions, history]);
+
+    return (
+        <DataStoreContext.Provider value={value}>
+            {children}
+        </DataStoreContext.Provider>
+    );
+};
+
+// Custom hook to use Data Store Context
+export const useDataStore = () => {
+    const context = useContext(DataStoreContext);
+    if (!context) {
+        throw new Error('useDataStore must be used within a DataStoreProvider');
+    }
+    return context;
+};
+
+/**
+ * Read part of the store with a selector from services/dataStore.js
+ * @param {Function} selector - (state) => value
+ * @returns {*}
+ */
+export const useStoreSelector = (selector) => {
+    const { state } = useDataStore();
+    return selector(state);
+};
+
+// Store actions only (components that write but do not read)
+export const useDataActions = () => useDataStore().actions;
+
+/**
+ * Undo / redo with toast feedback
+ * @param {Function} addToast - (message, type, options) from App
+ * @returns {{ canUndo: boolean, canRedo: boolean, undo: Function, redo: Function, undoAction: Object }}
+ *   undoAction: pass as the toast `action` to offer undo right after an operation
+ */
+export const useUndo = (addToast) => {
+    const { actions, history } = useDataStore();
+
+    const run = useCallback(async (operation, verb) => {
+        const result = await operation();
+        if (!result) {
+            addToast?.(`沒有可${verb}的操作`, 'info');
+        } else if (result.success) {
+            addToast?.(`已${verb}：${result.label}`, 'success');
+        } else {
+            addToast?.(`${verb}失敗：${result.error}`, 'error');
+        }
+    }, [addToast]);
+
+    const undo = useCallback(() => run(actions.undo, '復原'), [run, actions]);
+    const redo = useCallback(() => run(actions.redo, '重做'), [run, actions]);
+
+    return {
+        canUndo: history.undo.some(e => Date.now() - e.createdAt <= UNDO_WINDOW),
+        canRedo: history.redo.length > 0,
+        undo,
+        redo,
+        undoAction: { label: '復原', icon: Undo2, onClick: undo },
+    };
+};
+
+/**
+ * Combined loading state of the entities a page shows
+ * @param {string[]} entities - e.g. ['projects', 'transactions']
+ * @returns {{ loading: boolean, refreshing: boolean, error: string|null, lastSyncedAt: string|null, retry: Function }}
+ *   loading: some entity has neither cached nor loaded rows yet;
+ *   lastSyncedAt: the oldest sync time among the entities
+ */
+export const useSyncStatus = (entities) => {
+    const { state, actions } = useDataStore();
+    const statuses = entities.map(entity => selectSyncStatus(entity)(state));
+    const syncedAt = statuses.map(s => s.lastSyncedAt).filter(Boolean).sort();
+
+    return {
+        loading: statuses.some(s => s.status === 'loading'),
+        refreshing: statuses.some(s => s.status === 'refreshing'),
+        error: statuses.find(s => s.status === 'error')?.error || null,
+        lastSyncedAt: syncedAt.length === statuses.length ? syncedAt[0] : null,
+        retry: () => actions.loadEntities(entities.filter(e => SYNCED_ENTITIES.includes(e))),
+    };
+};
+
+export default DataStoreContext;
@@ -0,0 +1,65 @@
+// Router Context Provider
+// 以瀏覽器 History API 同步目前頁面與網址：重新整理不會遺失位置，可分享專案、客戶、廠商等連結，並支援上一頁 / 下一頁。
+// navigate 可附帶 state（例如 { intent: 'new-transaction', projectId }），讓目標頁面開啟對應的操作；頁面處理後以 clearState 清除。
+import React, { createContext, useContext, useState, useEffect, useMemo, useCallback } from 'react';
+import { parsePath, buildPath } from '../services/routes';
+
+const RouterContext = createContext(null);
+
+const readLocation = () => ({ path: window.location.pathname, state: window.history.state });
+
+export const RouterProvider = ({ children }) => {
+    const [location, setLocation] = useState(readLocation);
+
+    useEffect(() => {
+        const handlePopState = () => setLocation(readLocation());
+        window.addEventListener('popstate', handlePopState);
+        return () => window.removeEventListener('popstate', handlePopState);
+    }, []);
+
+    /**
+     * Go to a page
+     * @param {string} page - Page id (same as the menu id)
+     * @param {Object} [params] - Route params, e.g. { projectId }
+     * @param {{ replace?: boolean, state?: Object }} [options] - replace: replace the history entry instead of adding one;
+     *   state: passed to the target page as `state`
+     */
+    const navigate = useCallback((page, params = {}, { replace = false, state = null } = {}) => {
+        const path = buildPath(page, params);
+        const samePath = path === window.location.pathname;
+        if (samePath && !state) return;
+        window.history[replace || samePath ? 'replaceState' : 'pushState'](state, '', path);
+        setLocation({ path, state });
+    }, []);
+
+    // 目標頁面處理完 state 後清除，避免重新整理或返回時再次觸發
+    const clearState = useCallback(() => {
+        window.history.replaceState(null, '', window.location.pathname);
+        setLocation(readLocation());
+    }, []);
+
+    const value = useMemo(() => ({
+        ...parsePath(location.path),
+        path: location.path,
+        state: location.state,
+        navigate,
+        clearState,
+    }), [location, navigate, clearState]);
+
+    return (
+        <RouterContext.Provider value={value}>
+            {children}
+        </RouterContext.Provider>
+    );
+};
+
+// Custom hook to use Router Context: { page, params, path, state, navigate, clearState }
+export const useRouter = () => {
+    const context = useContext(RouterContext);
+    if (!context) {
+        throw new Error('useRouter must be used within a RouterProvider');
+    }
+    return context;
+};
+
+export default RouterContext;
@@ -1,9 +1,13 @@
 import React, { useState, useEffect, useMemo } from 'react';
-import { Calendar as CalendarIcon, Briefcase, Users, Wallet, HardHat, Package, Bell, LayoutDashboard, Image as ImageIcon, Menu, X, FileText, Ruler, Calculator, Building2, GripVertical, RotateCcw, LogOut, Settings, ChevronDown, Check, Loader2 } from 'lucide-react';
+import { Calendar as CalendarIcon, Briefcase, Users, Wallet, HardHat, Package, Bell, LayoutDashboard, Image as ImageIcon, Menu, X, FileText, Ruler, Calculator, Building2, GripVertical, RotateCcw, LogOut, Settings, ChevronDown, Check, Loader2, Archive, Search } from 'lucide-react';
 import { NotificationPanel } from '../components/common/NotificationPanel';
+import { SyncStatusIndicator } from '../components/common/SyncStatusIndicator';
+import { CommandPalette } from '../components/common/CommandPalette';
 import { GoogleService } from '../services/GoogleService';
 import { useAuth } from '../context/AuthContext';
+import { useUndo } from '../context/DataStoreContext';
 import { saveUserMenuOrder, getUserMenuOrder } from '../services/firebase';
+import { MENU_ORDER_KEY } from '../services/config';
 
 // DnD Kit imports
 import {
@@ -39,9 +43,6 @@ const DEFAULT_MENU_ITEMS = [
     { id: 'calc', icon: Building2, label: '物料換算' },
 ];
 
-// localStorage key
-const MENU_ORDER_KEY = 'senteng_menu_order';
-
 // 可排序的側邊欄項目 - 優化樣式
 const SortableSidebarItem = ({ id, icon: Icon, label, active, onClick }) => {
     const {
@@ -102,8 +103,8 @@ const SortableSidebarItem = ({ id, icon: Icon, label, active, onClick }) => {
     );
 };
 
-export const MainLayout = ({ activeTab, setActiveTab, children, addToast }) => {
-    const { user, role, allowedPages, signOut } = useAuth();
+export const MainLayout = ({ activeTab, setActiveTab, children, addToast, onOpenBackup, menuOrderRevision = 0 }) => {
+    const { user, role, roleLevel, allowedPages, canAccessPage, signOut } = useAuth();
     const [isNotificationOpen, setIsNotificationOpen] = useState(false);
     const [hasUpcomingEvents, setHasUpcomingEvents] = useState(false);
     const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
@@ -112,13 +113,47 @@ export const MainLayout = ({ activeTab, setActiveTab, children, addToast }) => {
     const [hasPendingChanges, setHasPendingChanges] = useState(false);
     const [isSaving, setIsSaving] = useState(false);
     const [savedOrder, setSavedOrder] = useState(null); // 已儲存的順序
+    const [isPaletteOpen, setIsPaletteOpen] = useState(false);
+    const { undo, redo } = useUndo(addToast);
+
+    // Ctrl/Cmd + K 開關全域搜尋
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+                e.preventDefault();
+                setIsPaletteOpen(open => !open);
+            }
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, []);
+
+    // Ctrl/Cmd + Z 復原刪除與批次操作，Ctrl/Cmd + Shift + Z（或 Ctrl + Y）重做；輸入框內保留原本的文字復原
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (!(e.ctrlKey || e.metaKey)) return;
+            const target = e.target;
+            if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                redo();
+            }
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [undo, redo]);
 
     // Filter menu items based on user permissions
     const visibleMenuItems = useMemo(() => {
         let items = menuItems.filter(item => allowedPages?.includes(item.id));
 
-        // Add user management for super_admin
-        if (role === 'super_admin') {
+        // 使用者管理不在可排序的選單中，有權限時加在最後
+        if (canAccessPage('user-management')) {
             const hasUserMgmt = items.find(i => i.id === 'user-management');
             if (!hasUserMgmt) {
                 items = [...items, { id: 'user-management', icon: Settings, label: '使用者管理' }];
@@ -126,7 +161,7 @@ export const MainLayout = ({ activeTab, setActiveTab, children, addToast }) => {
         }
 
         return items;
-    }, [menuItems, allowedPages, role]);
+    }, [menuItems, allowedPages, canAccessPage]);
 
     // 從 Firestore 或 localStorage 讀取選單順序
     useEffect(() => {
@@ -179,7 +214,7 @@ export const MainLayout = ({ activeTab, setActiveTab, children, addToast }) => {
         };
 
         loadMenuOrder();
-    }, [user?.uid]);
+    }, [user?.uid, menuOrderRevision]); // 還原備份後重新讀取
 
     // DnD sensors
     const sensors = useSensors(
@@ -404,11 +439,22 @@ export const MainLayout = ({ activeTab, setActiveTab, children, addToast }) => {
                         <Menu size={22} />
                     </button>
 
-                    <div className="flex-1 lg:flex-none">
-                        {/* Breadcrumb or Title handled by page usually */}
+                    <div className="flex-1 lg:flex-none flex justify-center lg:justify-start px-3 lg:px-0">
+                        {/* 全域搜尋 */}
+                        <button
+                            onClick={() => setIsPaletteOpen(true)}
+                            className="flex items-center gap-2 w-full max-w-xs px-3 py-2 text-sm text-gray-400 bg-white/80 hover:bg-white rounded-xl shadow-soft hover:shadow-card transition-all duration-200"
+                        >
+                            <Search size={16} />
+                            <span className="flex-1 text-left">搜尋...</span>
+                            <kbd className="hidden sm:inline text-[10px] border border-gray-200 rounded px-1.5 py-0.5">Ctrl K</kbd>
+                        </button>
                     </div>
 
                     <div className="flex items-center gap-3">
+                        {/* 離線佇列狀態 */}
+                        <SyncStatusIndicator />
+
                         {/* Notification Button - Enhanced */}
                         <button
                             onClick={() => setIsNotificationOpen(!isNotificationOpen)}
@@ -457,9 +503,21 @@ export const MainLayout = ({ activeTab, setActiveTab, children, addToast }) => {
                                                 role === 'admin' ? 'bg-blue-100 text-blue-700' :
                                                     'bg-gray-100 text-gray-700'
                                                 }`}>
-                                                {role === 'super_admin' ? '最高管理員' : role === 'admin' ? '管理員' : '一般使用者'}
+                                                {user?.roleLabel || (role === 'super_admin' ? '最高管理員' : role === 'admin' ? '管理員' : '一般使用者')}
                                             </span>
                                         </div>
+                                        {roleLevel >= 2 && onOpenBackup && (
+                                            <button
+                                                onClick={() => {
+                                                    setIsUserMenuOpen(false);
+                                                    onOpenBackup();
+                                                }}
+                                                className="w-full flex items-center gap-3 px-4 py-2.5 text-sm text-gray-700 hover:bg-gray-50 transition-colors"
+                                            >
+                                                <Archive size={16} />
+                                                備份與還原
+                                            </button>
+                                        )}
                                         <button
                                             onClick={() => {
                                                 setIsUserMenuOpen(false);
@@ -482,6 +540,12 @@ export const MainLayout = ({ activeTab, setActiveTab, children, addToast }) => {
                     onClose={() => setIsNotificationOpen(false)}
                 />
 
+                <CommandPalette
+                    isOpen={isPaletteOpen}
+                    onClose={() => setIsPaletteOpen(false)}
+                    pages={visibleMenuItems}
+                />
+
                 {/* Content Area - Enhanced padding and scrolling */}
                 <div className="flex-1 overflow-auto p-4 lg:p-8 pt-2 scroll-smooth">
                     <div className="max-w-7xl mx-auto h-full">
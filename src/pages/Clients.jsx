@@ -1,5 +1,5 @@
 
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useEffect } from 'react';
 import { Modal } from '../components/common/Modal';
 import { InputField, DynamicFieldEditor } from '../components/common/InputField';
 import { LocationField } from '../components/common/LocationField';
@@ -9,9 +9,17 @@ import { SectionTitle, LoadingSkeleton } from '../components/common/Indicators';
 import {
     Phone, Mail, Folder, Edit2, Trash2, Cloud, ChevronLeft, Save, Plus,
     Search, Filter, User, UserCheck, UserX, Clock, MessageCircle,
-    MapPin, Calendar, FileText, Star, X, ChevronRight, Briefcase
+    MapPin, Calendar, FileText, Star, X, ChevronRight, Briefcase, Upload
 } from 'lucide-react';
 import { GoogleService } from '../services/GoogleService';
+import { EntitySyncStatus } from '../components/common/EntitySyncStatus';
+import { AuditHistoryPanel } from '../components/common/AuditHistoryPanel';
+import { UserAvatar } from '../components/common/UserAvatar';
+import { ImportWizardModal } from '../components/common/ImportWizardModal';
+import { useStoreSelector, useDataActions, useSyncStatus, useUndo } from '../context/DataStoreContext';
+import { useAuth } from '../context/AuthContext';
+import { selectClients, selectClientsById, selectProjects } from '../services/dataStore';
+import { toActor } from '../services/actor';
 
 // 狀態配置
 const STATUS_CONFIG = {
@@ -70,12 +78,14 @@ const ClientRow = ({ client, onSelect, onDelete }) => {
                 </div>
             </div>
             <div className="flex items-center gap-2 self-end sm:self-auto">
-                <button
-                    onClick={(e) => { e.stopPropagation(); onDelete(client.id); }}
-                    className="sm:opacity-0 sm:group-hover:opacity-100 p-2 text-red-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-all"
-                >
-                    <Trash2 size={16} />
-                </button>
+                {onDelete && (
+                    <button
+                        onClick={(e) => { e.stopPropagation(); onDelete(client.id); }}
+                        className="sm:opacity-0 sm:group-hover:opacity-100 p-2 text-red-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-all"
+                    >
+                        <Trash2 size={16} />
+                    </button>
+                )}
                 <ChevronRight size={20} className="text-gray-300" />
             </div>
         </div>
@@ -88,16 +98,28 @@ const ContactLogItem = ({ log }) => (
         <div className="w-8 h-8 rounded-full bg-blue-100 flex items-center justify-center flex-shrink-0">
             <MessageCircle size={14} className="text-blue-600" />
         </div>
-        <div className="flex-1">
-            <div className="text-sm font-medium text-gray-800">{log.type}</div>
+        <div className="flex-1 min-w-0">
+            <div className="flex items-center justify-between gap-2">
+                <div className="text-sm font-medium text-gray-800">{log.type}</div>
+                <UserAvatar actor={log.createdBy} size="xs" className="text-[10px] text-gray-400" />
+            </div>
             <div className="text-xs text-gray-500 mt-0.5">{log.date} - {log.note}</div>
         </div>
     </div>
 );
 
-const Clients = ({ data = [], loading, addToast, onUpdateClients, allProjects = [] }) => {
+const Clients = ({ addToast, activeClientId, onSelectClient }) => {
+    const data = useStoreSelector(selectClients);
+    const clientsById = useStoreSelector(selectClientsById);
+    const allProjects = useStoreSelector(selectProjects);
+    const actions = useDataActions();
+    const { undoAction } = useUndo(addToast);
+    const { can, user } = useAuth();
+    const [isImportOpen, setIsImportOpen] = useState(false);
+    const { loading } = useSyncStatus(['clients']);
+    // 詳情頁的 id 來自網址（/clients/:id），內容一律從 store 讀取
+    const activeClient = activeClientId ? clientsById.get(activeClientId) || null : null;
     // 狀態管理
-    const [activeClient, setActiveClient] = useState(null);
     const [isAddModalOpen, setIsAddModalOpen] = useState(false);
     const [isEditing, setIsEditing] = useState(false);
     const [editFormData, setEditFormData] = useState(null);
@@ -115,6 +137,9 @@ const Clients = ({ data = [], loading, addToast, onUpdateClients, allProjects =
     const [isContactLogModalOpen, setIsContactLogModalOpen] = useState(false);
     const [newContactLog, setNewContactLog] = useState({ type: '電話聯繫', date: new Date().toISOString().split('T')[0], note: '' });
 
+    // 以上一頁 / 下一頁切換客戶時結束編輯
+    useEffect(() => { setIsEditing(false); }, [activeClientId]);
+
     // 計算統計
     const stats = useMemo(() => ({
         total: data.length,
@@ -163,10 +188,7 @@ const Clients = ({ data = [], loading, addToast, onUpdateClients, allProjects =
             createdAt: new Date().toISOString()
         };
 
-        const updatedList = [...data, client];
-        onUpdateClients(updatedList);
-
-        const syncResult = await GoogleService.syncToSheet('clients', updatedList);
+        const syncResult = await actions.saveRecord('clients', client);
         setIsSaving(false);
 
         if (!syncResult.success) {
@@ -181,11 +203,14 @@ const Clients = ({ data = [], loading, addToast, onUpdateClients, allProjects =
     };
 
     const handleDeleteClient = async (id) => {
-        const updatedList = data.filter(c => c.id !== id);
-        onUpdateClients(updatedList);
-        await GoogleService.syncToSheet('clients', updatedList);
-        addToast("客戶已刪除", "success");
-        if (activeClient?.id === id) setActiveClient(null);
+        const client = clientsById.get(id);
+        const result = await actions.removeRecord('clients', id, { undoLabel: `刪除客戶「${client?.name || ''}」` });
+        if (!result.success) {
+            addToast(`刪除客戶失敗: ${result.error}`, "error");
+            return;
+        }
+        addToast("客戶已刪除", "success", { action: undoAction });
+        if (activeClientId === id) onSelectClient(null);
     };
 
     const startEdit = () => {
@@ -195,16 +220,12 @@ const Clients = ({ data = [], loading, addToast, onUpdateClients, allProjects =
 
     const handleSaveEdit = async () => {
         setIsSaving(true);
-        const updatedList = data.map(c => c.id === editFormData.id ? editFormData : c);
-        onUpdateClients(updatedList);
-
-        const syncResult = await GoogleService.syncToSheet('clients', updatedList);
+        const syncResult = await actions.saveRecord('clients', editFormData);
         setIsSaving(false);
 
         if (!syncResult.success) {
             addToast(`Sheets 同步失敗: ${syncResult.error}`, "error");
         } else {
-            setActiveClient(editFormData);
             setIsEditing(false);
             addToast("資料已更新", "success");
         }
@@ -216,26 +237,25 @@ const Clients = ({ data = [], loading, addToast, onUpdateClients, allProjects =
 
         const updatedClient = {
             ...activeClient,
-            contactLogs: [...(activeClient.contactLogs || []), { ...newContactLog, id: Date.now() }]
+            contactLogs: [...(activeClient.contactLogs || []), { ...newContactLog, id: Date.now(), createdBy: toActor(user) }]
         };
 
-        const updatedList = data.map(c => c.id === updatedClient.id ? updatedClient : c);
-        onUpdateClients(updatedList);
-        setActiveClient(updatedClient);
-
-        await GoogleService.syncToSheet('clients', updatedList);
+        await actions.saveRecord('clients', updatedClient);
         setIsContactLogModalOpen(false);
         setNewContactLog({ type: '電話聯繫', date: new Date().toISOString().split('T')[0], note: '' });
         addToast("聯絡記錄已新增", "success");
     };
 
+    // 從連結開啟詳情頁時，等待資料載入
+    if (activeClientId && !activeClient && loading) return <LoadingSkeleton />;
+
     // 客戶詳情頁
     if (activeClient) {
         const statusConfig = STATUS_CONFIG[activeClient.status] || STATUS_CONFIG['洽談中'];
 
         return (
             <div className="space-y-6 animate-fade-in">
-                <button onClick={() => { setActiveClient(null); setIsEditing(false); }} className="text-sm text-gray-500 hover:text-gray-900 flex items-center gap-1">
+                <button onClick={() => { onSelectClient(null); setIsEditing(false); }} className="text-sm text-gray-500 hover:text-gray-900 flex items-center gap-1">
                     <ChevronLeft size={16} /> 返回列表
                 </button>
 
@@ -287,12 +307,16 @@ const Clients = ({ data = [], loading, addToast, onUpdateClients, allProjects =
                                             <Folder size={16} /> 雲端資料夾
                                         </a>
                                     )}
-                                    <button onClick={startEdit} className="bg-white border border-gray-200 px-3 py-1.5 rounded-lg text-sm text-gray-600 hover:bg-gray-50 flex items-center gap-2">
-                                        <Edit2 size={14} /> 編輯
-                                    </button>
-                                    <button onClick={() => handleDeleteClient(activeClient.id)} className="bg-white border border-red-200 text-red-500 px-3 py-1.5 rounded-lg text-sm hover:bg-red-50 flex items-center gap-2">
-                                        <Trash2 size={14} /> 刪除
-                                    </button>
+                                    {can('update', 'clients') && (
+                                        <button onClick={startEdit} className="bg-white border border-gray-200 px-3 py-1.5 rounded-lg text-sm text-gray-600 hover:bg-gray-50 flex items-center gap-2">
+                                            <Edit2 size={14} /> 編輯
+                                        </button>
+                                    )}
+                                    {can('delete', 'clients') && (
+                                        <button onClick={() => handleDeleteClient(activeClient.id)} className="bg-white border border-red-200 text-red-500 px-3 py-1.5 rounded-lg text-sm hover:bg-red-50 flex items-center gap-2">
+                                            <Trash2 size={14} /> 刪除
+                                        </button>
+                                    )}
                                 </>
                             )}
                         </div>
@@ -363,12 +387,14 @@ const Clients = ({ data = [], loading, addToast, onUpdateClients, allProjects =
                             <h3 className="font-bold text-gray-800 flex items-center gap-2">
                                 <MessageCircle size={18} /> 聯絡記錄
                             </h3>
-                            <button
-                                onClick={() => setIsContactLogModalOpen(true)}
-                                className="text-sm text-blue-600 hover:text-blue-800 flex items-center gap-1"
-                            >
-                                <Plus size={14} /> 新增
-                            </button>
+                            {can('update', 'clients') && (
+                                <button
+                                    onClick={() => setIsContactLogModalOpen(true)}
+                                    className="text-sm text-blue-600 hover:text-blue-800 flex items-center gap-1"
+                                >
+                                    <Plus size={14} /> 新增
+                                </button>
+                            )}
                         </div>
                         <div className="space-y-2 max-h-80 overflow-y-auto">
                             {(activeClient.contactLogs || []).length > 0 ? (
@@ -423,6 +449,9 @@ const Clients = ({ data = [], loading, addToast, onUpdateClients, allProjects =
                             );
                         })()}
                     </Card>
+
+                    {/* 修改紀錄 */}
+                    <AuditHistoryPanel entity="clients" entityId={activeClient.id} revision={activeClient.revision} className="lg:col-span-3" />
                 </div>
 
                 {/* 新增聯絡記錄 Modal */}
@@ -471,7 +500,7 @@ const Clients = ({ data = [], loading, addToast, onUpdateClients, allProjects =
     // 客戶列表頁
     return (
         <div className="space-y-6 animate-fade-in">
-            <SectionTitle title="客戶管理" />
+            <SectionTitle title="客戶管理" subtitle={<EntitySyncStatus entities={['clients', 'projects']} />} />
 
             {loading ? <LoadingSkeleton /> : (
                 <>
@@ -513,12 +542,22 @@ const Clients = ({ data = [], loading, addToast, onUpdateClients, allProjects =
                                 <X size={16} /> 清除
                             </button>
                         )}
-                        <button
-                            onClick={handleOpenAdd}
-                            className="ml-auto bg-morandi-text-accent text-white px-4 py-2.5 rounded-xl text-sm font-medium hover:shadow-lg transition-all flex items-center gap-2"
-                        >
-                            <Plus size={16} /> 新增客戶
-                        </button>
+                        {can('create', 'clients') && (
+                            <>
+                                <button
+                                    onClick={() => setIsImportOpen(true)}
+                                    className="ml-auto bg-white border border-gray-200 text-gray-700 px-4 py-2.5 rounded-xl text-sm font-medium hover:border-gray-300 transition-all flex items-center gap-2"
+                                >
+                                    <Upload size={16} /> 匯入
+                                </button>
+                                <button
+                                    onClick={handleOpenAdd}
+                                    className="bg-morandi-text-accent text-white px-4 py-2.5 rounded-xl text-sm font-medium hover:shadow-lg transition-all flex items-center gap-2"
+                                >
+                                    <Plus size={16} /> 新增客戶
+                                </button>
+                            </>
+                        )}
                     </div>
 
                     {/* 客戶列表 */}
@@ -528,8 +567,8 @@ const Clients = ({ data = [], loading, addToast, onUpdateClients, allProjects =
                                 <ClientRow
                                     key={client.id}
                                     client={client}
-                                    onSelect={setActiveClient}
-                                    onDelete={handleDeleteClient}
+                                    onSelect={client => onSelectClient(client.id)}
+                                    onDelete={can('delete', 'clients') ? handleDeleteClient : undefined}
                                 />
                             ))
                         ) : (
@@ -569,6 +608,13 @@ const Clients = ({ data = [], loading, addToast, onUpdateClients, allProjects =
                     <Cloud size={14} /> 系統將自動於 Google Drive 建立專屬資料夾
                 </div>
             </Modal>
+            <ImportWizardModal
+                isOpen={isImportOpen}
+                onClose={() => setIsImportOpen(false)}
+                entity="clients"
+                addToast={addToast}
+                undoAction={undoAction}
+            />
         </div>
     );
 };
@@ -2,8 +2,16 @@
 import React, { useState } from 'react';
 import { WidgetWrapper } from '../components/common/WidgetWrapper';
 import { WidgetDailySchedule, WidgetMemo, WidgetOverviewStats, WidgetRecentActivity } from '../components/widgets/DashboardWidgets';
+import { EntitySyncStatus } from '../components/common/EntitySyncStatus';
+import { useStoreSelector } from '../context/DataStoreContext';
+import { selectCalendar, selectFinance, selectProjects, selectClients } from '../services/dataStore';
+
+const Dashboard = () => {
+    const events = useStoreSelector(selectCalendar);
+    const finance = useStoreSelector(selectFinance);
+    const projects = useStoreSelector(selectProjects);
+    const clients = useStoreSelector(selectClients);
 
-const Dashboard = ({ events, finance, projects, clients }) => {
     // Check if user has name, otherwise default
     const userName = "打工人";
     const dateStr = new Date().toLocaleDateString('zh-TW', { year: 'numeric', month: 'long', day: 'numeric' });
@@ -29,6 +37,7 @@ const Dashboard = ({ events, finance, projects, clients }) => {
                 <div>
                     <h1 className="text-2xl sm:text-3xl font-bold text-morandi-text-primary">早安，{userName}</h1>
                     <p className="text-sm sm:text-base text-morandi-text-secondary">今天是 {dateStr}</p>
+                    <EntitySyncStatus entities={['projects', 'clients', 'accounts', 'loans', 'transactions']} />
                 </div>
                 {/* Optional: Add a quick action button here if needed */}
             </div>
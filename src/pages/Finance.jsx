@@ -9,8 +9,13 @@ import { LoanAccountModal } from '../components/finance/LoanAccountModal';
 import { Modal } from '../components/common/Modal';
 import { InputField } from '../components/common/InputField';
 import { SectionTitle } from '../components/common/Indicators';
+import { EntitySyncStatus } from '../components/common/EntitySyncStatus';
 import { Plus, Download, Search, Building2 } from 'lucide-react';
 import { GoogleService } from '../services/GoogleService';
+import { useStoreSelector, useDataActions, useUndo } from '../context/DataStoreContext';
+import { useAuth } from '../context/AuthContext';
+import { anyMasked, maskedText, MASK_TEXT } from '../services/fieldMasking';
+import { selectAccounts, selectLoans, selectTransactions, selectProjects } from '../services/dataStore';
 
 // 收支類別選項
 const TX_CATEGORIES = {
@@ -18,19 +23,14 @@ const TX_CATEGORIES = {
     '支出': ['材料費', '人工費', '設備費', '運輸費', '其他支出']
 };
 
-const Finance = ({ data, loading, addToast, onAddTx, onUpdateAccounts, onUpdateLoans, allProjects = [] }) => {
-    const [accounts, setAccounts] = useState(data.accounts || []);
-    const accountsRef = useRef(accounts);
-
-    // Sync accounts when data.accounts changes (from API/Sheet)
-    useEffect(() => {
-        setAccounts(data.accounts || []);
-    }, [data.accounts]);
-
-    // Keep ref in sync with state for drag-drop
-    useEffect(() => {
-        accountsRef.current = accounts;
-    }, [accounts]);
+const Finance = ({ addToast, activeAccountId, onSelectAccount, routeState, onRouteStateHandled }) => {
+    const accounts = useStoreSelector(selectAccounts);
+    const loans = useStoreSelector(selectLoans);
+    const transactions = useStoreSelector(selectTransactions);
+    const allProjects = useStoreSelector(selectProjects);
+    const actions = useDataActions();
+    const { undoAction } = useUndo(addToast);
+    const { can } = useAuth();
     const [widgets, setWidgets] = useState([
         { id: 'wf-acc', type: 'finance-acc', title: '資金帳戶', size: 'L' },
         { id: 'wf-loans', type: 'finance-loans', title: '貸款帳戶', size: 'L' },
@@ -39,21 +39,26 @@ const Finance = ({ data, loading, addToast, onAddTx, onUpdateAccounts, onUpdateL
     ]);
 
     // Loan State
-    const [loans, setLoans] = useState(data.loans || []);
     const [isLoanModalOpen, setIsLoanModalOpen] = useState(false);
     const [editingLoan, setEditingLoan] = useState(null);
     const [isDeleteLoanModalOpen, setIsDeleteLoanModalOpen] = useState(false);
     const [deletingLoan, setDeletingLoan] = useState(null);
 
-    // Sync loans when data.loans changes
-    useEffect(() => {
-        setLoans(data.loans || []);
-    }, [data.loans]);
-
     // Transaction Modal State
     const [isTxModalOpen, setIsTxModalOpen] = useState(false);
     const [newTx, setNewTx] = useState({ type: "支出", amount: "", date: "", desc: "", accountId: "", projectId: "", category: "" });
 
+    // 從全域搜尋「新增此專案 / 帳戶的收支」進入時，開啟記帳視窗並帶入專案或帳戶
+    useEffect(() => {
+        if (routeState?.intent !== 'new-transaction') return;
+        setNewTx({
+            type: "支出", amount: "", date: "", desc: "", category: "",
+            accountId: routeState.accountId || "", projectId: routeState.projectId || ""
+        });
+        setIsTxModalOpen(true);
+        onRouteStateHandled();
+    }, [routeState, onRouteStateHandled]);
+
     // Account Modal State
     const [isAccModalOpen, setIsAccModalOpen] = useState(false);
     const [editingAcc, setEditingAcc] = useState(null);
@@ -63,9 +68,8 @@ const Finance = ({ data, loading, addToast, onAddTx, onUpdateAccounts, onUpdateL
     const [isDeleteAccModalOpen, setIsDeleteAccModalOpen] = useState(false);
     const [deletingAcc, setDeletingAcc] = useState(null);
 
-    // Account Details State
-    const [isDetailsModalOpen, setIsDetailsModalOpen] = useState(false);
-    const [selectedAccount, setSelectedAccount] = useState(null);
+    // Account Details State - 由網址決定（/finance/accounts/:id）
+    const selectedAccount = activeAccountId ? accounts.find(a => a.id === activeAccountId) || null : null;
 
     // Export Modal State
     const [isExportModalOpen, setIsExportModalOpen] = useState(false);
@@ -96,11 +100,10 @@ const Finance = ({ data, loading, addToast, onAddTx, onUpdateAccounts, onUpdateL
         const copy = [...accounts]; const item = copy[dragItem.current];
         copy.splice(dragItem.current, 1); copy.splice(dragOverItem.current, 0, item);
         dragItem.current = idx;
-        setAccounts(copy);
+        actions.reorderEntity('accounts', copy.map(account => account.id));
     };
     const handleDragEndAccount = () => {
         dragItem.current = null; dragOverItem.current = null;
-        onUpdateAccounts(accounts);
         // GoogleService.syncToSheet('accounts', accounts); // TODO: Implement sync
     };
 
@@ -115,15 +118,12 @@ const Finance = ({ data, loading, addToast, onAddTx, onUpdateAccounts, onUpdateL
             balance: Number(newAcc.balance) || 0
         };
 
-        const updatedAccounts = editingAcc
-            ? accounts.map(a => a.id === editingAcc.id ? { ...a, ...accountData } : a)
-            : [...accounts, { ...accountData, id: `a-${Date.now()}` }];
-
-        setAccounts(updatedAccounts);
-        onUpdateAccounts(updatedAccounts); // Update App State
+        const savedAccount = editingAcc
+            ? { ...editingAcc, ...accountData }
+            : { ...accountData, id: `a-${Date.now()}` };
 
         // 同步帳戶到 Google Sheets
-        const syncResult = await GoogleService.syncToSheet('accounts', updatedAccounts);
+        const syncResult = await actions.saveRecord('accounts', savedAccount);
         if (!syncResult.success) {
             console.error('帳戶同步失敗:', syncResult.error);
         }
@@ -141,25 +141,21 @@ const Finance = ({ data, loading, addToast, onAddTx, onUpdateAccounts, onUpdateL
     };
 
     const confirmDeleteAccount = async () => {
-        const updatedAccounts = accounts.filter(a => a.id !== deletingAcc.id);
-        setAccounts(updatedAccounts);
-        onUpdateAccounts(updatedAccounts);
-
         // 同步帳戶刪除到 Google Sheets
-        const syncResult = await GoogleService.syncToSheet('accounts', updatedAccounts);
+        const syncResult = await actions.removeRecord('accounts', deletingAcc.id, { undoLabel: `刪除帳戶「${deletingAcc.name}」` });
         if (!syncResult.success) {
-            console.error('帳戶刪除同步失敗:', syncResult.error);
+            addToast(`帳戶刪除失敗: ${syncResult.error}`, 'error');
+            return;
         }
 
-        addToast(`帳戶「${deletingAcc.name}」已刪除`, 'success');
+        addToast(`帳戶「${deletingAcc.name}」已刪除`, 'success', { action: undoAction });
         setIsDeleteAccModalOpen(false);
         setDeletingAcc(null);
     };
 
     // Account Details Handler
     const handleViewDetails = (acc) => {
-        setSelectedAccount(acc);
-        setIsDetailsModalOpen(true);
+        onSelectAccount(acc.id);
     };
 
     // Loan CRUD Handlers
@@ -174,15 +170,8 @@ const Finance = ({ data, loading, addToast, onAddTx, onUpdateAccounts, onUpdateL
     };
 
     const handleSaveLoan = async (loanData) => {
-        const updatedLoans = editingLoan
-            ? loans.map(l => l.id === editingLoan.id ? loanData : l)
-            : [...loans, loanData];
-
-        setLoans(updatedLoans);
-        if (onUpdateLoans) onUpdateLoans(updatedLoans);
-
         // 同步貸款到 Google Sheets
-        const syncResult = await GoogleService.syncToSheet('loans', updatedLoans);
+        const syncResult = await actions.saveRecord('loans', loanData);
         if (!syncResult.success) {
             console.error('貸款同步失敗:', syncResult.error);
         }
@@ -198,17 +187,14 @@ const Finance = ({ data, loading, addToast, onAddTx, onUpdateAccounts, onUpdateL
     };
 
     const confirmDeleteLoan = async () => {
-        const updatedLoans = loans.filter(l => l.id !== deletingLoan.id);
-        setLoans(updatedLoans);
-        if (onUpdateLoans) onUpdateLoans(updatedLoans);
-
         // 同步貸款刪除到 Google Sheets
-        const syncResult = await GoogleService.syncToSheet('loans', updatedLoans);
+        const syncResult = await actions.removeRecord('loans', deletingLoan.id, { undoLabel: `刪除貸款「${deletingLoan.bankName}」` });
         if (!syncResult.success) {
-            console.error('貸款刪除同步失敗:', syncResult.error);
+            addToast(`貸款刪除失敗: ${syncResult.error}`, 'error');
+            return;
         }
 
-        addToast(`貸款帳戶「${deletingLoan.bankName}」已刪除`, 'success');
+        addToast(`貸款帳戶「${deletingLoan.bankName}」已刪除`, 'success', { action: undoAction });
         setIsDeleteLoanModalOpen(false);
         setDeletingLoan(null);
     };
@@ -220,12 +206,9 @@ const Finance = ({ data, loading, addToast, onAddTx, onUpdateAccounts, onUpdateL
             paidTerms: loan.paidTerms + 1,
             status: loan.paidTerms + 1 >= loan.totalTerms ? 'completed' : 'active'
         };
-        const updatedLoans = loans.map(l => l.id === loan.id ? updatedLoan : l);
-        setLoans(updatedLoans);
-        if (onUpdateLoans) onUpdateLoans(updatedLoans);
 
         // 同步還款記錄到 Google Sheets
-        const syncResult = await GoogleService.syncToSheet('loans', updatedLoans);
+        const syncResult = await actions.saveRecord('loans', updatedLoan);
         if (!syncResult.success) {
             console.error('還款記錄同步失敗:', syncResult.error);
         }
@@ -267,6 +250,13 @@ const Finance = ({ data, loading, addToast, onAddTx, onUpdateAccounts, onUpdateL
 
         const txWithNumber = { ...newTx, amount: parseFloat(newTx.amount) };
 
+        // 交易與帳戶餘額由 store 一併更新並同步
+        const syncResult = await actions.addTransaction(txWithNumber);
+        if (!syncResult.success) {
+            addToast(`記帳失敗: ${syncResult.error}`, 'error');
+            return;
+        }
+
         // 若選擇了專案，同步到專案收支 Sheet
         if (newTx.projectId) {
             const selectedProject = allProjects.find(p => p.id === newTx.projectId);
@@ -293,7 +283,7 @@ const Finance = ({ data, loading, addToast, onAddTx, onUpdateAccounts, onUpdateL
             }
         }
 
-        onAddTx(txWithNumber); // Handles App State update and Toast inside App.jsx
+        addToast("記帳成功！(已同步至財務中心)", 'success');
         setIsTxModalOpen(false);
         setNewTx({ type: "支出", amount: "", date: "", desc: "", accountId: "", projectId: "", category: "" });
     };
@@ -303,13 +293,15 @@ const Finance = ({ data, loading, addToast, onAddTx, onUpdateAccounts, onUpdateL
             case 'finance-acc':
                 return (
                     <div className="h-full flex flex-col">
-                        <div className="flex justify-end mb-2">
-                            <button onClick={openAddAcc} className="text-xs text-morandi-blue-600 hover:underline flex items-center gap-1"><Plus size={12} /> 新增帳戶</button>
-                        </div>
+                        {can('create', 'accounts') && (
+                            <div className="flex justify-end mb-2">
+                                <button onClick={openAddAcc} className="text-xs text-morandi-blue-600 hover:underline flex items-center gap-1"><Plus size={12} /> 新增帳戶</button>
+                            </div>
+                        )}
                         <WidgetFinanceAccounts
                             data={accounts}
                             size={w.size}
-                            onEdit={openEditAcc}
+                            onEdit={can('update', 'accounts') ? openEditAcc : undefined}
                             onDelete={handleDeleteAccount}
                             onViewDetails={handleViewDetails}
                             onDragStartAccount={handleDragStartAccount}
@@ -327,27 +319,29 @@ const Finance = ({ data, loading, addToast, onAddTx, onUpdateAccounts, onUpdateL
                             <div className="flex items-center gap-2">
                                 <Building2 size={16} className="text-blue-600" />
                                 <span className="text-sm text-gray-500">
-                                    總貸款餘額: <span className="font-bold text-gray-800">${totalLoanAmount.toLocaleString()}</span>
+                                    總貸款餘額: <span className="font-bold text-gray-800">{anyMasked(loans, 'remainingPrincipal') || anyMasked(loans, 'principalAmount') ? MASK_TEXT : `$${totalLoanAmount.toLocaleString()}`}</span>
                                 </span>
                             </div>
-                            <button onClick={openAddLoan} className="text-xs text-blue-600 hover:underline flex items-center gap-1">
-                                <Plus size={12} /> 新增貸款
-                            </button>
+                            {can('create', 'loans') && (
+                                <button onClick={openAddLoan} className="text-xs text-blue-600 hover:underline flex items-center gap-1">
+                                    <Plus size={12} /> 新增貸款
+                                </button>
+                            )}
                         </div>
                         <div className="flex-1 overflow-y-auto pr-1">
                             {loans.length === 0 ? (
                                 <div className="flex flex-col items-center justify-center h-32 text-gray-400">
                                     <Building2 size={32} className="mb-2 opacity-50" />
                                     <p className="text-sm">尚無貸款帳戶</p>
-                                    <button onClick={openAddLoan} className="mt-2 text-xs text-blue-600 hover:underline">新增貸款</button>
+                                    {can('create', 'loans') && <button onClick={openAddLoan} className="mt-2 text-xs text-blue-600 hover:underline">新增貸款</button>}
                                 </div>
                             ) : (
                                 loans.map(loan => (
                                     <LoanAccountCard
                                         key={loan.id}
                                         loan={loan}
-                                        onEdit={openEditLoan}
-                                        onRecordPayment={handleRecordLoanPayment}
+                                        onEdit={can('update', 'loans') ? openEditLoan : undefined}
+                                        onRecordPayment={can('update', 'loans') ? handleRecordLoanPayment : undefined}
                                     />
                                 ))
                             )}
@@ -355,7 +349,7 @@ const Finance = ({ data, loading, addToast, onAddTx, onUpdateAccounts, onUpdateL
                     </div>
                 );
             case 'finance-trend': return <WidgetFinanceTrend size={w.size} />;
-            case 'finance-tx': return <WidgetFinanceTransactions data={data.transactions} size={w.size} onAddTx={() => setIsTxModalOpen(true)} />;
+            case 'finance-tx': return <WidgetFinanceTransactions data={transactions} size={w.size} onAddTx={can('create', 'transactions') ? () => setIsTxModalOpen(true) : undefined} />;
             default: return null;
         }
     }
@@ -363,14 +357,16 @@ const Finance = ({ data, loading, addToast, onAddTx, onUpdateAccounts, onUpdateL
     return (
         <div className="space-y-6 animate-fade-in">
             <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
-                <SectionTitle title="財務管理" />
-                <button
-                    onClick={() => setIsExportModalOpen(true)}
-                    className="flex items-center gap-2 px-4 py-2.5 bg-green-600 text-white rounded-xl font-medium hover:bg-green-700 transition-all shadow-sm"
-                >
-                    <Download size={18} />
-                    匯出報表
-                </button>
+                <SectionTitle title="財務管理" subtitle={<EntitySyncStatus entities={['accounts', 'loans', 'transactions']} />} />
+                {can('export', 'transactions') && (
+                    <button
+                        onClick={() => setIsExportModalOpen(true)}
+                        className="flex items-center gap-2 px-4 py-2.5 bg-green-600 text-white rounded-xl font-medium hover:bg-green-700 transition-all shadow-sm"
+                    >
+                        <Download size={18} />
+                        匯出報表
+                    </button>
+                )}
             </div>
 
             <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 auto-rows-auto">
@@ -447,17 +443,17 @@ const Finance = ({ data, loading, addToast, onAddTx, onUpdateAccounts, onUpdateL
 
             {/* Account Details Modal */}
             <AccountDetailsModal
-                isOpen={isDetailsModalOpen}
-                onClose={() => setIsDetailsModalOpen(false)}
+                isOpen={!!selectedAccount}
+                onClose={() => onSelectAccount(null)}
                 account={selectedAccount}
-                allTransactions={data.transactions || []}
+                allTransactions={transactions}
             />
 
             {/* Finance Export Modal */}
             <FinanceExportModal
                 isOpen={isExportModalOpen}
                 onClose={() => setIsExportModalOpen(false)}
-                transactions={data.transactions || []}
+                transactions={transactions}
                 accounts={accounts}
                 projects={allProjects}
                 onExport={handleExportFinance}
@@ -487,7 +483,7 @@ const Finance = ({ data, loading, addToast, onAddTx, onUpdateAccounts, onUpdateL
                         您確定要刪除貸款帳戶「<span className="font-bold">{deletingLoan?.bankName}</span>」嗎？
                     </p>
                     <p className="text-sm text-gray-500">
-                        貸款金額：${deletingLoan?.principalAmount?.toLocaleString() || 0}
+                        貸款金額：{maskedText(deletingLoan, 'principalAmount', v => `$${v?.toLocaleString() || 0}`)}
                     </p>
                 </div>
             </Modal>
@@ -5,22 +5,23 @@ import {
     ArrowDownCircle, ArrowUpCircle, AlertTriangle,
     CheckCircle, XCircle, X, Save, History, MapPin,
     BarChart3, TrendingDown, TrendingUp, Box,
-    FileSpreadsheet, ExternalLink, RefreshCw
+    FileSpreadsheet, ExternalLink, RefreshCw, Upload
 } from 'lucide-react';
 import { Badge } from '../components/common/Badge';
 import { Modal } from '../components/common/Modal';
 import { InputField } from '../components/common/InputField';
 import { SectionTitle } from '../components/common/Indicators';
+import { EntitySyncStatus } from '../components/common/EntitySyncStatus';
+import { UserAvatar } from '../components/common/UserAvatar';
+import { ImportWizardModal } from '../components/common/ImportWizardModal';
 import { GoogleService } from '../services/GoogleService';
+import { useStoreSelector, useDataActions, useUndo } from '../context/DataStoreContext';
+import { useAuth } from '../context/AuthContext';
+import { selectInventory, selectStockMovements, calculateStockStatus } from '../services/dataStore';
+import { INVENTORY_CATEGORY_TREE } from '../services/schema';
 
-// 庫存類別 - 兩層結構
-const CATEGORY_TREE = {
-    '結構板材': ['木料', '板材', '防火板', '輕鋼架'],
-    '裝飾建材': ['地面材料', '牆面材料', '天花材料', '塗料油漆'],
-    '機電設備': ['電氣電線', '燈具照明', '開關插座', '弱電設備', '水管衛浴'],
-    '五金配件': ['門窗五金', '櫃體五金', '結構五金', '裝飾五金'],
-    '消耗品': ['黏著劑', '填縫材料', '防護用品', '清潔用品']
-};
+// 庫存類別 - 兩層結構（與資料遷移共用，見 services/schema/entities.js）
+const CATEGORY_TREE = INVENTORY_CATEGORY_TREE;
 
 // 主類別列表（含「全部」選項）
 const MAIN_CATEGORIES = ['全部', ...Object.keys(CATEGORY_TREE)];
@@ -34,14 +35,6 @@ const getSubCategories = (mainCategory) => {
     return CATEGORY_TREE[mainCategory] || [];
 };
 
-// 根據子類別找主類別
-const getMainCategory = (subCategory) => {
-    for (const [main, subs] of Object.entries(CATEGORY_TREE)) {
-        if (subs.includes(subCategory)) return main;
-    }
-    return '消耗品'; // 預設
-};
-
 // 狀態選項
 const STATUS_OPTIONS = ['全部', '充足', '庫存偏低', '缺貨'];
 
@@ -56,13 +49,6 @@ const getStatusColor = (status) => {
     }
 };
 
-// 計算狀態
-const calculateStatus = (quantity, safeStock) => {
-    if (quantity <= 0) return '缺貨';
-    if (quantity < safeStock) return '庫存偏低';
-    return '充足';
-};
-
 // 格式化日期
 const formatDate = (dateStr) => {
     if (!dateStr) return '-';
@@ -96,9 +82,7 @@ const ItemModal = ({ isOpen, onClose, item, onSave, isEdit }) => {
 
     useEffect(() => {
         if (item) {
-            // 若舊資料沒有 mainCategory，根據 category 推算
-            const mainCat = item.mainCategory || getMainCategory(item.category);
-            setForm({ ...item, mainCategory: mainCat });
+            setForm({ ...item });
         } else {
             setForm({
                 name: '', spec: '', mainCategory: '消耗品', category: '黏著劑', quantity: 0,
@@ -117,7 +101,7 @@ const ItemModal = ({ isOpen, onClose, item, onSave, isEdit }) => {
     };
 
     const handleSave = () => {
-        const status = calculateStatus(parseInt(form.quantity), parseInt(form.safeStock));
+        const status = calculateStockStatus(parseInt(form.quantity), parseInt(form.safeStock));
         onSave({ ...form, quantity: parseInt(form.quantity), safeStock: parseInt(form.safeStock), status });
     };
 
@@ -220,7 +204,6 @@ const StockMovementModal = ({ isOpen, onClose, item, type, onConfirm }) => {
             type: type,
             quantity: parseInt(quantity),
             date: new Date().toISOString().split('T')[0],
-            operator: 'Admin',
             note
         });
     };
@@ -281,9 +264,13 @@ const DeleteConfirmModal = ({ isOpen, onClose, item, onConfirm }) => (
 );
 
 // 主組件
-const Inventory = ({ data, addToast, onUpdateInventory }) => {
-    const [items, setItems] = useState(data || []);
-    const [movements, setMovements] = useState([]);
+const Inventory = ({ addToast, routeState, onRouteStateHandled }) => {
+    const items = useStoreSelector(selectInventory);
+    const movements = useStoreSelector(selectStockMovements);
+    const actions = useDataActions();
+    const { undoAction } = useUndo(addToast);
+    const { can } = useAuth();
+    const [isImportOpen, setIsImportOpen] = useState(false);
     const [searchTerm, setSearchTerm] = useState('');
     const [mainCategoryFilter, setMainCategoryFilter] = useState('全部');
     const [subCategoryFilter, setSubCategoryFilter] = useState('全部');
@@ -306,11 +293,6 @@ const Inventory = ({ data, addToast, onUpdateInventory }) => {
     const [isInitializing, setIsInitializing] = useState(false);
     const [isSyncing, setIsSyncing] = useState(false);
 
-    // 初始化
-    useEffect(() => {
-        if (data) setItems(data);
-    }, [data]);
-
     // 當 inventorySheet 變更時儲存到 localStorage
     useEffect(() => {
         if (inventorySheet) {
@@ -326,8 +308,7 @@ const Inventory = ({ data, addToast, onUpdateInventory }) => {
                 item.spec?.toLowerCase().includes(searchTerm.toLowerCase());
 
             // 主類別篩選
-            const itemMainCat = item.mainCategory || getMainCategory(item.category);
-            const matchMainCategory = mainCategoryFilter === '全部' || itemMainCat === mainCategoryFilter;
+            const matchMainCategory = mainCategoryFilter === '全部' || item.mainCategory === mainCategoryFilter;
 
             // 子類別篩選
             const matchSubCategory = subCategoryFilter === '全部' || item.category === subCategoryFilter;
@@ -355,20 +336,22 @@ const Inventory = ({ data, addToast, onUpdateInventory }) => {
     // 新增品項
     const handleAddItem = async (newItem) => {
         const itemToAdd = { ...newItem, id: `i-${Date.now()}` };
-        const newItems = [...items, itemToAdd];
-        setItems(newItems);
-        if (onUpdateInventory) onUpdateInventory(newItems);
-        await GoogleService.syncToSheet('inventory', newItems);
+        const result = await actions.saveRecord('inventory', itemToAdd);
+        if (!result.success) {
+            addToast(`品項新增失敗: ${result.error}`, 'error');
+            return;
+        }
         addToast('品項新增成功！', 'success');
         setIsAddModalOpen(false);
     };
 
     // 編輯品項
     const handleEditItem = async (updatedItem) => {
-        const newItems = items.map(i => i.id === updatedItem.id ? updatedItem : i);
-        setItems(newItems);
-        if (onUpdateInventory) onUpdateInventory(newItems);
-        await GoogleService.syncToSheet('inventory', newItems);
+        const result = await actions.saveRecord('inventory', updatedItem);
+        if (!result.success) {
+            addToast(`品項更新失敗: ${result.error}`, 'error');
+            return;
+        }
         addToast('品項更新成功！', 'success');
         setIsEditModalOpen(false);
         setSelectedItem(null);
@@ -376,35 +359,23 @@ const Inventory = ({ data, addToast, onUpdateInventory }) => {
 
     // 刪除品項
     const handleDeleteItem = async () => {
-        const newItems = items.filter(i => i.id !== selectedItem.id);
-        setItems(newItems);
-        if (onUpdateInventory) onUpdateInventory(newItems);
-        await GoogleService.syncToSheet('inventory', newItems);
-        addToast('品項已刪除', 'info');
+        const result = await actions.removeRecord('inventory', selectedItem.id, { undoLabel: `刪除品項「${selectedItem.name}」` });
+        if (!result.success) {
+            addToast(`品項刪除失敗: ${result.error}`, 'error');
+            return;
+        }
+        addToast('品項已刪除', 'info', { action: undoAction });
         setIsDeleteModalOpen(false);
         setSelectedItem(null);
     };
 
-    // 出入庫
+    // 出入庫（數量、狀態與出入庫紀錄由 store 一併更新）
     const handleStockMovement = async (movement) => {
-        // 更新庫存數量
-        const delta = movement.type === '入' ? movement.quantity : -movement.quantity;
-        const newItems = items.map(i => {
-            if (i.id === movement.itemId) {
-                const newQty = Math.max(0, i.quantity + delta);
-                return { ...i, quantity: newQty, status: calculateStatus(newQty, i.safeStock) };
-            }
-            return i;
-        });
-
-        // 記錄出入庫
-        const newMovement = { ...movement, id: `sm-${Date.now()}` };
-        const newMovements = [...movements, newMovement];
-
-        setItems(newItems);
-        setMovements(newMovements);
-        if (onUpdateInventory) onUpdateInventory(newItems);
-        await GoogleService.syncToSheet('inventory', newItems);
+        const result = await actions.recordStockMovement(movement);
+        if (!result.success) {
+            addToast(`${movement.type === '入' ? '入庫' : '出庫'}失敗: ${result.error}`, 'error');
+            return;
+        }
         addToast(`${movement.type === '入' ? '入庫' : '出庫'}成功！`, 'success');
         setIsMovementModalOpen(false);
         setSelectedItem(null);
@@ -429,6 +400,21 @@ const Inventory = ({ data, addToast, onUpdateInventory }) => {
         setIsMovementModalOpen(true);
     };
 
+    // 從全域搜尋進入：定位到品項，或直接開啟出入庫
+    useEffect(() => {
+        const item = routeState?.itemId && items.find(i => i.id === routeState.itemId);
+        if (!item) return;
+        if (routeState.intent === 'stock-movement') {
+            openMovement(item, routeState.type);
+        } else if (routeState.intent === 'focus-item') {
+            setMainCategoryFilter('全部');
+            setSubCategoryFilter('全部');
+            setStatusFilter('全部');
+            setSearchTerm(item.name);
+        }
+        onRouteStateHandled();
+    }, [routeState, items, onRouteStateHandled]);
+
     // 初始化庫存 Sheet
     const initSheet = async () => {
         setIsInitializing(true);
@@ -480,10 +466,10 @@ const Inventory = ({ data, addToast, onUpdateInventory }) => {
     return (
         <div className="space-y-6 animate-fade-in">
             <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
-                <SectionTitle title="庫存管理" />
+                <SectionTitle title="庫存管理" subtitle={<EntitySyncStatus entities={['inventory']} />} />
                 <div className="flex flex-wrap items-center gap-2">
                     {/* Sheet 管理按鈕 */}
-                    {!inventorySheet ? (
+                    {!can('export', 'inventory') ? null : !inventorySheet ? (
                         <button
                             onClick={initSheet}
                             disabled={isInitializing}
@@ -528,13 +514,24 @@ const Inventory = ({ data, addToast, onUpdateInventory }) => {
                             </button>
                         </>
                     )}
-                    <button
-                        onClick={() => setIsAddModalOpen(true)}
-                        className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
-                    >
-                        <Plus size={18} />
-                        新增品項
-                    </button>
+                    {can('create', 'inventory') && (
+                        <>
+                            <button
+                                onClick={() => setIsImportOpen(true)}
+                                className="flex items-center gap-2 px-3 py-2 bg-white border border-gray-200 text-gray-700 rounded-lg hover:border-gray-300 transition-colors text-sm"
+                            >
+                                <Upload size={16} />
+                                匯入
+                            </button>
+                            <button
+                                onClick={() => setIsAddModalOpen(true)}
+                                className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+                            >
+                                <Plus size={18} />
+                                新增品項
+                            </button>
+                        </>
+                    )}
                 </div>
             </div>
 
@@ -671,7 +668,7 @@ const Inventory = ({ data, addToast, onUpdateInventory }) => {
                                         <td className="p-4 text-gray-500">{item.spec || '-'}</td>
                                         <td className="p-4">
                                             <div className="flex flex-col gap-0.5">
-                                                <span className="text-xs text-gray-400">{item.mainCategory || getMainCategory(item.category)}</span>
+                                                <span className="text-xs text-gray-400">{item.mainCategory}</span>
                                                 <span className="px-2 py-1 bg-gray-100 text-gray-600 rounded text-xs inline-block w-fit">
                                                     {item.category || '其他'}
                                                 </span>
@@ -695,34 +692,40 @@ const Inventory = ({ data, addToast, onUpdateInventory }) => {
                                         </td>
                                         <td className="p-4">
                                             <div className="flex items-center justify-center gap-1">
-                                                <button
-                                                    onClick={() => openMovement(item, '入')}
-                                                    className="p-1.5 text-green-600 hover:bg-green-50 rounded-lg transition-colors"
-                                                    title="入庫"
-                                                >
-                                                    <ArrowDownCircle size={18} />
-                                                </button>
-                                                <button
-                                                    onClick={() => openMovement(item, '出')}
-                                                    className="p-1.5 text-purple-600 hover:bg-purple-50 rounded-lg transition-colors"
-                                                    title="出庫"
-                                                >
-                                                    <ArrowUpCircle size={18} />
-                                                </button>
-                                                <button
-                                                    onClick={() => openEdit(item)}
-                                                    className="p-1.5 text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
-                                                    title="編輯"
-                                                >
-                                                    <Edit2 size={18} />
-                                                </button>
-                                                <button
-                                                    onClick={() => openDelete(item)}
-                                                    className="p-1.5 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
-                                                    title="刪除"
-                                                >
-                                                    <Trash2 size={18} />
-                                                </button>
+                                                {can('update', 'inventory') && (
+                                                    <>
+                                                        <button
+                                                            onClick={() => openMovement(item, '入')}
+                                                            className="p-1.5 text-green-600 hover:bg-green-50 rounded-lg transition-colors"
+                                                            title="入庫"
+                                                        >
+                                                            <ArrowDownCircle size={18} />
+                                                        </button>
+                                                        <button
+                                                            onClick={() => openMovement(item, '出')}
+                                                            className="p-1.5 text-purple-600 hover:bg-purple-50 rounded-lg transition-colors"
+                                                            title="出庫"
+                                                        >
+                                                            <ArrowUpCircle size={18} />
+                                                        </button>
+                                                        <button
+                                                            onClick={() => openEdit(item)}
+                                                            className="p-1.5 text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                                                            title="編輯"
+                                                        >
+                                                            <Edit2 size={18} />
+                                                        </button>
+                                                    </>
+                                                )}
+                                                {can('delete', 'inventory') && (
+                                                    <button
+                                                        onClick={() => openDelete(item)}
+                                                        className="p-1.5 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                                                        title="刪除"
+                                                    >
+                                                        <Trash2 size={18} />
+                                                    </button>
+                                                )}
                                             </div>
                                         </td>
                                     </tr>
@@ -763,7 +766,10 @@ const Inventory = ({ data, addToast, onUpdateInventory }) => {
                                     <div className={`font-bold ${m.type === '入' ? 'text-green-600' : 'text-purple-600'}`}>
                                         {m.type === '入' ? '+' : '-'}{m.quantity}
                                     </div>
-                                    <div className="text-xs text-gray-400">{formatDate(m.date)}</div>
+                                    <div className="text-xs text-gray-400 flex items-center justify-end gap-1">
+                                        <UserAvatar actor={m.createdBy} name={m.operator} size="xs" />
+                                        {formatDate(m.date)}
+                                    </div>
                                 </div>
                             </div>
                         ))}
@@ -799,6 +805,13 @@ const Inventory = ({ data, addToast, onUpdateInventory }) => {
                 type={movementType}
                 onConfirm={handleStockMovement}
             />
+            <ImportWizardModal
+                isOpen={isImportOpen}
+                onClose={() => setIsImportOpen(false)}
+                entity="inventory"
+                addToast={addToast}
+                undoAction={undoAction}
+            />
         </div>
     );
 };
@@ -3,8 +3,10 @@ import React, { useState } from 'react';
 import { useAuth } from '../context/AuthContext';
 
 const LoginPage = () => {
-    const { signInWithGoogle, loading, error, clearError } = useAuth();
+    const { user, isPending, signInWithGoogle, signOut, loading, error, clearError } = useAuth();
     const [isHovered, setIsHovered] = useState(null);
+    // 已用 Google 登入、但帳號待審核或未通過
+    const isRejected = user?.status === 'rejected';
 
     return (
         <div className="min-h-screen bg-gradient-to-br from-gray-50 via-gray-100 to-gray-200 flex items-center justify-center p-4">
@@ -49,7 +51,26 @@ const LoginPage = () => {
                         </div>
                     )}
 
-                    {/* Login Buttons */}
+                    {(isPending || isRejected) ? (
+                        <div className="text-center space-y-4">
+                            <div className={`p-4 rounded-xl border ${isPending ? 'bg-amber-50 border-amber-100' : 'bg-red-50 border-red-100'}`}>
+                                <p className={`text-sm font-medium ${isPending ? 'text-amber-700' : 'text-red-600'}`}>
+                                    {isPending ? '帳號等待管理員審核' : '帳號申請未通過'}
+                                </p>
+                                <p className="text-xs text-gray-500 mt-1">
+                                    {user.email}{isPending ? ' 已送出申請，核准後重新整理即可使用' : '，如有疑問請聯絡管理員'}
+                                </p>
+                            </div>
+                            <button
+                                onClick={signOut}
+                                disabled={loading}
+                                className="w-full px-6 py-3 rounded-xl bg-white border-2 border-gray-200 text-gray-700 font-medium hover:border-gray-300 transition-colors disabled:opacity-50"
+                            >
+                                使用其他帳號登入
+                            </button>
+                        </div>
+                    ) : (
+                    /* Login Buttons */
                     <div className="space-y-4">
                         {/* Google Login Button */}
                         <button
@@ -111,6 +132,7 @@ const LoginPage = () => {
                             <span>使用 LINE 登入（即將開放）</span>
                         </button>
                     </div>
+                    )}
 
                     {/* Footer */}
                     <div className="mt-8 text-center">
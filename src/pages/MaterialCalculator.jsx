@@ -7,6 +7,11 @@ import {
 } from 'lucide-react';
 import { SectionTitle } from '../components/common/Indicators';
 import { GoogleService } from '../services/GoogleService';
+import { useStoreSelector } from '../context/DataStoreContext';
+import { useAuth } from '../context/AuthContext';
+import { UserAvatar } from '../components/common/UserAvatar';
+import { toActor } from '../services/actor';
+import { selectVendors } from '../services/dataStore';
 
 // ============================================
 // 計算公式與常數定義
@@ -2153,8 +2158,13 @@ const BuildingEstimator = ({ onAddRecord }) => {
 // 主組件
 // ============================================
 
-export const MaterialCalculator = ({ addToast, vendors = [] }) => {
-    const [activeTab, setActiveTab] = useState('structure');
+export const MaterialCalculator = ({ addToast, activeTab: routeTab, onTabChange }) => {
+    const vendors = useStoreSelector(selectVendors);
+    // 由網址控制分頁時（/calc/:tab）以 routeTab 為準，否則使用元件內的狀態
+    const [localTab, setLocalTab] = useState('structure');
+    const setActiveTab = onTabChange || setLocalTab;
+
+    const { user } = useAuth();
 
     // 計算記錄
     const [calcRecords, setCalcRecords] = useState([]);
@@ -2169,6 +2179,8 @@ export const MaterialCalculator = ({ addToast, vendors = [] }) => {
         { id: 'finish', icon: Paintbrush, label: '塗料工程' },
         { id: 'estimate', icon: BarChart3, label: '建築概估' },
     ];
+    const requestedTab = routeTab || localTab;
+    const activeTab = tabs.some(t => t.id === requestedTab) ? requestedTab : 'structure';
 
     // 新增計算記錄
     const addRecord = (category, subType, label, value, unit, wastageValue, costData) => {
@@ -2181,6 +2193,7 @@ export const MaterialCalculator = ({ addToast, vendors = [] }) => {
             unit,
             wastageValue: parseFloat(wastageValue) || parseFloat(value) || 0,
             createdAt: new Date().toLocaleString('zh-TW'),
+            createdBy: toActor(user),
             // 成本資訊
             vendor: costData?.vendor || '',
             spec: costData?.spec || '',
@@ -2335,8 +2348,9 @@ export const MaterialCalculator = ({ addToast, vendors = [] }) => {
                                     <div key={record.id} className="flex items-center justify-between py-2 border-b border-white/20 last:border-0">
                                         <div className="flex-1 min-w-0">
                                             <div className="font-medium text-sm truncate">{record.label}</div>
-                                            <div className="text-xs text-orange-200">
+                                            <div className="text-xs text-orange-200 flex items-center gap-1">
                                                 {record.category} - {record.subType}
+                                                <UserAvatar actor={record.createdBy} size="xs" showName={false} />
                                             </div>
                                         </div>
                                         <div className="flex items-center gap-2">
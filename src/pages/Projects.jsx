@@ -1,17 +1,30 @@
 
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { WidgetWrapper } from '../components/common/WidgetWrapper';
 import { WidgetProjectStats, WidgetProjectList, WidgetProjectInfo, WidgetProjectFiles } from '../components/widgets/ProjectWidgets';
 import { WidgetProjectVendors } from '../components/widgets/ProjectVendorsWidget';
 import { WidgetProjectInventory } from '../components/widgets/ProjectInventoryWidget';
+import { WidgetProjectMembers } from '../components/widgets/ProjectMembersWidget';
 import { AddVendorModal } from '../components/project/AddVendorModal';
+import { AddMemberModal } from '../components/project/AddMemberModal';
 import { AddInventoryModal } from '../components/project/AddInventoryModal';
 import { Plus, ChevronLeft, Calendar as CalendarIcon, Upload, ImageIcon, Edit2, Save, X, Trash2 } from 'lucide-react';
 import { Modal } from '../components/common/Modal';
 import { InputField } from '../components/common/InputField';
 import { LocationField } from '../components/common/LocationField';
-import { ProgressBar } from '../components/common/Indicators';
+import { ProgressBar, LoadingSkeleton } from '../components/common/Indicators';
+import { EntitySyncStatus } from '../components/common/EntitySyncStatus';
+import { AuditHistoryPanel } from '../components/common/AuditHistoryPanel';
+import { UserAvatar } from '../components/common/UserAvatar';
 import { GoogleService } from '../services/GoogleService';
+import { useStoreSelector, useDataActions, useSyncStatus, useUndo } from '../context/DataStoreContext';
+import { useAuth } from '../context/AuthContext';
+import { anyMasked, MASK_TEXT } from '../services/fieldMasking';
+import { buildProjectMember } from '../services/projectScope';
+import { toActor } from '../services/actor';
+import {
+    selectProjects, selectProjectsById, selectTransactionsByProject, selectAccounts, selectVendors, selectInventory
+} from '../services/dataStore';
 
 // --- Missing Detail Widgets (Implementing inline for safety) ---
 const WidgetProjectRecords = ({ records, size, onAddRecord }) => (
@@ -20,7 +33,7 @@ const WidgetProjectRecords = ({ records, size, onAddRecord }) => (
         <div className="flex-1 overflow-y-auto space-y-3 pr-1 custom-scrollbar">
             {records.map(r => (
                 <div key={r.id} className="bg-gray-50 p-3 rounded-xl border border-gray-100 hover:border-morandi-blue-200 transition-colors">
-                    <div className="flex justify-between text-[10px] text-gray-400 mb-1"><span>{r.date} · {r.type}</span><span>{r.author}</span></div>
+                    <div className="flex justify-between items-center gap-2 text-[10px] text-gray-400 mb-1"><span>{r.date} · {r.type}</span><UserAvatar actor={r.createdBy} name={r.author} size="xs" /></div>
                     <div className="text-xs text-gray-800 mb-2 leading-relaxed">{r.content}</div>
                     {r.photos && r.photos.length > 0 && (<div className="flex gap-2 overflow-x-auto pb-1">{r.photos.map((p, idx) => (<div key={idx} className="w-10 h-10 bg-gray-200 rounded-lg flex items-center justify-center shrink-0"><ImageIcon size={14} className="text-gray-400" /></div>))}</div>)}
                 </div>
@@ -33,6 +46,8 @@ const WidgetProjectFinanceDetail = ({ transactions, size, onAddTx, onSyncToSheet
     const income = transactions.filter(t => t.type === '收入').reduce((acc, c) => acc + c.amount, 0);
     const expense = transactions.filter(t => t.type === '支出').reduce((acc, c) => acc + c.amount, 0);
     const balance = income - expense;
+    const amountsHidden = anyMasked(transactions, 'amount');
+    const money = value => (amountsHidden ? MASK_TEXT : `$${value.toLocaleString()}`);
 
     // 按類別分組支出
     const expenseByCategory = transactions
@@ -57,16 +72,16 @@ const WidgetProjectFinanceDetail = ({ transactions, size, onAddTx, onSyncToSheet
             <div className="grid grid-cols-3 gap-2 mb-3">
                 <div className="bg-green-50 rounded-lg p-2 text-center">
                     <div className="text-xs text-gray-500">收入</div>
-                    <div className="text-sm font-bold text-green-600">${income.toLocaleString()}</div>
+                    <div className="text-sm font-bold text-green-600">{money(income)}</div>
                 </div>
                 <div className="bg-red-50 rounded-lg p-2 text-center">
                     <div className="text-xs text-gray-500">支出</div>
-                    <div className="text-sm font-bold text-red-600">${expense.toLocaleString()}</div>
+                    <div className="text-sm font-bold text-red-600">{money(expense)}</div>
                 </div>
                 <div className={`${balance >= 0 ? 'bg-blue-50' : 'bg-orange-50'} rounded-lg p-2 text-center`}>
                     <div className="text-xs text-gray-500">淨額</div>
                     <div className={`text-sm font-bold ${balance >= 0 ? 'text-blue-600' : 'text-orange-600'}`}>
-                        ${balance.toLocaleString()}
+                        {money(balance)}
                     </div>
                 </div>
             </div>
@@ -106,7 +121,7 @@ const WidgetProjectFinanceDetail = ({ transactions, size, onAddTx, onSyncToSheet
                                 <div className="text-[10px] text-gray-400">{t.date} · {t.category || '-'}</div>
                             </div>
                             <span className={`font-bold ml-2 ${t.type === '收入' ? 'text-green-600' : 'text-red-500'}`}>
-                                {t.type === '收入' ? '+' : '-'}${t.amount.toLocaleString()}
+                                {amountsHidden ? MASK_TEXT : `${t.type === '收入' ? '+' : '-'}$${t.amount.toLocaleString()}`}
                             </span>
                         </div>
                     ))
@@ -123,7 +138,7 @@ const WidgetProjectFinanceDetail = ({ transactions, size, onAddTx, onSyncToSheet
                 <button onClick={onAddTx} className="flex-1 py-1.5 text-xs bg-gray-800 text-white rounded-lg hover:bg-gray-700 transition-colors">
                     新增收支
                 </button>
-                {project?.folderId && (
+                {project?.folderId && onSyncToSheet && (
                     <button onClick={onSyncToSheet} className="py-1.5 px-3 text-xs bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors" title="同步到專案 Sheet">
                         同步
                     </button>
@@ -133,7 +148,22 @@ const WidgetProjectFinanceDetail = ({ transactions, size, onAddTx, onSyncToSheet
     );
 }
 
-const Projects = ({ data, loading, addToast, onSelectProject, activeProject, setActiveProject, onUpdateProject, onDeleteProject, allTransactions, onAddGlobalTx, accounts, allVendors, allInventory }) => {
+const EMPTY_LIST = [];
+
+const Projects = ({ addToast, activeProjectId, onSelectProject }) => {
+    const data = useStoreSelector(selectProjects);
+    const projectsById = useStoreSelector(selectProjectsById);
+    const transactionsByProject = useStoreSelector(selectTransactionsByProject);
+    const accounts = useStoreSelector(selectAccounts);
+    const allVendors = useStoreSelector(selectVendors);
+    const allInventory = useStoreSelector(selectInventory);
+    const actions = useDataActions();
+    const { undoAction } = useUndo(addToast);
+    const { can, user, roleLevel } = useAuth();
+    const { loading } = useSyncStatus(['projects']);
+    // 管理員才能指派專案成員
+    const canManageMembers = roleLevel >= 2 && can('update', 'projects');
+    const activeProject = activeProjectId ? projectsById.get(activeProjectId) || null : null;
 
     // List View State
     const [listWidgets, setListWidgets] = useState([{ id: 'wp-stats', type: 'project-stats', title: '專案概況', size: 'S' }, { id: 'wp-list', type: 'project-list', title: '專案列表', size: 'L' }]);
@@ -141,6 +171,7 @@ const Projects = ({ data, loading, addToast, onSelectProject, activeProject, set
     // Detail View State
     const [detailWidgets, setDetailWidgets] = useState([
         { id: 'wp-info', type: 'info', title: '基本資訊', size: 'S' },
+        { id: 'wp-members', type: 'members', title: '專案成員', size: 'S' },
         { id: 'wp-vendors', type: 'vendors', title: '參與廠商', size: 'M' },
         { id: 'wp-records', type: 'records', title: '工程紀錄', size: 'L' },
         { id: 'wp-finance', type: 'finance', title: '專案收支', size: 'M' },
@@ -165,8 +196,12 @@ const Projects = ({ data, loading, addToast, onSelectProject, activeProject, set
     const [editFormData, setEditFormData] = useState({});
     const [isDeleteModalOpen, setIsDeleteModalOpen] = useState(false);
 
+    // 以上一頁 / 下一頁切換專案時結束編輯
+    useEffect(() => { setIsEditing(false); }, [activeProjectId]);
+
     // Vendor & Inventory Modals
     const [isVendorModalOpen, setIsVendorModalOpen] = useState(false);
+    const [isMemberModalOpen, setIsMemberModalOpen] = useState(false);
     const [isInventoryModalOpen, setIsInventoryModalOpen] = useState(false);
     const [isSaving, setIsSaving] = useState(false);
 
@@ -189,11 +224,16 @@ const Projects = ({ data, loading, addToast, onSelectProject, activeProject, set
         setIsEditing(true);
     };
 
-    const saveEdit = () => {
-        onUpdateProject(editFormData);
-        setActiveProject(editFormData);
+    const saveEdit = async () => {
         setIsEditing(false);
-        addToast('專案資訊已更新！', 'success');
+
+        const syncResult = await actions.saveRecord('projects', editFormData);
+
+        if (!syncResult.success) {
+            addToast(`專案已更新，但 Sheets 同步失敗: ${syncResult.error}`, 'warning');
+        } else {
+            addToast('專案資訊已更新！', 'success');
+        }
     };
 
     const cancelEdit = () => {
@@ -244,14 +284,13 @@ const Projects = ({ data, loading, addToast, onSelectProject, activeProject, set
             inventory: [],
             files: [],
             records: [],
-            transactions: []
+            transactions: [],
+            // 建立者預設為專案負責人，只看得到參與專案的角色也看得到自己建立的專案
+            members: user ? [buildProjectMember(user, '專案負責人')] : []
         };
 
-        onUpdateProject(project);
-
         // Sync to Google Sheets
-        const allProjects = [...data, project];
-        const syncResult = await GoogleService.syncToSheet('projects', allProjects);
+        const syncResult = await actions.saveRecord('projects', project);
 
         setIsSaving(false);
 
@@ -291,7 +330,9 @@ const Projects = ({ data, loading, addToast, onSelectProject, activeProject, set
             addToast('正在上傳檔案...', 'info');
             const res = await GoogleService.uploadToDrive(file, activeProject.name, activeProject.driveFolder);
 
-            if (res.success) {
+            if (res.queued) {
+                addToast(`目前無法連線，檔案「${file.name}」已排入佇列，恢復連線後自動上傳`, 'info');
+            } else if (res.success) {
                 const fileRecord = {
                     id: `file-${Date.now()}`,
                     name: file.name,
@@ -300,8 +341,7 @@ const Projects = ({ data, loading, addToast, onSelectProject, activeProject, set
                     size: file.size
                 };
                 const updatedProject = { ...activeProject, files: [...(activeProject.files || []), fileRecord] };
-                onUpdateProject(updatedProject);
-                setActiveProject(updatedProject);
+                actions.saveRecord('projects', updatedProject);
                 addToast(`檔案「${file.name}」已上傳至 Drive`, 'success', {
                     link: res.url,
                     linkText: '開啟檔案'
@@ -311,19 +351,20 @@ const Projects = ({ data, loading, addToast, onSelectProject, activeProject, set
             }
         }
     };
-    // Delete Handler - 只從列表中移除，不刪除 Drive 資料夾
+    // Delete Handler - 移除專案資料列，不刪除 Drive 資料夾
     const handleDeleteProject = () => {
         setIsDeleteModalOpen(true);
     };
 
-    const confirmDelete = () => {
-        // Remove project from data array
-        if (onDeleteProject) {
-            onDeleteProject(activeProject.id);
+    const confirmDelete = async () => {
+        const result = await actions.removeRecord('projects', activeProject.id, { undoLabel: `移除專案「${activeProject.name}」` });
+        if (!result.success) {
+            addToast(`移除專案失敗: ${result.error}`, 'error');
+            return;
         }
-        addToast(`專案「${activeProject.name}」已從列表移除（Drive 資料夾保留）`, 'success');
+        addToast(`專案「${activeProject.name}」已從列表移除（Drive 資料夾保留）`, 'success', { action: undoAction });
         setIsDeleteModalOpen(false);
-        setActiveProject(null);
+        onSelectProject(null);
     };
 
     // Vendor Handlers
@@ -332,8 +373,7 @@ const Projects = ({ data, loading, addToast, onSelectProject, activeProject, set
             ...activeProject,
             vendors: [...(activeProject.vendors || []), vendorData]
         };
-        onUpdateProject(updatedProject);
-        setActiveProject(updatedProject);
+        actions.saveRecord('projects', updatedProject);
         setIsVendorModalOpen(false);
         addToast(`廠商「${vendorData.name}」已加入專案`, 'success');
     };
@@ -343,29 +383,58 @@ const Projects = ({ data, loading, addToast, onSelectProject, activeProject, set
             ...activeProject,
             vendors: activeProject.vendors.filter(v => v.vendorId !== vendorId)
         };
-        onUpdateProject(updatedProject);
-        setActiveProject(updatedProject);
+        actions.saveRecord('projects', updatedProject);
         addToast('廠商已移除', 'info');
     };
 
+    // Member Handlers
+    const saveMembers = async (members, message) => {
+        const result = await actions.saveRecord('projects', { ...activeProject, members });
+        if (!result.success) {
+            addToast(`成員更新失敗: ${result.error}`, 'error');
+        } else {
+            addToast(message, 'success');
+        }
+    };
+
+    const handleAddMember = (member) => {
+        setIsMemberModalOpen(false);
+        saveMembers([...(activeProject.members || []), member], `「${member.name}」已加入專案`);
+    };
+
+    const handleRemoveMember = (uid) => {
+        const member = (activeProject.members || []).find(m => m.uid === uid);
+        if (!window.confirm(`確定要將「${member?.name}」移出專案嗎？`)) return;
+        saveMembers(activeProject.members.filter(m => m.uid !== uid), '成員已移除');
+    };
+
+    const handleChangeMemberRole = (uid, role) => {
+        saveMembers(activeProject.members.map(m => (m.uid === uid ? { ...m, role } : m)), '成員角色已更新');
+    };
+
     // Record Handler - Save records with metadata and sync to Sheets
     const handleAddRecord = async () => {
+        const actor = toActor(user);
         const record = {
             ...newRecord,
             id: `r-${Date.now()}`,
             date: new Date().toLocaleDateString('zh-TW'),
             time: new Date().toLocaleTimeString('zh-TW', { hour: '2-digit', minute: '2-digit' }),
-            author: '使用者A'
+            author: actor.name,
+            createdBy: actor
         };
 
         const updatedProject = { ...activeProject, records: [record, ...(activeProject.records || [])] };
-        onUpdateProject(updatedProject);
-        setActiveProject(updatedProject);
 
         // Sync updated project records to Sheets
         if (activeProject.driveFolder) {
-            const allProjects = data.map(p => p.id === activeProject.id ? updatedProject : p);
-            await GoogleService.syncToSheet('projects', allProjects);
+            const result = await actions.saveRecord('projects', updatedProject);
+            if (!result.success) {
+                addToast(`工程紀錄新增失敗: ${result.error}`, 'error');
+                return;
+            }
+        } else {
+            actions.upsertLocal('projects', [updatedProject]);
         }
 
         setNewRecord({ type: '工程', content: '', photos: [] });
@@ -373,14 +442,13 @@ const Projects = ({ data, loading, addToast, onSelectProject, activeProject, set
         addToast('工程紀錄已新增並同步至 Sheets', 'success');
     };
 
-    // Inventory Handlers
-    const handleAddInventory = (inventoryData) => {
-        const updatedProject = {
-            ...activeProject,
-            inventory: [...(activeProject.inventory || []), inventoryData]
-        };
-        onUpdateProject(updatedProject);
-        setActiveProject(updatedProject);
+    // Inventory Handlers - 出入庫同時更新庫存數量與專案的庫存追蹤
+    const handleAddInventory = async (inventoryData) => {
+        const result = await actions.recordStockMovement({ ...inventoryData, projectId: activeProject.id });
+        if (!result.success) {
+            addToast(`${inventoryData.type === '出' ? '出庫' : '入庫'}失敗: ${result.error}`, 'error');
+            return;
+        }
         setIsInventoryModalOpen(false);
         addToast(`已記錄${inventoryData.type === '出' ? '出庫' : '入庫'}：${inventoryData.itemName} x${inventoryData.quantity}`, 'success');
     };
@@ -392,7 +460,7 @@ const Projects = ({ data, loading, addToast, onSelectProject, activeProject, set
             return;
         }
 
-        const projectTx = allTransactions.filter(t => t.projectId === activeProject.id);
+        const projectTx = transactionsByProject[activeProject.id] || EMPTY_LIST;
         if (projectTx.length === 0) {
             addToast('尚無收支記錄可同步', 'info');
             return;
@@ -409,7 +477,7 @@ const Projects = ({ data, loading, addToast, onSelectProject, activeProject, set
                     category: t.category || '',
                     amount: t.amount,
                     target: '',
-                    account: accounts?.find(a => a.id === t.accountId)?.name || '',
+                    account: accounts.find(a => a.id === t.accountId)?.name || '',
                     invoiceNo: '',
                     note: t.desc || ''
                 }))
@@ -427,12 +495,15 @@ const Projects = ({ data, loading, addToast, onSelectProject, activeProject, set
         }
     };
 
+    // 從連結開啟詳情頁時，等待資料載入
+    if (activeProjectId && !activeProject && loading) return <LoadingSkeleton />;
+
     if (activeProject) {
-        const projectTx = allTransactions.filter(t => t.projectId === activeProject.id);
+        const projectTx = transactionsByProject[activeProject.id] || EMPTY_LIST;
 
         return (
             <div className="space-y-4 sm:space-y-6 animate-fade-in">
-                <button onClick={() => setActiveProject(null)} className="flex items-center gap-2 text-sm text-gray-600 hover:text-gray-800 mb-4">
+                <button onClick={() => onSelectProject(null)} className="flex items-center gap-2 text-sm text-gray-600 hover:text-gray-800 mb-4">
                     <ChevronLeft size={16} /> 返回列表
                 </button>
 
@@ -481,12 +552,16 @@ const Projects = ({ data, loading, addToast, onSelectProject, activeProject, set
                             </>
                         ) : (
                             <>
-                                <button onClick={startEdit} className="px-4 py-2 bg-blue-50 hover:bg-blue-100 text-blue-600 rounded-lg flex items-center gap-2 transition-colors">
-                                    <Edit2 size={16} /> 編輯
-                                </button>
-                                <button onClick={handleDeleteProject} className="px-4 py-2 bg-red-50 hover:bg-red-100 text-red-600 rounded-lg flex items-center gap-2 transition-colors">
-                                    <Trash2 size={16} /> 刪除
-                                </button>
+                                {can('update', 'projects') && (
+                                    <button onClick={startEdit} className="px-4 py-2 bg-blue-50 hover:bg-blue-100 text-blue-600 rounded-lg flex items-center gap-2 transition-colors">
+                                        <Edit2 size={16} /> 編輯
+                                    </button>
+                                )}
+                                {can('delete', 'projects') && (
+                                    <button onClick={handleDeleteProject} className="px-4 py-2 bg-red-50 hover:bg-red-100 text-red-600 rounded-lg flex items-center gap-2 transition-colors">
+                                        <Trash2 size={16} /> 刪除
+                                    </button>
+                                )}
                             </>
                         )}
                     </div>
@@ -496,6 +571,13 @@ const Projects = ({ data, loading, addToast, onSelectProject, activeProject, set
                     {detailWidgets.map((w, i) => (
                         <WidgetWrapper key={w.id} widget={w} onResize={handleResize(detailWidgets, setDetailWidgets)}>
                             {w.type === 'info' && <WidgetProjectInfo project={activeProject} size={w.size} />}
+                            {w.type === 'members' && <WidgetProjectMembers
+                                members={activeProject.members || []}
+                                size={w.size}
+                                onAddMember={canManageMembers ? () => setIsMemberModalOpen(true) : undefined}
+                                onRemoveMember={canManageMembers ? handleRemoveMember : undefined}
+                                onChangeRole={canManageMembers ? handleChangeMemberRole : undefined}
+                            />}
                             {/* Reuse Widgets */}
                             {w.type === 'files' && <WidgetProjectFiles files={activeProject.files} size={w.size} onUpload={() => { }} />}
                             {w.type === 'records' && <WidgetProjectRecords records={activeProject.records} size={w.size} onAddRecord={() => setIsRecordModalOpen(true)} />}
@@ -503,37 +585,41 @@ const Projects = ({ data, loading, addToast, onSelectProject, activeProject, set
                                 transactions={projectTx}
                                 size={w.size}
                                 onAddTx={() => { }}
-                                onSyncToSheet={handleSyncProjectFinance}
+                                onSyncToSheet={can('export', 'transactions') ? handleSyncProjectFinance : undefined}
                                 project={activeProject}
                             />}
                             {w.type === 'vendors' && <WidgetProjectVendors vendors={activeProject.vendors || []} size={w.size} onAddVendor={() => setIsVendorModalOpen(true)} onRemoveVendor={handleRemoveVendor} />}
-                            {w.type === 'inventory' && <WidgetProjectInventory inventory={activeProject.inventory || []} size={w.size} onAddRecord={() => setIsInventoryModalOpen(true)} />}
+                            {w.type === 'inventory' && <WidgetProjectInventory inventory={activeProject.inventory || []} size={w.size} onAddRecord={can('update', 'inventory') ? () => setIsInventoryModalOpen(true) : undefined} />}
                         </WidgetWrapper>
                     ))}
 
                 </div>
 
-                <Modal isOpen={isRecordModalOpen} onClose={() => setIsRecordModalOpen(false)} title="新增紀錄" onConfirm={() => {
-                    // Mock Implementation
-                    const record = { id: `r-${Date.now()}`, date: new Date().toISOString().split('T')[0], author: 'Alex', ...newRecord };
-                    onUpdateProject({ ...activeProject, records: [record, ...(activeProject.records || [])] });
-                    setIsRecordModalOpen(false);
-                }}>
+                <AuditHistoryPanel entity="projects" entityId={activeProject.id} revision={activeProject.revision} />
+
+                <Modal isOpen={isRecordModalOpen} onClose={() => setIsRecordModalOpen(false)} title="新增紀錄" onConfirm={handleAddRecord}>
                     <InputField label="內容" type="textarea" value={newRecord.content} onChange={e => setNewRecord({ ...newRecord, content: e.target.value })} />
                 </Modal>
 
+                <AddMemberModal
+                    isOpen={isMemberModalOpen}
+                    onClose={() => setIsMemberModalOpen(false)}
+                    onConfirm={handleAddMember}
+                    members={activeProject.members || []}
+                />
+
                 <AddVendorModal
                     isOpen={isVendorModalOpen}
                     onClose={() => setIsVendorModalOpen(false)}
                     onConfirm={handleAddVendor}
-                    allVendors={allVendors || []}
+                    allVendors={allVendors}
                 />
 
                 <AddInventoryModal
                     isOpen={isInventoryModalOpen}
                     onClose={() => setIsInventoryModalOpen(false)}
                     onConfirm={handleAddInventory}
-                    allInventory={allInventory || []}
+                    allInventory={allInventory}
                 />
 
                 <Modal
@@ -565,16 +651,22 @@ const Projects = ({ data, loading, addToast, onSelectProject, activeProject, set
             {/* Projects List View */}
             <div className="space-y-4 sm:space-y-6 animate-fade-in">
                 <div className="flex justify-between items-center mb-4">
-                    <h2 className="text-2xl sm:text-3xl font-bold text-morandi-text-primary">專案管理</h2>
-                    <button onClick={() => setIsAddModalOpen(true)} className="flex items-center gap-2 px-3 sm:px-4 py-2 bg-morandi-text-accent text-white rounded-xl hover:bg-gray-800 transition-colors shadow-lg">
-                        <Plus size={16} /> <span className="hidden sm:inline">新增專案</span><span className="sm:hidden">新增</span>
-                    </button>
+                    <div>
+                        <h2 className="text-2xl sm:text-3xl font-bold text-morandi-text-primary">專案管理</h2>
+                        <EntitySyncStatus entities={['projects', 'transactions']} />
+                    </div>
+                    {can('create', 'projects') && (
+                        <button onClick={() => setIsAddModalOpen(true)} className="flex items-center gap-2 px-3 sm:px-4 py-2 bg-morandi-text-accent text-white rounded-xl hover:bg-gray-800 transition-colors shadow-lg">
+                            <Plus size={16} /> <span className="hidden sm:inline">新增專案</span><span className="sm:hidden">新增</span>
+                        </button>
+                    )}
                 </div>
                 <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 sm:gap-6 auto-rows-auto">
                     {listWidgets.map((w, i) => (
                         <WidgetWrapper key={w.id} widget={w} onResize={handleResize(listWidgets, setListWidgets)}>
                             {w.type === 'project-stats' && <WidgetProjectStats data={data} size={w.size} />}
-                            {w.type === 'project-list' && <WidgetProjectList data={data} size={w.size} onSelectProject={setActiveProject} onAdd={() => setIsAddModalOpen(true)} />}
+                            {w.type === 'project-list' && loading && <LoadingSkeleton />}
+                            {w.type === 'project-list' && !loading && <WidgetProjectList data={data} size={w.size} onSelectProject={project => onSelectProject(project.id)} onAdd={can('create', 'projects') ? () => setIsAddModalOpen(true) : undefined} />}
                         </WidgetWrapper>
                     ))}
                 </div>
@@ -1,11 +1,14 @@
 
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useEffect } from 'react';
 import { ChevronLeft, ChevronRight, Plus, CalendarDays, Building2 } from 'lucide-react';
 import { Modal } from '../components/common/Modal';
 import { InputField } from '../components/common/InputField';
 import { LocationField } from '../components/common/LocationField';
 import { SectionTitle } from '../components/common/Indicators';
 import { GoogleService } from '../services/GoogleService';
+import { useStoreSelector, useDataActions } from '../context/DataStoreContext';
+import { selectCalendar, selectLoans, selectProjects } from '../services/dataStore';
+import { maskedText } from '../services/fieldMasking';
 
 // 台灣節慶假日 2024-2026
 const TAIWAN_HOLIDAYS = {
@@ -59,14 +62,24 @@ const TAIWAN_HOLIDAYS = {
     '2026-12-25': '行憲紀念日',
 };
 
-const Schedule = ({ data = [], loans = [], addToast, onUpdateCalendar }) => {
+const Schedule = ({ addToast, routeState, onRouteStateHandled }) => {
+    const localEvents = useStoreSelector(selectCalendar);
+    const loans = useStoreSelector(selectLoans);
+    const projects = useStoreSelector(selectProjects);
+    const { upsertLocal } = useDataActions();
     const [currentDate, setCurrentDate] = useState(new Date());
+
+    // 從全域搜尋開啟行程時切換到該月份
+    useEffect(() => {
+        if (routeState?.intent !== 'focus-date' || !routeState.date) return;
+        setCurrentDate(new Date(`${routeState.date}T00:00:00`));
+        onRouteStateHandled();
+    }, [routeState, onRouteStateHandled]);
     const [isAddModalOpen, setIsAddModalOpen] = useState(false);
-    const [newEvent, setNewEvent] = useState({ title: "", date: "", time: "10:00", type: "meeting", description: "", location: "" });
+    const [newEvent, setNewEvent] = useState({ title: "", date: "", time: "10:00", type: "meeting", description: "", location: "", projectId: "" });
     const [isSaving, setIsSaving] = useState(false);
     const [showHolidays, setShowHolidays] = useState(true);
     const [showLoanReminders, setShowLoanReminders] = useState(true);
-    const [localEvents, setLocalEvents] = useState(data);
 
     // 生成貸款還款提醒事件
     const loanPaymentEvents = useMemo(() => {
@@ -92,7 +105,7 @@ const Schedule = ({ data = [], loans = [], addToast, onUpdateCalendar }) => {
                 date: dateStr,
                 time: '09:00',
                 type: 'loan',
-                description: `每月還款 $${loan.monthlyPayment?.toLocaleString() || 0}`,
+                description: `每月還款 ${maskedText(loan, 'monthlyPayment', v => `$${v?.toLocaleString() || 0}`)}`,
                 location: loan.bankName,
                 loanId: loan.id,
                 amount: loan.monthlyPayment
@@ -139,21 +152,21 @@ const Schedule = ({ data = [], loans = [], addToast, onUpdateCalendar }) => {
         };
 
         // 嘗試同步到 Google Calendar
-        const result = await GoogleService.addToCalendar(newEvent);
+        const result = await GoogleService.addToCalendar(eventToAdd);
         setIsSaving(false);
 
         // 無論 GAS 成功與否，都新增到本地
-        const updatedEvents = [...localEvents, eventToAdd];
-        setLocalEvents(updatedEvents);
-        if (onUpdateCalendar) onUpdateCalendar(updatedEvents);
+        upsertLocal('calendar', [eventToAdd]);
 
-        if (result.success) {
+        if (result.queued) {
+            addToast(`行程「${newEvent.title}」已新增，將於恢復連線後同步至 Google Calendar`, 'info');
+        } else if (result.success) {
             addToast(`✅ 行程「${newEvent.title}」已同步至 Google Calendar`, 'success');
         } else {
             addToast(`⚠️ 行程已新增（本地），但 Google 同步失敗: ${result.error}`, 'warning');
         }
 
-        setNewEvent({ title: "", date: "", time: "10:00", type: "meeting", description: "", location: "" });
+        setNewEvent({ title: "", date: "", time: "10:00", type: "meeting", description: "", location: "", projectId: "" });
         setIsAddModalOpen(false);
     };
 
@@ -298,7 +311,7 @@ const Schedule = ({ data = [], loans = [], addToast, onUpdateCalendar }) => {
                                                         : 'bg-morandi-blue-100/50 text-morandi-blue-600 border-morandi-blue-100 hover:bg-morandi-blue-100'
                                                         }`}
                                                 >
-                                                    {evt.type === 'loan' ? `🏦 $${evt.amount?.toLocaleString() || ''} ` : `${evt.time} `}{evt.title}
+                                                    {evt.type === 'loan' ? `🏦 ${evt.amount === undefined ? '' : `$${evt.amount.toLocaleString()} `}` : `${evt.time} `}{evt.title}
                                                 </div>
                                             ))}
                                         </div>
@@ -345,6 +358,11 @@ const Schedule = ({ data = [], loans = [], addToast, onUpdateCalendar }) => {
                     onChange={e => setNewEvent({ ...newEvent, location: e.target.value })}
                     placeholder="例：台北市信義區松智路1號"
                 />
+                {/* 關聯專案的行程只有專案成員看得到 */}
+                <InputField label="關聯專案 (選填)" type="select" value={newEvent.projectId} onChange={e => setNewEvent({ ...newEvent, projectId: e.target.value })}>
+                    <option value="">無</option>
+                    {projects.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                </InputField>
                 <InputField
                     label="描述"
                     value={newEvent.description}
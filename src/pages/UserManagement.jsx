@@ -1,5 +1,5 @@
 // User Management Page (Super Admin Only)
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import {
     Users,
     Shield,
@@ -14,16 +14,45 @@ import {
     Eye,
     EyeOff,
     Save,
-    RefreshCw
+    RefreshCw,
+    History,
+    UserCheck,
+    Mail,
+    Plus,
+    Ban,
+    Copy
 } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
+import { AuditEventItem } from '../components/common/AuditHistoryPanel';
+import { getRecentAuditEvents, auditEntityLabel } from '../services/auditLog';
+import { MASKABLE_FIELDS } from '../services/fieldMasking';
 import {
     getAllUsers,
     getAllRoles,
     updateUserRole,
     updateRoleConfig,
+    deleteRoleConfig,
+    getRoleChain,
+    mergeRoleChain,
+    getRoleLabel,
     deleteUser,
+    approveUser,
+    rejectUser,
+    createInvitation,
+    revokeInvitation,
+    getAllInvitations,
+    getInvitationStatus,
+    getSignUpSettings,
+    updateSignUpSettings,
+    resolveRolePermissions,
+    resolveRoleHiddenFields,
+    resolveRoleAllProjects,
     DEFAULT_ROLES,
+    USER_STATUS,
+    INVITATION_STATUS,
+    PERMISSION_ACTIONS,
+    PERMISSION_ACTION_LABELS,
+    PERMISSION_RESOURCES,
 } from '../services/firebase';
 
 // All available pages for permission configuration
@@ -40,6 +69,7 @@ const ALL_PAGES = [
     { id: 'unit', label: '單位換算', icon: '📐' },
     { id: 'cost', label: '成本估算', icon: '🧮' },
     { id: 'calc', label: '物料換算', icon: '🏢' },
+    { id: 'user-management', label: '使用者管理', icon: '⚙️' },
 ];
 
 // Role level labels
@@ -49,15 +79,43 @@ const ROLE_LABELS = {
     user: { label: '一般使用者', color: 'bg-gray-400', textColor: 'text-gray-600' },
 };
 
+// Custom roles share one color
+const CUSTOM_ROLE_COLOR = 'bg-teal-500';
+
+// Invitation status labels
+const INVITATION_LABELS = {
+    pending: { label: '待接受', className: 'bg-blue-50 text-blue-600' },
+    accepted: { label: '已接受', className: 'bg-green-50 text-green-600' },
+    revoked: { label: '已撤銷', className: 'bg-gray-100 text-gray-500' },
+    expired: { label: '已過期', className: 'bg-amber-50 text-amber-600' },
+};
+
+// Invitation validity options (days)
+const INVITE_EXPIRY_OPTIONS = [3, 7, 14, 30];
+
 const UserManagement = ({ addToast }) => {
-    const { user: currentUser } = useAuth();
+    const { user: currentUser, roleLevel, allowedPages, can, hiddenFields, canViewAllProjects } = useAuth();
     const [users, setUsers] = useState([]);
     const [roles, setRoles] = useState([]);
     const [loading, setLoading] = useState(true);
     const [searchQuery, setSearchQuery] = useState('');
-    const [activeTab, setActiveTab] = useState('users'); // 'users' | 'roles'
+    const [activeTab, setActiveTab] = useState('users'); // 'users' | 'approvals' | 'invites' | 'roles' | 'audit'
     const [editingRole, setEditingRole] = useState(null);
     const [rolePermissions, setRolePermissions] = useState({});
+    const [roleResourcePermissions, setRoleResourcePermissions] = useState({});
+    const [roleHiddenFields, setRoleHiddenFields] = useState({});
+    const [roleMeta, setRoleMeta] = useState({}); // roleName → { label, level, parent }
+    const [roleAllProjects, setRoleAllProjects] = useState({}); // roleName → sees every project
+    const [roleDraft, setRoleDraft] = useState(null); // { label, level, parent, source } while creating / cloning a role
+    const [auditEvents, setAuditEvents] = useState(null);
+    const [auditLoading, setAuditLoading] = useState(false);
+    const [auditUserFilter, setAuditUserFilter] = useState('all');
+    const [auditEntityFilter, setAuditEntityFilter] = useState('all');
+    const [approvalRoles, setApprovalRoles] = useState({}); // uid → role chosen in the approval queue
+    const [invitations, setInvitations] = useState([]);
+    const [inviteForm, setInviteForm] = useState({ email: '', role: 'user', expiresInDays: 7 });
+    const [allowedDomains, setAllowedDomains] = useState([]);
+    const [domainInput, setDomainInput] = useState('');
 
     // Load users and roles
     useEffect(() => {
@@ -67,19 +125,35 @@ const UserManagement = ({ addToast }) => {
     const loadData = async () => {
         try {
             setLoading(true);
-            const [usersData, rolesData] = await Promise.all([
+            const [usersData, rolesData, invitationsData, signUpSettings] = await Promise.all([
                 getAllUsers(),
                 getAllRoles(),
+                getAllInvitations(),
+                getSignUpSettings(),
             ]);
             setUsers(usersData);
             setRoles(rolesData);
+            setInvitations(invitationsData);
+            setAllowedDomains(signUpSettings.allowedDomains);
 
             // Initialize role permissions
             const permissions = {};
+            const resourcePermissions = {};
+            const hiddenFields = {};
+            const meta = {};
+            const allProjects = {};
             rolesData.forEach(role => {
                 permissions[role.name] = role.allowedPages || [];
+                resourcePermissions[role.name] = resolveRolePermissions(role);
+                hiddenFields[role.name] = resolveRoleHiddenFields(role);
+                meta[role.name] = { label: getRoleLabel(role), level: role.level || 1, parent: role.parent || '' };
+                allProjects[role.name] = resolveRoleAllProjects(role);
             });
             setRolePermissions(permissions);
+            setRoleResourcePermissions(resourcePermissions);
+            setRoleHiddenFields(hiddenFields);
+            setRoleMeta(meta);
+            setRoleAllProjects(allProjects);
         } catch (error) {
             console.error('Error loading data:', error);
             addToast?.('載入資料失敗', 'error');
@@ -88,12 +162,81 @@ const UserManagement = ({ addToast }) => {
         }
     };
 
+    // Load audit log (first time the tab is opened, and on refresh)
+    const loadAuditEvents = useCallback(async () => {
+        try {
+            setAuditLoading(true);
+            setAuditEvents(await getRecentAuditEvents());
+        } catch (error) {
+            console.error('Error loading audit log:', error);
+            addToast?.('載入操作紀錄失敗', 'error');
+        } finally {
+            setAuditLoading(false);
+        }
+    }, [addToast]);
+
+    const auditRequestedRef = useRef(false);
+    useEffect(() => {
+        if (activeTab !== 'audit' || auditRequestedRef.current) return;
+        auditRequestedRef.current = true;
+        loadAuditEvents();
+    }, [activeTab, loadAuditEvents]);
+
+    // Roles by level (built-in roles first within a level)
+    const roleOf = roleName => roles.find(r => r.name === roleName);
+    const roleLabelOf = roleName => getRoleLabel(roleOf(roleName) || { name: roleName });
+    const roleColorOf = roleName => ROLE_LABELS[roleName]?.color || CUSTOM_ROLE_COLOR;
+    const sortedRoles = [...roles].sort((a, b) =>
+        (b.level || 1) - (a.level || 1) || Number(!!DEFAULT_ROLES[b.name]) - Number(!!DEFAULT_ROLES[a.name])
+    );
+    // 最高管理員可管理所有角色；其他人只能指派、編輯或刪除等級低於自己、且不是自己所屬的角色
+    const isSuperAdmin = currentUser?.role === 'super_admin';
+    const maxRoleLevel = isSuperAdmin ? roleLevel : roleLevel - 1;
+    const canManageRole = roleName => isSuperAdmin ||
+        (roleName !== currentUser?.role && (roleOf(roleName)?.level || 1) < roleLevel);
+
+    // 只能授予自己擁有的頁面、資料權限與欄位（最高管理員不受限）
+    const canGrantPage = pageId => isSuperAdmin || allowedPages.includes(pageId);
+    const canGrantAction = (resource, action) => can(action, resource);
+    const canUnhideField = (resource, field) => isSuperAdmin || !(hiddenFields[resource] || []).includes(field);
+    const withinOwnGrants = config =>
+        (config.allowedPages || []).every(canGrantPage) &&
+        Object.entries(config.permissions || {}).every(([resource, actions]) => actions.every(action => canGrantAction(resource, action))) &&
+        (!config.allProjects || canViewAllProjects);
+
+    // 儲存時去掉自己沒有的權限（角色原本就有的保留，不因編輯者不同而被移除）
+    const clipGrants = (stored, { allowedPages: pages, permissions, hiddenFields: hidden, allProjects }) => {
+        if (isSuperAdmin) return { allowedPages: pages, permissions, hiddenFields: hidden, allProjects };
+        const storedPermissions = stored ? resolveRolePermissions(stored) : {};
+        const storedHidden = stored ? resolveRoleHiddenFields(stored) : {};
+        return {
+            allowedPages: pages.filter(page => canGrantPage(page) || stored?.allowedPages?.includes(page)),
+            permissions: Object.fromEntries(Object.entries(permissions).map(([resource, actions]) => [
+                resource,
+                actions.filter(action => canGrantAction(resource, action) || storedPermissions[resource]?.includes(action)),
+            ])),
+            hiddenFields: Object.fromEntries(Object.keys(MASKABLE_FIELDS).map(resource => [
+                resource,
+                Object.keys(MASKABLE_FIELDS[resource]).filter(field =>
+                    (hidden[resource] || []).includes(field) ||
+                    (!canUnhideField(resource, field) && (storedHidden[resource] || []).includes(field))),
+            ])),
+            allProjects: allProjects && (canViewAllProjects || (stored ? resolveRoleAllProjects(stored) : false)),
+        };
+    };
+    const assignableRoles = sortedRoles.filter(r => canManageRole(r.name));
+
     // Handle role change for a user
     const handleRoleChange = async (userId, newRole) => {
         if (userId === currentUser?.uid) {
             addToast?.('無法更改自己的角色', 'warning');
             return;
         }
+        const target = users.find(u => u.uid === userId);
+        if (!canManageRole(newRole) || !canManageRole(target?.role)) {
+            addToast?.('無法指派高於自己等級的角色', 'warning');
+            return;
+        }
 
         try {
             await updateUserRole(userId, newRole);
@@ -113,6 +256,10 @@ const UserManagement = ({ addToast }) => {
             addToast?.('無法刪除自己的帳號', 'warning');
             return;
         }
+        if (!canManageRole(users.find(u => u.uid === userId)?.role)) {
+            addToast?.('無法刪除等級高於自己的使用者', 'warning');
+            return;
+        }
 
         if (!window.confirm('確定要刪除此使用者嗎？')) return;
 
@@ -126,6 +273,100 @@ const UserManagement = ({ addToast }) => {
         }
     };
 
+    // Approve / reject a pending sign-up
+    const handleApproveUser = async (userId) => {
+        const role = approvalRoles[userId] || 'user';
+        if (!canManageRole(role)) {
+            addToast?.('無法指派高於自己等級的角色', 'warning');
+            return;
+        }
+
+        try {
+            await approveUser(userId, role);
+            setUsers(prev => prev.map(u =>
+                u.uid === userId ? { ...u, role, status: USER_STATUS.active } : u
+            ));
+            addToast?.('已核准使用者', 'success');
+        } catch (error) {
+            console.error('Error approving user:', error);
+            addToast?.('核准失敗', 'error');
+        }
+    };
+
+    const handleRejectUser = async (userId) => {
+        if (!window.confirm('確定要拒絕此使用者的申請嗎？')) return;
+
+        try {
+            await rejectUser(userId);
+            setUsers(prev => prev.map(u =>
+                u.uid === userId ? { ...u, status: USER_STATUS.rejected } : u
+            ));
+            addToast?.('已拒絕申請', 'success');
+        } catch (error) {
+            console.error('Error rejecting user:', error);
+            addToast?.('操作失敗', 'error');
+        }
+    };
+
+    // Create an invitation
+    const handleInvite = async () => {
+        const email = inviteForm.email.trim();
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            addToast?.('請輸入正確的 Email', 'warning');
+            return;
+        }
+        if (users.some(u => u.email?.toLowerCase() === email.toLowerCase() && u.status !== USER_STATUS.pending)) {
+            addToast?.('此 Email 已經是系統使用者', 'warning');
+            return;
+        }
+        if (!canManageRole(inviteForm.role)) {
+            addToast?.('無法指派高於自己等級的角色', 'warning');
+            return;
+        }
+
+        try {
+            const invitation = await createInvitation({ ...inviteForm, email, invitedBy: currentUser });
+            setInvitations(prev => [invitation, ...prev.filter(i => i.id !== invitation.id)]);
+            setInviteForm(prev => ({ ...prev, email: '' }));
+            addToast?.(`已邀請 ${invitation.email}，對方以此 Email 的 Google 帳號登入即可使用`, 'success');
+        } catch (error) {
+            console.error('Error creating invitation:', error);
+            addToast?.('建立邀請失敗', 'error');
+        }
+    };
+
+    const handleRevokeInvitation = async (id) => {
+        try {
+            await revokeInvitation(id);
+            setInvitations(prev => prev.map(i =>
+                i.id === id ? { ...i, status: INVITATION_STATUS.revoked } : i
+            ));
+            addToast?.('邀請已撤銷', 'success');
+        } catch (error) {
+            console.error('Error revoking invitation:', error);
+            addToast?.('撤銷邀請失敗', 'error');
+        }
+    };
+
+    // Save the sign-up domain allow-list
+    const saveAllowedDomains = async (domains) => {
+        try {
+            await updateSignUpSettings({ allowedDomains: domains });
+            setAllowedDomains(domains);
+            addToast?.(domains.length > 0 ? '已更新允許註冊的網域' : '已開放所有網域註冊（仍需審核）', 'success');
+        } catch (error) {
+            console.error('Error saving sign-up settings:', error);
+            addToast?.('儲存網域設定失敗', 'error');
+        }
+    };
+
+    const handleAddDomain = () => {
+        const domain = domainInput.trim().toLowerCase().replace(/^@/, '');
+        if (!domain) return;
+        setDomainInput('');
+        if (!allowedDomains.includes(domain)) saveAllowedDomains([...allowedDomains, domain]);
+    };
+
     // Toggle page permission for a role
     const togglePagePermission = (roleName, pageId) => {
         if (roleName === 'super_admin') {
@@ -133,6 +374,11 @@ const UserManagement = ({ addToast }) => {
             return;
         }
 
+        if (!(rolePermissions[roleName] || []).includes(pageId) && !canGrantPage(pageId)) {
+            addToast?.('無法授予自己沒有的頁面權限', 'warning');
+            return;
+        }
+
         setRolePermissions(prev => {
             const current = prev[roleName] || [];
             const updated = current.includes(pageId)
@@ -142,13 +388,179 @@ const UserManagement = ({ addToast }) => {
         });
     };
 
-    // Save role permissions
+    // Toggle a resource action for a role
+    // 勾選任何操作時一併開放檢視；取消檢視時其他操作也一併取消
+    const toggleResourcePermission = (roleName, resource, action) => {
+        if (roleName === 'super_admin') {
+            addToast?.('無法修改最高管理員權限', 'warning');
+            return;
+        }
+
+        const granting = !(roleResourcePermissions[roleName]?.[resource] || []).includes(action);
+        if (granting && !canGrantAction(resource, action)) {
+            addToast?.('無法授予自己沒有的資料權限', 'warning');
+            return;
+        }
+
+        setRoleResourcePermissions(prev => {
+            const current = prev[roleName]?.[resource] || [];
+            let updated;
+            if (current.includes(action)) {
+                updated = action === 'read' ? [] : current.filter(a => a !== action);
+            } else {
+                updated = [...new Set([...current, action, 'read'])];
+            }
+            return { ...prev, [roleName]: { ...prev[roleName], [resource]: PERMISSION_ACTIONS.filter(a => updated.includes(a)) } };
+        });
+    };
+
+    // Toggle whether a field is hidden from a role
+    const toggleHiddenField = (roleName, resource, field) => {
+        if (roleName === 'super_admin') {
+            addToast?.('無法修改最高管理員權限', 'warning');
+            return;
+        }
+
+        if ((roleHiddenFields[roleName]?.[resource] || []).includes(field) && !canUnhideField(resource, field)) {
+            addToast?.('無法開放自己看不到的欄位', 'warning');
+            return;
+        }
+
+        setRoleHiddenFields(prev => {
+            const current = prev[roleName]?.[resource] || [];
+            const updated = current.includes(field)
+                ? current.filter(f => f !== field)
+                : [...current, field];
+            return { ...prev, [roleName]: { ...prev[roleName], [resource]: updated } };
+        });
+    };
+
+    // Validate a role's label / level / parent; returns an error message or null
+    const validateRoleMeta = (roleName, { label, level, parent }) => {
+        if (!label.trim()) return '請輸入角色名稱';
+        if (roles.some(r => r.name !== roleName && getRoleLabel(r) === label.trim())) return '已有同名角色';
+        if (level < 1 || level > maxRoleLevel) return isSuperAdmin ? '角色等級不能高於自己的等級' : '角色等級必須低於自己的等級';
+        if (parent && (roleOf(parent)?.level || 1) > level) return '上層角色的等級不能高於此角色';
+        if (parent && !isSuperAdmin && !withinOwnGrants(mergeRoleChain(getRoleChain(parent, roles)))) return '無法繼承權限比自己多的角色';
+        if (roleName && roles.some(r => r.parent === roleName && (r.level || 1) < level)) return '子角色的等級不能低於上層角色';
+        return null;
+    };
+
+    // Parent options of a role: roles up to its level that do not inherit from it
+    // （非最高管理員只能選擇權限不超過自己的角色）
+    const parentOptionsFor = (roleName, level) => sortedRoles.filter(r =>
+        r.name !== roleName &&
+        (r.level || 1) <= level &&
+        (isSuperAdmin || withinOwnGrants(mergeRoleChain(getRoleChain(r.name, roles)))) &&
+        !getRoleChain(r.name, roles).some(ancestor => ancestor.name === roleName)
+    );
+
+    // Start creating a role, optionally as a copy of an existing one
+    const startRoleDraft = (sourceName = null) => {
+        setEditingRole(null);
+        if (!sourceName) {
+            setRoleDraft({ label: '', level: 1, parent: '', source: null });
+            return;
+        }
+        const source = roleMeta[sourceName];
+        setRoleDraft({
+            label: `${source.label} 副本`,
+            level: Math.max(1, Math.min(source.level, maxRoleLevel)),
+            parent: source.parent,
+            source: sourceName,
+        });
+    };
+
+    // Create a custom role
+    // 隱藏欄位不繼承：新角色先沿用複製來源或上層角色的設定
+    const handleCreateRole = async () => {
+        const error = validateRoleMeta(null, roleDraft);
+        if (error) {
+            addToast?.(error, 'warning');
+            return;
+        }
+
+        const name = `role_${Date.now().toString(36)}`;
+        const source = roleDraft.source;
+        try {
+            await updateRoleConfig(name, {
+                name,
+                label: roleDraft.label.trim(),
+                level: roleDraft.level,
+                parent: roleDraft.parent || null,
+                ...clipGrants(null, {
+                    allowedPages: source ? rolePermissions[source] || [] : [],
+                    permissions: source ? roleResourcePermissions[source] || {} : {},
+                    hiddenFields: roleHiddenFields[source || roleDraft.parent] || {},
+                    allProjects: source ? !!roleAllProjects[source] : false,
+                }),
+            });
+            addToast?.(`已新增角色「${roleDraft.label.trim()}」`, 'success');
+            setRoleDraft(null);
+            await loadData();
+            setEditingRole(name);
+        } catch (error) {
+            console.error('Error creating role:', error);
+            addToast?.('新增角色失敗', 'error');
+        }
+    };
+
+    // Delete a custom role that nobody uses
+    const handleDeleteRole = async (roleName) => {
+        if (!canManageRole(roleName)) {
+            addToast?.('無法刪除高於自己等級的角色', 'warning');
+            return;
+        }
+        const userCount = users.filter(u => u.role === roleName).length;
+        const inviteCount = invitations.filter(i => i.role === roleName && getInvitationStatus(i) === INVITATION_STATUS.pending).length;
+        const childCount = roles.filter(r => r.parent === roleName).length;
+        const usages = [
+            userCount > 0 && `${userCount} 位使用者`,
+            inviteCount > 0 && `${inviteCount} 筆邀請`,
+            childCount > 0 && `${childCount} 個子角色`,
+        ].filter(Boolean);
+        if (usages.length > 0) {
+            addToast?.(`角色仍被 ${usages.join('、')} 使用，請先改派後再刪除`, 'warning');
+            return;
+        }
+
+        if (!window.confirm(`確定要刪除角色「${roleLabelOf(roleName)}」嗎？`)) return;
+
+        try {
+            await deleteRoleConfig(roleName);
+            setRoles(prev => prev.filter(r => r.name !== roleName));
+            addToast?.('角色已刪除', 'success');
+        } catch (error) {
+            console.error('Error deleting role:', error);
+            addToast?.('刪除角色失敗', 'error');
+        }
+    };
+
+    // Save role permissions (and label / level / parent of custom roles)
     const saveRolePermissions = async (roleName) => {
+        if (roleName === 'super_admin' || !canManageRole(roleName)) {
+            addToast?.('無法修改高於自己等級的角色', 'warning');
+            return;
+        }
+        const isCustom = !DEFAULT_ROLES[roleName];
+        const meta = roleMeta[roleName];
+        const error = isCustom ? validateRoleMeta(roleName, meta) : null;
+        if (error) {
+            addToast?.(error, 'warning');
+            return;
+        }
+
         try {
             const roleConfig = roles.find(r => r.name === roleName);
             await updateRoleConfig(roleName, {
                 ...roleConfig,
-                allowedPages: rolePermissions[roleName],
+                ...(isCustom && { label: meta.label.trim(), level: meta.level, parent: meta.parent || null }),
+                ...clipGrants(roleConfig, {
+                    allowedPages: rolePermissions[roleName] || [],
+                    permissions: roleResourcePermissions[roleName] || {},
+                    hiddenFields: roleHiddenFields[roleName] || {},
+                    allProjects: !!roleAllProjects[roleName],
+                }),
             });
             addToast?.('權限已儲存', 'success');
             setEditingRole(null);
@@ -159,12 +571,20 @@ const UserManagement = ({ addToast }) => {
         }
     };
 
-    // Filter users by search
-    const filteredUsers = users.filter(u =>
+    // Filter users by search (pending sign-ups are listed in the approval queue)
+    const pendingUsers = users.filter(u => u.status === USER_STATUS.pending);
+    const filteredUsers = users.filter(u => u.status !== USER_STATUS.pending).filter(u =>
         u.displayName?.toLowerCase().includes(searchQuery.toLowerCase()) ||
         u.email?.toLowerCase().includes(searchQuery.toLowerCase())
     );
 
+    // Filter audit events by user and entity
+    const filteredAuditEvents = (auditEvents || []).filter(e =>
+        (auditUserFilter === 'all' || e.uid === auditUserFilter) &&
+        (auditEntityFilter === 'all' || e.entity === auditEntityFilter)
+    );
+    const auditEntities = [...new Set((auditEvents || []).map(e => e.entity))];
+
     // Format date
     const formatDate = (timestamp) => {
         if (!timestamp) return '-';
@@ -199,7 +619,10 @@ const UserManagement = ({ addToast }) => {
                 </div>
 
                 <button
-                    onClick={loadData}
+                    onClick={() => {
+                        loadData();
+                        if (activeTab === 'audit') loadAuditEvents();
+                    }}
                     className="flex items-center gap-2 px-4 py-2 text-sm text-gray-600 hover:text-gray-800 bg-white rounded-xl border border-gray-200 hover:border-gray-300 transition-all"
                 >
                     <RefreshCw size={16} />
@@ -219,6 +642,29 @@ const UserManagement = ({ addToast }) => {
                     <Users size={16} />
                     使用者列表
                 </button>
+                <button
+                    onClick={() => setActiveTab('approvals')}
+                    className={`flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-medium transition-all ${activeTab === 'approvals'
+                        ? 'bg-white text-gray-800 shadow-sm'
+                        : 'text-gray-500 hover:text-gray-700'
+                        }`}
+                >
+                    <UserCheck size={16} />
+                    待審核
+                    {pendingUsers.length > 0 && (
+                        <span className="px-1.5 py-0.5 text-[10px] font-bold bg-red-500 text-white rounded-full">{pendingUsers.length}</span>
+                    )}
+                </button>
+                <button
+                    onClick={() => setActiveTab('invites')}
+                    className={`flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-medium transition-all ${activeTab === 'invites'
+                        ? 'bg-white text-gray-800 shadow-sm'
+                        : 'text-gray-500 hover:text-gray-700'
+                        }`}
+                >
+                    <Mail size={16} />
+                    邀請
+                </button>
                 <button
                     onClick={() => setActiveTab('roles')}
                     className={`flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-medium transition-all ${activeTab === 'roles'
@@ -229,6 +675,16 @@ const UserManagement = ({ addToast }) => {
                     <Shield size={16} />
                     角色權限
                 </button>
+                <button
+                    onClick={() => setActiveTab('audit')}
+                    className={`flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-medium transition-all ${activeTab === 'audit'
+                        ? 'bg-white text-gray-800 shadow-sm'
+                        : 'text-gray-500 hover:text-gray-700'
+                        }`}
+                >
+                    <History size={16} />
+                    操作紀錄
+                </button>
             </div>
 
             {/* Users Tab */}
@@ -279,7 +735,12 @@ const UserManagement = ({ addToast }) => {
                                                     </div>
                                                 )}
                                                 <div>
-                                                    <p className="text-sm font-medium text-gray-800">{user.displayName}</p>
+                                                    <p className="text-sm font-medium text-gray-800">
+                                                        {user.displayName}
+                                                        {user.status === USER_STATUS.rejected && (
+                                                            <span className="ml-2 px-1.5 py-0.5 text-[10px] font-medium bg-red-50 text-red-500 rounded">未通過</span>
+                                                        )}
+                                                    </p>
                                                     <p className="text-xs text-gray-500">{user.email}</p>
                                                 </div>
                                             </div>
@@ -288,17 +749,17 @@ const UserManagement = ({ addToast }) => {
                                             <select
                                                 value={user.role}
                                                 onChange={(e) => handleRoleChange(user.uid, e.target.value)}
-                                                disabled={user.uid === currentUser?.uid}
+                                                disabled={user.uid === currentUser?.uid || !canManageRole(user.role)}
                                                 className={`
                           px-3 py-1.5 text-xs font-medium rounded-lg border-0 cursor-pointer
-                          ${ROLE_LABELS[user.role]?.color || 'bg-gray-400'} text-white
-                          ${user.uid === currentUser?.uid ? 'opacity-60 cursor-not-allowed' : ''}
+                          ${roleColorOf(user.role)} text-white
+                          ${user.uid === currentUser?.uid || !canManageRole(user.role) ? 'opacity-60 cursor-not-allowed' : ''}
                           focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-400
                         `}
                                             >
-                                                <option value="super_admin">最高管理員</option>
-                                                <option value="admin">管理員</option>
-                                                <option value="user">一般使用者</option>
+                                                {sortedRoles.map(role => (
+                                                    <option key={role.name} value={role.name} disabled={!canManageRole(role.name)}>{getRoleLabel(role)}</option>
+                                                ))}
                                             </select>
                                         </td>
                                         <td className="px-6 py-4 hidden md:table-cell">
@@ -308,7 +769,7 @@ const UserManagement = ({ addToast }) => {
                                             <span className="text-sm text-gray-500">{formatDate(user.lastLogin)}</span>
                                         </td>
                                         <td className="px-6 py-4 text-right">
-                                            {user.uid !== currentUser?.uid && (
+                                            {user.uid !== currentUser?.uid && canManageRole(user.role) && (
                                                 <button
                                                     onClick={() => handleDeleteUser(user.uid)}
                                                     className="p-2 text-gray-400 hover:text-red-500 hover:bg-red-50 rounded-lg transition-colors"
@@ -333,27 +794,343 @@ const UserManagement = ({ addToast }) => {
                 </div>
             )}
 
+            {/* Approvals Tab */}
+            {activeTab === 'approvals' && (
+                <div className="bg-white rounded-2xl border border-gray-100 shadow-sm overflow-hidden">
+                    <div className="px-6 py-4 border-b border-gray-100 text-sm text-gray-500">
+                        未受邀請的帳號登入後會在此等待審核，核准前無法使用系統。
+                    </div>
+                    <div className="divide-y divide-gray-100">
+                        {pendingUsers.map(user => (
+                            <div key={user.uid} className="px-6 py-4 flex flex-col sm:flex-row sm:items-center gap-3">
+                                <div className="flex items-center gap-3 flex-1 min-w-0">
+                                    {user.photoURL ? (
+                                        <img src={user.photoURL} alt={user.displayName} className="w-10 h-10 rounded-full object-cover" />
+                                    ) : (
+                                        <div className="w-10 h-10 bg-gray-200 rounded-full flex items-center justify-center">
+                                            <span className="text-sm font-medium text-gray-600">{user.displayName?.[0] || user.email?.[0] || '?'}</span>
+                                        </div>
+                                    )}
+                                    <div className="min-w-0">
+                                        <p className="text-sm font-medium text-gray-800 truncate">{user.displayName}</p>
+                                        <p className="text-xs text-gray-500 truncate">{user.email} · 申請於 {formatDate(user.createdAt)}</p>
+                                    </div>
+                                </div>
+                                <div className="flex items-center gap-2">
+                                    <select
+                                        value={approvalRoles[user.uid] || 'user'}
+                                        onChange={(e) => setApprovalRoles(prev => ({ ...prev, [user.uid]: e.target.value }))}
+                                        className="px-3 py-1.5 text-sm border border-gray-200 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-gray-200"
+                                    >
+                                        {assignableRoles.map(role => (
+                                            <option key={role.name} value={role.name}>{getRoleLabel(role)}</option>
+                                        ))}
+                                    </select>
+                                    <button
+                                        onClick={() => handleApproveUser(user.uid)}
+                                        className="flex items-center gap-1 px-3 py-1.5 text-sm text-white bg-green-500 hover:bg-green-600 rounded-lg transition-colors"
+                                    >
+                                        <Check size={14} />
+                                        核准
+                                    </button>
+                                    <button
+                                        onClick={() => handleRejectUser(user.uid)}
+                                        className="flex items-center gap-1 px-3 py-1.5 text-sm text-gray-600 hover:text-red-600 bg-gray-100 hover:bg-red-50 rounded-lg transition-colors"
+                                    >
+                                        <X size={14} />
+                                        拒絕
+                                    </button>
+                                </div>
+                            </div>
+                        ))}
+
+                        {pendingUsers.length === 0 && (
+                            <div className="text-center py-12 text-gray-500">
+                                <UserCheck size={48} className="mx-auto mb-4 opacity-30" />
+                                <p>沒有待審核的申請</p>
+                            </div>
+                        )}
+                    </div>
+                </div>
+            )}
+
+            {/* Invitations Tab */}
+            {activeTab === 'invites' && (
+                <div className="space-y-6">
+                    {/* Invite Form */}
+                    <div className="bg-white rounded-2xl border border-gray-100 shadow-sm p-6">
+                        <h3 className="font-semibold text-gray-800 mb-1">邀請使用者</h3>
+                        <p className="text-xs text-gray-500 mb-4">受邀者以該 Email 的 Google 帳號登入後，直接取得指定角色，不需審核。</p>
+                        <div className="flex flex-col md:flex-row gap-3">
+                            <input
+                                type="email"
+                                placeholder="name@example.com"
+                                value={inviteForm.email}
+                                onChange={(e) => setInviteForm({ ...inviteForm, email: e.target.value })}
+                                onKeyDown={(e) => e.key === 'Enter' && handleInvite()}
+                                className="flex-1 px-4 py-2.5 border border-gray-200 rounded-xl text-sm focus:outline-none focus:ring-2 focus:ring-gray-200"
+                            />
+                            <select
+                                value={inviteForm.role}
+                                onChange={(e) => setInviteForm({ ...inviteForm, role: e.target.value })}
+                                className="px-3 py-2.5 border border-gray-200 rounded-xl text-sm bg-white focus:outline-none focus:ring-2 focus:ring-gray-200"
+                            >
+                                {assignableRoles.map(role => (
+                                    <option key={role.name} value={role.name}>{getRoleLabel(role)}</option>
+                                ))}
+                            </select>
+                            <select
+                                value={inviteForm.expiresInDays}
+                                onChange={(e) => setInviteForm({ ...inviteForm, expiresInDays: Number(e.target.value) })}
+                                className="px-3 py-2.5 border border-gray-200 rounded-xl text-sm bg-white focus:outline-none focus:ring-2 focus:ring-gray-200"
+                            >
+                                {INVITE_EXPIRY_OPTIONS.map(days => (
+                                    <option key={days} value={days}>{days} 天內有效</option>
+                                ))}
+                            </select>
+                            <button
+                                onClick={handleInvite}
+                                className="flex items-center justify-center gap-2 px-4 py-2.5 text-sm text-white bg-gray-800 hover:bg-gray-700 rounded-xl transition-colors"
+                            >
+                                <Plus size={16} />
+                                建立邀請
+                            </button>
+                        </div>
+                    </div>
+
+                    {/* Domain Allow-list */}
+                    <div className="bg-white rounded-2xl border border-gray-100 shadow-sm p-6">
+                        <h3 className="font-semibold text-gray-800 mb-1">允許註冊的網域</h3>
+                        <p className="text-xs text-gray-500 mb-4">
+                            {allowedDomains.length > 0
+                                ? '只有這些網域的 Email 可以自行申請（仍需審核）；其他網域只能透過邀請加入。'
+                                : '目前未限制網域：任何 Google 帳號都可以申請（需審核）。'}
+                        </p>
+                        <div className="flex flex-wrap items-center gap-2">
+                            {allowedDomains.map(domain => (
+                                <span key={domain} className="flex items-center gap-1 px-2.5 py-1 bg-gray-100 text-gray-700 rounded-lg text-sm">
+                                    @{domain}
+                                    <button
+                                        onClick={() => saveAllowedDomains(allowedDomains.filter(d => d !== domain))}
+                                        className="text-gray-400 hover:text-red-500"
+                                        title="移除"
+                                    >
+                                        <X size={12} />
+                                    </button>
+                                </span>
+                            ))}
+                            <input
+                                type="text"
+                                placeholder="example.com"
+                                value={domainInput}
+                                onChange={(e) => setDomainInput(e.target.value)}
+                                onKeyDown={(e) => e.key === 'Enter' && handleAddDomain()}
+                                className="px-3 py-1.5 border border-gray-200 rounded-lg text-sm w-40 focus:outline-none focus:ring-2 focus:ring-gray-200"
+                            />
+                            <button
+                                onClick={handleAddDomain}
+                                className="px-3 py-1.5 text-sm text-gray-600 hover:text-gray-800 bg-gray-100 hover:bg-gray-200 rounded-lg transition-colors"
+                            >
+                                新增
+                            </button>
+                        </div>
+                    </div>
+
+                    {/* Invitations */}
+                    <div className="bg-white rounded-2xl border border-gray-100 shadow-sm overflow-hidden">
+                        <div className="overflow-x-auto">
+                            <table className="w-full">
+                                <thead>
+                                    <tr className="bg-gray-50 text-left text-xs text-gray-500 uppercase tracking-wider">
+                                        <th className="px-6 py-3 font-medium">Email</th>
+                                        <th className="px-6 py-3 font-medium">角色</th>
+                                        <th className="px-6 py-3 font-medium">狀態</th>
+                                        <th className="px-6 py-3 font-medium hidden md:table-cell">有效期限</th>
+                                        <th className="px-6 py-3 font-medium hidden md:table-cell">邀請人</th>
+                                        <th className="px-6 py-3 font-medium text-right">操作</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-gray-100">
+                                    {invitations.map(invitation => {
+                                        const status = getInvitationStatus(invitation);
+                                        return (
+                                            <tr key={invitation.id} className="hover:bg-gray-50/50 transition-colors">
+                                                <td className="px-6 py-4 text-sm text-gray-800">{invitation.email}</td>
+                                                <td className="px-6 py-4 text-sm text-gray-600">{roleLabelOf(invitation.role)}</td>
+                                                <td className="px-6 py-4">
+                                                    <span className={`px-2 py-0.5 text-xs font-medium rounded ${INVITATION_LABELS[status]?.className}`}>
+                                                        {INVITATION_LABELS[status]?.label || status}
+                                                    </span>
+                                                </td>
+                                                <td className="px-6 py-4 hidden md:table-cell text-sm text-gray-500">{formatDate(invitation.expiresAt)}</td>
+                                                <td className="px-6 py-4 hidden md:table-cell text-sm text-gray-500">{invitation.invitedByName || '-'}</td>
+                                                <td className="px-6 py-4 text-right">
+                                                    {status === INVITATION_STATUS.pending && (
+                                                        <button
+                                                            onClick={() => handleRevokeInvitation(invitation.id)}
+                                                            className="p-2 text-gray-400 hover:text-red-500 hover:bg-red-50 rounded-lg transition-colors"
+                                                            title="撤銷邀請"
+                                                        >
+                                                            <Ban size={16} />
+                                                        </button>
+                                                    )}
+                                                </td>
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+
+                            {invitations.length === 0 && (
+                                <div className="text-center py-12 text-gray-500">
+                                    <Mail size={48} className="mx-auto mb-4 opacity-30" />
+                                    <p>尚未建立邀請</p>
+                                </div>
+                            )}
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Audit Log Tab */}
+            {activeTab === 'audit' && (
+                <div className="bg-white rounded-2xl border border-gray-100 shadow-sm overflow-hidden">
+                    {/* Filters */}
+                    <div className="p-4 border-b border-gray-100 flex flex-wrap gap-3">
+                        <select
+                            value={auditUserFilter}
+                            onChange={(e) => setAuditUserFilter(e.target.value)}
+                            className="px-3 py-2 border border-gray-200 rounded-xl text-sm bg-white focus:outline-none focus:ring-2 focus:ring-gray-200"
+                        >
+                            <option value="all">所有使用者</option>
+                            {users.map(u => (
+                                <option key={u.uid} value={u.uid}>{u.displayName || u.email}</option>
+                            ))}
+                        </select>
+                        <select
+                            value={auditEntityFilter}
+                            onChange={(e) => setAuditEntityFilter(e.target.value)}
+                            className="px-3 py-2 border border-gray-200 rounded-xl text-sm bg-white focus:outline-none focus:ring-2 focus:ring-gray-200"
+                        >
+                            <option value="all">所有資料類型</option>
+                            {auditEntities.map(entity => (
+                                <option key={entity} value={entity}>{auditEntityLabel(entity)}</option>
+                            ))}
+                        </select>
+                    </div>
+
+                    {/* Events */}
+                    <div className="p-4 space-y-2">
+                        {filteredAuditEvents.map(event => (
+                            <AuditEventItem key={event.id} event={event} showEntity />
+                        ))}
+
+                        {filteredAuditEvents.length === 0 && (
+                            <div className="text-center py-12 text-gray-500">
+                                <History size={48} className="mx-auto mb-4 opacity-30" />
+                                <p>{auditLoading || auditEvents === null ? '載入中...' : '沒有符合的操作紀錄'}</p>
+                            </div>
+                        )}
+                    </div>
+                </div>
+            )}
+
             {/* Roles Tab */}
             {activeTab === 'roles' && (
                 <div className="space-y-6">
-                    {Object.keys(DEFAULT_ROLES).map(roleName => (
-                        <div key={roleName} className="bg-white rounded-2xl border border-gray-100 shadow-sm overflow-hidden">
-                            {/* Role Header */}
-                            <div className="px-6 py-4 bg-gray-50 border-b border-gray-100 flex items-center justify-between">
-                                <div className="flex items-center gap-3">
-                                    <div className={`w-3 h-3 rounded-full ${ROLE_LABELS[roleName]?.color}`} />
-                                    <div>
-                                        <h3 className="font-semibold text-gray-800">{ROLE_LABELS[roleName]?.label}</h3>
-                                        <p className="text-xs text-gray-500">
-                                            權限等級: {DEFAULT_ROLES[roleName]?.level} |
-                                            可訪問 {rolePermissions[roleName]?.length || 0} 個頁面
-                                        </p>
+                    {/* New Role */}
+                    {roleDraft ? (
+                        <div className="bg-white rounded-2xl border border-gray-100 shadow-sm p-6">
+                            <h3 className="font-semibold text-gray-800 mb-1">
+                                {roleDraft.source ? `複製角色「${roleLabelOf(roleDraft.source)}」` : '新增角色'}
+                            </h3>
+                            <p className="text-xs text-gray-500 mb-4">角色會擁有上層角色的所有頁面與資料權限，再加上自己的設定；{isSuperAdmin ? '等級不能高於您自己的等級。' : '等級必須低於您自己的等級，且只能授予您擁有的權限。'}</p>
+                            <div className="flex flex-col md:flex-row gap-3">
+                                <input
+                                    type="text"
+                                    placeholder="角色名稱，例如：設計師、工務、會計、倉管"
+                                    value={roleDraft.label}
+                                    onChange={(e) => setRoleDraft({ ...roleDraft, label: e.target.value })}
+                                    onKeyDown={(e) => e.key === 'Enter' && handleCreateRole()}
+                                    className="flex-1 px-4 py-2.5 border border-gray-200 rounded-xl text-sm focus:outline-none focus:ring-2 focus:ring-gray-200"
+                                />
+                                <select
+                                    value={roleDraft.level}
+                                    onChange={(e) => setRoleDraft({ ...roleDraft, level: Number(e.target.value), parent: '' })}
+                                    className="px-3 py-2.5 border border-gray-200 rounded-xl text-sm bg-white focus:outline-none focus:ring-2 focus:ring-gray-200"
+                                >
+                                    {Array.from({ length: maxRoleLevel }, (_, i) => i + 1).map(level => (
+                                        <option key={level} value={level}>權限等級 {level}</option>
+                                    ))}
+                                </select>
+                                <select
+                                    value={roleDraft.parent}
+                                    onChange={(e) => setRoleDraft({ ...roleDraft, parent: e.target.value })}
+                                    className="px-3 py-2.5 border border-gray-200 rounded-xl text-sm bg-white focus:outline-none focus:ring-2 focus:ring-gray-200"
+                                >
+                                    <option value="">不繼承</option>
+                                    {parentOptionsFor(null, roleDraft.level).map(role => (
+                                        <option key={role.name} value={role.name}>繼承：{getRoleLabel(role)}</option>
+                                    ))}
+                                </select>
+                                <button
+                                    onClick={handleCreateRole}
+                                    className="flex items-center justify-center gap-1 px-4 py-2.5 text-sm text-white bg-gray-800 hover:bg-gray-700 rounded-xl transition-colors"
+                                >
+                                    <Check size={16} />
+                                    建立
+                                </button>
+                                <button
+                                    onClick={() => setRoleDraft(null)}
+                                    className="flex items-center justify-center gap-1 px-4 py-2.5 text-sm text-gray-600 hover:text-gray-800 bg-gray-100 hover:bg-gray-200 rounded-xl transition-colors"
+                                >
+                                    <X size={16} />
+                                    取消
+                                </button>
+                            </div>
+                        </div>
+                    ) : (
+                        <div className="flex justify-end">
+                            <button
+                                onClick={() => startRoleDraft()}
+                                className="flex items-center gap-2 px-4 py-2 text-sm text-white bg-gray-800 hover:bg-gray-700 rounded-xl transition-colors"
+                            >
+                                <Plus size={16} />
+                                新增角色
+                            </button>
+                        </div>
+                    )}
+
+                    {sortedRoles.map(({ name: roleName }) => {
+                        const meta = roleMeta[roleName] || { label: roleLabelOf(roleName), level: 1, parent: '' };
+                        const isCustom = !DEFAULT_ROLES[roleName];
+                        const isManageable = roleName !== 'super_admin' && canManageRole(roleName);
+                        const isEditingRole = editingRole === roleName && isManageable;
+                        // 上層角色（含更上層）給的權限：顯示為已勾選且不能取消
+                        const inherited = meta.parent ? mergeRoleChain(getRoleChain(meta.parent, roles)) : null;
+                        const pageCount = new Set([...(rolePermissions[roleName] || []), ...(inherited?.allowedPages || [])]).size;
+
+                        return (
+                            <div key={roleName} className="bg-white rounded-2xl border border-gray-100 shadow-sm overflow-hidden">
+                                {/* Role Header */}
+                                <div className="px-6 py-4 bg-gray-50 border-b border-gray-100 flex items-center justify-between">
+                                    <div className="flex items-center gap-3">
+                                        <div className={`w-3 h-3 rounded-full ${roleColorOf(roleName)}`} />
+                                        <div>
+                                            <h3 className="font-semibold text-gray-800">
+                                                {meta.label}
+                                                {isCustom && <span className="ml-2 px-1.5 py-0.5 text-[10px] font-medium bg-teal-50 text-teal-600 rounded">自訂</span>}
+                                            </h3>
+                                            <p className="text-xs text-gray-500">
+                                                權限等級: {meta.level} |
+                                                {meta.parent && ` 繼承：${roleLabelOf(meta.parent)} |`}
+                                                {' '}可訪問 {pageCount} 個頁面
+                                            </p>
+                                        </div>
                                     </div>
-                                </div>
 
-                                {roleName !== 'super_admin' && (
                                     <div className="flex items-center gap-2">
-                                        {editingRole === roleName ? (
+                                        {isEditingRole ? (
                                             <>
                                                 <button
                                                     onClick={() => saveRolePermissions(roleName)}
@@ -374,55 +1151,190 @@ const UserManagement = ({ addToast }) => {
                                                 </button>
                                             </>
                                         ) : (
-                                            <button
-                                                onClick={() => setEditingRole(roleName)}
-                                                className="flex items-center gap-1 px-3 py-1.5 text-sm text-gray-600 hover:text-gray-800 bg-gray-100 hover:bg-gray-200 rounded-lg transition-colors"
-                                            >
-                                                <Edit3 size={14} />
-                                                編輯權限
-                                            </button>
+                                            <>
+                                                {canManageRole(roleName) && (
+                                                    <button
+                                                        onClick={() => startRoleDraft(roleName)}
+                                                        className="p-1.5 text-gray-400 hover:text-gray-700 hover:bg-gray-100 rounded-lg transition-colors"
+                                                        title="複製角色"
+                                                    >
+                                                        <Copy size={16} />
+                                                    </button>
+                                                )}
+                                                {isCustom && isManageable && (
+                                                    <button
+                                                        onClick={() => handleDeleteRole(roleName)}
+                                                        className="p-1.5 text-gray-400 hover:text-red-500 hover:bg-red-50 rounded-lg transition-colors"
+                                                        title="刪除角色"
+                                                    >
+                                                        <Trash2 size={16} />
+                                                    </button>
+                                                )}
+                                                {isManageable && (
+                                                    <button
+                                                        onClick={() => setEditingRole(roleName)}
+                                                        className="flex items-center gap-1 px-3 py-1.5 text-sm text-gray-600 hover:text-gray-800 bg-gray-100 hover:bg-gray-200 rounded-lg transition-colors"
+                                                    >
+                                                        <Edit3 size={14} />
+                                                        編輯權限
+                                                    </button>
+                                                )}
+                                            </>
                                         )}
                                     </div>
-                                )}
-                            </div>
+                                </div>
 
-                            {/* Permission Grid */}
-                            <div className="p-6">
-                                <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-6 gap-3">
-                                    {ALL_PAGES.map(page => {
-                                        const isAllowed = rolePermissions[roleName]?.includes(page.id);
-                                        const isEditing = editingRole === roleName;
-                                        const isLocked = roleName === 'super_admin';
+                                {/* Permission Grid */}
+                                <div className="p-6">
+                                    {/* Custom role name / level / parent */}
+                                    {isEditingRole && isCustom && (
+                                        <div className="flex flex-col md:flex-row gap-3 mb-6">
+                                            <input
+                                                type="text"
+                                                value={meta.label}
+                                                onChange={(e) => setRoleMeta(prev => ({ ...prev, [roleName]: { ...meta, label: e.target.value } }))}
+                                                className="flex-1 px-3 py-2 border border-gray-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-gray-200"
+                                            />
+                                            <select
+                                                value={meta.level}
+                                                onChange={(e) => setRoleMeta(prev => ({ ...prev, [roleName]: { ...meta, level: Number(e.target.value) } }))}
+                                                className="px-3 py-2 border border-gray-200 rounded-lg text-sm bg-white focus:outline-none focus:ring-2 focus:ring-gray-200"
+                                            >
+                                                {Array.from({ length: maxRoleLevel }, (_, i) => i + 1).map(level => (
+                                                    <option key={level} value={level}>權限等級 {level}</option>
+                                                ))}
+                                            </select>
+                                            <select
+                                                value={meta.parent}
+                                                onChange={(e) => setRoleMeta(prev => ({ ...prev, [roleName]: { ...meta, parent: e.target.value } }))}
+                                                className="px-3 py-2 border border-gray-200 rounded-lg text-sm bg-white focus:outline-none focus:ring-2 focus:ring-gray-200"
+                                            >
+                                                <option value="">不繼承</option>
+                                                {parentOptionsFor(roleName, meta.level).map(role => (
+                                                    <option key={role.name} value={role.name}>繼承：{getRoleLabel(role)}</option>
+                                                ))}
+                                            </select>
+                                        </div>
+                                    )}
 
-                                        return (
-                                            <button
-                                                key={page.id}
-                                                onClick={() => isEditing && !isLocked && togglePagePermission(roleName, page.id)}
-                                                disabled={!isEditing || isLocked}
-                                                className={`
+                                    <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-6 gap-3">
+                                        {ALL_PAGES.map(page => {
+                                            const isInherited = inherited?.allowedPages.includes(page.id);
+                                            const isAllowed = isInherited || rolePermissions[roleName]?.includes(page.id);
+                                            const isLocked = roleName === 'super_admin' || isInherited ||
+                                                (!rolePermissions[roleName]?.includes(page.id) && !canGrantPage(page.id));
+
+                                            return (
+                                                <button
+                                                    key={page.id}
+                                                    onClick={() => isEditingRole && !isLocked && togglePagePermission(roleName, page.id)}
+                                                    disabled={!isEditingRole || isLocked}
+                                                    title={isInherited ? `繼承自${roleLabelOf(meta.parent)}` : undefined}
+                                                    className={`
                           flex flex-col items-center gap-2 p-3 rounded-xl border-2 transition-all
-                          ${isAllowed
-                                                        ? 'bg-green-50 border-green-200 text-green-700'
-                                                        : 'bg-gray-50 border-gray-100 text-gray-400'
-                                                    }
-                          ${isEditing && !isLocked ? 'cursor-pointer hover:scale-105' : 'cursor-default'}
-                          ${isLocked ? 'opacity-60' : ''}
+                          ${isInherited
+                                                            ? 'bg-blue-50 border-blue-100 text-blue-600'
+                                                            : isAllowed
+                                                                ? 'bg-green-50 border-green-200 text-green-700'
+                                                                : 'bg-gray-50 border-gray-100 text-gray-400'
+                                                        }
+                          ${isEditingRole && !isLocked ? 'cursor-pointer hover:scale-105' : 'cursor-default'}
+                          ${roleName === 'super_admin' ? 'opacity-60' : ''}
                         `}
-                                            >
-                                                <span className="text-xl">{page.icon}</span>
-                                                <span className="text-xs font-medium text-center leading-tight">{page.label}</span>
-                                                {isAllowed ? (
-                                                    <Eye size={12} className="text-green-500" />
-                                                ) : (
-                                                    <EyeOff size={12} className="text-gray-300" />
-                                                )}
-                                            </button>
-                                        );
-                                    })}
+                                                >
+                                                    <span className="text-xl">{page.icon}</span>
+                                                    <span className="text-xs font-medium text-center leading-tight">{page.label}</span>
+                                                    {isAllowed ? (
+                                                        <Eye size={12} className={isInherited ? 'text-blue-400' : 'text-green-500'} />
+                                                    ) : (
+                                                        <EyeOff size={12} className="text-gray-300" />
+                                                    )}
+                                                </button>
+                                            );
+                                        })}
+                                    </div>
+
+                                    {/* Resource Permission Matrix */}
+                                    <div className="mt-6 overflow-x-auto">
+                                        <table className="w-full text-sm">
+                                            <thead>
+                                                <tr className="text-xs text-gray-500 border-b border-gray-100">
+                                                    <th className="text-left font-medium py-2 pr-4">資料權限</th>
+                                                    {PERMISSION_ACTIONS.map(action => (
+                                                        <th key={action} className="font-medium py-2 px-3 text-center">{PERMISSION_ACTION_LABELS[action]}</th>
+                                                    ))}
+                                                </tr>
+                                            </thead>
+                                            <tbody className="divide-y divide-gray-50">
+                                                {Object.keys(PERMISSION_RESOURCES).map(resource => {
+                                                    const granted = roleName === 'super_admin'
+                                                        ? PERMISSION_ACTIONS
+                                                        : roleResourcePermissions[roleName]?.[resource] || [];
+                                                    const inheritedActions = inherited?.permissions[resource] || [];
+
+                                                    return (
+                                                        <tr key={resource}>
+                                                            <td className="py-2 pr-4 text-gray-700">{auditEntityLabel(resource)}</td>
+                                                            {PERMISSION_ACTIONS.map(action => (
+                                                                <td key={action} className="py-2 px-3 text-center">
+                                                                    <input
+                                                                        type="checkbox"
+                                                                        checked={granted.includes(action) || inheritedActions.includes(action)}
+                                                                        disabled={!isEditingRole || inheritedActions.includes(action) || (!granted.includes(action) && !canGrantAction(resource, action))}
+                                                                        onChange={() => toggleResourcePermission(roleName, resource, action)}
+                                                                        title={inheritedActions.includes(action) ? `繼承自${roleLabelOf(meta.parent)}` : undefined}
+                                                                        className="rounded disabled:opacity-60"
+                                                                    />
+                                                                </td>
+                                                            ))}
+                                                        </tr>
+                                                    );
+                                                })}
+                                            </tbody>
+                                        </table>
+                                    </div>
+
+                                    {/* Project Visibility */}
+                                    <label className={`mt-6 flex items-center gap-2 text-sm text-gray-700 w-fit ${isEditingRole && !inherited?.allProjects ? 'cursor-pointer' : 'cursor-default'}`}>
+                                        <input
+                                            type="checkbox"
+                                            checked={roleName === 'super_admin' || !!roleAllProjects[roleName] || !!inherited?.allProjects}
+                                            disabled={!isEditingRole || !!inherited?.allProjects || (!roleAllProjects[roleName] && !canViewAllProjects)}
+                                            onChange={() => setRoleAllProjects(prev => ({ ...prev, [roleName]: !prev[roleName] }))}
+                                            className="rounded disabled:opacity-60"
+                                        />
+                                        可查看所有專案
+                                        <span className="text-xs text-gray-400">（未勾選時只看得到被加入為成員的專案與其收支、行程）</span>
+                                    </label>
+
+                                    {/* Hidden Fields */}
+                                    <div className="mt-6">
+                                        <div className="text-xs font-medium text-gray-500 mb-2">隱藏欄位（不顯示、不匯出；不繼承上層角色）</div>
+                                        <div className="flex flex-wrap gap-2">
+                                            {Object.entries(MASKABLE_FIELDS).flatMap(([resource, fields]) => Object.entries(fields).map(([field, label]) => {
+                                                const isHidden = roleName !== 'super_admin' && (roleHiddenFields[roleName]?.[resource] || []).includes(field);
+
+                                                return (
+                                                    <button
+                                                        key={`${resource}.${field}`}
+                                                        onClick={() => isEditingRole && toggleHiddenField(roleName, resource, field)}
+                                                        disabled={!isEditingRole}
+                                                        className={`flex items-center gap-1 px-2.5 py-1 rounded-lg border text-xs transition-colors
+                          ${isHidden ? 'bg-red-50 border-red-200 text-red-600' : 'bg-gray-50 border-gray-100 text-gray-500'}
+                          ${isEditingRole ? 'cursor-pointer hover:border-gray-300' : 'cursor-default'}
+                        `}
+                                                    >
+                                                        {isHidden ? <EyeOff size={12} /> : <Eye size={12} />}
+                                                        {auditEntityLabel(resource)}・{label}
+                                                    </button>
+                                                );
+                                            }))}
+                                        </div>
+                                    </div>
                                 </div>
                             </div>
-                        </div>
-                    ))}
+                        );
+                    })}
                 </div>
             )}
         </div>
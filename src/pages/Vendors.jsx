@@ -1,5 +1,5 @@
 
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useEffect } from 'react';
 import { Modal } from '../components/common/Modal';
 import { InputField } from '../components/common/InputField';
 import { LocationField } from '../components/common/LocationField';
@@ -9,9 +9,17 @@ import { SectionTitle, LoadingSkeleton } from '../components/common/Indicators';
 import {
     Phone, Folder, Edit2, Trash2, Cloud, ChevronLeft, Save, Plus,
     Search, HardHat, Star, Building, MapPin, User, Tag, X, ChevronRight,
-    ThumbsUp, ThumbsDown, MessageSquare, Clock, Wrench, Briefcase
+    ThumbsUp, ThumbsDown, MessageSquare, Clock, Wrench, Briefcase, Upload
 } from 'lucide-react';
 import { GoogleService } from '../services/GoogleService';
+import { EntitySyncStatus } from '../components/common/EntitySyncStatus';
+import { AuditHistoryPanel } from '../components/common/AuditHistoryPanel';
+import { UserAvatar } from '../components/common/UserAvatar';
+import { ImportWizardModal } from '../components/common/ImportWizardModal';
+import { useStoreSelector, useDataActions, useSyncStatus, useUndo } from '../context/DataStoreContext';
+import { useAuth } from '../context/AuthContext';
+import { selectVendors, selectVendorsById, selectProjects } from '../services/dataStore';
+import { toActor } from '../services/actor';
 
 // 狀態配置
 const STATUS_CONFIG = {
@@ -111,12 +119,14 @@ const VendorRow = ({ vendor, onSelect, onDelete }) => {
                 </div>
             </div>
             <div className="flex items-center gap-2 self-end sm:self-auto">
-                <button
-                    onClick={(e) => { e.stopPropagation(); onDelete(vendor.id); }}
-                    className="sm:opacity-0 sm:group-hover:opacity-100 p-2 text-red-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-all"
-                >
-                    <Trash2 size={16} />
-                </button>
+                {onDelete && (
+                    <button
+                        onClick={(e) => { e.stopPropagation(); onDelete(vendor.id); }}
+                        className="sm:opacity-0 sm:group-hover:opacity-100 p-2 text-red-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-all"
+                    >
+                        <Trash2 size={16} />
+                    </button>
+                )}
                 <ChevronRight size={20} className="text-gray-300" />
             </div>
         </div>
@@ -132,17 +142,28 @@ const ReviewItem = ({ review }) => (
                 review.sentiment === 'negative' ? <ThumbsDown size={14} className="text-red-600" /> :
                     <MessageSquare size={14} className="text-gray-600" />}
         </div>
-        <div className="flex-1">
-            <div className="text-sm font-medium text-gray-800">{review.project}</div>
+        <div className="flex-1 min-w-0">
+            <div className="flex items-center justify-between gap-2">
+                <div className="text-sm font-medium text-gray-800">{review.project}</div>
+                <UserAvatar actor={review.createdBy} size="xs" className="text-[10px] text-gray-400" />
+            </div>
             <div className="text-xs text-gray-500 mt-0.5">{review.date} - {review.note}</div>
         </div>
     </div>
 );
 
-const Vendors = ({ data = [], loading, addToast, onUpdateVendors, allProjects = [] }) => {
+const Vendors = ({ addToast, activeVendorId, onSelectVendor }) => {
+    const vendorsList = useStoreSelector(selectVendors);
+    const vendorsById = useStoreSelector(selectVendorsById);
+    const allProjects = useStoreSelector(selectProjects);
+    const actions = useDataActions();
+    const { undoAction } = useUndo(addToast);
+    const { can, user } = useAuth();
+    const [isImportOpen, setIsImportOpen] = useState(false);
+    const { loading } = useSyncStatus(['vendors']);
+    // 詳情頁的 id 來自網址（/vendors/:id），內容一律從 store 讀取
+    const activeVendor = activeVendorId ? vendorsById.get(activeVendorId) || null : null;
     // 狀態管理
-    const [vendorsList, setVendorsList] = useState(data);
-    const [activeVendor, setActiveVendor] = useState(null);
     const [isModalOpen, setIsModalOpen] = useState(false);
     const [currentVendor, setCurrentVendor] = useState(null);
     const [isSaving, setIsSaving] = useState(false);
@@ -159,8 +180,8 @@ const Vendors = ({ data = [], loading, addToast, onUpdateVendors, allProjects =
     const [isReviewModalOpen, setIsReviewModalOpen] = useState(false);
     const [newReview, setNewReview] = useState({ project: '', date: new Date().toISOString().split('T')[0], note: '', sentiment: 'neutral' });
 
-    // 同步 data
-    React.useEffect(() => { setVendorsList(data); }, [data]);
+    // 以上一頁 / 下一頁切換廠商時結束編輯
+    useEffect(() => { setIsEditing(false); }, [activeVendorId]);
 
     // 計算統計
     const stats = useMemo(() => ({
@@ -212,13 +233,7 @@ const Vendors = ({ data = [], loading, addToast, onUpdateVendors, allProjects =
             vendorToSave.createdAt = new Date().toISOString();
         }
 
-        const newVendorsList = currentVendor.id
-            ? vendorsList.map(v => v.id === vendorToSave.id ? vendorToSave : v)
-            : [...vendorsList, vendorToSave];
-        setVendorsList(newVendorsList);
-        if (onUpdateVendors) onUpdateVendors(newVendorsList);
-
-        const syncResult = await GoogleService.syncToSheet('vendors', newVendorsList);
+        const syncResult = await actions.saveRecord('vendors', vendorToSave);
         setIsSaving(false);
 
         if (!syncResult.success) {
@@ -244,13 +259,14 @@ const Vendors = ({ data = [], loading, addToast, onUpdateVendors, allProjects =
     const confirmDeleteVendor = async () => {
         if (!deletingVendor) return;
 
-        const updatedList = vendorsList.filter(v => v.id !== deletingVendor.id);
-        setVendorsList(updatedList);
-        if (onUpdateVendors) onUpdateVendors(updatedList);
-        await GoogleService.syncToSheet('vendors', updatedList);
-        addToast(`廠商「${deletingVendor.name}」已刪除！`, 'success');
+        const result = await actions.removeRecord('vendors', deletingVendor.id, { undoLabel: `刪除廠商「${deletingVendor.name}」` });
+        if (!result.success) {
+            addToast(`刪除廠商失敗: ${result.error}`, 'error');
+            return;
+        }
+        addToast(`廠商「${deletingVendor.name}」已刪除！`, 'success', { action: undoAction });
 
-        if (activeVendor?.id === deletingVendor.id) setActiveVendor(null);
+        if (activeVendorId === deletingVendor.id) onSelectVendor(null);
         setIsDeleteModalOpen(false);
         setDeletingVendor(null);
     };
@@ -267,17 +283,12 @@ const Vendors = ({ data = [], loading, addToast, onUpdateVendors, allProjects =
             : currentVendor.tags || [];
         const updatedVendor = { ...currentVendor, tags: tagsArray };
 
-        const newList = vendorsList.map(v => v.id === updatedVendor.id ? updatedVendor : v);
-        setVendorsList(newList);
-        if (onUpdateVendors) onUpdateVendors(newList);
-
-        const syncResult = await GoogleService.syncToSheet('vendors', newList);
+        const syncResult = await actions.saveRecord('vendors', updatedVendor);
         setIsSaving(false);
 
         if (!syncResult.success) {
             addToast(`同步失敗: ${syncResult.error}`, 'error');
         } else {
-            setActiveVendor(updatedVendor);
             setIsEditing(false);
             addToast("資料已更新", 'success');
         }
@@ -289,20 +300,18 @@ const Vendors = ({ data = [], loading, addToast, onUpdateVendors, allProjects =
 
         const updatedVendor = {
             ...activeVendor,
-            reviews: [...(activeVendor.reviews || []), { ...newReview, id: Date.now() }]
+            reviews: [...(activeVendor.reviews || []), { ...newReview, id: Date.now(), createdBy: toActor(user) }]
         };
 
-        const newList = vendorsList.map(v => v.id === updatedVendor.id ? updatedVendor : v);
-        setVendorsList(newList);
-        setActiveVendor(updatedVendor);
-        if (onUpdateVendors) onUpdateVendors(newList);
-
-        await GoogleService.syncToSheet('vendors', newList);
+        await actions.saveRecord('vendors', updatedVendor);
         setIsReviewModalOpen(false);
         setNewReview({ project: '', date: new Date().toISOString().split('T')[0], note: '', sentiment: 'neutral' });
         addToast("評價已新增", "success");
     };
 
+    // 從連結開啟詳情頁時，等待資料載入
+    if (activeVendorId && !activeVendor && loading) return <LoadingSkeleton />;
+
     // 廠商詳情頁
     if (activeVendor) {
         const statusConfig = STATUS_CONFIG[activeVendor.status] || STATUS_CONFIG['合作中'];
@@ -311,7 +320,7 @@ const Vendors = ({ data = [], loading, addToast, onUpdateVendors, allProjects =
 
         return (
             <div className="space-y-6 animate-fade-in">
-                <button onClick={() => { setActiveVendor(null); setIsEditing(false); }} className="text-sm text-gray-500 hover:text-gray-900 flex items-center gap-1">
+                <button onClick={() => { onSelectVendor(null); setIsEditing(false); }} className="text-sm text-gray-500 hover:text-gray-900 flex items-center gap-1">
                     <ChevronLeft size={16} /> 返回列表
                 </button>
 
@@ -362,12 +371,16 @@ const Vendors = ({ data = [], loading, addToast, onUpdateVendors, allProjects =
                                             <Folder size={16} /> 雲端資料夾
                                         </a>
                                     )}
-                                    <button onClick={startEdit} className="bg-white border border-gray-200 px-3 py-1.5 rounded-lg text-sm text-gray-600 hover:bg-gray-50 flex items-center gap-2">
-                                        <Edit2 size={14} /> 編輯
-                                    </button>
-                                    <button onClick={() => openDeleteModal(activeVendor)} className="bg-white border border-red-200 text-red-500 px-3 py-1.5 rounded-lg text-sm hover:bg-red-50 flex items-center gap-2">
-                                        <Trash2 size={14} /> 刪除
-                                    </button>
+                                    {can('update', 'vendors') && (
+                                        <button onClick={startEdit} className="bg-white border border-gray-200 px-3 py-1.5 rounded-lg text-sm text-gray-600 hover:bg-gray-50 flex items-center gap-2">
+                                            <Edit2 size={14} /> 編輯
+                                        </button>
+                                    )}
+                                    {can('delete', 'vendors') && (
+                                        <button onClick={() => openDeleteModal(activeVendor)} className="bg-white border border-red-200 text-red-500 px-3 py-1.5 rounded-lg text-sm hover:bg-red-50 flex items-center gap-2">
+                                            <Trash2 size={14} /> 刪除
+                                        </button>
+                                    )}
                                 </>
                             )}
                         </div>
@@ -475,12 +488,14 @@ const Vendors = ({ data = [], loading, addToast, onUpdateVendors, allProjects =
                             <h3 className="font-bold text-gray-800 flex items-center gap-2">
                                 <MessageSquare size={18} /> 合作評價
                             </h3>
-                            <button
-                                onClick={() => setIsReviewModalOpen(true)}
-                                className="text-sm text-blue-600 hover:text-blue-800 flex items-center gap-1"
-                            >
-                                <Plus size={14} /> 新增
-                            </button>
+                            {can('update', 'vendors') && (
+                                <button
+                                    onClick={() => setIsReviewModalOpen(true)}
+                                    className="text-sm text-blue-600 hover:text-blue-800 flex items-center gap-1"
+                                >
+                                    <Plus size={14} /> 新增
+                                </button>
+                            )}
                         </div>
                         <div className="space-y-2 max-h-80 overflow-y-auto">
                             {(activeVendor.reviews || []).length > 0 ? (
@@ -535,6 +550,9 @@ const Vendors = ({ data = [], loading, addToast, onUpdateVendors, allProjects =
                             );
                         })()}
                     </Card>
+
+                    {/* 修改紀錄 */}
+                    <AuditHistoryPanel entity="vendors" entityId={activeVendor.id} revision={activeVendor.revision} className="lg:col-span-3" />
                 </div>
 
                 {/* 新增評價 Modal */}
@@ -592,7 +610,7 @@ const Vendors = ({ data = [], loading, addToast, onUpdateVendors, allProjects =
     // 廠商列表頁
     return (
         <div className="space-y-6 animate-fade-in">
-            <SectionTitle title="廠商管理" />
+            <SectionTitle title="廠商管理" subtitle={<EntitySyncStatus entities={['vendors', 'projects']} />} />
 
             {loading ? <LoadingSkeleton /> : (
                 <>
@@ -644,12 +662,22 @@ const Vendors = ({ data = [], loading, addToast, onUpdateVendors, allProjects =
                                 <X size={16} /> 清除
                             </button>
                         )}
-                        <button
-                            onClick={handleOpenAdd}
-                            className="ml-auto bg-morandi-text-accent text-white px-4 py-2.5 rounded-xl text-sm font-medium hover:shadow-lg transition-all flex items-center gap-2"
-                        >
-                            <Plus size={16} /> 新增廠商
-                        </button>
+                        {can('create', 'vendors') && (
+                            <>
+                                <button
+                                    onClick={() => setIsImportOpen(true)}
+                                    className="ml-auto bg-white border border-gray-200 text-gray-700 px-4 py-2.5 rounded-xl text-sm font-medium hover:border-gray-300 transition-all flex items-center gap-2"
+                                >
+                                    <Upload size={16} /> 匯入
+                                </button>
+                                <button
+                                    onClick={handleOpenAdd}
+                                    className="bg-morandi-text-accent text-white px-4 py-2.5 rounded-xl text-sm font-medium hover:shadow-lg transition-all flex items-center gap-2"
+                                >
+                                    <Plus size={16} /> 新增廠商
+                                </button>
+                            </>
+                        )}
                     </div>
 
                     {/* 廠商列表 */}
@@ -659,8 +687,8 @@ const Vendors = ({ data = [], loading, addToast, onUpdateVendors, allProjects =
                                 <VendorRow
                                     key={vendor.id}
                                     vendor={vendor}
-                                    onSelect={setActiveVendor}
-                                    onDelete={() => openDeleteModal(vendor)}
+                                    onSelect={vendor => onSelectVendor(vendor.id)}
+                                    onDelete={can('delete', 'vendors') ? () => openDeleteModal(vendor) : undefined}
                                 />
                             ))
                         ) : (
@@ -746,6 +774,13 @@ const Vendors = ({ data = [], loading, addToast, onUpdateVendors, allProjects =
                     </p>
                 </div>
             </Modal>
+            <ImportWizardModal
+                isOpen={isImportOpen}
+                onClose={() => setIsImportOpen(false)}
+                entity="vendors"
+                addToast={addToast}
+                undoAction={undoAction}
+            />
         </div>
     );
 };
@@ -1,106 +1,82 @@
 
 import { MOCK_DB } from './MockData';
-
-// GAS deployment URL
-const GAS_API_URL = "https://script.google.com/macros/s/AKfycby1ESLlxfybbOK58_7tbJUqcFYhCLdI0QXhbUlVvursR1o6dS9CeYV3cVNAPPrG4Ctj7A/exec";
-
-// JSONP 調用函數（繞過 CORS）
-const callGASWithJSONP = (action, data = {}) => {
-  return new Promise((resolve, reject) => {
-    const callbackName = `gas_callback_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-
-    // 構建 URL - 使用 encodeURIComponent 確保正確編碼
-    const dataStr = encodeURIComponent(JSON.stringify(data));
-    const url = `${GAS_API_URL}?action=${action}&data=${dataStr}&callback=${callbackName}`;
-
-    console.log(`🔗 GAS API Request: ${action}`, data);
-
-    // 創建 script 標籤
-    const script = document.createElement('script');
-    script.src = url;
-    script.async = true;
-
-    // 設定超時（30秒）
-    const timeout = setTimeout(() => {
-      cleanup();
-      console.error('❌ GAS API Timeout');
-      reject(new Error('Request timeout'));
-    }, 30000);
-
-    // 定義全域回調函數
-    window[callbackName] = (response) => {
-      clearTimeout(timeout);
-      cleanup();
-      console.log('✅ GAS API Response:', response);
-
-      // 檢查回應狀態 - 處理兩種回應格式
-      // 格式1: {success: true, data: {...}}
-      // 格式2: {status: 'success', ...}
-      if (response.success === true) {
-        resolve({ success: true, data: response.data });
-      } else if (response.status === 'success') {
-        resolve({ success: true, data: response });
-      } else {
-        const errorMsg = response.error || response.data?.error || response.message || 'Unknown error';
-        resolve({ success: false, error: errorMsg });
-      }
-    };
-
-    // 清理函數
-    const cleanup = () => {
-      delete window[callbackName];
-      if (script.parentNode) {
-        script.parentNode.removeChild(script);
-      }
-    };
-
-    // 錯誤處理
-    script.onerror = (e) => {
-      clearTimeout(timeout);
-      cleanup();
-      console.error('❌ Script load failed:', e);
-      reject(new Error('Script load failed'));
-    };
-
-    // 添加到 DOM
-    document.head.appendChild(script);
-  });
-};
-
+import { isNetworkError, isAbortError } from './gasClient';
+import { requestGAS, getRequestMetrics } from './requestManager';
+import { withOutbox } from './syncQueue';
+import { getStorageAdapter } from './storage';
+import { parseRecords } from './schema';
+
+// 經由代理上傳的檔案上限（base64 後約 4 MB，低於 Vercel 請求大小限制）
+const MAX_INLINE_UPLOAD_BYTES = 3 * 1024 * 1024;
+
+const readFileAsBase64 = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(file);
+});
 
 export const GoogleService = {
   login: () => new Promise(resolve => setTimeout(() => resolve({ name: "Admin", email: "admin@senteng.co", photo: "A" }), 1500)),
 
-  // 從 Google Sheets 載入資料
-  loadFromSheet: async (sheetType) => {
-    console.log(`📥 Loading ${sheetType} from Google Sheets...`);
+  // 從目前設定的儲存後端載入資料（預設為 Google Sheets）
+  // options.signal 可在頁面卸載時取消載入
+  // 讀回的資料會依 schema 遷移與轉換型別；無法解析的列放在 rejected，不會出現在 data
+  loadFromSheet: async (sheetType, options = {}) => {
+    const adapter = getStorageAdapter();
+    console.log(`📥 Loading ${sheetType} from ${adapter.label}...`);
 
     try {
-      const result = await callGASWithJSONP('load_from_sheet', { sheetType });
-
-      if (result.success && result.data?.items) {
-        console.log(`✅ Loaded ${result.data.items.length} ${sheetType} items`);
-        return { success: true, data: result.data.items };
-      } else if (result.success && result.data?.status === 'empty') {
-        console.log(`📭 No ${sheetType} data found in Sheets`);
-        return { success: true, data: [] };
+      const result = await adapter.load(sheetType, options);
+
+      if (result.success) {
+        const { records, rejected, migrated } = parseRecords(sheetType, result.data);
+        console.log(`✅ Loaded ${records.length} ${sheetType} items`);
+        return { success: true, data: records, rejected, migrated };
       } else {
         console.error(`❌ Failed to load ${sheetType}:`, result.error);
-        return { success: false, error: result.error, data: [] };
+        return { success: false, error: result.error, data: [], rejected: [] };
       }
     } catch (error) {
-      console.error('GAS API Error:', error);
-      return { success: false, error: error.message, data: [] };
+      if (isAbortError(error)) return { success: false, aborted: true, error: error.message, data: [], rejected: [] };
+      console.error('Storage Error:', error);
+      return { success: false, error: error.message, data: [], rejected: [] };
     }
   },
 
+  // 即時訂閱工作表變更（僅 firestore 等支援即時更新的後端；不支援時回傳 null）
+  // onChange({ success, data, rejected, fromServer }) 會在每次資料變動時呼叫；回傳取消訂閱的函式
+  subscribeToSheet: (sheetType, onChange) => {
+    const adapter = getStorageAdapter();
+    if (typeof adapter.subscribe !== 'function') return null;
+
+    console.log(`📡 Subscribing to ${sheetType} on ${adapter.label}`);
+    return adapter.subscribe(
+      sheetType,
+      (rows, { fromServer = true } = {}) => {
+        const { records, rejected } = parseRecords(sheetType, rows);
+        onChange({ success: true, data: records, rejected, fromServer });
+      },
+      (error) => {
+        console.error(`❌ Subscription failed [${sheetType}]:`, error);
+        onChange({ success: false, error: error.message, data: [], rejected: [] });
+      }
+    );
+  },
+
+  // GAS 請求統計（呼叫次數、重試、合併、逾時、平均耗時）
+  getRequestMetrics,
+
   fetchCalendarEvents: () => new Promise(resolve => { setTimeout(() => resolve(MOCK_DB.calendar), 1000); }),
 
-  addToCalendar: async (event) => {
+  // 連線失敗時存入離線佇列，恢復連線後自動重送
+  // event.id 作為 clientId：逾時但其實已建立的行程重送時，GAS 會回傳同一個事件而不是再建立一個
+  addToCalendar: withOutbox('addToCalendar', async (event) => {
     console.log(`📅 Adding calendar event: ${event.title}`);
 
     try {
-      const result = await callGASWithJSONP('add_calendar_event', {
+      const result = await requestGAS('add_calendar_event', {
+        clientId: event.id || '',
         title: event.title,
         startTime: event.date + 'T' + event.time,
         endTime: event.date + 'T' + event.time,
@@ -116,16 +92,17 @@ export const GoogleService = {
 
       return result;
     } catch (error) {
+      if (isNetworkError(error)) throw error;
       console.error('GAS API Error:', error);
       return { success: false, error: error.message };
     }
-  },
+  }),
 
   updateCalendarEvent: async (eventId, updates) => {
     console.log(`📅 Updating calendar event: ${eventId}`);
 
     try {
-      const result = await callGASWithJSONP('update_calendar_event', {
+      const result = await requestGAS('update_calendar_event', {
         eventId,
         ...updates
       });
@@ -147,7 +124,7 @@ export const GoogleService = {
     console.log(`📅 Deleting calendar event: ${eventId}`);
 
     try {
-      const result = await callGASWithJSONP('delete_calendar_event', {
+      const result = await requestGAS('delete_calendar_event', {
         eventId
       });
 
@@ -164,29 +141,74 @@ export const GoogleService = {
     }
   },
 
-  syncToSheet: async (sheetName, data) => {
-    console.log(`📊 Syncing to Sheet [${sheetName}]:`, data.length, 'records');
+  // 連線失敗時存入離線佇列，恢復連線後自動重送
+  syncToSheet: withOutbox('syncToSheet', async (sheetName, data) => {
+    const adapter = getStorageAdapter();
+    console.log(`📊 Syncing to ${adapter.label} [${sheetName}]:`, data.length, 'records');
 
     try {
-      const result = await callGASWithJSONP('sync_to_sheet', {
-        sheetName,
-        records: data
-      });
+      const result = await adapter.sync(sheetName, data);
 
       if (result.success) {
-        console.log(`✅ Synced to Sheet [${sheetName}]`);
+        console.log(`✅ Synced to ${adapter.label} [${sheetName}]`);
       } else {
-        console.error(`❌ Sheet sync failed [${sheetName}]:`, result.error);
+        console.error(`❌ Sync failed [${sheetName}]:`, result.error);
       }
 
       return result;
     } catch (error) {
-      console.error('GAS API Error:', error);
+      if (isNetworkError(error)) throw error;
+      console.error('Storage Error:', error);
       return { success: false, error: error.message };
     }
-  },
+  }, sheetName => ({ resource: sheetName })),
+
+  // 列層級同步：只送出新增/修改的列（以 id 對應），回傳每一列的結果
+  upsertRows: withOutbox('upsertRows', async (sheetName, rows) => {
+    const adapter = getStorageAdapter();
+    console.log(`📊 Upserting ${rows.length} rows to ${adapter.label} [${sheetName}]`);
+
+    try {
+      const result = await adapter.upsert(sheetName, rows);
+
+      if (result.success) {
+        console.log(`✅ Upserted ${rows.length} rows [${sheetName}]`);
+      } else {
+        console.error(`❌ Upsert failed [${sheetName}]:`, result.error);
+      }
+
+      return result;
+    } catch (error) {
+      if (isNetworkError(error)) throw error;
+      console.error('Storage Error:', error);
+      return { success: false, error: error.message, results: [] };
+    }
+  }, (sheetName, rows) => ({ resource: sheetName, ids: rows.map(row => row.id) })),
+
+  // 列層級刪除（以 id 對應）
+  deleteRows: withOutbox('deleteRows', async (sheetName, ids) => {
+    const adapter = getStorageAdapter();
+    console.log(`🗑️ Deleting ${ids.length} rows from ${adapter.label} [${sheetName}]`);
 
-  uploadToDrive: async (file, folderName, folderUrl) => {
+    try {
+      const result = await adapter.remove(sheetName, ids);
+
+      if (result.success) {
+        console.log(`✅ Deleted ${ids.length} rows [${sheetName}]`);
+      } else {
+        console.error(`❌ Delete failed [${sheetName}]:`, result.error);
+      }
+
+      return result;
+    } catch (error) {
+      if (isNetworkError(error)) throw error;
+      console.error('Storage Error:', error);
+      return { success: false, error: error.message, results: [] };
+    }
+  }, (sheetName, ids) => ({ resource: sheetName, ids })),
+
+  // 連線失敗時存入離線佇列，恢復連線後自動重送
+  uploadToDrive: withOutbox('uploadToDrive', async (file, folderName, folderUrl) => {
     console.log(`📤 Uploading file: ${file.name} to folder: ${folderName}`);
 
     try {
@@ -197,14 +219,16 @@ export const GoogleService = {
         folderId = match ? match[1] : null;
       }
 
-      const result = await callGASWithJSONP('upload_to_drive', {
+      const metadata = {
         fileName: file.name,
         fileSize: file.size,
         mimeType: file.type,
         folderId: folderId,
-        // Note: Actual file content upload would require different handling
-        // For now, we're creating a placeholder entry
-      });
+      };
+
+      // 檔案內容只能經由 POST 代理傳送；退回 JSONP 時僅建立佔位檔案
+      const content = file.size <= MAX_INLINE_UPLOAD_BYTES ? await readFileAsBase64(file) : null;
+      const result = await requestGAS('upload_to_drive', { ...metadata, content }, { jsonpData: metadata });
 
       if (result.success) {
         const fileUrl = result.data?.fileUrl || `https://drive.google.com/file/d/${result.data?.fileId || 'unknown'}/view`;
@@ -215,17 +239,18 @@ export const GoogleService = {
         return { success: false, error: result.error };
       }
     } catch (error) {
+      if (isNetworkError(error)) throw error;
       console.error('GAS API Error:', error);
       return { success: false, error: error.message };
     }
-  },
+  }),
 
   // 獲取或創建「專案管理」根資料夾
   getOrCreateProjectRoot: async () => {
     console.log(`📁 Getting or creating '專案管理' root folder...`);
 
     try {
-      const result = await callGASWithJSONP('get_or_create_project_root', {
+      const result = await requestGAS('get_or_create_project_root', {
         folderName: '專案管理'
       });
 
@@ -248,7 +273,7 @@ export const GoogleService = {
     console.log(`📁 Creating Drive folder: ${folderName}${parentFolderId ? ' (in parent)' : ''}`);
 
     try {
-      const result = await callGASWithJSONP('create_drive_folder', {
+      const result = await requestGAS('create_drive_folder', {
         folderName,
         parentId: parentFolderId // 修正：GAS 端使用 parentId
       });
@@ -273,7 +298,7 @@ export const GoogleService = {
     console.log(`📁 Creating vendor folder: ${vendorName} (in vendor root)`);
 
     try {
-      const result = await callGASWithJSONP('create_drive_folder', {
+      const result = await requestGAS('create_drive_folder', {
         folderName: vendorName,
         parentId: VENDOR_PARENT_FOLDER_ID
       });
@@ -298,7 +323,7 @@ export const GoogleService = {
     console.log(`📁 Creating client folder: ${clientName} (in client root)`);
 
     try {
-      const result = await callGASWithJSONP('create_drive_folder', {
+      const result = await requestGAS('create_drive_folder', {
         folderName: clientName,
         parentId: CLIENT_PARENT_FOLDER_ID
       });
@@ -322,7 +347,7 @@ export const GoogleService = {
     console.log(`📂 Listing Drive folders...`);
 
     try {
-      const result = await callGASWithJSONP('list_drive_folders', {
+      const result = await requestGAS('list_drive_folders', {
         parentFolderId
       });
 
@@ -344,7 +369,7 @@ export const GoogleService = {
     console.log(`📁 Creating Cost Estimator folder and database...`);
 
     try {
-      const result = await callGASWithJSONP('create_cost_estimator_folder', {
+      const result = await requestGAS('create_cost_estimator_folder', {
         folderName: '營建物料成本快速估算指標與公式'
       });
 
@@ -373,7 +398,7 @@ export const GoogleService = {
     console.log(`📊 Fetching material prices from Drive...`);
 
     try {
-      const result = await callGASWithJSONP('get_material_prices', {});
+      const result = await requestGAS('get_material_prices', {});
 
       if (result.success) {
         console.log(`✅ Material prices loaded`);
@@ -393,7 +418,7 @@ export const GoogleService = {
     console.log(`📝 Updating material price: ${material.name}...`);
 
     try {
-      const result = await callGASWithJSONP('update_material_price', {
+      const result = await requestGAS('update_material_price', {
         category,
         material
       });
@@ -416,7 +441,7 @@ export const GoogleService = {
     console.log(`📊 Exporting estimate to Sheet: ${estimateName}...`);
 
     try {
-      const result = await callGASWithJSONP('export_estimate_to_sheet', {
+      const result = await requestGAS('export_estimate_to_sheet', {
         estimateName,
         items: items.map(item => ({
           category: item.category || '未分類',
@@ -456,7 +481,7 @@ export const GoogleService = {
     console.log(`📦 Initializing Inventory Sheet...`);
 
     try {
-      const result = await callGASWithJSONP('init_inventory_sheet', {});
+      const result = await requestGAS('init_inventory_sheet', {});
 
       if (result.success) {
         console.log(`✅ Inventory Sheet initialized`);
@@ -482,7 +507,7 @@ export const GoogleService = {
     console.log(`📦 Syncing ${items.length} items to Inventory Sheet...`);
 
     try {
-      const result = await callGASWithJSONP('sync_inventory_to_sheet', {
+      const result = await requestGAS('sync_inventory_to_sheet', {
         sheetId,
         items: JSON.stringify(items.map(item => ({
           name: item.name,
@@ -519,7 +544,7 @@ export const GoogleService = {
     console.log(`💰 Syncing transaction to project: ${projectName}...`);
 
     try {
-      const result = await callGASWithJSONP('sync_project_transaction', {
+      const result = await requestGAS('sync_project_transaction', {
         folderId: projectFolderId,
         projectName,
         transaction: JSON.stringify(transaction)
@@ -547,7 +572,7 @@ export const GoogleService = {
     console.log(`💰 Syncing ${transactions.length} transactions to project: ${projectName}...`);
 
     try {
-      const result = await callGASWithJSONP('sync_all_project_transactions', {
+      const result = await requestGAS('sync_all_project_transactions', {
         folderId: projectFolderId,
         projectName,
         transactions: JSON.stringify(transactions)
@@ -590,7 +615,7 @@ export const GoogleService = {
     console.log(`📊 Exporting material calculation to Sheet: ${sheetName}...`);
 
     try {
-      const result = await callGASWithJSONP('export_material_calculation_to_folder', {
+      const result = await requestGAS('export_material_calculation_to_folder', {
         sheetName,
         folderName: '物料算量',
         records: records.map((r, index) => ({
@@ -601,7 +626,8 @@ export const GoogleService = {
           value: r.value || 0,
           unit: r.unit || '',
           wastageValue: r.wastageValue || r.value || 0,
-          createdAt: r.createdAt || ''
+          createdAt: r.createdAt || '',
+          createdBy: r.createdBy?.name || ''
         })),
         createdAt: now.toISOString()
       });
@@ -641,7 +667,7 @@ export const GoogleService = {
 
 
     try {
-      const result = await callGASWithJSONP('init_finance_folder', {});
+      const result = await requestGAS('init_finance_folder', {});
 
       if (result.success) {
         const folderUrl = result.data?.folderUrl || `https://drive.google.com/drive/folders/${result.data?.folderId || 'unknown'}`;
@@ -680,7 +706,7 @@ export const GoogleService = {
         projectName: projectsMap[tx.projectId] || tx.projectName || ''
       }));
 
-      const result = await callGASWithJSONP('export_finance_report', {
+      const result = await requestGAS('export_finance_report', {
         transactions: enrichedTransactions,
         dateRange,
         folderId: folderResult.folderId
@@ -717,7 +743,7 @@ export const GoogleService = {
         return { success: false, error: `無法存取財務報表資料夾: ${folderResult.error}`, results: [] };
       }
 
-      const result = await callGASWithJSONP('search_finance_records', {
+      const result = await requestGAS('search_finance_records', {
         query,
         folderId: folderResult.folderId,
         startDate,
@@ -0,0 +1,13 @@
+// 建立資料的使用者（createdBy）：交易、聯絡記錄、廠商評價、工程紀錄、出入庫與物料計算紀錄都會記錄
+// 資料列整體的最後修改者另由 versioning.js 的 updatedBy 記錄。
+
+/**
+ * Identity of the signed-in user, stored on the records they create
+ * @param {Object} user - From useAuth ({ uid, displayName, email, photoURL })
+ * @returns {{ uid: string, name: string, photoURL: string }}
+ */
+export const toActor = user => ({
+    uid: user?.uid || '',
+    name: user?.displayName || user?.email || '',
+    photoURL: user?.photoURL || '',
+});
@@ -0,0 +1,109 @@
+// 操作紀錄（Audit log）：記錄誰在何時新增 / 修改 / 刪除了哪一筆資料，以及修改前後的欄位
+// 紀錄寫入 Firestore 的 auditLogs 集合，與使用者、角色資料放在一起；寫入失敗只記在 console，不影響原本的儲存。
+import {
+    collection, addDoc, getDocs, query, where, orderBy, limit, serverTimestamp,
+} from 'firebase/firestore';
+import { db } from './firebase';
+import { diffFields } from './versioning';
+import { getEntitySchema } from './schema';
+
+const AUDIT_COLLECTION = 'auditLogs';
+
+// 單一欄位值保存的最大長度（陣列、物件以 JSON 保存）
+const MAX_VALUE_LENGTH = 500;
+
+export const AUDIT_ACTIONS = {
+    create: { label: '新增', color: 'text-green-600 bg-green-50' },
+    update: { label: '修改', color: 'text-blue-600 bg-blue-50' },
+    delete: { label: '刪除', color: 'text-red-600 bg-red-50' },
+};
+
+export const auditEntityLabel = entity => getEntitySchema(entity)?.label || entity;
+
+// Firestore 不接受 undefined 與巢狀陣列，欄位值一律轉成字串保存
+const serializeValue = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH)}…` : text;
+};
+
+const recordTitle = record => record?.name || record?.title || record?.desc || record?.bankName || '';
+
+/**
+ * Build the audit event for one record change
+ * @param {Object} params
+ * @param {string} params.entity - Entity / sheet name
+ * @param {Object|null} params.before - Record before the change (null when created)
+ * @param {Object|null} params.after - Record after the change (null when deleted)
+ * @param {Object} params.actor - Signed-in user ({ uid, displayName, email })
+ * @param {boolean} [params.pending] - Saved offline; the change is still waiting in the outbox (syncQueue.js)
+ * @returns {Object|null} Event, or null when an update changed nothing but version fields
+ */
+export const buildAuditEvent = ({ entity, before, after, actor, pending = false }) => {
+    const action = !before ? 'create' : !after ? 'delete' : 'update';
+    const changes = diffFields(after || {}, before || {})
+        .map(({ field, mine, theirs }) => ({ field, before: serializeValue(theirs), after: serializeValue(mine) }))
+        .filter(change => change.before !== change.after);
+    if (action === 'update' && changes.length === 0) return null;
+
+    return {
+        entity,
+        entityId: String((after || before).id),
+        title: recordTitle(after || before),
+        action,
+        changes,
+        uid: actor?.uid || null,
+        userName: actor?.displayName || actor?.email || '',
+        userEmail: actor?.email || '',
+        clientTime: new Date().toISOString(),
+        ...(pending && { pending: true }),
+    };
+};
+
+/**
+ * Persist audit events
+ * @param {Array} events - From buildAuditEvent
+ */
+export const recordAuditEvents = async (events) => {
+    try {
+        await Promise.all(events.map(event => addDoc(collection(db, AUDIT_COLLECTION), {
+            ...event,
+            timestamp: serverTimestamp(),
+        })));
+    } catch (error) {
+        console.error('Failed to record audit events:', error);
+    }
+};
+
+const toEvent = snapshot => ({ id: snapshot.id, ...snapshot.data() });
+const newestFirst = (a, b) => (b.clientTime || '').localeCompare(a.clientTime || '');
+
+/**
+ * History of one record, newest first
+ * @param {string} entity
+ * @param {string} entityId
+ * @returns {Promise<Array>}
+ */
+export const getEntityHistory = async (entity, entityId) => {
+    // 只用等值條件，不需要另外建立複合索引；排序在本機處理
+    const snapshot = await getDocs(query(
+        collection(db, AUDIT_COLLECTION),
+        where('entity', '==', entity),
+        where('entityId', '==', String(entityId))
+    ));
+    return snapshot.docs.map(toEvent).sort(newestFirst);
+};
+
+/**
+ * Most recent events across all entities and users, newest first
+ * @param {number} [max]
+ * @returns {Promise<Array>}
+ */
+export const getRecentAuditEvents = async (max = 300) => {
+    const snapshot = await getDocs(query(
+        collection(db, AUDIT_COLLECTION),
+        orderBy('timestamp', 'desc'),
+        limit(max)
+    ));
+    return snapshot.docs.map(toEvent);
+};
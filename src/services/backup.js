@@ -0,0 +1,308 @@
+// 工作區備份與還原
+// 備份檔為單一 JSON：所有資料表（客戶、專案、財務、廠商、庫存、行程）與設定（選單順序、角色權限、物料價格）。
+// 還原前先與目前資料比對差異，可逐項選擇要還原的資料表或設定；
+// 資料表還原會以目前版本為基準寫入（見 versioning.js），並刪除備份中不存在的資料列；
+// 還原不經過 DataStoreContext 的 actions，因此在這裡檢查角色對資料表的新增 / 修改 / 刪除權限，並記錄操作紀錄。
+import { GoogleService } from './GoogleService';
+import {
+    getAllRoles, updateRoleConfig, getUserMenuOrder, saveUserMenuOrder, PERMISSION_RESOURCES, PERMISSION_ACTION_LABELS
+} from './firebase';
+import { MENU_ORDER_KEY } from './config';
+import { ENTITY_SCHEMAS, parseRecords } from './schema';
+import { diffFields, applySavedRows } from './versioning';
+import { buildAuditEvent, recordAuditEvents } from './auditLog';
+
+export const BACKUP_FORMAT = 'senteng-workspace-backup';
+export const BACKUP_VERSION = 1;
+
+// 備份的資料表；sheet 為 null 表示只存在於畫面資料（行程由 Google 日曆管理）
+export const BACKUP_ENTITIES = [
+    { key: 'clients', label: '客戶', sheet: 'clients', get: d => d.clients, set: (d, rows) => ({ ...d, clients: rows }) },
+    { key: 'projects', label: '專案', sheet: 'projects', get: d => d.projects, set: (d, rows) => ({ ...d, projects: rows }) },
+    { key: 'vendors', label: '廠商', sheet: 'vendors', get: d => d.vendors, set: (d, rows) => ({ ...d, vendors: rows }) },
+    { key: 'inventory', label: '庫存', sheet: 'inventory', get: d => d.inventory, set: (d, rows) => ({ ...d, inventory: rows }) },
+    {
+        key: 'accounts', label: '帳戶', sheet: 'accounts',
+        get: d => d.finance.accounts, set: (d, rows) => ({ ...d, finance: { ...d.finance, accounts: rows } }),
+    },
+    {
+        key: 'loans', label: '貸款', sheet: 'loans',
+        get: d => d.finance.loans, set: (d, rows) => ({ ...d, finance: { ...d.finance, loans: rows } }),
+    },
+    {
+        key: 'transactions', label: '交易', sheet: 'transactions',
+        get: d => d.finance.transactions, set: (d, rows) => ({ ...d, finance: { ...d.finance, transactions: rows } }),
+    },
+    { key: 'calendar', label: '行程', sheet: null, get: d => d.calendar, set: (d, rows) => ({ ...d, calendar: rows }) },
+];
+
+// 還原一個資料表可能新增、修改並刪除資料列
+const RESTORE_ACTIONS = ['create', 'update', 'delete'];
+
+/**
+ * Whether the role may restore an entity (entities outside the role permissions are not checked)
+ * @param {string} key - BACKUP_ENTITIES key
+ * @param {Function} can - (action, resource) from useAuth
+ * @returns {boolean}
+ */
+export const canRestoreEntity = (key, can) => !PERMISSION_RESOURCES[key] || RESTORE_ACTIONS.every(action => can(action, key));
+
+export const BACKUP_SETTINGS = [
+    { key: 'menuOrder', label: '選單順序' },
+    { key: 'roles', label: '角色權限', requiresRole: 'super_admin' },
+    { key: 'materialPrices', label: '物料價格' },
+];
+
+const readLocalMenuOrder = () => {
+    try {
+        return JSON.parse(localStorage.getItem(MENU_ORDER_KEY) || 'null');
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Read the current settings; a setting that cannot be read is null
+ * @param {Object} user - Signed-in user
+ * @returns {Promise<{ menuOrder: Array|null, roles: Array|null, materialPrices: Object|null }>}
+ */
+export const collectSettings = async (user) => {
+    const [menuOrder, roles, materialPrices] = await Promise.all([
+        user?.uid ? getUserMenuOrder(user.uid).then(order => order || readLocalMenuOrder()) : readLocalMenuOrder(),
+        getAllRoles().catch(() => null),
+        GoogleService.getMaterialPrices().then(result => (result.success ? result.data?.materials || null : null)),
+    ]);
+    return { menuOrder, roles, materialPrices };
+};
+
+/**
+ * Build a backup archive from the app data and settings
+ * @param {Object} data - App data (same shape as MOCK_DB)
+ * @param {Object} settings - Result of collectSettings
+ * @param {Object} user - Signed-in user
+ * @returns {Object} Archive
+ */
+export const createBackup = (data, settings, user) => ({
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    createdBy: user?.displayName || user?.email || '',
+    schemaVersions: Object.fromEntries(Object.entries(ENTITY_SCHEMAS).map(([key, schema]) => [key, schema.version])),
+    entities: Object.fromEntries(BACKUP_ENTITIES.map(entity => [entity.key, entity.get(data) || []])),
+    settings,
+});
+
+/**
+ * Download an archive as a JSON file
+ * @param {Object} archive
+ */
+export const downloadBackup = (archive) => {
+    const stamp = archive.createdAt.slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+    const blob = new Blob([JSON.stringify(archive, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `senteng-backup-${stamp}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+/**
+ * Read and validate a backup file. Rows are migrated to the current schemas like loadFromSheet does.
+ * @param {File} file
+ * @returns {Promise<{ archive: Object, rejected: Object<string, Array> }>} Throws when the file is not a backup
+ */
+export const readBackupFile = async (file) => {
+    let archive;
+    try {
+        archive = JSON.parse(await file.text());
+    } catch {
+        throw new Error('檔案不是有效的 JSON');
+    }
+
+    if (archive?.format !== BACKUP_FORMAT) {
+        throw new Error('檔案不是森騰工作區備份');
+    }
+    if (!(Number(archive.version) <= BACKUP_VERSION)) {
+        throw new Error(`備份檔版本 v${archive.version} 比目前系統新，請先更新系統`);
+    }
+
+    const entities = {};
+    const rejected = {};
+    BACKUP_ENTITIES.forEach(({ key }) => {
+        const rows = Array.isArray(archive.entities?.[key]) ? archive.entities[key] : [];
+        const parsed = parseRecords(key, rows);
+        entities[key] = parsed.records;
+        if (parsed.rejected.length > 0) rejected[key] = parsed.rejected;
+    });
+
+    return { archive: { ...archive, entities, settings: archive.settings || {} }, rejected };
+};
+
+export const recordLabel = record => record.name || record.title || record.bankName || record.desc || record.id;
+
+/**
+ * Compare the current rows of an entity with the rows in a backup
+ * @param {Array} current
+ * @param {Array} incoming - Rows from the backup
+ * @returns {{ added: Array, changed: Array<{ record, fields: string[] }>, removed: Array, unchanged: number }}
+ */
+export const diffEntity = (current = [], incoming = []) => {
+    const currentById = new Map(current.map(r => [r.id, r]));
+    const incomingIds = new Set(incoming.map(r => r.id));
+    const added = [];
+    const changed = [];
+    let unchanged = 0;
+
+    incoming.forEach((record) => {
+        const existing = currentById.get(record.id);
+        if (!existing) {
+            added.push(record);
+            return;
+        }
+        const fields = diffFields(record, existing).map(d => d.field);
+        if (fields.length > 0) changed.push({ record, fields });
+        else unchanged++;
+    });
+
+    return { added, changed, removed: current.filter(r => !incomingIds.has(r.id)), unchanged };
+};
+
+const countMaterials = prices => Object.values(prices || {}).reduce((sum, list) => sum + list.length, 0);
+
+/**
+ * Describe how each setting in a backup differs from the current one
+ * @param {Object} current - Result of collectSettings
+ * @param {Object} incoming - archive.settings
+ * @returns {Object<string, { available: boolean, changed: boolean, summary: string }>}
+ */
+export const diffSettings = (current = {}, incoming = {}) => {
+    const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+    const summaries = {
+        menuOrder: value => `${value.length} 個選單項目`,
+        roles: value => value.map(r => r.name || r.id).join('、'),
+        materialPrices: value => `${Object.keys(value).length} 個類別、${countMaterials(value)} 項物料`,
+    };
+
+    return Object.fromEntries(BACKUP_SETTINGS.map(({ key }) => {
+        const value = incoming[key];
+        const available = value !== undefined && value !== null;
+        return [key, {
+            available,
+            changed: available && !same(value, current[key]),
+            summary: available ? summaries[key](value) : '備份中沒有此設定',
+        }];
+    }));
+};
+
+const restoreSetting = {
+    menuOrder: async (menuOrder, user) => {
+        localStorage.setItem(MENU_ORDER_KEY, JSON.stringify(menuOrder));
+        if (!user?.uid) return { success: true };
+        return saveUserMenuOrder(user.uid, menuOrder);
+    },
+    roles: async (roles) => {
+        for (const { id, ...config } of roles) {
+            await updateRoleConfig(id || config.name, config);
+        }
+        return { success: true };
+    },
+    materialPrices: async (materialPrices) => {
+        for (const [category, materials] of Object.entries(materialPrices)) {
+            for (const material of materials) {
+                const result = await GoogleService.updateMaterialPrice(category, material);
+                if (!result.success) return result;
+            }
+        }
+        return { success: true };
+    },
+};
+
+// 與 DataStoreContext 相同的操作紀錄：changes 為 [before, after]；放入離線佇列的變更標記為待同步
+const auditRestore = (entity, changes, user, pending) => {
+    const events = changes
+        .map(([before, after]) => buildAuditEvent({ entity, before, after, actor: user, pending }))
+        .filter(Boolean);
+    if (events.length > 0) recordAuditEvents(events);
+};
+
+/**
+ * Restore the selected entities and settings from a backup
+ * @param {Object} archive - Result of readBackupFile
+ * @param {{ entities: string[], settings: string[] }} selection - Keys to restore
+ * @param {Object} context
+ * @param {Object} context.data - Current app data
+ * @param {Function} context.saveRows - From useConflictResolver
+ * @param {Object} context.user - Signed-in user
+ * @param {Function} context.can - (action, resource) from useAuth
+ * @returns {Promise<{ entities: Object<string, Array>, report: Array<{ key, label, success, error? }> }>}
+ *   entities: rows after restore of the restored entities only (the rest of the store is left as it is)
+ */
+export const restoreBackup = async (archive, selection, { data, saveRows, user, can }) => {
+    const entities = {};
+    const report = [];
+
+    for (const entity of BACKUP_ENTITIES.filter(e => selection.entities.includes(e.key))) {
+        const current = entity.get(data) || [];
+        const incoming = archive.entities[entity.key] || [];
+
+        if (!entity.sheet) {
+            entities[entity.key] = incoming;
+            report.push({ key: entity.key, label: entity.label, success: true });
+            continue;
+        }
+
+        const { added, changed, removed } = diffEntity(current, incoming);
+        const deniedActions = PERMISSION_RESOURCES[entity.key]
+            ? [['create', added], ['update', changed], ['delete', removed]]
+                .filter(([action, rows]) => rows.length > 0 && !can(action, entity.key))
+                .map(([action]) => PERMISSION_ACTION_LABELS[action])
+            : [];
+        if (deniedActions.length > 0) {
+            report.push({ key: entity.key, label: entity.label, success: false, error: `沒有${entity.label}的${deniedActions.join('、')}權限` });
+            continue;
+        }
+        const currentById = new Map(current.map(r => [r.id, r]));
+        // 以目前的版本號為基準，還原的內容成為下一個版本，而不是被當成過期的修改
+        const rows = [...added, ...changed.map(c => c.record)]
+            .map(r => ({ ...r, revision: currentById.get(r.id)?.revision ?? r.revision }));
+
+        const errors = [];
+        let savedRows = [];
+        let deletedIds = new Set();
+        if (rows.length > 0) {
+            const saveResult = await saveRows(entity.sheet, rows);
+            savedRows = saveResult.rows || [];
+            auditRestore(entity.sheet, savedRows.map(r => [currentById.get(r.id) || null, r]), user, saveResult.queued);
+            if (!saveResult.success) errors.push(saveResult.error);
+        }
+        if (removed.length > 0) {
+            const deleteResult = await GoogleService.deleteRows(entity.sheet, removed.map(r => r.id));
+            if (deleteResult.success) deletedIds = new Set(removed.map(r => r.id));
+            else errors.push(deleteResult.error);
+            auditRestore(entity.sheet, removed.filter(r => deletedIds.has(r.id)).map(r => [r, null]), user, deleteResult.queued);
+        }
+
+        if (errors.length === 0) {
+            entities[entity.key] = applySavedRows(incoming, savedRows);
+        } else {
+            // 只套用後端確實收到的變更：沒寫入的列保留目前的版本，刪除失敗的列不移除
+            const currentIds = new Set(current.map(r => r.id));
+            entities[entity.key] = [...applySavedRows(current, savedRows), ...savedRows.filter(r => !currentIds.has(r.id))]
+                .filter(r => !deletedIds.has(r.id));
+        }
+        report.push({ key: entity.key, label: entity.label, success: errors.length === 0, error: errors.join('; ') || undefined });
+    }
+
+    for (const setting of BACKUP_SETTINGS.filter(s => selection.settings.includes(s.key))) {
+        const value = archive.settings[setting.key];
+        try {
+            const result = await restoreSetting[setting.key](value, user);
+            report.push({ key: setting.key, label: setting.label, success: result.success, error: result.error });
+        } catch (error) {
+            report.push({ key: setting.key, label: setting.label, success: false, error: error.message });
+        }
+    }
+
+    return { entities, report };
+};
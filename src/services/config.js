@@ -2,6 +2,18 @@
 export const IS_DEV_MODE = import.meta.env.MODE === 'development';
 export const USE_MOCK_GOOGLE_API = IS_DEV_MODE; // Set to false to test real API in dev
 
+// Storage backend for loadFromSheet / syncToSheet: 'gas' | 'indexeddb' | 'memory' | 'firestore'
+// (firestore pushes changes from other users live via onSnapshot)
+export const STORAGE_ADAPTER = import.meta.env.VITE_STORAGE_ADAPTER || 'gas';
+// Optional JSON file used to seed the indexeddb / memory adapters (e.g. /storage-seed.json)
+export const STORAGE_SEED_URL = import.meta.env.VITE_STORAGE_SEED_URL || '';
+
+// localStorage key for the sidebar menu order (also restored from backups)
+export const MENU_ORDER_KEY = 'senteng_menu_order';
+
+// Serverless proxy that forwards POST requests to GAS (api/gas/proxy.js); set to empty to always use JSONP
+export const GAS_PROXY_URL = import.meta.env.VITE_GAS_PROXY_URL ?? '/api/gas/proxy';
+
 // Google Apps Script Web App URL
 export const GAS_API_URL = "https://script.google.com/macros/s/AKfycbxUrPvBxCavNiXkhVkK-Afqrfkx4N64NEFQFGzXCFUK5h5Qq_5JZlZT7ptrBiTTPvqMfg/exec";
 
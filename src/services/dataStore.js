@@ -0,0 +1,183 @@
+// 集中式資料 store：資料表在 state 中的位置、reducer 與 memoized selectors
+// 寫入與跨頁面連動（交易 → 帳戶餘額、出入庫 → 庫存數量）在 context/DataStoreContext.jsx 的 actions 處理。
+import { MOCK_DB } from './MockData';
+
+// 每個資料表在 state 中的路徑（名稱與 Sheets 分頁相同）
+export const ENTITY_PATHS = {
+    clients: ['clients'],
+    projects: ['projects'],
+    vendors: ['vendors'],
+    inventory: ['inventory'],
+    accounts: ['finance', 'accounts'],
+    loans: ['finance', 'loans'],
+    transactions: ['finance', 'transactions'],
+    calendar: ['calendar'],
+    stockMovements: ['stockMovements'], // 出入庫紀錄
+};
+
+// 從儲存後端載入的資料表（行程由 Google 日曆管理，不在其中）
+export const SYNCED_ENTITIES = ['clients', 'projects', 'vendors', 'inventory', 'accounts', 'loans', 'transactions', 'stockMovements'];
+
+// sync[entity]: { status: 'idle' | 'loading' | 'refreshing' | 'ready' | 'error', error?, lastSyncedAt?, fromCache? }
+//   loading    沒有快取，等待後端
+//   refreshing 顯示快取資料，背景向後端更新
+export const initialDataState = { ...MOCK_DB, stockMovements: [], sync: {} };
+
+const getIn = (state, path) => path.reduce((node, key) => node?.[key], state);
+
+const setIn = (state, [key, ...rest], value) => (
+    rest.length === 0 ? { ...state, [key]: value } : { ...state, [key]: setIn(state[key] || {}, rest, value) }
+);
+
+const entityPath = (entity) => {
+    const path = ENTITY_PATHS[entity];
+    if (!path) throw new Error(`Unknown entity: ${entity}`);
+    return path;
+};
+
+// 依 id 取代既有的列；新的列加在最後（prepend 時加在最前面）
+const upsertById = (list = [], rows, prepend = false) => {
+    const byId = new Map(rows.map(r => [r.id, r]));
+    const next = list.map(r => (byId.has(r.id) ? byId.get(r.id) : r));
+    const existing = new Set(list.map(r => r.id));
+    const added = rows.filter(r => !existing.has(r.id));
+    return prepend ? [...added, ...next] : [...next, ...added];
+};
+
+/**
+ * Rows from the backend, keeping the local version of rows whose writes have not reached it yet
+ * (saves in flight and operations waiting in the outbox)
+ * @param {Array} serverRows
+ * @param {Array} localRows
+ * @param {Set} pendingIds - Ids with unsent writes; a pending id missing locally was deleted
+ * @returns {Array}
+ */
+export const mergePendingRows = (serverRows, localRows = [], pendingIds) => {
+    if (pendingIds.size === 0) return serverRows;
+    const localById = new Map(localRows.map(r => [r.id, r]));
+    const serverIds = new Set(serverRows.map(r => r.id));
+    const merged = serverRows
+        .filter(r => !pendingIds.has(r.id) || localById.has(r.id))
+        .map(r => (pendingIds.has(r.id) ? localById.get(r.id) : r));
+    const added = localRows.filter(r => pendingIds.has(r.id) && !serverIds.has(r.id));
+    return [...merged, ...added];
+};
+
+/**
+ * Reducer actions:
+ *   { type: 'hydrate', entities: { clients: [...], accounts: [...] } }  replace several entities (load)
+ *   { type: 'reset', state }                                            replace everything
+ *   { type: 'replace', entity, rows }
+ *   { type: 'upsert', entity, rows, prepend? }
+ *   { type: 'remove', entity, ids }
+ *   { type: 'reorder', entity, ids }                                    move the listed rows into this order (others keep theirs, after them)
+ *   { type: 'syncStatus', entity, status, error?, lastSyncedAt?, fromCache? }  loading state of an entity
+ */
+export const dataReducer = (state, action) => {
+    switch (action.type) {
+        case 'hydrate':
+            return Object.entries(action.entities).reduce(
+                (next, [entity, rows]) => setIn(next, entityPath(entity), rows),
+                state
+            );
+        case 'reset':
+            return { ...initialDataState, ...action.state, sync: state.sync };
+        case 'replace':
+            return setIn(state, entityPath(action.entity), action.rows);
+        case 'upsert': {
+            const path = entityPath(action.entity);
+            return setIn(state, path, upsertById(getIn(state, path), action.rows, action.prepend));
+        }
+        case 'remove': {
+            const path = entityPath(action.entity);
+            const ids = new Set(action.ids);
+            return setIn(state, path, (getIn(state, path) || []).filter(r => !ids.has(r.id)));
+        }
+        case 'reorder': {
+            const path = entityPath(action.entity);
+            const rows = getIn(state, path) || [];
+            const byId = new Map(rows.map(r => [r.id, r]));
+            const ordered = action.ids.filter(id => byId.has(id)).map(id => byId.get(id));
+            const listed = new Set(action.ids);
+            return setIn(state, path, [...ordered, ...rows.filter(r => !listed.has(r.id))]);
+        }
+        case 'syncStatus': {
+            const { entity, ...status } = action;
+            delete status.type;
+            entityPath(entity); // 檢查資料表名稱
+            return { ...state, sync: { ...state.sync, [entity]: { ...state.sync[entity], error: null, ...status } } };
+        }
+        default:
+            throw new Error(`Unknown data action: ${action.type}`);
+    }
+};
+
+/**
+ * Memoize a selector on the identity of its inputs
+ * @param {...Function} args - Input selectors followed by the combiner
+ * @returns {Function} (state) => result
+ */
+export const createSelector = (...args) => {
+    const combiner = args.pop();
+    let lastInputs = null;
+    let lastResult;
+
+    return (state) => {
+        const inputs = args.map(select => select(state));
+        if (lastInputs && inputs.every((value, i) => value === lastInputs[i])) return lastResult;
+        lastInputs = inputs;
+        lastResult = combiner(...inputs);
+        return lastResult;
+    };
+};
+
+const EMPTY = [];
+export const selectEntity = entity => state => getIn(state, ENTITY_PATHS[entity]) || EMPTY;
+
+export const selectClients = selectEntity('clients');
+export const selectProjects = selectEntity('projects');
+export const selectVendors = selectEntity('vendors');
+export const selectInventory = selectEntity('inventory');
+export const selectAccounts = selectEntity('accounts');
+export const selectLoans = selectEntity('loans');
+export const selectTransactions = selectEntity('transactions');
+export const selectCalendar = selectEntity('calendar');
+export const selectStockMovements = selectEntity('stockMovements');
+
+export const selectFinance = createSelector(
+    selectAccounts, selectLoans, selectTransactions,
+    (accounts, loans, transactions) => ({ accounts, loans, transactions })
+);
+
+const groupBy = (list, key) => list.reduce((groups, item) => {
+    const value = item[key];
+    if (value) (groups[value] = groups[value] || []).push(item);
+    return groups;
+}, {});
+
+// { [projectId]: transactions }
+export const selectTransactionsByProject = createSelector(selectTransactions, txs => groupBy(txs, 'projectId'));
+
+// { [itemId]: movements }
+export const selectMovementsByItem = createSelector(selectStockMovements, movements => groupBy(movements, 'itemId'));
+
+const IDLE = { status: 'idle' };
+export const selectSyncStatus = entity => state => state.sync?.[entity] || IDLE;
+
+const indexById = list => new Map(list.map(item => [item.id, item]));
+export const selectProjectsById = createSelector(selectProjects, indexById);
+export const selectClientsById = createSelector(selectClients, indexById);
+export const selectVendorsById = createSelector(selectVendors, indexById);
+export const selectInventoryById = createSelector(selectInventory, indexById);
+
+// ---------- 跨資料表的計算規則 ----------
+
+// 庫存狀態
+export const calculateStockStatus = (quantity, safeStock) => {
+    if (quantity <= 0) return '缺貨';
+    if (quantity < safeStock) return '庫存偏低';
+    return '充足';
+};
+
+// 交易對帳戶餘額的影響
+export const transactionBalanceDelta = tx => (tx.type === '收入' ? 1 : -1) * (Number(tx.amount) || 0);
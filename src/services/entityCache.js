@@ -0,0 +1,68 @@
+// 資料表本機快取（stale-while-revalidate）
+// 啟動時先顯示 IndexedDB 中上次同步的資料，再於背景向儲存後端重新載入；
+// 快取的資料列在讀取時會重新經過 schema 驗證與遷移，版本升級後不會讀到舊格式。
+import { openDatabase, requestToPromise, transactionDone } from './storage/idb';
+import { parseRecords } from './schema';
+
+const DB_NAME = 'senteng-cache';
+const DB_VERSION = 1;
+const STORE_NAME = 'entities';
+
+let dbPromise = null;
+
+const getDB = () => {
+    if (!dbPromise) {
+        dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+            if (!db.objectStoreNames.contains(STORE_NAME)) {
+                db.createObjectStore(STORE_NAME, { keyPath: 'entity' });
+            }
+        });
+    }
+    return dbPromise;
+};
+
+/**
+ * Read the cached rows of an entity
+ * @param {string} entity - Entity / sheet name
+ * @returns {Promise<{ rows: Array, syncedAt: string }|null>} null when nothing is cached or the cache cannot be read
+ */
+export const readCachedEntity = async (entity) => {
+    try {
+        const db = await getDB();
+        const entry = await requestToPromise(db.transaction(STORE_NAME).objectStore(STORE_NAME).get(entity));
+        if (!entry) return null;
+        return { rows: parseRecords(entity, entry.rows || []).records, syncedAt: entry.syncedAt };
+    } catch (error) {
+        console.warn(`Failed to read cached ${entity}:`, error);
+        return null;
+    }
+};
+
+/**
+ * Store the rows of an entity with the time they were last synced from the backend
+ * @param {string} entity
+ * @param {Array} rows
+ * @param {string} syncedAt - ISO timestamp
+ */
+export const writeCachedEntity = async (entity, rows, syncedAt) => {
+    try {
+        const db = await getDB();
+        const tx = db.transaction(STORE_NAME, 'readwrite');
+        tx.objectStore(STORE_NAME).put({ entity, rows, syncedAt });
+        await transactionDone(tx);
+    } catch (error) {
+        console.warn(`Failed to cache ${entity}:`, error);
+    }
+};
+
+// 清除所有快取（登出或切換帳號時使用）
+export const clearEntityCache = async () => {
+    try {
+        const db = await getDB();
+        const tx = db.transaction(STORE_NAME, 'readwrite');
+        tx.objectStore(STORE_NAME).clear();
+        await transactionDone(tx);
+    } catch (error) {
+        console.warn('Failed to clear entity cache:', error);
+    }
+};
@@ -0,0 +1,100 @@
+// 欄位層級的資料遮蔽：角色設定 hiddenFields 中的欄位不會出現在頁面讀到的資料裡
+// DataStoreContext 以 maskState 產生給頁面讀取的 state；匯出與同步到 Sheet 都從這份 state 取資料，隱藏的值不會離開瀏覽器。
+// 備份會包含並覆寫所有欄位，有隱藏欄位的角色不能備份與還原（見 BackupRestoreModal）。
+// 被遮蔽的列帶有 MASKED 標記（symbol，不會被序列化），元件以 isMasked / maskedText 顯示「••••」。
+import { ENTITY_PATHS, dataReducer, selectEntity } from './dataStore';
+
+// 可在角色設定中隱藏的欄位
+export const MASKABLE_FIELDS = {
+    projects: { budget: '預算' },
+    clients: { budget: '預算範圍' },
+    accounts: { number: '帳號', balance: '餘額' },
+    loans: {
+        principalAmount: '貸款金額',
+        remainingPrincipal: '剩餘本金',
+        monthlyPayment: '每月還款',
+        totalInterest: '總利息',
+    },
+    transactions: { amount: '金額' },
+};
+
+export const MASK_TEXT = '••••';
+
+const MASKED = Symbol('maskedFields');
+
+/**
+ * Whether the role hides any field
+ * @param {Object} hiddenFields - { [entity]: field[] } from the role config
+ * @returns {boolean}
+ */
+export const hasHiddenFields = hiddenFields => Object.values(hiddenFields || {}).some(fields => fields?.length > 0);
+
+/**
+ * Whether a field of a record was hidden by the role
+ * @param {Object} record
+ * @param {string} field
+ * @returns {boolean}
+ */
+export const isMasked = (record, field) => !!record?.[MASKED]?.includes(field);
+
+// 任一列被遮蔽時，加總等彙總數字也不顯示
+export const anyMasked = (records, field) => (records || []).some(record => isMasked(record, field));
+
+/**
+ * Display text of a field: the mask when hidden, otherwise the formatted value
+ * @param {Object} record
+ * @param {string} field
+ * @param {Function} [format] - (value) => string
+ * @returns {string}
+ */
+export const maskedText = (record, field, format = String) => (
+    isMasked(record, field) ? MASK_TEXT : format(record?.[field])
+);
+
+const maskRecord = (record, fields) => {
+    const masked = { ...record, [MASKED]: fields };
+    fields.forEach((field) => { delete masked[field]; });
+    return masked;
+};
+
+// 同一份資料列在同一組規則下只遮蔽一次，讓 selector 的 memoize 繼續有效
+const maskCache = new WeakMap();
+
+const maskRows = (rows, fields) => {
+    const cached = maskCache.get(rows);
+    if (cached?.fields === fields) return cached.masked;
+    const masked = rows.map(record => maskRecord(record, fields));
+    maskCache.set(rows, { fields, masked });
+    return masked;
+};
+
+/**
+ * Store state as the signed-in role may see it
+ * @param {Object} state - Store state
+ * @param {Object} hiddenFields - { [entity]: field[] } from the role config
+ * @returns {Object} The same state when nothing is hidden
+ */
+export const maskState = (state, hiddenFields) => Object.entries(hiddenFields || {})
+    .filter(([entity, fields]) => ENTITY_PATHS[entity] && fields?.length > 0)
+    .reduce((next, [entity, fields]) => {
+        const rows = selectEntity(entity)(next);
+        return rows.length > 0 ? dataReducer(next, { type: 'replace', entity, rows: maskRows(rows, fields) }) : next;
+    }, state);
+
+/**
+ * Turn a record read from the masked state back into one that can be stored:
+ * hidden fields keep their stored values (the role cannot see or change them)
+ * @param {Object} record
+ * @param {Object} [stored] - Current stored version of the record (absent for new records)
+ * @returns {Object}
+ */
+export const unmaskRecord = (record, stored) => {
+    const { [MASKED]: fields = [], ...rest } = record;
+    if (stored) {
+        fields.forEach((field) => {
+            if (field in stored) rest[field] = stored[field];
+            else delete rest[field];
+        });
+    }
+    return rest;
+};
@@ -13,6 +13,7 @@ import {
     getDoc,
     setDoc,
     updateDoc,
+    deleteDoc,
     collection,
     getDocs,
     serverTimestamp,
@@ -38,32 +39,187 @@ const db = getFirestore(app);
 // Auth providers
 const googleProvider = new GoogleAuthProvider();
 
+// 帳號狀態：沒有 status 欄位的舊帳號視為 active
+const USER_STATUS = {
+    active: 'active',
+    pending: 'pending',
+    rejected: 'rejected',
+};
+
+const INVITATION_STATUS = {
+    pending: 'pending',
+    accepted: 'accepted',
+    revoked: 'revoked',
+    expired: 'expired',
+};
+
+// Actions a role can be granted on each resource
+const PERMISSION_ACTIONS = ['read', 'create', 'update', 'delete', 'export'];
+
+const PERMISSION_ACTION_LABELS = {
+    read: '檢視',
+    create: '新增',
+    update: '修改',
+    delete: '刪除',
+    export: '匯出',
+};
+
+// Resources (data sheets) and the page they are managed on
+const PERMISSION_RESOURCES = {
+    projects: 'projects',
+    clients: 'clients',
+    vendors: 'vendors',
+    inventory: 'inventory',
+    accounts: 'finance',
+    loans: 'finance',
+    transactions: 'finance',
+};
+
+const grantAll = () => Object.fromEntries(Object.keys(PERMISSION_RESOURCES).map(resource => [resource, [...PERMISSION_ACTIONS]]));
+
 // Default role configuration
+// 內建角色不能刪除；自訂角色（設計師、工務、會計…）可設定等級與上層角色（parent），並繼承上層角色的權限
 const DEFAULT_ROLES = {
     super_admin: {
         name: 'super_admin',
+        label: '最高管理員',
         level: 3,
         allowedPages: [
             'dashboard', 'schedule', 'projects', 'clients', 'finance',
             'vendors', 'inventory', 'materials', 'invoice', 'unit', 'cost', 'calc',
             'user-management'
         ],
+        permissions: grantAll(),
+        allProjects: true,
     },
     admin: {
         name: 'admin',
+        label: '管理員',
         level: 2,
         allowedPages: [
             'dashboard', 'schedule', 'projects', 'clients', 'finance',
             'vendors', 'inventory', 'materials'
         ],
+        permissions: grantAll(),
+        allProjects: true,
     },
     user: {
         name: 'user',
+        label: '一般使用者',
         level: 1,
         allowedPages: ['dashboard', 'schedule', 'projects'],
+        // 可維護專案與工地出入庫，但不能刪除或匯出
+        permissions: {
+            projects: ['read', 'create', 'update'],
+            inventory: ['read', 'update'],
+            transactions: ['read'],
+        },
+        // 只看得到被加入為成員的專案
+        allProjects: false,
+        // 工地人員看不到預算、帳號與金額（欄位清單見 services/fieldMasking.js）
+        hiddenFields: {
+            projects: ['budget'],
+            clients: ['budget'],
+            accounts: ['number', 'balance'],
+            loans: ['principalAmount', 'remainingPrincipal', 'monthlyPayment', 'totalInterest'],
+            transactions: ['amount'],
+        },
     },
 };
 
+/**
+ * Permissions of a role config
+ * Roles saved before per-resource permissions existed fall back to the default role of the same name,
+ * or to read/create/update/export on the resources behind their allowed pages (no delete).
+ * @param {Object} roleConfig
+ * @param {string} [roleName] - Defaults to roleConfig.name
+ * @returns {Object} { [resource]: action[] }
+ */
+export const resolveRolePermissions = (roleConfig, roleName = roleConfig?.name) => {
+    if (roleConfig?.permissions) return roleConfig.permissions;
+    if (DEFAULT_ROLES[roleName]) return DEFAULT_ROLES[roleName].permissions;
+
+    const pages = roleConfig?.allowedPages || [];
+    return Object.fromEntries(Object.entries(PERMISSION_RESOURCES)
+        .filter(([, page]) => pages.includes(page))
+        .map(([resource]) => [resource, ['read', 'create', 'update', 'export']]));
+};
+
+/**
+ * Fields a role config hides ({ [resource]: field[] })
+ * Roles saved without hiddenFields use the default role of the same name; super_admin never has hidden fields.
+ * @param {Object} roleConfig
+ * @param {string} [roleName] - Defaults to roleConfig.name
+ * @returns {Object}
+ */
+export const resolveRoleHiddenFields = (roleConfig, roleName = roleConfig?.name) => {
+    if (roleName === 'super_admin') return {};
+    return roleConfig?.hiddenFields || DEFAULT_ROLES[roleName]?.hiddenFields || {};
+};
+
+/**
+ * Whether a role sees every project, not only the ones its users are members of
+ * Roles saved without allProjects use the default role of the same name.
+ * @param {Object} roleConfig
+ * @param {string} [roleName] - Defaults to roleConfig.name
+ * @returns {boolean}
+ */
+export const resolveRoleAllProjects = (roleConfig, roleName = roleConfig?.name) => (
+    roleName === 'super_admin' || (roleConfig?.allProjects ?? DEFAULT_ROLES[roleName]?.allProjects ?? false)
+);
+
+// 角色繼承最多往上找的層數（也避免設定錯誤造成循環）
+const MAX_ROLE_DEPTH = 5;
+
+/**
+ * Role chain of a role from a list of role configs
+ * @param {string} roleName
+ * @param {Array} roles - Role configs
+ * @returns {Array} [role, parent, grandparent, ...] (empty when the role does not exist)
+ */
+export const getRoleChain = (roleName, roles) => {
+    const chain = [];
+    let role = roles.find(r => r.name === roleName);
+    while (role && chain.length < MAX_ROLE_DEPTH && !chain.includes(role)) {
+        chain.push(role);
+        role = role.parent ? roles.find(r => r.name === role.parent) : null;
+    }
+    return chain;
+};
+
+/**
+ * Merge a role with the roles it inherits from
+ * The role gets every page, resource action and the all-projects access of its ancestors;
+ * level and hidden fields are its own.
+ * @param {Array} chain - From getRoleChain
+ * @returns {Object} Role config with merged allowedPages and permissions
+ */
+export const mergeRoleChain = (chain) => {
+    const [role] = chain;
+    const permissions = {};
+    chain.forEach((r) => {
+        Object.entries(resolveRolePermissions(r)).forEach(([resource, actions]) => {
+            const merged = new Set([...(permissions[resource] || []), ...actions]);
+            permissions[resource] = PERMISSION_ACTIONS.filter(action => merged.has(action));
+        });
+    });
+
+    return {
+        ...role,
+        allowedPages: [...new Set(chain.flatMap(r => r.allowedPages || []))],
+        permissions,
+        hiddenFields: resolveRoleHiddenFields(role),
+        allProjects: chain.some(r => resolveRoleAllProjects(r)),
+    };
+};
+
+/**
+ * Display name of a role
+ * @param {Object} roleConfig
+ * @returns {string}
+ */
+export const getRoleLabel = roleConfig => roleConfig?.label || DEFAULT_ROLES[roleConfig?.name]?.label || roleConfig?.name || '';
+
 // ==================== Auth Functions ====================
 
 /**
@@ -79,25 +235,54 @@ export const signInWithGoogle = async () => {
         const userDoc = await getDoc(doc(db, 'users', user.uid));
 
         if (!userDoc.exists()) {
-            // First user becomes super_admin, others are users
+            // First user becomes super_admin; invited emails get the invited role;
+            // everyone else waits for approval (if their email domain is allowed to sign up)
             const usersCollection = await getDocs(collection(db, 'users'));
             const isFirstUser = usersCollection.empty;
+            const invitation = isFirstUser ? null : await getValidInvitation(user.email);
+
+            if (!isFirstUser && !invitation) {
+                // 讀不到註冊設定時不建立帳號，避免限制網域的設定被略過
+                const signUpSettings = await getSignUpSettings().catch(() => null);
+                if (!signUpSettings) {
+                    await firebaseSignOut(auth);
+                    throw new Error('無法確認註冊設定，請稍後再試');
+                }
+                if (!isEmailDomainAllowed(user.email, signUpSettings.allowedDomains)) {
+                    await firebaseSignOut(auth);
+                    throw new Error('此 Email 網域未開放註冊，請聯絡管理員寄送邀請');
+                }
+            }
 
             await setDoc(doc(db, 'users', user.uid), {
                 email: user.email,
                 displayName: user.displayName,
                 photoURL: user.photoURL,
-                role: isFirstUser ? 'super_admin' : 'user',
+                role: isFirstUser ? 'super_admin' : invitation?.role || 'user',
+                status: isFirstUser || invitation ? USER_STATUS.active : USER_STATUS.pending,
+                invitedBy: invitation?.invitedBy || null,
                 googleId: user.uid,
                 lineUserId: null,
                 createdAt: serverTimestamp(),
                 lastLogin: serverTimestamp(),
             });
+            if (invitation) await acceptInvitation(invitation.id, user.uid);
         } else {
+            const userData = userDoc.data();
+            if (userData.status === USER_STATUS.rejected) {
+                await firebaseSignOut(auth);
+                throw new Error('您的帳號申請未通過，請聯絡管理員');
+            }
+
+            // Pending users who were invited afterwards are activated with the invited role
+            const invitation = userData.status === USER_STATUS.pending ? await getValidInvitation(user.email) : null;
+
             // Update last login
             await updateDoc(doc(db, 'users', user.uid), {
                 lastLogin: serverTimestamp(),
+                ...(invitation && { role: invitation.role, status: USER_STATUS.active, invitedBy: invitation.invitedBy }),
             });
+            if (invitation) await acceptInvitation(invitation.id, user.uid);
         }
 
         return await getUserWithRole(user.uid);
@@ -149,13 +334,18 @@ export const getUserWithRole = async (uid) => {
         }
 
         const userData = userDoc.data();
-        const roleConfig = await getRoleConfig(userData.role);
+        const roleConfig = mergeRoleChain(await loadRoleChain(userData.role));
 
         return {
             uid,
             ...userData,
-            allowedPages: roleConfig?.allowedPages || DEFAULT_ROLES.user.allowedPages,
-            roleLevel: roleConfig?.level || 1,
+            status: userData.status || USER_STATUS.active,
+            allowedPages: roleConfig.allowedPages,
+            roleLevel: roleConfig.level || 1,
+            roleLabel: getRoleLabel(roleConfig),
+            permissions: roleConfig.permissions,
+            hiddenFields: resolveRoleHiddenFields(roleConfig, userData.role),
+            allProjects: resolveRoleAllProjects(roleConfig, userData.role),
         };
     } catch (error) {
         console.error('Error getting user with role:', error);
@@ -178,7 +368,7 @@ export const getRoleConfig = async (roleName) => {
             return roleDoc.data();
         }
 
-        // Return default role config if not found in Firestore
+        // Return default role config if not found in Firestore (deleted custom roles fall back to user)
         return DEFAULT_ROLES[roleName] || DEFAULT_ROLES.user;
     } catch (error) {
         console.error('Error getting role config:', error);
@@ -186,20 +376,32 @@ export const getRoleConfig = async (roleName) => {
     }
 };
 
+// 依 parent 逐層讀取角色設定（角色不存在時 getRoleConfig 會回傳一般使用者）
+const loadRoleChain = async (roleName) => {
+    const chain = [];
+    const seen = new Set();
+    let name = roleName;
+    while (name && !seen.has(name) && chain.length < MAX_ROLE_DEPTH) {
+        seen.add(name);
+        const roleConfig = await getRoleConfig(name);
+        chain.push({ ...roleConfig, name: roleConfig.name || name });
+        name = roleConfig.parent;
+    }
+    return chain;
+};
+
 /**
  * Get all roles
+ * Built-in roles are always included, even before they are saved to Firestore.
  * @returns {Promise<Array>} Array of role configurations
  */
 export const getAllRoles = async () => {
     try {
         const rolesCollection = await getDocs(collection(db, 'roles'));
 
-        if (rolesCollection.empty) {
-            // Return default roles if no roles in Firestore
-            return Object.values(DEFAULT_ROLES);
-        }
-
-        return rolesCollection.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        const roles = rolesCollection.docs.map(doc => ({ id: doc.id, name: doc.id, ...doc.data() }));
+        const missingDefaults = Object.values(DEFAULT_ROLES).filter(role => !roles.some(r => r.name === role.name));
+        return [...missingDefaults, ...roles];
     } catch (error) {
         console.error('Error getting all roles:', error);
         return Object.values(DEFAULT_ROLES);
@@ -220,6 +422,23 @@ export const updateRoleConfig = async (roleName, roleData) => {
     }
 };
 
+/**
+ * Delete a custom role (built-in roles cannot be deleted)
+ * Callers make sure no user, invitation or child role still uses it.
+ * @param {string} roleName - Role name
+ */
+export const deleteRoleConfig = async (roleName) => {
+    if (DEFAULT_ROLES[roleName]) {
+        throw new Error('內建角色無法刪除');
+    }
+    try {
+        await deleteDoc(doc(db, 'roles', roleName));
+    } catch (error) {
+        console.error('Error deleting role config:', error);
+        throw error;
+    }
+};
+
 // ==================== User Management Functions ====================
 
 /**
@@ -264,7 +483,6 @@ export const updateUserRole = async (uid, newRole) => {
  */
 export const deleteUser = async (uid) => {
     try {
-        const { deleteDoc } = await import('firebase/firestore');
         await deleteDoc(doc(db, 'users', uid));
     } catch (error) {
         console.error('Error deleting user:', error);
@@ -272,6 +490,184 @@ export const deleteUser = async (uid) => {
     }
 };
 
+/**
+ * Approve a pending user with a role (admin only)
+ * @param {string} uid - User ID
+ * @param {string} role - Role name
+ */
+export const approveUser = async (uid, role) => {
+    try {
+        await updateDoc(doc(db, 'users', uid), {
+            role,
+            status: USER_STATUS.active,
+            approvedAt: serverTimestamp(),
+        });
+    } catch (error) {
+        console.error('Error approving user:', error);
+        throw error;
+    }
+};
+
+/**
+ * Reject a pending user (admin only); rejected users are signed out on their next sign-in
+ * @param {string} uid - User ID
+ */
+export const rejectUser = async (uid) => {
+    try {
+        await updateDoc(doc(db, 'users', uid), {
+            status: USER_STATUS.rejected,
+            rejectedAt: serverTimestamp(),
+        });
+    } catch (error) {
+        console.error('Error rejecting user:', error);
+        throw error;
+    }
+};
+
+// ==================== Invitation Functions ====================
+
+// 邀請以小寫 email 為文件 id，同一個 email 只會有一份有效邀請
+const invitationId = email => String(email || '').trim().toLowerCase();
+
+/**
+ * Status of an invitation, with expiry applied
+ * @param {Object} invitation
+ * @returns {'pending'|'accepted'|'revoked'|'expired'}
+ */
+export const getInvitationStatus = (invitation) => {
+    if (invitation.status !== INVITATION_STATUS.pending) return invitation.status;
+    return new Date(invitation.expiresAt) < new Date() ? INVITATION_STATUS.expired : INVITATION_STATUS.pending;
+};
+
+/**
+ * Invite an email with a role (admin only)
+ * Inviting the same email again replaces the previous invitation.
+ * @param {Object} params
+ * @param {string} params.email
+ * @param {string} params.role - Role name
+ * @param {number} params.expiresInDays
+ * @param {Object} params.invitedBy - Signed-in user ({ uid, displayName, email })
+ * @returns {Promise<Object>} The invitation
+ */
+export const createInvitation = async ({ email, role, expiresInDays, invitedBy }) => {
+    const id = invitationId(email);
+    const invitation = {
+        email: id,
+        role,
+        status: INVITATION_STATUS.pending,
+        expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString(),
+        invitedBy: invitedBy?.uid || null,
+        invitedByName: invitedBy?.displayName || invitedBy?.email || '',
+    };
+    try {
+        await setDoc(doc(db, 'invitations', id), { ...invitation, createdAt: serverTimestamp() });
+        return { id, ...invitation };
+    } catch (error) {
+        console.error('Error creating invitation:', error);
+        throw error;
+    }
+};
+
+/**
+ * Revoke an invitation (admin only)
+ * @param {string} id - Invitation ID (lower-case email)
+ */
+export const revokeInvitation = async (id) => {
+    try {
+        await updateDoc(doc(db, 'invitations', id), {
+            status: INVITATION_STATUS.revoked,
+            revokedAt: serverTimestamp(),
+        });
+    } catch (error) {
+        console.error('Error revoking invitation:', error);
+        throw error;
+    }
+};
+
+/**
+ * Get all invitations, newest first
+ * @returns {Promise<Array>}
+ */
+export const getAllInvitations = async () => {
+    try {
+        const invitations = await getDocs(query(collection(db, 'invitations'), orderBy('createdAt', 'desc')));
+        return invitations.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+        console.error('Error getting invitations:', error);
+        throw error;
+    }
+};
+
+// Unexpired, unused invitation of an email (null when none)
+const getValidInvitation = async (email) => {
+    try {
+        const invitationDoc = await getDoc(doc(db, 'invitations', invitationId(email)));
+        if (!invitationDoc.exists()) return null;
+        const invitation = { id: invitationDoc.id, ...invitationDoc.data() };
+        return getInvitationStatus(invitation) === INVITATION_STATUS.pending ? invitation : null;
+    } catch (error) {
+        console.error('Error reading invitation:', error);
+        return null;
+    }
+};
+
+const acceptInvitation = async (id, uid) => {
+    try {
+        await updateDoc(doc(db, 'invitations', id), {
+            status: INVITATION_STATUS.accepted,
+            acceptedBy: uid,
+            acceptedAt: serverTimestamp(),
+        });
+    } catch (error) {
+        console.error('Error accepting invitation:', error);
+    }
+};
+
+// ==================== Sign-up Settings ====================
+
+/**
+ * Whether an email may sign up under the domain allow-list (an empty list allows every domain)
+ * @param {string} email
+ * @param {string[]} allowedDomains
+ * @returns {boolean}
+ */
+export const isEmailDomainAllowed = (email, allowedDomains = []) => {
+    if (allowedDomains.length === 0) return true;
+    const domain = String(email || '').split('@')[1]?.toLowerCase();
+    return allowedDomains.includes(domain);
+};
+
+/**
+ * Get sign-up settings
+ * @returns {Promise<{ allowedDomains: string[] }>} Throws when the settings cannot be read
+ *   (an empty list would let every domain sign up)
+ */
+export const getSignUpSettings = async () => {
+    try {
+        const settingsDoc = await getDoc(doc(db, 'settings', 'signup'));
+        return { allowedDomains: settingsDoc.exists() ? settingsDoc.data().allowedDomains || [] : [] };
+    } catch (error) {
+        console.error('Error getting sign-up settings:', error);
+        throw error;
+    }
+};
+
+/**
+ * Update sign-up settings (admin only)
+ * @param {{ allowedDomains: string[] }} settings
+ */
+export const updateSignUpSettings = async ({ allowedDomains }) => {
+    try {
+        await setDoc(doc(db, 'settings', 'signup'), {
+            allowedDomains: [...new Set(allowedDomains.map(d => d.trim().toLowerCase().replace(/^@/, '')).filter(Boolean))],
+            updatedAt: serverTimestamp(),
+        }, { merge: true });
+    } catch (error) {
+        console.error('Error updating sign-up settings:', error);
+        throw error;
+    }
+};
+
 // ==================== Initialize Default Roles ====================
 
 /**
@@ -330,4 +726,4 @@ export const getUserMenuOrder = async (uid) => {
 };
 
 // Export constants
-export { auth, db, DEFAULT_ROLES };
+export { auth, db, DEFAULT_ROLES, USER_STATUS, INVITATION_STATUS, PERMISSION_ACTIONS, PERMISSION_ACTION_LABELS, PERMISSION_RESOURCES };
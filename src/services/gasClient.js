@@ -0,0 +1,187 @@
+// GAS Web App 呼叫層（GoogleService 與 storage adapters 共用）
+import { GAS_PROXY_URL } from './config';
+
+// 連線層錯誤（逾時、script 載入失敗）會帶上此 code，供離線佇列判斷是否需要重送
+export const NETWORK_ERROR_CODE = 'GAS_NETWORK_ERROR';
+
+export const networkError = (message) => {
+  const error = new Error(message);
+  error.code = NETWORK_ERROR_CODE;
+  return error;
+};
+
+export const isNetworkError = (error) => error?.code === NETWORK_ERROR_CODE;
+
+// 呼叫端透過 AbortSignal 取消時的錯誤（不屬於連線失敗，不會進入離線佇列）
+const abortError = () => {
+  const error = new Error('Request aborted');
+  error.name = 'AbortError';
+  return error;
+};
+
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+// GAS deployment URL（VITE_GAS_API_URL 可指向本機模擬伺服器，見 server/gas-emulator）
+export const GAS_API_URL = import.meta.env.VITE_GAS_API_URL || "https://script.google.com/macros/s/AKfycby1ESLlxfybbOK58_7tbJUqcFYhCLdI0QXhbUlVvursR1o6dS9CeYV3cVNAPPrG4Ctj7A/exec";
+
+export const REQUEST_TIMEOUT = 30000;
+
+// 檢查回應狀態 - 處理兩種回應格式
+// 格式1: {success: true, data: {...}}
+// 格式2: {status: 'success', ...}
+const normalizeResponse = (response) => {
+  if (response.success === true) {
+    return { success: true, data: response.data };
+  }
+  if (response.status === 'success') {
+    return { success: true, data: response };
+  }
+  const errorMsg = response.error || response.data?.error || response.message || 'Unknown error';
+  return { success: false, error: errorMsg };
+};
+
+// JSONP 調用函數（繞過 CORS）
+export const callGASWithJSONP = (action, data = {}, { timeout: timeoutMs = REQUEST_TIMEOUT, signal } = {}) => {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+
+    const callbackName = `gas_callback_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    // 構建 URL - 使用 encodeURIComponent 確保正確編碼
+    const dataStr = encodeURIComponent(JSON.stringify(data));
+    const url = `${GAS_API_URL}?action=${action}&data=${dataStr}&callback=${callbackName}`;
+
+    console.log(`🔗 GAS API Request: ${action}`, data);
+
+    // 創建 script 標籤
+    const script = document.createElement('script');
+    script.src = url;
+    script.async = true;
+
+    // 設定超時（預設 30 秒）
+    const timeout = setTimeout(() => {
+      cleanup();
+      console.error('❌ GAS API Timeout');
+      reject(networkError('Request timeout'));
+    }, timeoutMs);
+
+    const onAbort = () => {
+      clearTimeout(timeout);
+      cleanup();
+      reject(abortError());
+    };
+
+    // 定義全域回調函數
+    window[callbackName] = (response) => {
+      clearTimeout(timeout);
+      cleanup();
+      console.log('✅ GAS API Response:', response);
+      resolve(normalizeResponse(response));
+    };
+
+    // 清理函數
+    const cleanup = () => {
+      signal?.removeEventListener('abort', onAbort);
+      delete window[callbackName];
+      if (script.parentNode) {
+        script.parentNode.removeChild(script);
+      }
+    };
+
+    // 錯誤處理
+    script.onerror = (e) => {
+      clearTimeout(timeout);
+      cleanup();
+      console.error('❌ Script load failed:', e);
+      reject(networkError('Script load failed'));
+    };
+
+    signal?.addEventListener('abort', onAbort);
+
+    // 添加到 DOM
+    document.head.appendChild(script);
+  });
+};
+
+// 代理不存在（本機 vite dev、未部署 api/）時記住結果，本次工作階段直接改用 JSONP
+let proxyAvailable = Boolean(GAS_PROXY_URL);
+
+const proxyUnavailable = (message) => {
+  const error = new Error(message);
+  error.proxyUnavailable = true;
+  return error;
+};
+
+// POST 調用函數（經由 api/gas/proxy.js 轉送，沒有 URL 長度限制）
+export const callGASWithPost = async (action, data = {}, { timeout: timeoutMs = REQUEST_TIMEOUT, signal } = {}) => {
+  if (signal?.aborted) throw abortError();
+  console.log(`🔗 GAS API Request (POST): ${action}`, data);
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort);
+
+  let response;
+  try {
+    response = await fetch(GAS_PROXY_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action, data }),
+      signal: controller.signal,
+    });
+  } catch (error) {
+    if (signal?.aborted) throw abortError();
+    if (error.name === 'AbortError') throw networkError('Request timeout');
+    if (!navigator.onLine) throw networkError('Offline');
+    throw proxyUnavailable(error.message);
+  } finally {
+    clearTimeout(timeout);
+    signal?.removeEventListener('abort', onAbort);
+  }
+
+  const isJson = (response.headers.get('content-type') || '').includes('application/json');
+  if (!isJson || response.status === 404 || response.status === 405) {
+    throw proxyUnavailable(`Proxy responded with HTTP ${response.status}`);
+  }
+
+  const body = await response.json();
+  if (response.status === 500 && body.error === 'server_misconfig') {
+    throw proxyUnavailable(body.error_description);
+  }
+  if (!response.ok) {
+    // 代理可用但 GAS 無法連線，交由離線佇列處理
+    console.error('❌ GAS proxy error:', body);
+    throw networkError(body.error_description || body.error || `HTTP ${response.status}`);
+  }
+
+  console.log('✅ GAS API Response:', body);
+  return normalizeResponse(body);
+};
+
+/**
+ * Call a GAS action, preferring the POST proxy and falling back to JSONP when it is unavailable
+ * @param {string} action - GAS action name
+ * @param {Object} data - Payload
+ * @param {Object} [options]
+ * @param {Object} [options.jsonpData] - Smaller payload to send instead when falling back to JSONP
+ * @param {number} [options.timeout] - Timeout in ms (default 30s)
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<{ success: boolean, data?: any, error?: string }>}
+ */
+export const callGAS = async (action, data = {}, options = {}) => {
+  const { jsonpData, ...transportOptions } = options;
+  if (proxyAvailable) {
+    try {
+      return await callGASWithPost(action, data, transportOptions);
+    } catch (error) {
+      if (!error.proxyUnavailable) throw error;
+      console.warn(`⚠️ GAS proxy unavailable (${error.message}), falling back to JSONP`);
+      proxyAvailable = false;
+    }
+  }
+  return callGASWithJSONP(action, jsonpData || data, transportOptions);
+};
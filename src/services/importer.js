@@ -0,0 +1,216 @@
+// 匯入精靈：把試算表的欄位對應到資料欄位、驗證、比對重複資料，再批次建立（含 Drive 資料夾）
+import { GoogleService } from './GoogleService';
+import { parseRecord } from './schema';
+import { calculateStockStatus } from './dataStore';
+
+/**
+ * Importable entities.
+ * fields: { key, label, aliases } — aliases are header names recognised when guessing the mapping
+ * duplicateKeys: fields compared with existing records and earlier rows of the file
+ * createFolder: creates the Drive folder of a new record, resolves { success, url, error }
+ */
+export const IMPORT_TARGETS = {
+    clients: {
+        idPrefix: 'c',
+        fields: [
+            { key: 'name', label: '姓名', aliases: ['客戶', '客戶名稱', '名稱', 'name'] },
+            { key: 'phone', label: '電話', aliases: ['手機', '聯絡電話', 'phone', 'tel', 'mobile'] },
+            { key: 'email', label: 'Email', aliases: ['電子郵件', '信箱', 'mail'] },
+            { key: 'lineId', label: 'LINE ID', aliases: ['line', 'lineid'] },
+            { key: 'address', label: '地址', aliases: ['address', '住址'] },
+            { key: 'status', label: '狀態', aliases: ['status'] },
+            { key: 'source', label: '來源', aliases: ['source', '客戶來源'] },
+            { key: 'budget', label: '預算', aliases: ['budget', '預算範圍'] },
+            { key: 'notes', label: '備註', aliases: ['notes', 'note', '說明'] },
+        ],
+        duplicateKeys: ['name', 'phone'],
+        createFolder: name => GoogleService.createClientFolder(name),
+    },
+    vendors: {
+        idPrefix: 'v',
+        fields: [
+            { key: 'name', label: '廠商名稱', aliases: ['名稱', '公司', '公司名稱', 'name'] },
+            { key: 'category', label: '類別', aliases: ['category', '廠商類別'] },
+            { key: 'tradeType', label: '工種', aliases: ['trade', '專業', '工程類別'] },
+            { key: 'contactPerson', label: '聯絡人', aliases: ['contact', '窗口', '負責人'] },
+            { key: 'phone', label: '電話', aliases: ['手機', '聯絡電話', 'phone', 'tel', 'mobile'] },
+            { key: 'email', label: 'Email', aliases: ['電子郵件', '信箱', 'mail'] },
+            { key: 'lineId', label: 'LINE ID', aliases: ['line', 'lineid'] },
+            { key: 'address', label: '地址', aliases: ['address'] },
+            { key: 'taxId', label: '統一編號', aliases: ['統編', 'taxid', 'tax id', 'vat'] },
+            { key: 'bankAccount', label: '銀行帳號', aliases: ['帳號', '匯款帳號', 'bank'] },
+            { key: 'rating', label: '評分', aliases: ['rating', '星等'] },
+            { key: 'status', label: '狀態', aliases: ['status'] },
+            { key: 'tags', label: '標籤（逗號分隔）', aliases: ['標籤', 'tags'] },
+        ],
+        duplicateKeys: ['name', 'phone', 'taxId'],
+        createFolder: name => GoogleService.createVendorFolder(name),
+    },
+    inventory: {
+        idPrefix: 'i',
+        fields: [
+            { key: 'name', label: '品名', aliases: ['名稱', '品項', '材料', 'name'] },
+            { key: 'spec', label: '規格', aliases: ['spec', '型號'] },
+            { key: 'category', label: '類別', aliases: ['category', '子類別', '分類'] },
+            { key: 'mainCategory', label: '主類別', aliases: ['大類'] },
+            { key: 'quantity', label: '數量', aliases: ['quantity', 'qty', '庫存', '庫存量'] },
+            { key: 'unit', label: '單位', aliases: ['unit'] },
+            { key: 'safeStock', label: '安全庫存', aliases: ['safestock', '安全存量'] },
+            { key: 'location', label: '存放位置', aliases: ['位置', '倉庫', 'location'] },
+        ],
+        duplicateKeys: ['name'],
+        createFolder: null,
+    },
+};
+
+const DUPLICATE_LABELS = { name: '名稱', phone: '電話', taxId: '統一編號' };
+
+const normalizeHeader = text => String(text || '').normalize('NFKC').toLowerCase().replace(/[\s_\-()（）:：]/g, '');
+
+// 比對重複時的正規化：名稱忽略空白與全半形，電話與統編只比數字
+const DUPLICATE_NORMALIZERS = {
+    name: value => normalizeHeader(value),
+    phone: (value) => {
+        const digits = String(value || '').replace(/\D/g, '');
+        return digits.length >= 6 ? digits : '';
+    },
+    taxId: value => String(value || '').replace(/\D/g, ''),
+};
+
+/**
+ * Guess which column feeds each field from the header names
+ * @param {string[]} headers
+ * @param {string} entity
+ * @returns {Object} { [fieldKey]: columnIndex | null }
+ */
+export const guessColumnMapping = (headers, entity) => {
+    const normalized = headers.map(normalizeHeader);
+    const used = new Set();
+    return Object.fromEntries(IMPORT_TARGETS[entity].fields.map((field) => {
+        const names = [field.key, field.label, ...field.aliases].map(normalizeHeader);
+        const index = normalized.findIndex((header, i) => !used.has(i) && names.includes(header));
+        if (index >= 0) used.add(index);
+        return [field.key, index >= 0 ? index : null];
+    }));
+};
+
+const duplicateIndex = (records, keys) => {
+    const index = new Map();
+    records.forEach((record) => {
+        keys.forEach((key) => {
+            const value = DUPLICATE_NORMALIZERS[key](record[key]);
+            if (value && !index.has(`${key}:${value}`)) index.set(`${key}:${value}`, record);
+        });
+    });
+    return index;
+};
+
+const findDuplicate = (index, record, keys) => {
+    for (const key of keys) {
+        const value = DUPLICATE_NORMALIZERS[key](record[key]);
+        const match = value && index.get(`${key}:${value}`);
+        if (match) return { field: key, label: DUPLICATE_LABELS[key], name: match.name };
+    }
+    return null;
+};
+
+/**
+ * Map, validate and de-duplicate the rows of a spreadsheet
+ * @param {Object} params
+ * @param {string} params.entity
+ * @param {string[][]} params.rows - Data rows (without the header row)
+ * @param {Object} params.mapping - From guessColumnMapping (possibly edited)
+ * @param {Array} params.existing - Records already in the store
+ * @returns {Array<{ rowNumber, record, errors: string[], duplicate: { source, field, label, name }|null }>}
+ *   rowNumber is the line number in the file (the header is line 1)
+ */
+export const prepareImportRows = ({ entity, rows, mapping, existing }) => {
+    const { fields, duplicateKeys } = IMPORT_TARGETS[entity];
+    const existingIndex = duplicateIndex(existing, duplicateKeys);
+    const fileIndex = new Map();
+
+    return rows.map((cells, i) => {
+        const values = {};
+        fields.forEach(({ key }) => {
+            const column = mapping[key];
+            if (column !== null && column !== undefined && cells[column] !== undefined && cells[column] !== '') {
+                values[key] = cells[column];
+            }
+        });
+
+        let record = null;
+        const errors = [];
+        try {
+            // 以 schema 驗證與轉換型別（id 在建立時才產生）
+            ({ record } = parseRecord(entity, { ...values, id: 'import' }));
+            delete record.id;
+        } catch (error) {
+            errors.push(error.message);
+        }
+
+        if (record && entity === 'inventory') {
+            record.status = calculateStockStatus(record.quantity, record.safeStock);
+        }
+
+        const existingMatch = findDuplicate(existingIndex, values, duplicateKeys);
+        const fileMatch = !existingMatch && findDuplicate(fileIndex, values, duplicateKeys);
+        duplicateIndex([values], duplicateKeys).forEach((value, key) => {
+            if (!fileIndex.has(key)) fileIndex.set(key, value);
+        });
+
+        return {
+            rowNumber: i + 2,
+            record,
+            errors,
+            duplicate: existingMatch ? { source: 'existing', ...existingMatch }
+                : fileMatch ? { source: 'file', ...fileMatch }
+                    : null,
+        };
+    });
+};
+
+// 同時建立的 Drive 資料夾數
+const FOLDER_CONCURRENCY = 3;
+
+/**
+ * Give the selected rows ids and create their Drive folders
+ * Rows whose folder cannot be created are left out, the same as adding one record by hand.
+ * @param {string} entity
+ * @param {Array} rows - Selected rows from prepareImportRows
+ * @param {Function} [onProgress] - (done, total)
+ * @returns {Promise<{ records: Array, failed: Array<{ rowNumber, name, error }> }>}
+ */
+export const createImportRecords = async (entity, rows, onProgress) => {
+    const { idPrefix, createFolder } = IMPORT_TARGETS[entity];
+    const now = Date.now();
+    const createdAt = new Date(now).toISOString();
+    // 依檔案中的順序放回，不受資料夾建立完成的先後影響
+    const slots = new Array(rows.length).fill(null);
+    const failed = [];
+    let next = 0;
+    let done = 0;
+
+    const worker = async () => {
+        while (next < rows.length) {
+            const i = next++;
+            const row = rows[i];
+            const record = { ...row.record, id: `${idPrefix}-${now}-${i}`, createdAt };
+            if (createFolder) {
+                const result = await createFolder(record.name);
+                if (result.success) {
+                    record.driveFolder = result.url;
+                    slots[i] = record;
+                } else {
+                    failed.push({ rowNumber: row.rowNumber, name: record.name, error: result.error });
+                }
+            } else {
+                slots[i] = record;
+            }
+            onProgress?.(++done, rows.length);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(FOLDER_CONCURRENCY, rows.length) }, worker));
+    const records = slots.filter(Boolean);
+    return { records, failed };
+};
@@ -0,0 +1,56 @@
+// 專案成員與可見範圍：角色沒有「可查看所有專案」時，只看得到自己參與的專案
+// DataStoreContext 以 scopeState 產生給頁面讀取的 state，專案列表、儀表板、行程與收支都從這份 state 取資料。
+// 收支只留下所屬專案可見的紀錄（未關聯專案的公司收支也不顯示）；行程未關聯專案時仍顯示。
+// 受限的角色看不到完整資料，因此不能備份與還原（見 BackupRestoreModal）。
+import { dataReducer, selectEntity } from './dataStore';
+
+// 專案內的角色
+export const PROJECT_MEMBER_ROLES = ['專案負責人', '設計師', '工地主任', '會計', '其他'];
+
+/**
+ * Member entry stored on a project (projects.members)
+ * @param {Object} user - Firebase user ({ uid, displayName, email, photoURL })
+ * @param {string} role - One of PROJECT_MEMBER_ROLES
+ * @returns {{ uid, name, email, photoURL, role, joinDate }}
+ */
+export const buildProjectMember = (user, role) => ({
+    uid: user.uid,
+    name: user.displayName || user.email || '',
+    email: user.email || '',
+    photoURL: user.photoURL || '',
+    role,
+    joinDate: new Date().toISOString().split('T')[0],
+});
+
+export const isProjectMember = (project, uid) => (project?.members || []).some(member => member.uid === uid);
+
+// 同一份資料列在同一組條件下只篩選一次，讓 selector 的 memoize 繼續有效
+const scopeCache = new WeakMap();
+
+const scopeRows = (rows, key, keep) => {
+    const cached = scopeCache.get(rows);
+    if (cached?.key === key) return cached.scoped;
+    const scoped = rows.filter(keep);
+    scopeCache.set(rows, { key, scoped });
+    return scoped;
+};
+
+/**
+ * Store state limited to the projects a user belongs to
+ * @param {Object} state - Store state
+ * @param {string|null} uid - Member to scope to; null when the role sees every project
+ * @returns {Object} The same state when not scoped
+ */
+export const scopeState = (state, uid) => {
+    if (!uid) return state;
+
+    const projects = scopeRows(selectEntity('projects')(state), uid, project => isProjectMember(project, uid));
+    const projectIds = new Set(projects.map(project => project.id));
+    const transactions = scopeRows(selectEntity('transactions')(state), projects, tx => projectIds.has(tx.projectId));
+    const calendar = scopeRows(selectEntity('calendar')(state), projects, event => !event.projectId || projectIds.has(event.projectId));
+
+    return [['projects', projects], ['transactions', transactions], ['calendar', calendar]].reduce(
+        (next, [entity, rows]) => dataReducer(next, { type: 'replace', entity, rows }),
+        state
+    );
+};
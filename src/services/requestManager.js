@@ -0,0 +1,203 @@
+// GAS 請求管理：重試與指數退避、取消、相同請求合併、各 action 逾時設定，並記錄統計數據
+import { callGAS, isNetworkError, isAbortError, REQUEST_TIMEOUT } from './gasClient';
+
+// 預設策略：讀取類 action 可安全重試、合併相同的請求；寫入類預設不重試也不合併，
+// 避免重複建立資料夾或檔案，或兩次刻意的寫入只送出一次
+const DEFAULT_POLICY = { timeout: REQUEST_TIMEOUT, retries: 0, dedupe: false };
+
+const ACTION_POLICIES = {
+    load_from_sheet: { timeout: 20000, retries: 3, dedupe: true },
+    list_drive_folders: { timeout: 15000, retries: 2, dedupe: true },
+    get_material_prices: { timeout: 15000, retries: 2, dedupe: true },
+    search_finance_records: { timeout: 30000, retries: 2, dedupe: true },
+    get_or_create_project_root: { timeout: 15000, retries: 2, dedupe: true },
+    delete_rows: { timeout: 30000, retries: 2 },
+    upload_to_drive: { timeout: 120000, retries: 0 },
+    sync_all_project_transactions: { timeout: 90000, retries: 0 },
+    export_material_calculation_to_folder: { timeout: 90000, retries: 0 },
+    export_finance_report: { timeout: 60000, retries: 0 },
+};
+
+const BACKOFF_BASE = 500;
+const BACKOFF_MAX = 8000;
+
+const inFlight = new Map();
+let metrics = {};
+
+const getActionMetrics = (action) => {
+    if (!metrics[action]) {
+        metrics[action] = {
+            calls: 0,
+            succeeded: 0,
+            failed: 0,
+            retries: 0,
+            deduplicated: 0,
+            aborted: 0,
+            timeouts: 0,
+            totalDuration: 0,
+            lastDuration: 0,
+            lastError: null,
+            lastCalledAt: null,
+        };
+    }
+    return metrics[action];
+};
+
+// 指數退避加上隨機抖動，避免多個請求同時重試
+const backoffDelay = (attempt) => {
+    const delay = Math.min(BACKOFF_BASE * 2 ** attempt, BACKOFF_MAX);
+    return delay / 2 + Math.random() * (delay / 2);
+};
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    const onAbort = () => {
+        clearTimeout(timer);
+        const error = new Error('Request aborted');
+        error.name = 'AbortError';
+        reject(error);
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Set or override the retry / timeout policy for an action
+ * @param {string} action - GAS action name
+ * @param {Object} policy - { timeout?, retries?, dedupe? }
+ */
+export const configureAction = (action, policy) => {
+    ACTION_POLICIES[action] = { ...ACTION_POLICIES[action], ...policy };
+};
+
+// 實際送出請求（含重試）
+const execute = async (action, data, policy, options, signal) => {
+    const stats = getActionMetrics(action);
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await callGAS(action, data, { jsonpData: options.jsonpData, timeout: policy.timeout, signal });
+        } catch (error) {
+            if (isNetworkError(error) && error.message === 'Request timeout') stats.timeouts++;
+            if (!isNetworkError(error) || attempt >= policy.retries || signal.aborted) throw error;
+            stats.retries++;
+            console.warn(`🔁 Retrying ${action} (${attempt + 1}/${policy.retries}): ${error.message}`);
+            await wait(backoffDelay(attempt), signal);
+        }
+    }
+};
+
+// 呼叫端的 signal 只取消自己的等待；所有呼叫端都取消後才中止共用的請求
+const subscribe = (entry, signal) => {
+    entry.subscribers++;
+    if (!signal) return entry.promise;
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            entry.subscribers--;
+            if (entry.subscribers === 0) entry.controller.abort();
+            const error = new Error('Request aborted');
+            error.name = 'AbortError';
+            reject(error);
+        };
+        if (signal.aborted) {
+            // 沒有呼叫端等待共用的請求，被中止的結果也要處理，避免 unhandled rejection
+            entry.promise.catch(() => { });
+            onAbort();
+            return;
+        }
+        signal.addEventListener('abort', onAbort, { once: true });
+        entry.promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+};
+
+/**
+ * Call a GAS action through the request manager
+ * @param {string} action - GAS action name
+ * @param {Object} data - Payload
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels this caller's request
+ * @param {number} [options.timeout] - Overrides the action's timeout (ms)
+ * @param {number} [options.retries] - Overrides the action's retry count (network errors only)
+ * @param {boolean} [options.dedupe] - Share an identical in-flight request (default from the action policy: reads only)
+ * @param {Object} [options.jsonpData] - Smaller payload for the JSONP fallback
+ * @returns {Promise<{ success: boolean, data?: any, error?: string }>} Throws network errors after the last retry
+ */
+export const requestGAS = (action, data = {}, options = {}) => {
+    const { signal, ...overrides } = options;
+    const policy = { ...DEFAULT_POLICY, ...ACTION_POLICIES[action], ...overrides };
+    const { dedupe } = policy;
+    const stats = getActionMetrics(action);
+    const key = `${action}:${JSON.stringify(data)}`;
+
+    stats.calls++;
+    stats.lastCalledAt = new Date().toISOString();
+
+    // 所有呼叫端都已取消的請求不再共用
+    if (dedupe && inFlight.has(key) && !inFlight.get(key).controller.signal.aborted) {
+        stats.deduplicated++;
+        return subscribe(inFlight.get(key), signal);
+    }
+
+    const controller = new AbortController();
+    const startedAt = Date.now();
+    const entry = { controller, subscribers: 0, promise: null };
+
+    entry.promise = execute(action, data, policy, overrides, controller.signal)
+        .then((result) => {
+            if (result.success) {
+                stats.succeeded++;
+            } else {
+                stats.failed++;
+                stats.lastError = result.error;
+            }
+            return result;
+        })
+        .catch((error) => {
+            if (isAbortError(error)) {
+                stats.aborted++;
+            } else {
+                stats.failed++;
+                stats.lastError = error.message;
+            }
+            throw error;
+        })
+        .finally(() => {
+            const duration = Date.now() - startedAt;
+            stats.totalDuration += duration;
+            stats.lastDuration = duration;
+            if (inFlight.get(key) === entry) inFlight.delete(key);
+        });
+
+    if (dedupe) inFlight.set(key, entry);
+    return subscribe(entry, signal);
+};
+
+/**
+ * Snapshot of request metrics per action
+ * @returns {Object} { [action]: { calls, succeeded, failed, retries, deduplicated, aborted, timeouts, averageDuration, ... } }
+ */
+export const getRequestMetrics = () => Object.fromEntries(
+    Object.entries(metrics).map(([action, stats]) => {
+        const completed = stats.succeeded + stats.failed + stats.aborted;
+        return [action, {
+            ...stats,
+            inFlight: [...inFlight.keys()].filter(key => key.startsWith(`${action}:`)).length,
+            averageDuration: completed > 0 ? Math.round(stats.totalDuration / completed) : 0,
+        }];
+    })
+);
+
+export const resetRequestMetrics = () => {
+    metrics = {};
+};
+
+// 開發時可在瀏覽器 console 執行 __gasMetrics() 查看
+if (typeof window !== 'undefined' && import.meta.env.DEV) {
+    window.__gasMetrics = () => {
+        console.table(getRequestMetrics());
+        return getRequestMetrics();
+    };
+}
@@ -0,0 +1,82 @@
+// 網址路由：頁面與詳細檢視的路徑定義
+// 頁面 id 與 MainLayout 的選單 id 相同；有參數的路徑列在前面，比對時依序嘗試。
+export const ROUTES = [
+    { page: 'projects', path: '/projects/:projectId' },
+    { page: 'clients', path: '/clients/:clientId' },
+    { page: 'vendors', path: '/vendors/:vendorId' },
+    { page: 'finance', path: '/finance/accounts/:accountId' },
+    { page: 'calc', path: '/calc/:calcTab' },
+    { page: 'dashboard', path: '/' },
+    { page: ':page', path: '/:page' },
+];
+
+export const DEFAULT_PAGE = 'dashboard';
+
+// 可用網址開啟的頁面（MainLayout 選單與使用者管理）
+export const PAGE_IDS = [
+    'dashboard', 'schedule', 'projects', 'clients', 'finance', 'vendors', 'inventory',
+    'materials', 'invoice', 'unit', 'cost', 'calc', 'user-management',
+];
+
+const splitPath = path => path.split('/').filter(Boolean);
+
+// 網址中格式錯誤的編碼（例如 %E0）視為不符合，不讓 URIError 中斷畫面
+const decodeSegment = (segment) => {
+    try {
+        return decodeURIComponent(segment);
+    } catch {
+        return null;
+    }
+};
+
+const matchRoute = (route, segments) => {
+    const parts = splitPath(route.path);
+    if (parts.length !== segments.length) return null;
+
+    const params = {};
+    for (let i = 0; i < parts.length; i++) {
+        if (parts[i].startsWith(':')) {
+            const value = decodeSegment(segments[i]);
+            if (value === null) return null;
+            params[parts[i].slice(1)] = value;
+        } else if (parts[i] !== segments[i]) {
+            return null;
+        }
+    }
+
+    if (route.page === ':page') {
+        const { page, ...rest } = params;
+        return PAGE_IDS.includes(page) ? { page, params: rest } : null;
+    }
+    return { page: route.page, params };
+};
+
+/**
+ * Parse a pathname into a page id and route params
+ * @param {string} pathname - e.g. '/projects/p-1'
+ * @returns {{ page: string, params: Object }} Unknown paths resolve to the dashboard
+ */
+export const parsePath = (pathname = '/') => {
+    const segments = splitPath(pathname);
+    for (const route of ROUTES) {
+        const match = matchRoute(route, segments);
+        if (match) return match;
+    }
+    return { page: DEFAULT_PAGE, params: {} };
+};
+
+/**
+ * Build the pathname of a page, using the detail route when its params are given
+ * @param {string} page - Page id
+ * @param {Object} [params] - e.g. { projectId: 'p-1' }
+ * @returns {string}
+ */
+export const buildPath = (page, params = {}) => {
+    const route = ROUTES.find(r => r.page === page &&
+        splitPath(r.path).every(part => !part.startsWith(':') || params[part.slice(1)]));
+    if (!route) return page === DEFAULT_PAGE ? '/' : `/${encodeURIComponent(page)}`;
+
+    return '/' + splitPath(route.path)
+        .map(part => (part.startsWith(':') ? encodeURIComponent(params[part.slice(1)]) : part))
+        .join('/');
+};
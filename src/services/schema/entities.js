@@ -0,0 +1,198 @@
+// 各資料表的欄位定義與遷移
+// 欄位：{ type, required?, default? }，type 為 string / number / boolean / date / datetime / array / object
+// 修改資料結構時：提高 version，並在 migrations 加上升級到該版本的函數
+
+// 庫存類別 - 兩層結構
+export const INVENTORY_CATEGORY_TREE = {
+    '結構板材': ['木料', '板材', '防火板', '輕鋼架'],
+    '裝飾建材': ['地面材料', '牆面材料', '天花材料', '塗料油漆'],
+    '機電設備': ['電氣電線', '燈具照明', '開關插座', '弱電設備', '水管衛浴'],
+    '五金配件': ['門窗五金', '櫃體五金', '結構五金', '裝飾五金'],
+    '消耗品': ['黏著劑', '填縫材料', '防護用品', '清潔用品']
+};
+
+// 根據子類別找主類別
+export const getInventoryMainCategory = (subCategory) => {
+    for (const [main, subs] of Object.entries(INVENTORY_CATEGORY_TREE)) {
+        if (subs.includes(subCategory)) return main;
+    }
+    return '消耗品'; // 預設
+};
+
+// 所有資料表共用：id 與版本戳記（見 versioning.js）
+const BASE_FIELDS = {
+    id: { type: 'string', required: true },
+    revision: { type: 'number' },
+    updatedAt: { type: 'datetime' },
+    updatedBy: { type: 'string' },
+};
+
+export const ENTITY_SCHEMAS = {
+    clients: {
+        label: '客戶',
+        version: 1,
+        fields: {
+            ...BASE_FIELDS,
+            name: { type: 'string', required: true },
+            phone: { type: 'string' },
+            email: { type: 'string' },
+            lineId: { type: 'string' },
+            address: { type: 'string' },
+            status: { type: 'string', default: '洽談中' },
+            source: { type: 'string' },
+            budget: { type: 'string' }, // 自由輸入的範圍，例：200-300萬
+            notes: { type: 'string' },
+            driveFolder: { type: 'string' },
+            customFields: { type: 'array', default: [] },
+            contactLogs: { type: 'array', default: [] },
+        },
+        migrations: [],
+    },
+
+    vendors: {
+        label: '廠商',
+        version: 2,
+        fields: {
+            ...BASE_FIELDS,
+            name: { type: 'string', required: true },
+            category: { type: 'string', default: '工程工班' },
+            tradeType: { type: 'string' },
+            contactPerson: { type: 'string' },
+            phone: { type: 'string' },
+            email: { type: 'string' },
+            lineId: { type: 'string' },
+            address: { type: 'string' },
+            rating: { type: 'number', default: 5 },
+            status: { type: 'string', default: '合作中' },
+            tags: { type: 'array', default: [] },
+            reviews: { type: 'array', default: [] },
+        },
+        migrations: [
+            {
+                version: 2,
+                description: 'tags 由逗號分隔字串改為陣列',
+                up: row => (typeof row.tags === 'string' && !row.tags.trim().startsWith('[')
+                    ? { ...row, tags: row.tags.split(',').map(t => t.trim()).filter(t => t !== '') }
+                    : row),
+            },
+        ],
+    },
+
+    projects: {
+        label: '專案',
+        version: 1,
+        fields: {
+            ...BASE_FIELDS,
+            name: { type: 'string', required: true },
+            client: { type: 'string' },
+            type: { type: 'string', default: '翻修' },
+            budget: { type: 'number' },
+            location: { type: 'string' },
+            startDate: { type: 'date' },
+            endDate: { type: 'date' },
+            status: { type: 'string', default: '設計中' },
+            driveFolder: { type: 'string' },
+            vendors: { type: 'array', default: [] },
+            inventory: { type: 'array', default: [] },
+            files: { type: 'array', default: [] },
+            records: { type: 'array', default: [] },
+            transactions: { type: 'array', default: [] },
+            members: { type: 'array', default: [] }, // 專案成員（services/projectScope.js）
+        },
+        migrations: [],
+    },
+
+    inventory: {
+        label: '庫存',
+        version: 2,
+        fields: {
+            ...BASE_FIELDS,
+            name: { type: 'string', required: true },
+            spec: { type: 'string' },
+            mainCategory: { type: 'string' },
+            category: { type: 'string' },
+            quantity: { type: 'number', default: 0 },
+            unit: { type: 'string', default: '個' },
+            safeStock: { type: 'number', default: 0 },
+            location: { type: 'string' },
+            status: { type: 'string' },
+        },
+        migrations: [
+            {
+                version: 2,
+                description: '依子類別補上 mainCategory',
+                up: row => (row.mainCategory ? row : { ...row, mainCategory: getInventoryMainCategory(row.category) }),
+            },
+        ],
+    },
+
+    accounts: {
+        label: '帳戶',
+        version: 1,
+        fields: {
+            ...BASE_FIELDS,
+            name: { type: 'string', required: true },
+            bank: { type: 'string' },
+            number: { type: 'string' },
+            balance: { type: 'number', default: 0 },
+        },
+        migrations: [],
+    },
+
+    loans: {
+        label: '貸款',
+        version: 1,
+        fields: {
+            ...BASE_FIELDS,
+            bankName: { type: 'string', required: true },
+            principalAmount: { type: 'number', required: true },
+            interestRate: { type: 'number', default: 0 },
+            totalTerms: { type: 'number', default: 0 },
+            paidTerms: { type: 'number', default: 0 },
+            startDate: { type: 'date' },
+            paymentDay: { type: 'number' },
+            paymentType: { type: 'string', default: 'equalPayment' },
+            status: { type: 'string', default: 'active' },
+            monthlyPayment: { type: 'number' },
+            remainingPrincipal: { type: 'number' },
+            totalInterest: { type: 'number' },
+        },
+        migrations: [],
+    },
+
+    transactions: {
+        label: '交易',
+        version: 1,
+        fields: {
+            ...BASE_FIELDS,
+            type: { type: 'string', default: '支出' },
+            amount: { type: 'number', required: true },
+            date: { type: 'date' },
+            desc: { type: 'string' },
+            category: { type: 'string' },
+            accountId: { type: 'string' },
+            projectId: { type: 'string' },
+            createdBy: { type: 'object' }, // { uid, name, photoURL }（services/actor.js）
+        },
+        migrations: [],
+    },
+
+    // 出入庫紀錄：由 DataStoreContext.recordStockMovement 與庫存數量一起寫入
+    stockMovements: {
+        label: '出入庫紀錄',
+        version: 1,
+        fields: {
+            ...BASE_FIELDS,
+            itemId: { type: 'string', required: true },
+            itemName: { type: 'string' },
+            type: { type: 'string', default: '入' }, // 入 / 出
+            quantity: { type: 'number', required: true },
+            date: { type: 'date' },
+            note: { type: 'string' },
+            projectId: { type: 'string' },
+            operator: { type: 'string' },
+            createdBy: { type: 'object' },
+        },
+        migrations: [],
+    },
+};
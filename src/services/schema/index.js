@@ -0,0 +1,180 @@
+// 資料結構定義與載入時的遷移
+// loadFromSheet 讀回的每一列都會依照 entities.js 的 schema：
+//   1. 依 schemaVersion 執行尚未套用的遷移（沒有 schemaVersion 的舊資料視為第 1 版）
+//   2. 檢查必填欄位並轉換型別（數字、日期、陣列…），空值套用預設值
+// 無法解析的列不會放進畫面資料，而是回報給呼叫端（後端資料不會被修改）。
+import { ENTITY_SCHEMAS } from './entities';
+
+const isEmpty = value => value === undefined || value === null || value === '';
+
+const parseJson = (value, field, expected) => {
+    try {
+        return JSON.parse(value);
+    } catch {
+        throw new Error(`${field} 不是有效的${expected}：${value}`);
+    }
+};
+
+const pad2 = n => String(n).padStart(2, '0');
+const toLocalDate = date => `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`;
+
+// 各型別的轉換函數：回傳轉換後的值，無法轉換時丟出錯誤
+const COERCERS = {
+    string: value => (typeof value === 'object' ? JSON.stringify(value) : String(value)),
+
+    number: (value, field) => {
+        const number = typeof value === 'number' ? value : Number(String(value).replace(/[,\s$]/g, ''));
+        if (!Number.isFinite(number)) throw new Error(`${field} 不是有效的數字：${value}`);
+        return number;
+    },
+
+    boolean: (value, field) => {
+        if (typeof value === 'boolean') return value;
+        const text = String(value).trim().toLowerCase();
+        if (['true', '1', 'yes', '是'].includes(text)) return true;
+        if (['false', '0', 'no', '否'].includes(text)) return false;
+        throw new Error(`${field} 不是有效的布林值：${value}`);
+    },
+
+    // 日期一律存成 YYYY-MM-DD；Sheets 的日期儲存格會以 UTC ISO 字串傳回，需換回本地日期
+    date: (value, field) => {
+        const text = String(value).trim();
+        const ymd = text.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/);
+        if (ymd) return `${ymd[1]}-${pad2(ymd[2])}-${pad2(ymd[3])}`;
+
+        const date = new Date(text);
+        if (Number.isNaN(date.getTime())) throw new Error(`${field} 不是有效的日期：${value}`);
+        return toLocalDate(date);
+    },
+
+    datetime: (value, field) => {
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) throw new Error(`${field} 不是有效的時間：${value}`);
+        return date.toISOString();
+    },
+
+    array: (value, field) => {
+        const array = typeof value === 'string' ? parseJson(value, field, '陣列') : value;
+        if (!Array.isArray(array)) throw new Error(`${field} 不是陣列`);
+        return array;
+    },
+
+    object: (value, field) => {
+        const object = typeof value === 'string' ? parseJson(value, field, '物件') : value;
+        if (typeof object !== 'object' || object === null || Array.isArray(object)) {
+            throw new Error(`${field} 不是物件`);
+        }
+        return object;
+    },
+};
+
+// 預設值為陣列或物件時每列各自複製一份，避免共用同一個參考
+const defaultValue = value => (typeof value === 'object' && value !== null ? structuredClone(value) : value);
+
+/**
+ * Get the schema of an entity
+ * @param {string} entity - Entity / sheet name (e.g. 'clients')
+ * @returns {Object|null}
+ */
+export const getEntitySchema = entity => ENTITY_SCHEMAS[entity] || null;
+
+/**
+ * Register a migration that upgrades rows to the given version
+ * @param {string} entity - Entity name
+ * @param {number} version - Version the migration upgrades to (bumps the schema version if higher)
+ * @param {Function} up - (row) => upgraded row
+ * @param {string} [description]
+ */
+export const registerMigration = (entity, version, up, description = '') => {
+    const schema = getEntitySchema(entity);
+    if (!schema) throw new Error(`Unknown entity: ${entity}`);
+
+    schema.migrations = [...(schema.migrations || []).filter(m => m.version !== version), { version, up, description }]
+        .sort((a, b) => a.version - b.version);
+    schema.version = Math.max(schema.version, version);
+};
+
+/**
+ * Migrate and validate one record
+ * @param {string} entity - Entity name
+ * @param {Object} raw - Row as stored in the backend
+ * @returns {{ record: Object, migrated: boolean }} Throws when the row cannot be parsed
+ */
+export const parseRecord = (entity, raw) => {
+    const schema = getEntitySchema(entity);
+    if (!schema) return { record: raw, migrated: false };
+
+    if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) {
+        throw new Error('資料列不是物件');
+    }
+
+    const fromVersion = Number(raw.schemaVersion) || 1;
+    let record = { ...raw };
+
+    for (const migration of schema.migrations || []) {
+        if (migration.version > fromVersion && migration.version <= schema.version) {
+            record = migration.up(record) || record;
+        }
+    }
+
+    for (const [name, field] of Object.entries(schema.fields)) {
+        if (isEmpty(record[name])) {
+            if (field.required) throw new Error(`缺少必填欄位 ${name}`);
+            if ('default' in field) record[name] = defaultValue(field.default);
+            continue;
+        }
+        record[name] = COERCERS[field.type](record[name], name);
+    }
+
+    // 比目前程式還新的資料（其他裝置已升級）保留原本的版本號
+    record.schemaVersion = Math.max(fromVersion, schema.version);
+    return { record, migrated: fromVersion < schema.version };
+};
+
+/**
+ * Migrate and validate loaded rows; rows that cannot be parsed are left out and reported
+ * @param {string} entity - Entity name
+ * @param {Array} rows - Rows as stored in the backend
+ * @returns {{ records: Array, rejected: Array<{ index: number, id?: string, error: string, raw: * }>, migrated: number }}
+ */
+export const parseRecords = (entity, rows = []) => {
+    const records = [];
+    const rejected = [];
+    let migrated = 0;
+
+    rows.forEach((raw, index) => {
+        try {
+            const result = parseRecord(entity, raw);
+            records.push(result.record);
+            if (result.migrated) migrated++;
+        } catch (error) {
+            rejected.push({ index, id: raw?.id, error: error.message, raw });
+        }
+    });
+
+    if (rejected.length > 0) {
+        console.warn(`⚠️ ${rejected.length} ${entity} rows could not be parsed:`, rejected);
+    }
+    if (migrated > 0) {
+        console.log(`🔧 Migrated ${migrated} ${entity} rows to schema v${getEntitySchema(entity).version}`);
+    }
+
+    return { records, rejected, migrated };
+};
+
+/**
+ * Bring a single backend row (e.g. the current version returned with a conflict) up to the current schema.
+ * Falls back to the raw row when it cannot be parsed.
+ * @param {string} entity - Entity name
+ * @param {Object} raw
+ * @returns {Object}
+ */
+export const normalizeRecord = (entity, raw) => {
+    try {
+        return parseRecord(entity, raw).record;
+    } catch {
+        return raw;
+    }
+};
+
+export { ENTITY_SCHEMAS, INVENTORY_CATEGORY_TREE, getInventoryMainCategory } from './entities';
@@ -0,0 +1,182 @@
+// 全域搜尋：把 store 中的各類資料整理成搜尋項目，並以模糊比對排序
+// 中文以單一字元為比對單位（「信義住宅」可找到「信義區住宅翻修」），全形英數會先轉為半形。
+import {
+    createSelector, selectClients, selectProjects, selectVendors, selectInventory,
+    selectAccounts, selectLoans, selectTransactions, selectCalendar
+} from './dataStore';
+import { maskedText } from './fieldMasking';
+
+export const SEARCH_TYPES = {
+    page: { label: '頁面', order: 0 },
+    projects: { label: '專案', order: 1 },
+    clients: { label: '客戶', order: 2 },
+    vendors: { label: '廠商', order: 3 },
+    inventory: { label: '庫存', order: 4 },
+    accounts: { label: '帳戶', order: 5 },
+    transactions: { label: '交易', order: 6 },
+    loans: { label: '貸款', order: 7 },
+    calendar: { label: '行程', order: 8 },
+};
+
+const normalize = text => String(text ?? '').normalize('NFKC').toLowerCase();
+
+/**
+ * Score how well a query matches a text
+ * A substring match scores highest (more for a prefix); otherwise every character of the query
+ * must appear in order, and consecutive characters score more than scattered ones.
+ * @param {string} query
+ * @param {string} text
+ * @returns {number|null} null when the text does not match
+ */
+export const fuzzyScore = (query, text) => {
+    const q = normalize(query).replace(/\s+/g, '');
+    const t = normalize(text);
+    if (!q) return 0;
+    if (!t) return null;
+
+    const index = t.indexOf(q);
+    if (index === 0) return 200 + q.length;
+    if (index > 0) return 150 + q.length - Math.min(index, 40) / 4;
+
+    let score = 0;
+    let from = 0;
+    let streak = 0;
+    for (const ch of q) {
+        const found = t.indexOf(ch, from);
+        if (found === -1) return null;
+        streak = found === from && from > 0 ? streak + 1 : 0;
+        score += 10 + streak * 8 - Math.min(found - from, 10);
+        from = found + ch.length;
+    }
+    return Math.min(score, 140);
+};
+
+/**
+ * Score a search entry; every whitespace-separated token must match the title or one of the keywords
+ * @param {Object} entry - { title, keywords }
+ * @param {string} query
+ * @returns {number|null}
+ */
+export const scoreEntry = (entry, query) => {
+    const tokens = normalize(query).split(/\s+/).filter(Boolean);
+    if (tokens.length === 0) return 0;
+
+    let total = 0;
+    for (const token of tokens) {
+        const titleScore = fuzzyScore(token, entry.title);
+        const keywordScores = entry.keywords.map(k => fuzzyScore(token, k)).filter(s => s !== null);
+        // 標題符合的權重較高
+        const best = Math.max(titleScore === null ? -1 : titleScore * 1.5, ...keywordScores, -1);
+        if (best < 0) return null;
+        total += best;
+    }
+    return total;
+};
+
+const money = value => `$${(Number(value) || 0).toLocaleString()}`;
+const compact = list => list.filter(v => v !== undefined && v !== null && v !== '').map(String);
+
+/**
+ * Search entries for everything in the store.
+ * Entry: { key, type, id, title, subtitle, keywords, route: { page, params, state? }, actions: [{ label, route }] }
+ */
+export const selectSearchEntries = createSelector(
+    selectProjects, selectClients, selectVendors, selectInventory,
+    selectAccounts, selectTransactions, selectLoans, selectCalendar,
+    (projects, clients, vendors, inventory, accounts, transactions, loans, calendar) => {
+        const projectNames = new Map(projects.map(p => [p.id, p.name]));
+        const accountNames = new Map(accounts.map(a => [a.id, a.name]));
+
+        return [
+            ...projects.map(p => ({
+                key: `projects:${p.id}`, type: 'projects', id: p.id,
+                title: p.name,
+                subtitle: compact([p.client, p.status, p.location]).join(' · '),
+                keywords: compact([p.client, p.code, p.location, p.type, p.status]),
+                route: { page: 'projects', params: { projectId: p.id } },
+                actions: [
+                    { label: '新增此專案的收支', route: { page: 'finance', params: {}, state: { intent: 'new-transaction', projectId: p.id } } },
+                ],
+            })),
+            ...clients.map(c => ({
+                key: `clients:${c.id}`, type: 'clients', id: c.id,
+                title: c.name,
+                subtitle: compact([c.status, c.phone]).join(' · '),
+                keywords: compact([c.phone, c.email, c.address, c.lineId]),
+                route: { page: 'clients', params: { clientId: c.id } },
+                actions: [],
+            })),
+            ...vendors.map(v => ({
+                key: `vendors:${v.id}`, type: 'vendors', id: v.id,
+                title: v.name,
+                subtitle: compact([v.category, v.tradeType, v.contactPerson]).join(' · '),
+                keywords: compact([v.tradeType, v.contactPerson, v.phone, v.taxId, ...(v.tags || [])]),
+                route: { page: 'vendors', params: { vendorId: v.id } },
+                actions: [],
+            })),
+            ...inventory.map(i => ({
+                key: `inventory:${i.id}`, type: 'inventory', id: i.id,
+                title: i.name,
+                subtitle: compact([i.spec, `${i.quantity ?? 0} ${i.unit || ''}`.trim(), i.status]).join(' · '),
+                keywords: compact([i.spec, i.category, i.mainCategory, i.location]),
+                route: { page: 'inventory', params: {}, state: { intent: 'focus-item', itemId: i.id } },
+                actions: [
+                    { label: '入庫', route: { page: 'inventory', params: {}, state: { intent: 'stock-movement', itemId: i.id, type: '入' } } },
+                    { label: '出庫', route: { page: 'inventory', params: {}, state: { intent: 'stock-movement', itemId: i.id, type: '出' } } },
+                ],
+            })),
+            ...accounts.map(a => ({
+                key: `accounts:${a.id}`, type: 'accounts', id: a.id,
+                title: a.name,
+                subtitle: compact([a.bank, maskedText(a, 'balance', money)]).join(' · '),
+                keywords: compact([a.bank, a.number]),
+                route: { page: 'finance', params: { accountId: a.id } },
+                actions: [
+                    { label: '新增此帳戶的收支', route: { page: 'finance', params: {}, state: { intent: 'new-transaction', accountId: a.id } } },
+                ],
+            })),
+            ...transactions.map(t => ({
+                key: `transactions:${t.id}`, type: 'transactions', id: t.id,
+                title: t.desc || t.category || t.type,
+                subtitle: compact([t.date, `${t.type} ${maskedText(t, 'amount', money)}`, projectNames.get(t.projectId), accountNames.get(t.accountId)]).join(' · '),
+                keywords: compact([t.category, t.type, t.amount, t.date, projectNames.get(t.projectId), accountNames.get(t.accountId)]),
+                route: t.accountId
+                    ? { page: 'finance', params: { accountId: t.accountId } }
+                    : { page: 'finance', params: {} },
+                actions: [],
+            })),
+            ...loans.map(l => ({
+                key: `loans:${l.id}`, type: 'loans', id: l.id,
+                title: l.bankName,
+                subtitle: compact([maskedText(l, 'principalAmount', money), `${l.paidTerms ?? 0}/${l.totalTerms ?? 0} 期`]).join(' · '),
+                keywords: compact([l.status, l.startDate]),
+                route: { page: 'finance', params: {} },
+                actions: [],
+            })),
+            ...calendar.map(e => ({
+                key: `calendar:${e.id}`, type: 'calendar', id: e.id,
+                title: e.title,
+                subtitle: compact([e.date, e.time, e.location]).join(' · '),
+                keywords: compact([e.date, e.location, e.description]),
+                route: { page: 'schedule', params: {}, state: { intent: 'focus-date', date: e.date } },
+                actions: [],
+            })),
+        ].filter(entry => entry.title);
+    }
+);
+
+/**
+ * Rank entries for a query
+ * @param {Array} entries - From selectSearchEntries (plus page entries)
+ * @param {string} query
+ * @param {number} [limit]
+ * @returns {Array} Matching entries, best first
+ */
+export const searchEntries = (entries, query, limit = 30) => {
+    return entries
+        .map(entry => ({ entry, score: scoreEntry(entry, query) }))
+        .filter(r => r.score !== null)
+        .sort((a, b) => b.score - a.score || SEARCH_TYPES[a.entry.type].order - SEARCH_TYPES[b.entry.type].order)
+        .slice(0, limit)
+        .map(r => r.entry);
+};
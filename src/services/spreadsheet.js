@@ -0,0 +1,190 @@
+// 在瀏覽器內讀取 CSV / XLSX 檔案（不上傳到伺服器）
+// XLSX 是 ZIP 壓縮的 XML：以 DecompressionStream 解壓，只讀取第一個工作表的儲存格文字。
+
+/**
+ * Parse CSV text into rows of cells (RFC 4180: quoted cells may contain delimiters, quotes and line breaks)
+ * @param {string} text
+ * @param {string} [delimiter] - Detected from the first line when omitted (comma, tab or semicolon)
+ * @returns {string[][]}
+ */
+export const parseCsv = (text, delimiter) => {
+    const source = text.replace(/^\uFEFF/, '');
+    const firstLine = source.split(/\r?\n/, 1)[0] || '';
+    const sep = delimiter || [',', '\t', ';']
+        .map(d => ({ d, count: firstLine.split(d).length }))
+        .sort((a, b) => b.count - a.count)[0].d;
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const ch = source[i];
+        if (quoted) {
+            if (ch === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                cell += ch;
+            }
+        } else if (ch === '"' && cell === '') {
+            quoted = true;
+        } else if (ch === sep) {
+            row.push(cell);
+            cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && source[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+};
+
+// 台灣的 Excel 另存 CSV 常是 Big5，UTF-8 解碼失敗時改用 Big5
+const decodeText = (buffer) => {
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch {
+        return new TextDecoder('big5').decode(buffer);
+    }
+};
+
+// ==================== ZIP ====================
+
+const readZipEntries = (buffer) => {
+    const view = new DataView(buffer);
+    // End of central directory：從檔尾往前找簽章（後面可能接最多 64 KB 的註解）
+    let eocd = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd < 0) throw new Error('檔案不是有效的 XLSX');
+
+    const count = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+    const decoder = new TextDecoder();
+    const entries = new Map();
+
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(offset, true) !== 0x02014b50) throw new Error('XLSX 檔案已損毀');
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+
+        const localNameLength = view.getUint16(localOffset + 26, true);
+        const localExtraLength = view.getUint16(localOffset + 28, true);
+        const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+        entries.set(name, { method, data: new Uint8Array(buffer, dataStart, compressedSize) });
+
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+};
+
+const readZipText = async (entries, name) => {
+    const entry = entries.get(name);
+    if (!entry) return null;
+    if (entry.method === 0) return new TextDecoder().decode(entry.data);
+    if (entry.method !== 8) throw new Error(`不支援的壓縮方式（${entry.method}）`);
+    if (typeof DecompressionStream === 'undefined') throw new Error('此瀏覽器不支援讀取 XLSX，請另存為 CSV 後匯入');
+
+    const stream = new Blob([entry.data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Response(stream).text();
+};
+
+// ==================== XLSX ====================
+
+const parseXml = text => new DOMParser().parseFromString(text, 'application/xml');
+// 不論有無命名空間前綴（x:c / c）都能找到元素
+const elements = (node, name) => Array.from(node.getElementsByTagNameNS('*', name));
+const textOf = node => elements(node, 't').map(t => t.textContent).join('');
+
+// 儲存格位置（例如 "AB12"）的欄位索引（從 0 開始）
+const columnIndex = (ref) => {
+    const letters = /^[A-Z]+/.exec(ref || '')?.[0] || '';
+    return [...letters].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+};
+
+const resolveSheetPath = (target) => {
+    if (target.startsWith('/')) return target.slice(1);
+    return `xl/${target}`.replace(/\/[^/]+\/\.\.\//g, '/');
+};
+
+/**
+ * Read the first worksheet of an XLSX file
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<string[][]>} Rows of cell text
+ */
+export const parseXlsx = async (buffer) => {
+    const entries = readZipEntries(buffer);
+
+    const workbook = parseXml(await readZipText(entries, 'xl/workbook.xml') || '');
+    const firstSheet = elements(workbook, 'sheet')[0];
+    if (!firstSheet) throw new Error('XLSX 檔案中沒有工作表');
+
+    const relId = firstSheet.getAttributeNS('http://schemas.openxmlformats.org/officeDocument/2006/relationships', 'id')
+        || firstSheet.getAttribute('r:id');
+    const rels = parseXml(await readZipText(entries, 'xl/_rels/workbook.xml.rels') || '');
+    const target = elements(rels, 'Relationship').find(r => r.getAttribute('Id') === relId)?.getAttribute('Target')
+        || 'worksheets/sheet1.xml';
+
+    const sharedXml = await readZipText(entries, 'xl/sharedStrings.xml');
+    const sharedStrings = sharedXml ? elements(parseXml(sharedXml), 'si').map(textOf) : [];
+
+    const sheetXml = await readZipText(entries, resolveSheetPath(target));
+    if (!sheetXml) throw new Error('找不到工作表內容');
+
+    return elements(parseXml(sheetXml), 'row').map((rowNode) => {
+        const row = [];
+        elements(rowNode, 'c').forEach((cellNode, i) => {
+            const ref = cellNode.getAttribute('r');
+            const index = ref ? columnIndex(ref) : i;
+            const type = cellNode.getAttribute('t');
+            const value = elements(cellNode, 'v')[0]?.textContent ?? '';
+
+            if (type === 's') row[index] = sharedStrings[Number(value)] ?? '';
+            else if (type === 'inlineStr') row[index] = textOf(cellNode);
+            else if (type === 'b') row[index] = value === '1' ? 'TRUE' : 'FALSE';
+            else row[index] = value;
+        });
+        return Array.from(row, cell => cell ?? '');
+    });
+};
+
+/**
+ * Read a CSV or XLSX file into a header row and data rows (blank rows are dropped)
+ * @param {File} file
+ * @returns {Promise<{ headers: string[], rows: string[][] }>}
+ */
+export const readSpreadsheetFile = async (file) => {
+    const buffer = await file.arrayBuffer();
+    const isXlsx = /\.xlsx$/i.test(file.name)
+        || file.type === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+    const allRows = (isXlsx ? await parseXlsx(buffer) : parseCsv(decodeText(buffer)))
+        .map(row => row.map(cell => String(cell ?? '').trim()))
+        .filter(row => row.some(cell => cell !== ''));
+
+    if (allRows.length === 0) throw new Error('檔案中沒有資料');
+    const [headers, ...rows] = allRows;
+    return { headers: headers.map((h, i) => h || `欄位 ${i + 1}`), rows };
+};
@@ -0,0 +1,129 @@
+// Cloud Firestore 儲存後端：每個工作表是一個集合（sheets/{sheetName}/rows），每一列是一份文件（文件 id = 列 id）
+// 支援 onSnapshot 即時訂閱，辦公室與工地人員不需重新整理就能看到彼此新增的資料。
+import {
+    collection, doc, getDocs, writeBatch, runTransaction, onSnapshot,
+} from 'firebase/firestore';
+import { db } from '../firebase';
+import { networkError } from '../gasClient';
+import { summarizeRowResults } from './rows';
+
+// Firestore 單一批次（與單一交易）寫入上限
+const MAX_BATCH_WRITES = 500;
+
+// 連線層的 Firestore 錯誤：轉成與 GAS 相同的連線錯誤，讓離線佇列保留寫入稍後重送
+const NETWORK_ERROR_CODES = new Set(['unavailable', 'deadline-exceeded']);
+
+const withNetworkErrors = operation => async (...args) => {
+    try {
+        return await operation(...args);
+    } catch (error) {
+        if (!NETWORK_ERROR_CODES.has(error?.code)) throw error;
+        const wrapped = networkError(error.message);
+        wrapped.cause = error;
+        throw wrapped;
+    }
+};
+
+// Firestore 不接受 undefined，以 JSON 轉換移除
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+const rowsCollection = (sheetName) => collection(db, 'sheets', sheetName, 'rows');
+const rowDoc = (sheetName, id) => doc(db, 'sheets', sheetName, 'rows', String(id));
+
+const chunk = (list, size) => {
+    const chunks = [];
+    for (let i = 0; i < list.length; i += size) chunks.push(list.slice(i, i + size));
+    return chunks;
+};
+
+// 分批提交寫入（每批最多 MAX_BATCH_WRITES 筆）
+const commitInBatches = async (operations) => {
+    for (const group of chunk(operations, MAX_BATCH_WRITES)) {
+        const batch = writeBatch(db);
+        group.forEach(apply => apply(batch));
+        await batch.commit();
+    }
+};
+
+// 在一個交易內寫入一批列（最多 MAX_BATCH_WRITES 筆），回傳每一列的結果
+const upsertInTransaction = (sheetName, rows) => runTransaction(db, async (transaction) => {
+    const valid = rows.filter(row => row?.id !== undefined && row?.id !== null && row.id !== '');
+    // 交易內須先完成所有讀取再寫入
+    const current = await Promise.all(valid.map(row => transaction.get(rowDoc(sheetName, row.id))));
+    const byId = new Map(valid.map((row, i) => [row.id, current[i]]));
+
+    return rows.map((row) => {
+        if (!byId.has(row?.id)) return { id: null, ok: false, error: 'missing id' };
+        const { baseRevision, ...record } = row;
+        const existing = byId.get(row.id);
+        if (existing.exists()) {
+            const currentRevision = Number(existing.data().revision) || 0;
+            if (baseRevision !== undefined && Number(baseRevision) !== currentRevision) {
+                return { id: row.id, ok: false, conflict: true, error: 'revision conflict', current: existing.data() };
+            }
+        }
+        transaction.set(existing.ref, clone(record));
+        return { id: row.id, ok: true, action: existing.exists() ? 'updated' : 'inserted' };
+    });
+});
+
+/**
+ * Create a storage adapter backed by Cloud Firestore.
+ * Besides the common adapter methods it implements
+ *   subscribe(sheetName, onRows, onError) => unsubscribe
+ * which calls onRows with every row of the sheet whenever any of them changes.
+ * @returns {Object} Storage adapter
+ */
+export const createFirestoreAdapter = () => ({
+    name: 'firestore',
+    label: 'Firestore',
+
+    load: withNetworkErrors(async (sheetType, { signal } = {}) => {
+        const snapshot = await getDocs(rowsCollection(sheetType));
+        if (signal?.aborted) throw new DOMException('Aborted', 'AbortError');
+        return { success: true, data: snapshot.docs.map(d => d.data()) };
+    }),
+
+    // 以整批資料取代整個集合：先寫入新資料，再刪除已不存在的列
+    sync: withNetworkErrors(async (sheetName, records) => {
+        const snapshot = await getDocs(rowsCollection(sheetName));
+        const keep = new Set(records.map(r => String(r.id)));
+        await commitInBatches([
+            ...records.map(record => batch => batch.set(rowDoc(sheetName, record.id), clone(record))),
+            ...snapshot.docs
+                .filter(d => !keep.has(d.id))
+                .map(d => batch => batch.delete(d.ref)),
+        ]);
+        return { success: true, recordCount: records.length };
+    }),
+
+    // 與 applyUpserts 相同的規則：帶 baseRevision 的列只有在版本相符時才寫入
+    // 超過交易寫入上限時分成多個交易；第一批就失敗時照常拋出錯誤，之後的批次失敗只標記該批的列
+    upsert: withNetworkErrors(async (sheetName, rows) => {
+        const results = [];
+        for (const group of chunk(rows, MAX_BATCH_WRITES)) {
+            try {
+                results.push(...await upsertInTransaction(sheetName, group));
+            } catch (error) {
+                if (results.length === 0) throw error;
+                results.push(...group.map(row => ({ id: row?.id ?? null, ok: false, error: error.message })));
+            }
+        }
+        return summarizeRowResults(results);
+    }),
+
+    remove: withNetworkErrors(async (sheetName, ids) => {
+        await commitInBatches(ids.map(id => batch => batch.delete(rowDoc(sheetName, id))));
+        // 刪除不存在的文件也視為成功，離線佇列重送時才不會卡住
+        return summarizeRowResults(ids.map(id => ({ id, ok: true, action: 'deleted' })));
+    }),
+
+    subscribe: (sheetName, onRows, onError) => onSnapshot(
+        rowsCollection(sheetName),
+        snapshot => onRows(snapshot.docs.map(d => d.data()), {
+            // 本機尚未寫入伺服器的變更也會觸發；呼叫端可據此區分
+            fromServer: !snapshot.metadata.hasPendingWrites,
+        }),
+        error => onError?.(error)
+    ),
+});
@@ -0,0 +1,42 @@
+// Google Sheets 儲存後端（透過 GAS Web App）
+import { requestGAS } from '../requestManager';
+import { summarizeRowResults } from './rows';
+
+/**
+ * Create the GAS-backed storage adapter (the production backend)
+ * @returns {Object} Storage adapter
+ */
+export const createGasSheetsAdapter = () => ({
+    name: 'gas',
+    label: 'Google Sheets',
+
+    load: async (sheetType, { signal } = {}) => {
+        const result = await requestGAS('load_from_sheet', { sheetType }, { signal });
+
+        if (result.success && result.data?.items) {
+            return { success: true, data: result.data.items };
+        }
+        // GAS 在分頁不存在或沒有資料時回傳 status: 'empty'
+        if (result.success && result.data?.status === 'empty') {
+            return { success: true, data: [] };
+        }
+        return { success: false, error: result.error };
+    },
+
+    sync: async (sheetName, records) => {
+        return requestGAS('sync_to_sheet', { sheetName, records });
+    },
+
+    // 只送出變更的列，GAS 回傳每一列的處理結果
+    upsert: async (sheetName, rows) => {
+        const result = await requestGAS('upsert_rows', { sheetName, rows });
+        if (!result.success) return result;
+        return summarizeRowResults(result.data?.results || []);
+    },
+
+    remove: async (sheetName, ids) => {
+        const result = await requestGAS('delete_rows', { sheetName, ids });
+        if (!result.success) return result;
+        return summarizeRowResults(result.data?.results || []);
+    },
+});
@@ -0,0 +1,81 @@
+// 瀏覽器 IndexedDB 儲存後端（離線開發與展示用）
+import { openDatabase, requestToPromise, transactionDone } from './idb';
+import { applyUpserts, applyDeletes, summarizeRowResults } from './rows';
+
+const DB_NAME = 'senteng-storage';
+const DB_VERSION = 1;
+const STORE_NAME = 'sheets';
+
+/**
+ * Create a storage adapter that keeps every sheet in the browser's IndexedDB.
+ * Each sheet is stored as one record: { sheetName, records, updatedAt }.
+ * @param {Object} options
+ * @param {Function} [options.loadSeed] - Returns { [sheetName]: records[] } used to fill an empty database
+ * @returns {Object} Storage adapter
+ */
+export const createIndexedDBAdapter = ({ loadSeed } = {}) => {
+    let dbPromise = null;
+
+    const getDB = () => {
+        if (!dbPromise) {
+            dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    db.createObjectStore(STORE_NAME, { keyPath: 'sheetName' });
+                }
+            }).then(async (db) => {
+                if (loadSeed) await seedIfEmpty(db);
+                return db;
+            });
+        }
+        return dbPromise;
+    };
+
+    // 資料庫為空時寫入種子資料
+    const seedIfEmpty = async (db) => {
+        const count = await requestToPromise(db.transaction(STORE_NAME).objectStore(STORE_NAME).count());
+        if (count > 0) return;
+
+        const seed = await loadSeed();
+        const tx = db.transaction(STORE_NAME, 'readwrite');
+        const store = tx.objectStore(STORE_NAME);
+        Object.entries(seed || {}).forEach(([sheetName, records]) => {
+            store.put({ sheetName, records, updatedAt: new Date().toISOString() });
+        });
+        await transactionDone(tx);
+    };
+
+    // 在同一個 transaction 內讀出、修改、寫回整個分頁
+    const updateSheet = async (sheetName, apply) => {
+        const db = await getDB();
+        const tx = db.transaction(STORE_NAME, 'readwrite');
+        const store = tx.objectStore(STORE_NAME);
+        const entry = await requestToPromise(store.get(sheetName));
+        const { records, results } = apply(entry?.records || []);
+        store.put({ sheetName, records, updatedAt: new Date().toISOString() });
+        await transactionDone(tx);
+        return summarizeRowResults(results);
+    };
+
+    return {
+        name: 'indexeddb',
+        label: 'IndexedDB',
+
+        load: async (sheetType) => {
+            const db = await getDB();
+            const entry = await requestToPromise(db.transaction(STORE_NAME).objectStore(STORE_NAME).get(sheetType));
+            return { success: true, data: entry?.records || [] };
+        },
+
+        sync: async (sheetName, records) => {
+            const db = await getDB();
+            const tx = db.transaction(STORE_NAME, 'readwrite');
+            tx.objectStore(STORE_NAME).put({ sheetName, records, updatedAt: new Date().toISOString() });
+            await transactionDone(tx);
+            return { success: true, recordCount: records.length };
+        },
+
+        upsert: (sheetName, rows) => updateSheet(sheetName, records => applyUpserts(records, rows)),
+
+        remove: (sheetName, ids) => updateSheet(sheetName, records => applyDeletes(records, ids)),
+    };
+};
@@ -0,0 +1,63 @@
+// 記憶體儲存後端（可由 JSON 檔案載入固定資料，適合展示與測試）
+import { applyUpserts, applyDeletes, summarizeRowResults } from './rows';
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * Create a storage adapter that keeps every sheet in memory.
+ * Data is lost on reload, so every session starts from the same seed.
+ * @param {Object} options
+ * @param {Function} [options.loadSeed] - Returns { [sheetName]: records[] }
+ * @returns {Object} Storage adapter
+ */
+export const createMemoryAdapter = ({ loadSeed } = {}) => {
+    const sheets = new Map();
+    let ready = null;
+
+    const ensureSeeded = () => {
+        if (!ready) {
+            ready = Promise.resolve(loadSeed ? loadSeed() : {}).then((seed) => {
+                Object.entries(seed || {}).forEach(([sheetName, records]) => {
+                    sheets.set(sheetName, clone(records));
+                });
+            });
+        }
+        return ready;
+    };
+
+    return {
+        name: 'memory',
+        label: 'Memory',
+
+        load: async (sheetType) => {
+            await ensureSeeded();
+            return { success: true, data: clone(sheets.get(sheetType) || []) };
+        },
+
+        sync: async (sheetName, records) => {
+            await ensureSeeded();
+            sheets.set(sheetName, clone(records));
+            return { success: true, recordCount: records.length };
+        },
+
+        upsert: async (sheetName, rows) => {
+            await ensureSeeded();
+            const { records, results } = applyUpserts(sheets.get(sheetName) || [], clone(rows));
+            sheets.set(sheetName, records);
+            return summarizeRowResults(results);
+        },
+
+        remove: async (sheetName, ids) => {
+            await ensureSeeded();
+            const { records, results } = applyDeletes(sheets.get(sheetName) || [], ids);
+            sheets.set(sheetName, records);
+            return summarizeRowResults(results);
+        },
+
+        // 匯出目前所有資料（可存成 JSON 檔作為下次的種子資料）
+        snapshot: async () => {
+            await ensureSeeded();
+            return clone(Object.fromEntries(sheets));
+        },
+    };
+};
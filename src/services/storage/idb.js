@@ -0,0 +1,47 @@
+// IndexedDB 輔助函數（將 IDBRequest 包裝成 Promise）
+
+/**
+ * Open an IndexedDB database
+ * @param {string} name - Database name
+ * @param {number} version - Schema version
+ * @param {Function} onUpgrade - Receives (db, oldVersion) when the schema must be created/upgraded
+ * @returns {Promise<IDBDatabase>}
+ */
+export const openDatabase = (name, version, onUpgrade) => {
+    return new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available in this browser'));
+            return;
+        }
+
+        const request = indexedDB.open(name, version);
+        request.onupgradeneeded = (event) => onUpgrade(request.result, event.oldVersion);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+};
+
+/**
+ * Resolve with the result of a single IDBRequest
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+export const requestToPromise = (request) => {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+};
+
+/**
+ * Resolve once a transaction has committed
+ * @param {IDBTransaction} tx
+ * @returns {Promise<void>}
+ */
+export const transactionDone = (tx) => {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+};
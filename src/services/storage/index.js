@@ -0,0 +1,63 @@
+// 儲存後端選擇（由 VITE_STORAGE_ADAPTER 設定）
+import { STORAGE_ADAPTER, STORAGE_SEED_URL } from '../config';
+import { createGasSheetsAdapter } from './GasSheetsAdapter';
+import { createIndexedDBAdapter } from './IndexedDBAdapter';
+import { createMemoryAdapter } from './MemoryAdapter';
+import { createFirestoreAdapter } from './FirestoreAdapter';
+
+// 從 JSON 檔案載入種子資料（格式：{ clients: [...], vendors: [...], ... }）
+const loadSeedFromUrl = async () => {
+    if (!STORAGE_SEED_URL) return {};
+
+    try {
+        const response = await fetch(STORAGE_SEED_URL);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return await response.json();
+    } catch (error) {
+        console.error(`Failed to load storage seed from ${STORAGE_SEED_URL}:`, error);
+        return {};
+    }
+};
+
+const ADAPTER_FACTORIES = {
+    gas: () => createGasSheetsAdapter(),
+    indexeddb: () => createIndexedDBAdapter({ loadSeed: loadSeedFromUrl }),
+    memory: () => createMemoryAdapter({ loadSeed: loadSeedFromUrl }),
+    firestore: () => createFirestoreAdapter(),
+};
+
+let activeAdapter = null;
+
+/**
+ * Get the configured storage adapter.
+ * Every adapter implements:
+ *   load(sheetType, { signal }?) => Promise<{ success, data, error? }>
+ *   sync(sheetName, records) => Promise<{ success, error? }>     (replace the whole sheet)
+ *   upsert(sheetName, rows) => Promise<{ success, results, error? }>  (insert/replace rows by id)
+ *   remove(sheetName, ids) => Promise<{ success, results, error? }>   (delete rows by id)
+ * Adapters with live updates (firestore) also implement:
+ *   subscribe(sheetName, onRows, onError) => unsubscribe
+ * Transport failures are thrown; backend errors resolve with success: false.
+ * @returns {Object} Storage adapter
+ */
+export const getStorageAdapter = () => {
+    if (!activeAdapter) {
+        const factory = ADAPTER_FACTORIES[STORAGE_ADAPTER];
+        if (!factory) {
+            console.warn(`Unknown storage adapter "${STORAGE_ADAPTER}", falling back to gas`);
+        }
+        activeAdapter = (factory || ADAPTER_FACTORIES.gas)();
+        console.log(`🗄️ Storage adapter: ${activeAdapter.label}`);
+    }
+    return activeAdapter;
+};
+
+/**
+ * Replace the active adapter (e.g. to run a page against fixed data)
+ * @param {Object} adapter - Storage adapter
+ */
+export const setStorageAdapter = (adapter) => {
+    activeAdapter = adapter;
+};
+
+export { createGasSheetsAdapter, createIndexedDBAdapter, createMemoryAdapter, createFirestoreAdapter };
@@ -0,0 +1,60 @@
+// 以 id 為鍵的列操作（供本機儲存後端使用，行為與 GAS 的 upsert_rows / delete_rows 一致）
+
+/**
+ * Insert or replace rows by id.
+ * Rows carrying a baseRevision are only written when it matches the stored revision;
+ * otherwise the result is a conflict with the stored row in `current`.
+ * @param {Array} records - Current rows
+ * @param {Array} rows - Rows to write (each must have an id)
+ * @returns {{ records: Array, results: Array<{ id, ok, action?, error?, conflict?, current? }> }}
+ */
+export const applyUpserts = (records, rows) => {
+    const next = [...records];
+    const results = rows.map((row) => {
+        if (row?.id === undefined || row?.id === null || row.id === '') {
+            return { id: null, ok: false, error: 'missing id' };
+        }
+        const { baseRevision, ...record } = row;
+        const index = next.findIndex(r => r.id === row.id);
+        if (index >= 0) {
+            const currentRevision = Number(next[index].revision) || 0;
+            if (baseRevision !== undefined && Number(baseRevision) !== currentRevision) {
+                return { id: row.id, ok: false, conflict: true, error: 'revision conflict', current: next[index] };
+            }
+            next[index] = record;
+            return { id: row.id, ok: true, action: 'updated' };
+        }
+        next.push(record);
+        return { id: row.id, ok: true, action: 'inserted' };
+    });
+    return { records: next, results };
+};
+
+/**
+ * Remove rows by id
+ * @param {Array} records - Current rows
+ * @param {Array} ids - Ids to remove
+ * @returns {{ records: Array, results: Array<{ id, ok, action }> }}
+ */
+export const applyDeletes = (records, ids) => {
+    const existing = new Set(records.map(r => r.id));
+    const toRemove = new Set(ids);
+    // 刪除不存在的列視為成功，離線佇列重送時才不會卡住
+    const results = ids.map(id => ({ id, ok: true, action: existing.has(id) ? 'deleted' : 'not_found' }));
+    return { records: records.filter(r => !toRemove.has(r.id)), results };
+};
+
+/**
+ * Collapse per-row results into the { success, error } shape the pages expect
+ * @param {Array} results - Per-row results
+ * @returns {{ success: boolean, results: Array, error?: string }}
+ */
+export const summarizeRowResults = (results) => {
+    const failed = results.filter(r => !r.ok);
+    if (failed.length === 0) return { success: true, results };
+    return {
+        success: false,
+        results,
+        error: failed.map(r => `${r.id ?? '?'}: ${r.error}`).join('; '),
+    };
+};
@@ -0,0 +1,318 @@
+// 離線寫入佇列（Outbox）
+// 連線失敗的 syncToSheet / addToCalendar / uploadToDrive 會存入 IndexedDB，
+// 恢復連線後依照加入順序重送，重新整理頁面也不會遺失；
+// 重送失敗的項目之後、寫入同一批資料的項目會保留到它送出為止，版本衝突交給合併視窗處理。
+// 佇列由同一瀏覽器的所有分頁共用：變更會通知其他分頁更新狀態，同一時間只有一個分頁負責重送。
+import { openDatabase, requestToPromise, transactionDone } from './storage/idb';
+import { isNetworkError } from './gasClient';
+import { publishToTabs, subscribeToTabs } from './tabSync';
+
+const DB_NAME = 'senteng-outbox';
+const DB_VERSION = 1;
+const STORE_NAME = 'operations';
+// Web Locks 名稱：避免多個分頁同時重送同一筆
+const REPLAY_LOCK = 'senteng-outbox-replay';
+
+// 背景重送間隔（有待送項目時）
+const REPLAY_INTERVAL = 60 * 1000;
+// 後端回傳錯誤超過此次數即標記為失敗，不再自動重送
+const MAX_ATTEMPTS = 3;
+
+const executors = {};
+const scopes = {};
+const listeners = new Set();
+let conflictHandler = null;
+
+let dbPromise = null;
+let isReplaying = false;
+let replayTimer = null;
+let status = { pending: 0, failed: 0, isReplaying: false, operations: [] };
+
+const getDB = () => {
+    if (!dbPromise) {
+        dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+            if (!db.objectStoreNames.contains(STORE_NAME)) {
+                db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+            }
+        });
+    }
+    return dbPromise;
+};
+
+const getAllOperations = async () => {
+    const db = await getDB();
+    return requestToPromise(db.transaction(STORE_NAME).objectStore(STORE_NAME).getAll());
+};
+
+const writeOperations = async (callback) => {
+    const db = await getDB();
+    const tx = db.transaction(STORE_NAME, 'readwrite');
+    callback(tx.objectStore(STORE_NAME));
+    await transactionDone(tx);
+};
+
+const refreshStatus = async () => {
+    const operations = await getAllOperations();
+    status = {
+        pending: operations.filter(op => op.status === 'pending').length,
+        failed: operations.filter(op => op.status === 'failed').length,
+        isReplaying,
+        operations,
+    };
+    listeners.forEach(listener => listener(status));
+    scheduleReplay();
+    return status;
+};
+
+// 本分頁改動佇列後更新狀態並通知其他分頁
+const notifyQueueChanged = async () => {
+    const next = await refreshStatus();
+    publishToTabs('outbox');
+    return next;
+};
+
+// 其他分頁加入或送出項目時重新讀取佇列
+const handleRemoteChange = () => {
+    refreshStatus().catch(error => console.error('Failed to refresh outbox:', error));
+};
+
+const scheduleReplay = () => {
+    if (status.pending > 0 && !replayTimer) {
+        replayTimer = setInterval(replay, REPLAY_INTERVAL);
+    } else if (status.pending === 0 && replayTimer) {
+        clearInterval(replayTimer);
+        replayTimer = null;
+    }
+};
+
+/**
+ * Register the function that performs an operation type when it is replayed
+ * @param {string} type - Operation type (e.g. 'syncToSheet')
+ * @param {Function} execute - Throws network errors, resolves { success, error? }
+ * @param {Function} [scope] - (...args) => { resource, ids? }: the data the operation writes (ids omitted = all of it);
+ *   later operations on the same data wait while this one fails
+ */
+export const registerOperation = (type, execute, scope) => {
+    executors[type] = execute;
+    if (scope) scopes[type] = scope;
+};
+
+/**
+ * Handle version conflicts returned while replaying (e.g. open the merge dialog)
+ * @param {Function} handler - (op, result) => Promise<Array|null>: arguments to send again, or null when nothing is left to send
+ * @returns {Function} Unregister function
+ */
+export const setConflictHandler = (handler) => {
+    conflictHandler = handler;
+    return () => {
+        if (conflictHandler === handler) conflictHandler = null;
+    };
+};
+
+const scopeOf = op => scopes[op.type]?.(...op.args) || null;
+
+const overlaps = (a, b) => {
+    const first = scopeOf(a);
+    const second = scopeOf(b);
+    if (!first || !second || first.resource !== second.resource) return false;
+    if (!first.ids || !second.ids) return true;
+    return first.ids.some(id => second.ids.includes(id));
+};
+
+/**
+ * Store an operation in the outbox
+ * @param {string} type - Registered operation type
+ * @param {Array} args - Arguments for the executor (must be structured-cloneable)
+ */
+export const enqueue = async (type, args) => {
+    await writeOperations((store) => {
+        store.add({
+            type,
+            args,
+            status: 'pending',
+            attempts: 0,
+            lastError: null,
+            createdAt: new Date().toISOString(),
+        });
+    });
+    console.log(`📮 Queued ${type} for later sync`);
+    await notifyQueueChanged();
+};
+
+/**
+ * Replay pending operations in order.
+ * Stops at the first network failure so later operations never overtake earlier ones;
+ * after a backend error, later operations on the same data wait for the failed one.
+ * Only one tab replays at a time; the others skip while it holds the lock.
+ */
+export const replay = async () => {
+    if (isReplaying) return status;
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) return status;
+
+    if (typeof navigator !== 'undefined' && navigator.locks) {
+        return navigator.locks.request(REPLAY_LOCK, { ifAvailable: true }, lock => (lock ? replayPending() : status));
+    }
+    return replayPending();
+};
+
+const replayPending = async () => {
+    isReplaying = true;
+    // 本輪已處理過的項目（避免後端錯誤的項目在同一輪內被連續重試）
+    const attempted = new Set();
+    try {
+        for (;;) {
+            // 每次重新讀取，讓重送期間新加入的項目也能在本輪送出
+            // 失敗（含本輪重送失敗）與因此保留的項目，會擋住之後寫入同一批資料的項目
+            const held = [];
+            const op = (await getAllOperations())
+                .sort((a, b) => a.id - b.id)
+                .find((item) => {
+                    if (item.status === 'failed' || attempted.has(item.id) || held.some(earlier => overlaps(earlier, item))) {
+                        held.push(item);
+                        return false;
+                    }
+                    return item.status === 'pending';
+                });
+            if (!op) break;
+
+            attempted.add(op.id);
+            const execute = executors[op.type];
+            if (!execute) continue;
+
+            try {
+                const result = await execute(...op.args);
+                const conflicts = (result?.results || []).filter(r => r.conflict);
+                if (conflicts.length > 0 && conflictHandler) {
+                    // 版本衝突不計入重送次數：合併後剩下要寫入的資料留在同一個項目，立即再送一次
+                    const args = await conflictHandler(op, result);
+                    if (args) {
+                        attempted.delete(op.id);
+                        await writeOperations(store => store.put({ ...op, args }));
+                    } else {
+                        await writeOperations(store => store.delete(op.id));
+                    }
+                } else if (result?.success) {
+                    await writeOperations(store => store.delete(op.id));
+                } else {
+                    const attempts = op.attempts + 1;
+                    await writeOperations(store => store.put({
+                        ...op,
+                        attempts,
+                        lastError: result?.error || 'Unknown error',
+                        status: attempts >= MAX_ATTEMPTS ? 'failed' : 'pending',
+                    }));
+                }
+            } catch (error) {
+                const attempts = op.attempts + 1;
+                const networkFailure = isNetworkError(error);
+                await writeOperations(store => store.put({
+                    ...op,
+                    attempts,
+                    lastError: error.message,
+                    status: !networkFailure && attempts >= MAX_ATTEMPTS ? 'failed' : 'pending',
+                }));
+                if (networkFailure) break;
+            }
+            await notifyQueueChanged();
+        }
+    } catch (error) {
+        console.error('Outbox replay failed:', error);
+    } finally {
+        isReplaying = false;
+    }
+    return refreshStatus();
+};
+
+/**
+ * Wrap an operation so it is queued instead of lost when the backend is unreachable.
+ * While earlier operations are still queued, new ones are queued behind them to keep order.
+ * @param {string} type - Operation type
+ * @param {Function} execute - Throws network errors, resolves { success, error? }
+ * @param {Function} [scope] - See registerOperation
+ * @returns {Function} Operation that resolves { success, queued? }
+ */
+export const withOutbox = (type, execute, scope) => {
+    registerOperation(type, execute, scope);
+
+    const queue = async (args, error) => {
+        try {
+            await enqueue(type, args);
+            return { success: true, queued: true };
+        } catch (queueError) {
+            console.error('Failed to queue operation:', queueError);
+            return { success: false, error: (error || queueError).message };
+        }
+    };
+
+    return async (...args) => {
+        const offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+
+        if (offline || status.pending > 0) {
+            const result = await queue(args);
+            if (!offline) replay();
+            return result;
+        }
+
+        try {
+            return await execute(...args);
+        } catch (error) {
+            if (!isNetworkError(error)) throw error;
+            return queue(args, error);
+        }
+    };
+};
+
+/**
+ * Move failed operations back to pending and replay them
+ */
+export const retryFailed = async () => {
+    const operations = await getAllOperations();
+    await writeOperations((store) => {
+        operations
+            .filter(op => op.status === 'failed')
+            .forEach(op => store.put({ ...op, status: 'pending', attempts: 0 }));
+    });
+    await notifyQueueChanged();
+    return replay();
+};
+
+/**
+ * Remove failed operations from the outbox
+ */
+export const discardFailed = async () => {
+    const operations = await getAllOperations();
+    await writeOperations((store) => {
+        operations
+            .filter(op => op.status === 'failed')
+            .forEach(op => store.delete(op.id));
+    });
+    return notifyQueueChanged();
+};
+
+/**
+ * Subscribe to outbox status changes
+ * @param {Function} listener - Receives { pending, failed, isReplaying, operations }
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToQueue = (listener) => {
+    listeners.add(listener);
+    listener(status);
+    return () => listeners.delete(listener);
+};
+
+/**
+ * Load the persisted outbox and start replaying when connectivity returns
+ */
+export const initSyncQueue = async () => {
+    if (typeof window !== 'undefined') {
+        window.addEventListener('online', replay);
+    }
+    subscribeToTabs('outbox', handleRemoteChange);
+
+    try {
+        await refreshStatus();
+        if (status.pending > 0) replay();
+    } catch (error) {
+        console.error('Failed to open outbox:', error);
+    }
+};
@@ -0,0 +1,45 @@
+// 跨分頁同步（BroadcastChannel）
+// 同一瀏覽器開啟多個分頁時（例如一頁財務、一頁專案），資料變更、登入狀態與離線佇列的變化會通知其他分頁。
+// 訊息只送給「其他」分頁，發送的分頁不會收到自己的訊息。
+
+const CHANNEL_NAME = 'senteng-sync';
+
+const handlers = new Map();
+let channel = null;
+
+const getChannel = () => {
+    if (!channel && typeof BroadcastChannel !== 'undefined') {
+        channel = new BroadcastChannel(CHANNEL_NAME);
+        channel.onmessage = (event) => {
+            const { topic, payload } = event.data || {};
+            handlers.get(topic)?.forEach(handler => handler(payload));
+        };
+    }
+    return channel;
+};
+
+/**
+ * Send a message to the other open tabs
+ * @param {string} topic - e.g. 'store', 'auth', 'outbox'
+ * @param {*} payload - Must be structured-cloneable
+ */
+export const publishToTabs = (topic, payload) => {
+    try {
+        getChannel()?.postMessage({ topic, payload });
+    } catch (error) {
+        console.warn(`Failed to broadcast ${topic} to other tabs:`, error);
+    }
+};
+
+/**
+ * Receive messages of a topic from the other open tabs
+ * @param {string} topic
+ * @param {Function} handler - Receives the payload
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToTabs = (topic, handler) => {
+    if (!getChannel()) return () => {};
+    if (!handlers.has(topic)) handlers.set(topic, new Set());
+    handlers.get(topic).add(handler);
+    return () => handlers.get(topic)?.delete(handler);
+};
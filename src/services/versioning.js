@@ -0,0 +1,81 @@
+// 資料版本戳記與衝突比對（樂觀鎖）
+// 每筆資料帶有 revision / updatedAt / updatedBy；寫入時附上 baseRevision（編輯前看到的版本），
+// 後端發現目前版本不同時回傳 conflict，由使用者在合併視窗中逐欄決定。
+
+// 版本欄位不參與欄位比對（schemaVersion 見 schema/index.js）
+export const VERSION_FIELDS = ['revision', 'baseRevision', 'updatedAt', 'updatedBy', 'schemaVersion'];
+
+/**
+ * Stamp a record for writing
+ * @param {Object} record - Record as edited locally (revision = the version the user started from)
+ * @param {Object} actor - Signed-in user ({ displayName, email })
+ * @returns {Object} Record with baseRevision, next revision, updatedAt and updatedBy
+ */
+export const stampRecord = (record, actor) => {
+    const baseRevision = Number(record.revision) || 0;
+    return {
+        ...record,
+        baseRevision,
+        revision: baseRevision + 1,
+        updatedAt: new Date().toISOString(),
+        updatedBy: actor?.displayName || actor?.email || '',
+    };
+};
+
+/**
+ * Remove the write-only baseRevision before a record is kept in state or storage
+ * @param {Object} record
+ * @returns {Object}
+ */
+export const unstampRecord = (record) => {
+    const next = { ...record };
+    delete next.baseRevision;
+    return next;
+};
+
+const isSameValue = (a, b) => JSON.stringify(a ?? '') === JSON.stringify(b ?? '');
+
+/**
+ * List the fields that differ between two versions of a record
+ * @param {Object} mine - Local version
+ * @param {Object} theirs - Version currently stored in the backend
+ * @returns {Array<{ field: string, mine: *, theirs: * }>}
+ */
+export const diffFields = (mine = {}, theirs = {}) => {
+    const fields = new Set([...Object.keys(mine), ...Object.keys(theirs)]);
+    return [...fields]
+        .filter(field => !VERSION_FIELDS.includes(field) && field !== 'id')
+        .filter(field => !isSameValue(mine[field], theirs[field]))
+        .map(field => ({ field, mine: mine[field], theirs: theirs[field] }));
+};
+
+/**
+ * Build the merged record from per-field choices
+ * @param {Object} mine - Local version
+ * @param {Object} theirs - Stored version
+ * @param {Object} choices - { [field]: 'mine' | 'theirs' }
+ * @returns {Object} Merged record based on the stored revision
+ */
+export const mergeRecords = (mine, theirs, choices) => {
+    const merged = { ...theirs };
+    diffFields(mine, theirs).forEach(({ field }) => {
+        if (choices[field] !== 'theirs') {
+            merged[field] = mine[field];
+        }
+    });
+    // 以後端版本為基準，下次寫入才不會再次衝突
+    merged.revision = theirs.revision;
+    return unstampRecord(merged);
+};
+
+/**
+ * Replace rows in a list with their saved versions (matched by id)
+ * @param {Array} list - Current list
+ * @param {Array} savedRows - Rows returned by a save
+ * @returns {Array}
+ */
+export const applySavedRows = (list, savedRows = []) => {
+    if (savedRows.length === 0) return list;
+    const byId = new Map(savedRows.map(row => [row.id, row]));
+    return list.map(item => byId.get(item.id) || item);
+};